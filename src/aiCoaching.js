@@ -1,6 +1,13 @@
 // src/aiCoaching.js modification
 import { generateFallbackCoaching } from './templateCoachingSystem.js';
 import { characterNames } from './utils/slippiUtils.js';
+import { getCharacterDataByName } from './utils/characterData.js';
+import { EVENT_TYPES, readEvent } from './utils/eventSchema.js';
+import { getPlayerHistory } from './playerProfiles.js';
+
+// Combos at least this damaging are key moments even when they don't kill
+const KEY_COMBO_DAMAGE = 40;
+const MAX_KEY_MOMENTS = 12;
 
 /**
  * Creates an advanced coaching prompt tailored to match data
@@ -12,12 +19,23 @@ function createAdvancedCoachingPrompt(matchData) {
   const players = matchData.characters.map((char, idx) => {
     // Handle both string character names and numeric character IDs
     const characterName = typeof char === 'string' ? char : characterNames[char] || `Character ${char}`;
+    // Normalized players (from the game model) carry the real port and name
+    const normalized = matchData.players?.[idx];
+    const port = normalized?.port || idx + 1;
     return {
       index: idx,
+      port,
+      name: normalized && normalized.displayName !== `Player ${port}` ? normalized.displayName : null,
       character: characterName,
       damage: matchData.damageDealt[idx] || 0,
       stocks: matchData.stockLosses[idx] || 0,
-      isHuman: matchData.playerTypes ? matchData.playerTypes[idx] !== 1 : true // Default to human if not specified
+      isHuman: matchData.playerTypes ? matchData.playerTypes[idx] !== 1 : true, // Default to human if not specified
+      habits: matchData.habits?.[idx] || [],
+      inputs: matchData.inputs?.[idx] || null,
+      conversions: matchData.notableConversions?.[idx] || [],
+      stageControl: matchData.stageControl?.[idx] || null,
+      deaths: matchData.deaths?.[idx] || [],
+      history: matchData.history?.[idx + 1] || {}
     };
   });
   
@@ -29,14 +47,70 @@ Match details:
   
   // Add player information
   players.forEach(player => {
-    prompt += `- Player ${player.index + 1}: ${player.character}${player.isHuman ? '' : ' (CPU)'}
+    prompt += `- Player ${player.port}${player.name ? ` (${player.name})` : ''}: ${player.character}${player.isHuman ? '' : ' (CPU)'}
 `;
     prompt += `  * Damage dealt: ${player.damage.toFixed(1)}
 `;
     prompt += `  * Stocks lost: ${player.stocks}
 `;
+    const physics = getCharacterDataByName(player.character);
+    if (physics) {
+      prompt += `  * Character data: ${physics.jumpSquat}-frame jump squat, weight ${physics.weight}, fall speed ${physics.fallSpeed} (fast fall ${physics.fastFallSpeed})
+`;
+    }
+    if (player.inputs?.inputsPerMinute) {
+      prompt += `  * Inputs: ${formatInputSummary(player.inputs)}
+`;
+    }
+    if (player.stageControl?.centerControl !== null && player.stageControl?.centerControl !== undefined) {
+      prompt += `  * Stage control: ${formatStageControl(player.stageControl)}
+`;
+    }
+    // Strongest punishes, spelled out move by move
+    player.conversions.forEach(conversion => {
+      prompt += `  * Punish: ${formatConversion(conversion)}
+`;
+    });
+    // How each stock was lost: kill move, blast zone, percent and the opening behind it
+    player.deaths.forEach(death => {
+      prompt += `  * Death: ${formatDeath(death)}
+`;
+    });
+    // Option habits from tech, getup and ledge tracking
+    player.habits.forEach(habit => {
+      prompt += `  * Habit: ${habit}
+`;
+    });
+    // Long-term numbers and records from the player's profile
+    Object.entries(player.history).forEach(([label, value]) => {
+      prompt += `  * History - ${label}: ${value}
+`;
+    });
   });
   
+  if (players.some(player => Object.keys(player.history).length > 0)) {
+    prompt += `\nHistory lines cover the player's earlier games: point out where this game matches or breaks their long-term habits and trends.\n`;
+  }
+  
+  // Whole sets: the games in order, counterpicks, switches and trends across games
+  if (matchData.set) {
+    prompt += createSetSection(matchData.set);
+  }
+  
+  // The match in order: stocks and the biggest punishes, from the timeline
+  const keyMoments = getKeyMoments(matchData.timeline);
+  if (keyMoments.length > 0) {
+    prompt += `\nKey moments:\n`;
+    keyMoments.forEach(moment => {
+      prompt += `- ${moment}\n`;
+    });
+  }
+  
+  // Doubles get team context and team-specific instructions
+  if (matchData.isTeams && matchData.teams?.length >= 2) {
+    return prompt + createDoublesSection(matchData, players);
+  }
+  
   // Add matchup-specific context for 1v1 matches
   if (players.length === 2) {
     prompt += `\nThis is a ${players[0].character} vs ${players[1].character} matchup.\n`;
@@ -53,12 +127,169 @@ Match details:
   // Tailor advice based on player's performance
   const targetIdx = players.findIndex(p => p.isHuman); // Focus on first human player if available
   if (targetIdx >= 0) {
-    prompt += `\nFocus your coaching advice on Player ${targetIdx + 1} (${players[targetIdx].character}).`;
+    prompt += `\nFocus your coaching advice on Player ${players[targetIdx].port} (${players[targetIdx].character}).`;
   }
   
   return prompt;
 }
 
+/**
+ * Summarizes measured controller inputs so timing advice can cite real numbers
+ * @param {Object} inputs - One player's input stats from the frame analyzer
+ * @returns {string} - Prompt line
+ */
+function formatInputSummary(inputs) {
+  const parts = [`${Math.round(inputs.inputsPerMinute)} inputs per minute`];
+  const { inWindow, early, late, none } = inputs.lCancelPresses;
+  const landings = inWindow + early + late + none;
+  if (landings > 0) {
+    parts.push(`L/R/Z pressed in the L-cancel window on ${inWindow}/${landings} aerial landings (${early} early, ${late} late)`);
+  }
+  if (inputs.averageWavedashAngle !== null) {
+    parts.push(`average wavedash angle ${inputs.averageWavedashAngle.toFixed(0)}° below horizontal`);
+  }
+  const missed = Object.entries(inputs.missedInputs).map(([reason, count]) => `${count} ${reason}`);
+  if (missed.length > 0) {
+    parts.push(`missed inputs: ${missed.join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Summarizes where a player spent the game so positional advice can cite real numbers
+ * @param {Object} stageControl - One player's stage control stats from the frame analyzer
+ * @returns {string} - Prompt line
+ */
+function formatStageControl(stageControl) {
+  const percent = value => `${Math.round((value || 0) * 100)}%`;
+  return `held center ${percent(stageControl.centerControl)} of the time with everyone on stage, ` +
+    `cornered at the edge ${percent(stageControl.cornered)}, ` +
+    `offstage ${percent(stageControl.zoneShares.offstage)} and on platforms ${percent(stageControl.platformShare)} of the game`;
+}
+
+/**
+ * Describes a lost stock: how it died and the punish and opening that led to it
+ * @param {Object} death - Entry from matchData.deaths
+ * @returns {string} - Prompt line
+ */
+function formatDeath(death) {
+  const parts = [death.description];
+  if (death.punish) {
+    parts.push(`punish: ${death.punish}`);
+  }
+  if (death.opening) {
+    parts.push(`opened by ${death.opening}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Builds the set part of the coaching prompt: score, games and set-level notes
+ * @param {Object} set - Set summary from summarizeSet()
+ * @returns {string} - Prompt section
+ */
+function createSetSection(set) {
+  const format = set.bestOf ? `best-of-${set.bestOf} set` : 'practice session';
+  let section = `\nThe numbers above are totals over a ${format} of ${set.games.length} game(s)`;
+  section += set.perspective ? `, score ${set.score} for ${set.perspective} ("You" below).\n` : `, score ${set.score}.\n`;
+  set.games.forEach(game => {
+    section += `- ${game}\n`;
+  });
+  if (set.notes.length > 0) {
+    section += `Set notes:\n`;
+    set.notes.forEach(note => {
+      section += `- ${note}\n`;
+    });
+  }
+  section += `Include advice on adapting across games: stage counterpicks, character switches and the trends above.\n`;
+  return section;
+}
+
+/**
+ * Lists the stocks taken and the biggest combos in the order they happened
+ * @param {Object} timeline - Serialized match timeline (MatchTimeline.toJSON())
+ * @returns {Array<string>} - Prompt lines, prefixed with the game time
+ */
+function getKeyMoments(timeline) {
+  const gameTime = frame => {
+    const seconds = Math.max(0, Math.floor((frame ?? 0) / 60));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  return (timeline?.events || [])
+    .map(readEvent)
+    .filter(event => event.type === EVENT_TYPES.STOCK_LOST ||
+      (event.type === EVENT_TYPES.COMBO && (event.didKill || event.damage >= KEY_COMBO_DAMAGE)))
+    .slice(0, MAX_KEY_MOMENTS)
+    .map(event => {
+      if (event.type === EVENT_TYPES.COMBO) {
+        const moves = event.moveString ? ` (${event.moveString})` : '';
+        return `${gameTime(event.frame)} ${event.playerCharacter || `Player ${event.playerIndex + 1}`} ` +
+          `${event.moves}-hit combo for ${Math.round(event.damage)}%${moves}${event.didKill ? ', killed' : ''}`;
+      }
+      const description = event.description ||
+        `${event.playerCharacter || `Player ${event.playerIndex + 1}`} lost a stock`;
+      return `${gameTime(event.frame)} ${description}`;
+    });
+}
+
+/**
+ * Describes a reconstructed punish: the move string, how it was opened and the DI held
+ * @param {Object} conversion - Entry from matchData.notableConversions
+ * @returns {string} - Prompt line
+ */
+function formatConversion(conversion) {
+  const parts = [conversion.description];
+  if (conversion.opener) {
+    const opening = conversion.openingType ? ` (${conversion.openingType.replace('-', ' ')})` : '';
+    parts.push(`opened with ${conversion.opener}${opening}`);
+  }
+  if (conversion.di) {
+    parts.push(`victim DI per hit: ${conversion.di}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Builds the doubles part of the coaching prompt: team totals, stock sharing and friendly fire
+ * @param {Object} matchData - Match data including teams
+ * @param {Array<Object>} players - Player summaries from createAdvancedCoachingPrompt
+ * @returns {string} - Prompt section
+ */
+function createDoublesSection(matchData, players) {
+  let section = `\nThis is a doubles (2v2) match.\n`;
+  
+  matchData.teams.forEach(team => {
+    section += `- ${team.name}: ${team.characters.join(' & ')}
+  * Team damage dealt: ${(team.damageDealt || 0).toFixed(1)}
+  * Team stocks lost: ${team.stocksLost || 0}
+  * Friendly fire dealt: ${(team.friendlyFire || 0).toFixed(1)}
+`;
+  });
+  
+  if (matchData.teamKills) {
+    section += `- Stocks lost to a teammate: ${matchData.teamKills}\n`;
+  }
+  if (matchData.winningTeam) {
+    section += `- Winner: ${matchData.winningTeam}\n`;
+  }
+  
+  section += `\nProvide doubles coaching advice that focuses on:
+1. Team damage output and how evenly it is shared between partners
+2. Stock sharing: when taking a teammate's stock helps or hurts the team
+3. Friendly fire: which moves and positions are hitting the partner
+4. Target selection, 2-on-1 opportunities and covering a partner who is being comboed
+5. Character-specific technical execution within the team composition\n`;
+  
+  const target = players.find(p => p.isHuman);
+  if (target) {
+    const team = matchData.teams.find(t => t.playerIndices?.includes(matchData.players?.[target.index]?.playerIndex));
+    section += `\nFocus your coaching advice on Player ${target.port} (${target.character})${team ? ` and their partner on ${team.name}` : ''}.`;
+  }
+  
+  return section;
+}
+
 /**
  * Generates coaching advice using AI or templates
  * @param {Object} llmProvider - LLM provider instance
@@ -71,6 +302,14 @@ export async function generateCoachingAdvice(llmProvider, matchData) {
     return "Cannot generate coaching advice: Missing essential match data (characters, damage, stocks).";
   }
   
+  // Long-term history from the player profiles, unless the caller supplied it
+  if (matchData.history === undefined && matchData.players) {
+    matchData = {
+      ...matchData,
+      history: getPlayerHistory(matchData.players, { stage: matchData.stage, isTeams: matchData.isTeams })
+    };
+  }
+  
   // If no LLM provider, use template-based coaching
   if (!llmProvider) {
     console.log("[Template] Generating coaching advice using templates...");
@@ -1,7 +1,6 @@
-import { watchSlippiReplays } from './filebasedindex.js';
-import { generateCoachingAdvice } from './aicoaching.js';
+import { watchSlippiReplays, buildReplayMatchData } from './filebasedindex.js';
+import { generateCoachingAdvice } from './aiCoaching.js';
 import { getConfig } from './utils/configManager.js';
-import { characterNames } from './utils/slippiUtils.js';
 import './utils/logger.js';
 import os from 'os';
 import path from 'path';
@@ -42,51 +41,21 @@ async function main() {
                 console.log("Game metadata not available or start time missing");
             }
             
-            // Extract player information safely with null checks
-            const players = [];
-            
-            // Try to get player data from settings first
-            if (gameData.settings && gameData.settings.players && Array.isArray(gameData.settings.players)) {
-                gameData.settings.players.forEach((player, index) => {
-                    if (player) {
-                        const characterId = player.characterId;
-                        const characterName = characterNames[characterId] || 'Unknown';
-                        
-                        players.push({
-                            index,
-                            character: characterName,
-                            characterId: characterId,
-                            type: player.type, // 0 = human, 1 = CPU, 2 = demo
-                            playerIndex: player.playerIndex,
-                            port: player.port || index + 1,
-                            damage: gameData.playerStats?.damageDealt?.[index] || 0,
-                            stocksLost: gameData.playerStats?.stockLosses?.[index] || 0
-                        });
-                    }
-                });
-            } 
-            // Fallback to players array if available from parser
-            else if (gameData.players && Array.isArray(gameData.players)) {
-                players.push(...gameData.players.map(p => ({
-                    ...p,
-                    character: characterNames[p.characterId] || 'Unknown',
-                    damage: gameData.playerStats?.damageDealt?.[p.index] || 0,
-                    stocksLost: gameData.playerStats?.stockLosses?.[p.index] || 0
-                })));
-            }
+            // Normalized players from the parser, with their damage and stock losses
+            const players = (gameData.players || []).map((player, index) => ({
+                ...player,
+                damage: gameData.playerStats?.damageDealt?.[index] || 0,
+                stocksLost: gameData.playerStats?.stockLosses?.[index] || 0
+            }));
             
             if (players.length > 0) {
                 console.log("Matchup:");
                 players.forEach(player => {
-                    console.log(`Player ${player.port}: ${player.character} (Damage: ${player.damage.toFixed(1)}, Stocks Lost: ${player.stocksLost})`);
+                    console.log(`Player ${player.port}: ${player.character} [${player.displayName}] (Damage: ${player.damage.toFixed(1)}, Stocks Lost: ${player.stocksLost})`);
                 });
                 
                 // Prepare data for AI coaching
-                const matchData = {
-                    damageDealt: players.map(p => p.damage),
-                    stockLosses: players.map(p => p.stockLosses),
-                    characters: players.map(p => p.character)
-                };
+                const matchData = buildReplayMatchData(gameData);
                 
                 // Generate coaching advice
                 try {
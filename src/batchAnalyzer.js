@@ -0,0 +1,242 @@
+// src/batchAnalyzer.js
+// Walks a directory of .slp files and analyzes every game with a pool of worker threads.
+// Progress is checkpointed after each file so an interrupted run picks up where it stopped.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+
+const PROGRESS_FILE = '.slippi-coach-progress.json';
+const PROGRESS_VERSION = 1;
+
+/**
+ * Default worker count: leave one core for the main thread
+ *
+ * @returns {number} - Number of worker threads
+ */
+function defaultWorkerCount() {
+    return Math.max(1, os.cpus().length - 1);
+}
+
+/**
+ * Recursively collects .slp files below a directory
+ *
+ * @param {string} directory - Directory to search
+ * @param {string} excludeDir - Directory to skip (the report output directory)
+ * @returns {Array<string>} - Sorted absolute file paths
+ */
+export function findReplayFiles(directory, excludeDir = null) {
+    const results = [];
+    const pending = [path.resolve(directory)];
+    const excluded = excludeDir ? path.resolve(excludeDir) : null;
+
+    while (pending.length > 0) {
+        const current = pending.pop();
+        let entries;
+        try {
+            entries = fs.readdirSync(current, { withFileTypes: true });
+        } catch (err) {
+            console.warn(`Skipping unreadable directory ${current}: ${err.message}`);
+            continue;
+        }
+
+        entries.forEach(entry => {
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                if (fullPath !== excluded && !entry.name.startsWith('.')) {
+                    pending.push(fullPath);
+                }
+            } else if (entry.isFile() && entry.name.endsWith('.slp') && entry.name !== 'CurrentGame.slp') {
+                results.push(fullPath);
+            }
+        });
+    }
+
+    return results.sort();
+}
+
+/**
+ * Loads the progress checkpoint, starting fresh if it is missing or unreadable
+ *
+ * @param {string} progressPath - Path to the progress file
+ * @returns {Object} - Progress state
+ */
+function loadProgress(progressPath) {
+    try {
+        const progress = JSON.parse(fs.readFileSync(progressPath, 'utf8'));
+        if (progress.version === PROGRESS_VERSION && progress.completed) {
+            return { failed: {}, ...progress };
+        }
+        console.warn('Progress file has an unknown format, starting over.');
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(`Could not read progress file, starting over: ${err.message}`);
+        }
+    }
+    return { version: PROGRESS_VERSION, completed: {}, failed: {} };
+}
+
+/**
+ * Writes the progress checkpoint atomically so a crash never leaves a torn file
+ *
+ * @param {string} progressPath - Path to the progress file
+ * @param {Object} progress - Progress state
+ */
+function saveProgress(progressPath, progress) {
+    const tempPath = `${progressPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(progress, null, 2), 'utf8');
+    fs.renameSync(tempPath, progressPath);
+}
+
+/**
+ * Maps a replay path to the path of its JSON report
+ *
+ * @param {string} outputDir - Report output directory
+ * @param {string} relativePath - Replay path relative to the input directory
+ * @returns {string} - Report path
+ */
+function reportPathFor(outputDir, relativePath) {
+    return path.join(outputDir, relativePath.replace(/\.slp$/, '.json'));
+}
+
+/**
+ * Analyzes every replay below a directory and writes one JSON report per game
+ *
+ * @param {string} inputDir - Directory containing .slp files (searched recursively)
+ * @param {Object} options - Batch options
+ * @param {string} options.outputDir - Where reports are written (default: <inputDir>/slippi-coach-reports)
+ * @param {number} options.workers - Worker thread count
+ * @param {boolean} options.force - Re-analyze files that are already complete
+ * @param {Function} options.onProgress - Called after each file with ({ done, total, filePath, ok, error })
+ * @returns {Promise<Object>} - Run summary
+ */
+export async function analyzeReplayDirectory(inputDir, options = {}) {
+    const rootDir = path.resolve(inputDir);
+    const {
+        outputDir = path.join(rootDir, 'slippi-coach-reports'),
+        workers = defaultWorkerCount(),
+        force = false,
+        onProgress = null
+    } = options;
+
+    if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+        throw new Error(`Replay directory not found: ${rootDir}`);
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const progressPath = path.join(outputDir, PROGRESS_FILE);
+    const progress = force
+        ? { version: PROGRESS_VERSION, completed: {}, failed: {} }
+        : loadProgress(progressPath);
+
+    // A file is up to date when its size and modification time match the checkpoint
+    const files = findReplayFiles(rootDir, outputDir);
+    const queue = [];
+    const fileInfo = {};
+    files.forEach(filePath => {
+        const relativePath = path.relative(rootDir, filePath);
+        const stat = fs.statSync(filePath);
+        fileInfo[filePath] = { relativePath, size: stat.size, mtimeMs: stat.mtimeMs };
+
+        const entry = progress.completed[relativePath];
+        if (!entry || entry.size !== stat.size || entry.mtimeMs !== stat.mtimeMs) {
+            queue.push(filePath);
+        }
+    });
+
+    const summary = {
+        total: files.length,
+        skipped: files.length - queue.length,
+        analyzed: 0,
+        failed: 0,
+        outputDir
+    };
+
+    if (queue.length === 0) {
+        return summary;
+    }
+
+    const queuedCount = queue.length;
+    const poolSize = Math.max(1, Math.min(workers, queuedCount));
+    let done = 0;
+
+    const recordResult = (filePath, result) => {
+        const { relativePath, size, mtimeMs } = fileInfo[filePath];
+        done++;
+
+        if (result.ok) {
+            const reportPath = reportPathFor(outputDir, relativePath);
+            fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+            fs.writeFileSync(reportPath, JSON.stringify(result.report, null, 2), 'utf8');
+
+            progress.completed[relativePath] = {
+                size,
+                mtimeMs,
+                report: path.relative(outputDir, reportPath)
+            };
+            delete progress.failed[relativePath];
+            summary.analyzed++;
+        } else {
+            progress.failed[relativePath] = { size, mtimeMs, error: result.error };
+            summary.failed++;
+        }
+
+        saveProgress(progressPath, progress);
+
+        if (onProgress) {
+            onProgress({ done, total: queuedCount, filePath, ok: result.ok, error: result.error });
+        }
+    };
+
+    await new Promise((resolve) => {
+        let active = 0;
+
+        const startWorker = () => {
+            const worker = new Worker(new URL('./batchWorker.js', import.meta.url), {
+                workerData: { rootDir }
+            });
+            let currentFile = null;
+            active++;
+
+            const next = () => {
+                currentFile = queue.shift() || null;
+                if (currentFile) {
+                    worker.postMessage({ filePath: currentFile });
+                } else {
+                    worker.terminate();
+                }
+            };
+
+            worker.on('message', (result) => {
+                recordResult(result.filePath, result);
+                next();
+            });
+
+            // A crashing worker fails its current file and is replaced so the run continues
+            worker.on('error', (err) => {
+                if (currentFile) {
+                    recordResult(currentFile, { ok: false, error: err.message });
+                    currentFile = null;
+                }
+            });
+
+            worker.on('exit', () => {
+                active--;
+                if (queue.length > 0) {
+                    startWorker();
+                } else if (active === 0) {
+                    resolve();
+                }
+            });
+
+            next();
+        };
+
+        for (let i = 0; i < poolSize; i++) {
+            startWorker();
+        }
+    });
+
+    return summary;
+}
@@ -0,0 +1,15 @@
+// src/batchWorker.js
+// Worker thread entry point for the batch analyzer. Receives one replay path at a
+// time from the pool and posts back the finished report or the failure reason.
+
+import { parentPort, workerData } from 'worker_threads';
+import { buildReplayReport } from './replayReport.js';
+
+parentPort.on('message', async ({ filePath }) => {
+    try {
+        const report = await buildReplayReport(filePath, { rootDir: workerData.rootDir });
+        parentPort.postMessage({ ok: true, filePath, report });
+    } catch (err) {
+        parentPort.postMessage({ ok: false, filePath, error: err.message });
+    }
+});
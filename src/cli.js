@@ -0,0 +1,598 @@
+#!/usr/bin/env node
+// src/cli.js
+// Command line entry point: `slippi-coach <command> [options]`
+
+import path from 'path';
+import fs from 'fs';
+import { analyzeReplayDirectory, findReplayFiles } from './batchAnalyzer.js';
+import { ReplayIndex, indexReplayFile } from './replayIndex.js';
+import { buildHeatmapReport, writeHeatmapReport } from './heatmapReport.js';
+import { groupSessions, summarizeSet, buildSetMatchData, DEFAULT_SESSION_GAP_MINUTES } from './sessionTracker.js';
+import { generateCoachingAdvice } from './aiCoaching.js';
+import { PlayerProfileStore, summarizeProfile } from './playerProfiles.js';
+import { CurrentGameMonitor } from './currentGameMonitor.js';
+import { DRILLS, DrillSession, getDrill, formatAttempt, describeDrillSummary } from './drillMode.js';
+import './utils/logger.js';
+
+// Seconds between status tables of the setups command
+const DEFAULT_STATUS_INTERVAL = 30;
+
+const USAGE = `Usage: slippi-coach <command> [options]
+
+Commands:
+  analyze <dir>     Analyze every .slp file below <dir> and write one JSON report per game
+      --out <dir>       Report output directory (default: <dir>/slippi-coach-reports)
+      --workers <n>     Number of worker threads (default: CPU count - 1)
+      --force           Re-analyze files already recorded as complete
+
+  heatmap <path>    Build positional heatmaps (neutral, hit, death) per player and stage from a
+                    replay file or every .slp file below a directory; writes JSON and SVGs
+      --out <dir>       Output directory (default: ./slippi-coach-heatmaps)
+      --player <code>   Only this connect code or display name
+      --cell <n>        Grid cell size in game units (default: 8)
+
+  index add <path>  Add a replay file, or every .slp file below a directory, to the replay index
+                    (and new games to the player profiles)
+      --force           Re-analyze replays that are already indexed
+  index query       List indexed games matching all given filters, newest first
+      --player <code>   Connect code or display name (other filters are relative to this player)
+      --character <c>   Character played, e.g. Fox
+      --opponent <c>    Opponent character, e.g. Marth
+      --stage <s>       Stage name or id, e.g. Battlefield
+      --since <t>       ISO date or age such as 30d, 2w, 12h
+      --until <t>       ISO date or age
+      --result <r>      win or loss
+      --teams / --singles
+      --limit <n>       Maximum number of games
+      --json            Print full records as JSON
+
+  sessions [path]   Group indexed games into sessions and sets (Bo3/Bo5) by players and time
+                    gaps; a replay file or directory given is added to the index first
+      --player <code>   Your connect code or display name (only your games; scores and notes
+                        are from your side)
+      --since <t>       ISO date or age such as 30d, 2w, 12h
+      --until <t>       ISO date or age
+      --gap <min>       Minutes between games that start a new session (default: 30)
+      --best-of <n>     Games per set, 3 or 5 (default: 3)
+      --coach           Generate coaching advice for each finished set (asks for an LLM provider)
+      --json            Print sessions as JSON
+
+  profile show <code>           Long-term averages, trends, matchup and stage records of a
+                                connect code or alias
+  profile alias <name> <key>    Count games of a connect code or display name (e.g. an offline
+                                tag) towards the profile <key>
+  profile rebuild               Rebuild every profile from the replay index
+
+  drill <technique> Practice one technique (l-cancel, wavedash, shield-drop, multishine,
+                    ledgedash) against a CPU or in training mode, with feedback on every
+                    attempt; press Ctrl+C to finish and store the summary in your profile
+      --dir <dir>       Slippi replay directory holding CurrentGame.slp (default: per-OS location)
+      --port <n>        Port of the drilling player (default: first human player)
+      --player <key>    Profile to store the summary in (default: the player's connect code)
+
+  setups <config>   Monitor several setups (relay or console connections and Slippi folders) at
+                    once, with labeled events and commentary per setup and a status table of
+                    all of them; <config> is a JSON list of setups (see README)
+      --interval <s>    Seconds between status tables (default: 30)
+      --quiet           No commentary, only events and status
+      --llm             Commentary from an LLM provider instead of templates (asks which)
+
+  Options for index, sessions, profile, drill and setups commands:
+      --index <file>    Index file (default: SLIPPI_INDEX_PATH or ~/.slippi-coach/replay-index.jsonl)
+      --profiles <file> Player profile file (default: SLIPPI_PROFILES_PATH or
+                        ~/.slippi-coach/player-profiles.json)
+`;
+
+/**
+ * Splits argv into positional arguments and --flags
+ *
+ * @param {Array<string>} argv - Arguments after the command name
+ * @returns {Object} - { positional, flags }
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const name = arg.slice(2);
+            const value = argv[i + 1];
+            if (value !== undefined && !value.startsWith('--')) {
+                flags[name] = value;
+                i++;
+            } else {
+                flags[name] = true;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { positional, flags };
+}
+
+async function runAnalyze({ positional, flags }) {
+    const [inputDir] = positional;
+    if (!inputDir) {
+        console.error('ERROR: analyze requires a replay directory');
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    const workers = flags.workers !== undefined ? parseInt(flags.workers, 10) : undefined;
+    if (workers !== undefined && (!Number.isInteger(workers) || workers < 1)) {
+        console.error('ERROR: --workers must be a positive integer');
+        process.exit(1);
+    }
+
+    console.log(`Analyzing replays in ${path.resolve(inputDir)}...`);
+
+    const summary = await analyzeReplayDirectory(inputDir, {
+        outputDir: typeof flags.out === 'string' ? path.resolve(flags.out) : undefined,
+        workers,
+        force: Boolean(flags.force),
+        onProgress: ({ done, total, filePath, ok, error }) => {
+            const status = ok ? 'done' : `FAILED (${error})`;
+            console.log(`[${done}/${total}] ${path.basename(filePath)}: ${status}`);
+        }
+    });
+
+    console.log('\n===== BATCH SUMMARY =====');
+    console.log(`Replays found:   ${summary.total}`);
+    console.log(`Already done:    ${summary.skipped}`);
+    console.log(`Analyzed now:    ${summary.analyzed}`);
+    console.log(`Failed:          ${summary.failed}`);
+    console.log(`Reports written: ${summary.outputDir}`);
+    console.log('=========================');
+}
+
+async function runHeatmap({ positional, flags }) {
+    const [target] = positional;
+    if (!target) {
+        console.error('ERROR: heatmap requires a replay file or directory');
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    const resolved = path.resolve(target);
+    if (!fs.existsSync(resolved)) {
+        console.error(`ERROR: Not found: ${resolved}`);
+        process.exit(1);
+    }
+
+    const cellSize = flags.cell !== undefined ? Number(flags.cell) : undefined;
+    if (cellSize !== undefined && !(cellSize > 0)) {
+        console.error('ERROR: --cell must be a positive number');
+        process.exit(1);
+    }
+
+    const files = fs.statSync(resolved).isDirectory() ? findReplayFiles(resolved) : [resolved];
+    const report = await buildHeatmapReport(files, {
+        cellSize,
+        player: typeof flags.player === 'string' ? flags.player : undefined,
+        onProgress: ({ done, total, filePath, ok, error }) => {
+            if (!ok) console.log(`[${done}/${total}] ${path.basename(filePath)}: skipped (${error})`);
+        }
+    });
+
+    if (report.games === 0) {
+        console.error('ERROR: No replays could be used');
+        process.exit(1);
+    }
+
+    const outputDir = path.resolve(typeof flags.out === 'string' ? flags.out : 'slippi-coach-heatmaps');
+    const written = writeHeatmapReport(report, outputDir);
+
+    report.stages.forEach(stage => {
+        stage.players.forEach(player => {
+            console.log(`${stage.stage} | ${player.displayName} (${player.characters.join(', ')}): ` +
+                `${player.games} game(s), ${player.deaths.length} death(s)`);
+        });
+    });
+    console.log(`\nUsed ${report.games} of ${files.length} replays; wrote ${written.length} files to ${outputDir}`);
+}
+
+async function runIndexAdd(index, { positional, flags }) {
+    const [target] = positional;
+    if (!target) {
+        console.error('ERROR: index add requires a replay file or directory');
+        process.exit(1);
+    }
+
+    const resolved = path.resolve(target);
+    if (!fs.existsSync(resolved)) {
+        console.error(`ERROR: Not found: ${resolved}`);
+        process.exit(1);
+    }
+    const files = fs.statSync(resolved).isDirectory() ? findReplayFiles(resolved) : [resolved];
+    const counts = { added: 0, updated: 0, unchanged: 0, failed: 0 };
+    const profiles = loadProfiles(flags);
+
+    for (let i = 0; i < files.length; i++) {
+        const filePath = files[i];
+        try {
+            const { status, record } = await indexReplayFile(filePath, { index, force: Boolean(flags.force) });
+            if (status === 'added') profiles.recordGame(record);
+            counts[status]++;
+            if (status !== 'unchanged') {
+                console.log(`[${i + 1}/${files.length}] ${path.basename(filePath)}: ${status}`);
+            }
+        } catch (err) {
+            counts.failed++;
+            console.log(`[${i + 1}/${files.length}] ${path.basename(filePath)}: FAILED (${err.message})`);
+        }
+    }
+
+    index.compact();
+    profiles.save();
+    console.log(`\nIndexed ${files.length} replays: ${counts.added} added, ${counts.updated} updated, ` +
+        `${counts.unchanged} unchanged, ${counts.failed} failed (${index.size} games in ${index.indexPath})`);
+}
+
+function runIndexQuery(index, { flags }) {
+    const limit = flags.limit !== undefined ? parseInt(flags.limit, 10) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        console.error('ERROR: --limit must be a positive integer');
+        process.exit(1);
+    }
+    if (flags.result !== undefined && !['win', 'loss'].includes(flags.result)) {
+        console.error('ERROR: --result must be win or loss');
+        process.exit(1);
+    }
+
+    const results = index.query({
+        player: flags.player,
+        character: flags.character,
+        opponent: flags.opponent,
+        stage: flags.stage,
+        since: flags.since,
+        until: flags.until,
+        result: flags.result,
+        teams: flags.teams ? true : (flags.singles ? false : undefined),
+        limit
+    });
+
+    if (flags.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+    }
+
+    results.forEach(record => {
+        const date = record.startAt ? new Date(record.startAt).toLocaleString() : 'unknown date';
+        const describe = player => `${player.connectCode || player.displayName} (${player.character})${player.won ? ' W' : ''}`;
+        const teamIds = [...new Set(record.players.map(player => player.teamId))];
+        const sides = record.isTeams
+            ? teamIds.map(teamId => record.players.filter(p => p.teamId === teamId).map(describe).join(' & ')).join(' vs ')
+            : record.players.map(describe).join(' vs ');
+        console.log(`${date} | ${record.stage} | ${sides} | ${record.durationSeconds}s ${record.endMethod || ''}`);
+        console.log(`    ${record.file}`);
+    });
+    console.log(`\n${results.length} game(s) found`);
+}
+
+/**
+ * Loads the replay index named by --index, exiting on a read error
+ */
+function loadIndex(flags) {
+    const index = new ReplayIndex(typeof flags.index === 'string' ? path.resolve(flags.index) : undefined);
+    try {
+        index.load();
+    } catch (err) {
+        console.error(`ERROR: Could not read replay index: ${err.message}`);
+        process.exit(1);
+    }
+    return index;
+}
+
+/**
+ * Loads the player profiles named by --profiles
+ */
+function loadProfiles(flags) {
+    return new PlayerProfileStore(typeof flags.profiles === 'string' ? path.resolve(flags.profiles) : undefined).load();
+}
+
+function runProfileShow({ positional, flags }) {
+    const [name] = positional;
+    if (!name) {
+        console.error('ERROR: profile show requires a connect code or alias');
+        process.exit(1);
+    }
+
+    const profile = loadProfiles(flags).get(name);
+    if (!profile) {
+        console.error(`ERROR: No profile for ${name}`);
+        process.exit(1);
+    }
+    if (flags.json) {
+        console.log(JSON.stringify(profile, null, 2));
+        return;
+    }
+
+    const formatRecords = records => Object.entries(records)
+        .sort(([, a], [, b]) => b.games - a.games)
+        .map(([key, { wins, losses }]) => `${key} ${wins}-${losses}`)
+        .join(', ');
+
+    const otherCodes = profile.connectCodes.filter(code => code !== profile.key);
+    console.log(`${profile.displayName} (${profile.key}${otherCodes.length > 0 ? `; also ${otherCodes.join(', ')}` : ''})`);
+    Object.entries(summarizeProfile(profile)).forEach(([label, value]) => console.log(`  ${label}: ${value}`));
+    console.log(`  Characters: ${formatRecords(profile.characters)}`);
+    console.log(`  Matchups: ${formatRecords(profile.matchups) || 'none'}`);
+    console.log(`  Stages: ${formatRecords(profile.stages)}`);
+}
+
+function runProfileAlias({ positional, flags }) {
+    const [name, profileKey] = positional;
+    if (!name || !profileKey) {
+        console.error('ERROR: profile alias requires a name and a profile key');
+        process.exit(1);
+    }
+
+    const profiles = loadProfiles(flags);
+    profiles.setAlias(name, profileKey);
+    profiles.save();
+    console.log(`Games of ${name} now count towards ${profileKey}. Run "profile rebuild" to apply this to games already recorded.`);
+}
+
+function runProfileRebuild({ flags }) {
+    const profiles = loadProfiles(flags);
+    const records = loadIndex(flags).query({}).reverse(); // Oldest first
+
+    profiles.clear();
+    records.forEach(record => profiles.recordGame(record));
+    profiles.save();
+    console.log(`Rebuilt ${profiles.size} profile(s) from ${records.length} indexed game(s)`);
+}
+
+const PROFILE_SUBCOMMANDS = {
+    show: runProfileShow,
+    alias: runProfileAlias,
+    rebuild: runProfileRebuild
+};
+
+async function runProfile({ positional, flags }) {
+    const [subcommand, ...rest] = positional;
+    const handler = PROFILE_SUBCOMMANDS[subcommand];
+    if (!handler) {
+        console.error(`ERROR: Unknown profile command: ${subcommand || '(none)'}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    await handler({ positional: rest, flags });
+}
+
+async function runSessions({ positional, flags }) {
+    const sessionGapMinutes = flags.gap !== undefined ? Number(flags.gap) : DEFAULT_SESSION_GAP_MINUTES;
+    if (!(sessionGapMinutes > 0)) {
+        console.error('ERROR: --gap must be a positive number of minutes');
+        process.exit(1);
+    }
+    const bestOf = flags['best-of'] !== undefined ? parseInt(flags['best-of'], 10) : undefined;
+    if (bestOf !== undefined && ![3, 5].includes(bestOf)) {
+        console.error('ERROR: --best-of must be 3 or 5');
+        process.exit(1);
+    }
+    const player = typeof flags.player === 'string' ? flags.player : undefined;
+
+    const index = loadIndex(flags);
+    const [target] = positional;
+    if (target) {
+        const resolved = path.resolve(target);
+        if (!fs.existsSync(resolved)) {
+            console.error(`ERROR: Not found: ${resolved}`);
+            process.exit(1);
+        }
+        const files = fs.statSync(resolved).isDirectory() ? findReplayFiles(resolved) : [resolved];
+        const profiles = loadProfiles(flags);
+        for (const filePath of files) {
+            try {
+                const { status, record } = await indexReplayFile(filePath, { index });
+                if (status === 'added') profiles.recordGame(record);
+            } catch (err) {
+                console.log(`${path.basename(filePath)}: skipped (${err.message})`);
+            }
+        }
+        index.compact();
+        profiles.save();
+    }
+
+    const records = index.query({ player, since: flags.since, until: flags.until });
+    const sessions = groupSessions(records, { player, sessionGapMinutes, bestOf });
+
+    if (flags.json) {
+        console.log(JSON.stringify(sessions.map(session => ({
+            ...session,
+            sets: session.sets.map(set => ({ ...set, summary: summarizeSet(set, { player }) }))
+        })), null, 2));
+        return;
+    }
+
+    // Provider modules pull in the HTTP clients, so only load them when coaching
+    let llmProvider = null;
+    if (flags.coach) {
+        const { selectLLMProvider } = await import('./utils/providerSelector.js');
+        llmProvider = await selectLLMProvider();
+    }
+
+    for (const session of sessions) {
+        const start = new Date(session.startAt).toLocaleString();
+        const end = session.endAt ? new Date(session.endAt).toLocaleTimeString() : '?';
+        console.log(`\n===== ${session.kind === 'practice' ? 'Practice session' : 'Session'} ${start} - ${end} (${session.games} game(s)) =====`);
+
+        for (const set of session.sets) {
+            const summary = summarizeSet(set, { player });
+            const format = set.kind === 'practice' ? 'Practice' : `Bo${set.bestOf}${set.complete ? '' : ' (unfinished)'}`;
+            const result = summary.result ? ` ${summary.result.toUpperCase()}` : '';
+            console.log(`${format} | ${set.lineup} | ${summary.score}${result}`);
+            summary.games.forEach(game => console.log(`    ${game}`));
+            summary.notes.forEach(note => console.log(`    * ${note}`));
+
+            if (flags.coach && set.kind === 'set' && set.complete) {
+                const matchData = buildSetMatchData(set, records, { player });
+                const advice = matchData ? await generateCoachingAdvice(llmProvider, matchData) : null;
+                console.log(`\n${advice || 'No coaching advice generated.'}\n`);
+            }
+        }
+    }
+    console.log(`\n${sessions.length} session(s), ${records.length} game(s)`);
+}
+
+async function runDrill({ positional, flags }) {
+    const [name] = positional;
+    const drill = getDrill(name);
+    if (!drill) {
+        console.error(`ERROR: drill requires a technique: ${Object.keys(DRILLS).join(', ')}`);
+        process.exit(1);
+    }
+    const port = flags.port !== undefined ? parseInt(flags.port, 10) : null;
+    if (port !== null && !(port >= 1 && port <= 4)) {
+        console.error('ERROR: --port must be 1-4');
+        process.exit(1);
+    }
+
+    const session = new DrillSession(drill);
+    const monitor = new CurrentGameMonitor(null, typeof flags.dir === 'string' ? path.resolve(flags.dir) : null, {
+        liveCommentary: false,
+        endGameAnalysis: false
+    });
+    let drillPlayer = null;
+
+    monitor.on('gameStart', ({ players, frameAnalyzer }) => {
+        const player = port !== null ? players.find(p => p.port === port) : players.find(p => !p.isCPU);
+        if (!player) {
+            console.warn(port !== null ? `No player on port ${port} in this game` : 'No human player in this game');
+            session.detach();
+            return;
+        }
+        drillPlayer = drillPlayer || player;
+        session.attach(frameAnalyzer, player.playerIndex);
+        console.log(`Drilling ${DRILLS[drill].label.toLowerCase()} for Player ${player.port} (${player.character})`);
+    });
+    monitor.on('frame', frame => session.flush(frame.frame));
+    monitor.on('gameEnd', () => session.detach());
+    session.on('attempt', attempt => console.log(formatAttempt(attempt, drill)));
+
+    try {
+        await monitor.start();
+    } catch (err) {
+        console.error(`ERROR: ${err.message}`);
+        process.exit(1);
+    }
+    console.log(`${DRILLS[drill].label} drill started. Press Ctrl+C to finish.`);
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    monitor.stop();
+
+    const summary = session.finish();
+    console.log('\n===== Drill summary =====');
+    describeDrillSummary(summary).forEach(line => console.log(line));
+    if (summary.attempts === 0) return;
+
+    const profiles = loadProfiles(flags);
+    const player = typeof flags.player === 'string' ? flags.player : drillPlayer;
+    const key = player ? profiles.recordDrill(player, summary) : null;
+    if (!key) {
+        console.warn('Summary not saved: the player has no connect code. Use --player <key> to name a profile.');
+        return;
+    }
+    profiles.save();
+    console.log(`Saved to profile ${key}`);
+}
+
+async function runSetups({ positional, flags }) {
+    const [configPath] = positional;
+    if (!configPath) {
+        console.error('ERROR: setups requires a setup config file');
+        process.exit(1);
+    }
+    const interval = flags.interval !== undefined ? Number(flags.interval) : DEFAULT_STATUS_INTERVAL;
+    if (!(interval > 0)) {
+        console.error('ERROR: --interval must be a positive number of seconds');
+        process.exit(1);
+    }
+
+    // The relay client is only needed here, so it is only loaded for this command
+    const { SetupMonitor, loadSetupConfig, formatSetupStatus } = await import('./setupMonitor.js');
+    let setups;
+    try {
+        setups = loadSetupConfig(configPath);
+    } catch (err) {
+        console.error(`ERROR: Could not read setups: ${err.message}`);
+        process.exit(1);
+    }
+
+    let llmProvider = null;
+    if (flags.llm && !flags.quiet) {
+        const { selectLLMProvider } = await import('./utils/providerSelector.js');
+        llmProvider = await selectLLMProvider();
+    }
+
+    const monitor = new SetupMonitor(setups, {
+        llmProvider,
+        commentary: !flags.quiet,
+        replayIndex: loadIndex(flags),
+        playerProfiles: loadProfiles(flags)
+    });
+    const printStatus = () => {
+        console.log('\n===== Setups =====');
+        formatSetupStatus(monitor.getStatus()).forEach(line => console.log(line));
+        console.log('');
+    };
+
+    console.log(`Monitoring ${setups.length} setup(s): ${setups.map(setup => setup.label).join(', ')}`);
+    await monitor.start();
+    printStatus();
+    const timer = setInterval(printStatus, interval * 1000);
+    console.log('Press Ctrl+C to stop.');
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    clearInterval(timer);
+    monitor.stop();
+    printStatus();
+}
+
+const INDEX_SUBCOMMANDS = {
+    add: runIndexAdd,
+    query: runIndexQuery
+};
+
+async function runIndex({ positional, flags }) {
+    const [subcommand, ...rest] = positional;
+    const handler = INDEX_SUBCOMMANDS[subcommand];
+    if (!handler) {
+        console.error(`ERROR: Unknown index command: ${subcommand || '(none)'}`);
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    await handler(loadIndex(flags), { positional: rest, flags });
+}
+
+const COMMANDS = {
+    analyze: runAnalyze,
+    heatmap: runHeatmap,
+    index: runIndex,
+    sessions: runSessions,
+    profile: runProfile,
+    drill: runDrill,
+    setups: runSetups
+};
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const handler = COMMANDS[command];
+
+    if (!handler) {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+
+    await handler(parseArgs(rest));
+}
+
+main().catch(err => {
+    console.error(`Unexpected error: ${err.message}`);
+    console.error(err.stack);
+    process.exit(1);
+});
@@ -1,21 +1,44 @@
 import fs from 'fs';
 import path from 'path';
-import { createRequire } from 'module';
 import os from 'os';
+import { EventEmitter } from 'events';
 import { provideLiveCommentary } from './liveCommentary.js';
-import { generateCoachingAdvice } from './aicoaching.js';
-import { characterNames } from './utils/slippiUtils.js';
-
-// Use dynamic require for CommonJS modules
-const require = createRequire(import.meta.url);
-const { SlippiGame } = require('@slippi/slippi-js');
+import { generateCoachingAdvice } from './aiCoaching.js';
+import { GameModel, SlpFrameReader, summarizeTeams } from './gameModel.js';
+import { getComboAttacker } from './utils/slippiUtils.js';
+import { reconstructConversion, getNotableConversions, describeConversion, describeDi } from './utils/comboReconstruction.js';
+import { FrameAnalyzer } from './utils/frameDataAnalyzer.js';
+import { summarizeDeath } from './utils/deaths.js';
+import { MatchTimeline } from './matchTimeline.js';
+import { EVENT_TYPES } from './utils/eventSchema.js';
 
 // File monitoring constants
 const POLLING_INTERVAL = 500; // milliseconds
 const EVENT_THRESHOLD = 3000; // milliseconds between events
 
-export class CurrentGameMonitor {
-    constructor(apiKey, slippiDirectory = null) {
+/**
+ * Polls CurrentGame.slp while Dolphin writes it, with live commentary on stocks and combos
+ * and coaching once the game ends.
+ *
+ * Events (for modes built on the monitor, such as drills):
+ *   'gameStart' ({ players, stage, frameAnalyzer }) - a game started; frameAnalyzer is the
+ *     analyzer that will see this game's frames
+ *   'frame' (frame) - a frame was pushed to the analyzer
+ *   'gameEnd' ({ lastFrame }) - the game ended
+ */
+export class CurrentGameMonitor extends EventEmitter {
+    /**
+     * @param {string} apiKey - API key for commentary and coaching
+     * @param {string} slippiDirectory - Slippi directory (default: per-OS location)
+     * @param {Object} options
+     * @param {boolean} options.liveCommentary - Comment on stocks and combos (default: true)
+     * @param {boolean} options.endGameAnalysis - Summary and coaching after each game (default: true)
+     * @param {string} options.label - Prefix for log lines and commentary (default: none)
+     */
+    constructor(apiKey, slippiDirectory = null, options = {}) {
+        super();
+        this.options = { liveCommentary: true, endGameAnalysis: true, ...options };
+        
         // Set directory path based on OS if not provided
         this.slippiDirectory = slippiDirectory || this._getDefaultSlippiDirectory();
         this.currentGamePath = path.join(this.slippiDirectory, 'CurrentGame.slp');
@@ -25,16 +48,28 @@ export class CurrentGameMonitor {
         this.isMonitoring = false;
         this.lastEventTime = 0;
         this.lastFrame = -999;
-        this.lastStockCounts = [4, 4, 4, 4];
+        this.lastStockCounts = {};
         this.gameInProgress = false;
         this.comboFrames = [];
         this.playerData = null;
         this.intervalId = null;
-        this.game = null;
+        this.reader = null;
+        this.model = null;
+        this.frameAnalyzer = new FrameAnalyzer();
+        
+        // Every event of the current game, in order
+        this.timeline = new MatchTimeline({ source: this.currentGamePath });
         
-        // Stats tracking
-        this.stockLostEvents = [];
-        this.comboEvents = [];
+        // With several monitors in one process, every line names the one it is about
+        this.logPrefix = this.options.label ? [`[${this.options.label}]`] : [];
+    }
+    
+    _log(...args) {
+        console.log(...this.logPrefix, ...args);
+    }
+    
+    _error(...args) {
+        console.error(...this.logPrefix, ...args);
     }
     
     _getDefaultSlippiDirectory() {
@@ -58,7 +93,7 @@ export class CurrentGameMonitor {
             return;
         }
         
-        console.log(`Starting real-time monitoring of: ${this.currentGamePath}`);
+        this._log(`Starting real-time monitoring of: ${this.currentGamePath}`);
         
         // Verify Slippi directory exists
         if (!fs.existsSync(this.slippiDirectory)) {
@@ -70,8 +105,8 @@ export class CurrentGameMonitor {
         // Use polling approach instead of fs.watch for better cross-platform reliability
         this.intervalId = setInterval(() => this._checkGameFile(), POLLING_INTERVAL);
         
-        console.log("Real-time Slippi game monitoring active");
-        console.log("Waiting for gameplay...");
+        this._log("Real-time Slippi game monitoring active");
+        this._log("Waiting for gameplay...");
     }
     
     stop() {
@@ -80,7 +115,7 @@ export class CurrentGameMonitor {
             this.intervalId = null;
         }
         this.isMonitoring = false;
-        console.log("Real-time monitoring stopped");
+        this._log("Real-time monitoring stopped");
     }
     
     async _checkGameFile() {
@@ -88,61 +123,65 @@ export class CurrentGameMonitor {
             // Check if CurrentGame.slp exists
             if (!fs.existsSync(this.currentGamePath)) {
                 if (this.gameInProgress) {
-                    console.log("Game ended or file removed");
+                    this._log("Game ended or file removed");
                     this.gameInProgress = false;
+                    this.timeline.add({ type: EVENT_TYPES.GAME_END, endType: 'Unknown', frame: this.lastFrame });
+                    this.emit('gameEnd', { lastFrame: this.lastFrame });
                     
-                    if (this.stockLostEvents.length > 0) {
+                    if (this.options.endGameAnalysis && this.timeline.getEvents({ type: EVENT_TYPES.STOCK_LOST }).length > 0) {
                         await this._generateEndGameAnalysis();
                     }
                     
                     // Reset state
                     this.lastFrame = -999;
-                    this.lastStockCounts = [4, 4, 4, 4];
-                    this.stockLostEvents = [];
-                    this.comboEvents = [];
+                    this.lastStockCounts = {};
                     this.playerData = null;
-                    this.game = null;
+                    this.reader = null;
+                    this.model = null;
                 }
                 return;
             }
             
             // Handle potential file locks when Dolphin is writing
             try {
-                // Initialize game object if needed - with processOnTheFly for performance
-                if (!this.game) {
-                    this.game = new SlippiGame(this.currentGamePath, { processOnTheFly: true });
-                    console.log("Created new SlippiGame parser with processOnTheFly enabled");
+                // Initialize the incremental reader if needed
+                if (!this.model) {
+                    this.reader = new SlpFrameReader(this.currentGamePath);
+                    this.model = new GameModel(this.reader);
+                    this._log("Created incremental replay reader");
                 }
                 
-                // Extract current game state
-                const metadata = this.game.getMetadata() || {};
-                const settings = this.game.getSettings() || {};
-                const stats = this.game.getStats() || {};
-                const latestFrame = this.game.getLatestFrame() || {};
+                // Frames finalized since the last poll, the same frames batch analysis sees
+                const newFrames = this.reader.read();
                 
                 // Detect game start
-                if (!this.gameInProgress && settings.players && settings.players.length > 0) {
+                if (!this.gameInProgress && this.model.isReady()) {
                     this.gameInProgress = true;
-                    this._handleGameStart(settings);
+                    this._handleGameStart();
                 }
                 
                 // Skip processing if no game in progress
                 if (!this.gameInProgress) return;
                 
-                // Process the current frame
-                if (latestFrame && latestFrame.frame > this.lastFrame) {
+                // Process every new frame
+                if (newFrames.length > 0) {
+                    const latestFrame = newFrames[newFrames.length - 1];
+                    
                     // Detect significant frame advancement
                     if (latestFrame.frame - this.lastFrame > 60) {
-                        console.log(`Frame update: ${latestFrame.frame}`);
+                        this._log(`Frame update: ${latestFrame.frame}`);
                     }
                     
-                    // Track stock changes
-                    this._checkStockChanges(latestFrame);
+                    // Track stock changes on every frame since the last poll (after the
+                    // analyzer, so the death that cost the stock is already recorded)
+                    newFrames.forEach(frame => {
+                        this.frameAnalyzer.pushFrame(frame);
+                        this._checkStockChanges(frame);
+                        this.emit('frame', frame);
+                    });
                     
-                    // Check for combos
-                    if (stats.combos && stats.combos.length > 0) {
-                        this._processNewCombos(stats.combos);
-                    }
+                    // Check for combos, kept up to date by the reader as frames are finalized
+                    this._processNewCombos(this.reader.getCombos());
                     
                     this.lastFrame = latestFrame.frame;
                 }
@@ -150,60 +189,79 @@ export class CurrentGameMonitor {
             } catch (readError) {
                 // Likely a file lock issue - we'll try again next interval
                 if (readError.message && !readError.message.includes('already been finalized')) {
-                    console.error(`File read error: ${readError.message}`);
+                    this._error(`File read error: ${readError.message}`);
                 }
             }
             
         } catch (err) {
-            console.error(`Error during game monitoring: ${err.message}`);
+            this._error(`Error during game monitoring: ${err.message}`);
         }
     }
     
-    _handleGameStart(settings) {
-        console.log("New game detected!");
+    _handleGameStart() {
+        this._log("New game detected!");
         
-        // Extract player information
-        if (settings.players && Array.isArray(settings.players)) {
-            this.playerData = settings.players.map((player, index) => {
-                const characterId = player.characterId || 0;
-                const character = characterNames[characterId] || 'Unknown';
-                
-                return {
-                    index,
-                    port: player.port || index + 1,
-                    characterId,
-                    character,
-                    playerType: player.type // 0=human, 1=CPU
-                };
-            });
-            
-            // Log the matchup
-            console.log("Matchup:");
-            this.playerData.forEach(player => {
-                console.log(`Player ${player.port}: ${player.character}`);
-            });
-        }
+        // Extract normalized player information
+        this.playerData = this.model.getPlayers();
+        
+        // Log the matchup
+        this._log("Matchup:");
+        this.playerData.forEach(player => {
+            this._log(`Player ${player.port}: ${player.character} (${player.displayName})`);
+        });
+        this._log(`Stage: ${this.model.getStage().name}`);
         
         // Reset tracking data
-        this.lastStockCounts = [4, 4, 4, 4];
-        this.stockLostEvents = [];
-        this.comboEvents = [];
+        this.lastStockCounts = {};
+        this.playerData.forEach(player => {
+            this.lastStockCounts[player.playerIndex] = player.startStocks;
+        });
+        this.frameAnalyzer = new FrameAnalyzer({ stageId: this.model.getStage().id });
+        this.timeline.clear({
+            source: this.currentGamePath,
+            stageId: this.model.getStage().id,
+            players: this.playerData
+        });
+        this.timeline.add({
+            type: EVENT_TYPES.GAME_START,
+            frame: -123,
+            matchup: this.playerData.map(p => p.character),
+            playerTypes: this.playerData.map(p => p.type),
+            isTeams: this.model.isTeams(),
+            stage: this.model.getStage().id
+        });
+        
+        this.emit('gameStart', {
+            players: this.playerData,
+            stage: this.model.getStage(),
+            frameAnalyzer: this.frameAnalyzer
+        });
+    }
+    
+    /**
+     * Looks up a normalized player by Slippi player index
+     * @param {number} playerIndex - Slippi player index
+     * @returns {Object|null} - Normalized player
+     */
+    _getPlayer(playerIndex) {
+        return this.playerData?.find(player => player.playerIndex === playerIndex) || null;
     }
     
     _checkStockChanges(latestFrame) {
         if (!latestFrame.players) return;
         
         // Check each player's stock count
-        latestFrame.players.forEach((player, playerIndex) => {
+        Object.entries(latestFrame.players).forEach(([playerIndexStr, player]) => {
+            const playerIndex = Number(playerIndexStr);
             if (!player || !player.post || player.post.stocksRemaining === undefined) return;
             
             const currentStocks = player.post.stocksRemaining;
             const previousStocks = this.lastStockCounts[playerIndex];
             
             // Detect stock lost
-            if (currentStocks < previousStocks) {
+            if (previousStocks !== undefined && currentStocks < previousStocks) {
                 const stocksLost = previousStocks - currentStocks;
-                this._handleStockLost(playerIndex, stocksLost, latestFrame);
+                this._handleStockLost(playerIndex, stocksLost, currentStocks, latestFrame);
             }
             
             // Update the tracked stock count
@@ -211,159 +269,203 @@ export class CurrentGameMonitor {
         });
     }
     
-    async _handleStockLost(playerIndex, stocksLost, frame) {
-        const now = Date.now();
+    async _handleStockLost(playerIndex, stocksLost, remainingStocks, frame) {
+        // Kill move, blast zone and punish, recorded by the analyzer when the player died
+        const recordedDeaths = this.timeline.getEvents({ type: EVENT_TYPES.STOCK_LOST, playerIndex })
+            .map(event => event.payload.deathFrame);
+        const death = this.frameAnalyzer.analysis.deaths
+            .filter(d => d.playerIndex === playerIndex && !recordedDeaths.includes(d.frame))
+            .pop() || null;
+        const names = Object.fromEntries((this.playerData || []).map(p => [p.playerIndex, p.character]));
+        const deathSummary = death ? summarizeDeath(death, names) : null;
         
-        // Throttle events to avoid excessive processing
-        if (now - this.lastEventTime < EVENT_THRESHOLD) {
-            return;
-        }
-        
-        this.lastEventTime = now;
+        const player = this._getPlayer(playerIndex);
+        const killer = death?.killerIndex !== null && death?.killerIndex !== undefined ?
+            this._getPlayer(death.killerIndex) : null;
         
         // Record the stock lost event
-        const event = {
-            time: now,
+        const event = this.timeline.add({
+            type: EVENT_TYPES.STOCK_LOST,
             frame: frame.frame,
             playerIndex,
             stocksLost,
-            remainingStocks: this.lastStockCounts[playerIndex]
-        };
-        
-        this.stockLostEvents.push(event);
+            remainingStocks,
+            playerCharacter: player?.character || "Unknown",
+            killerIndex: killer ? death.killerIndex : null,
+            killerCharacter: killer?.character,
+            deathFrame: death?.frame ?? null,
+            ...deathSummary
+        });
         
-        const playerName = this.playerData ? 
-            `Player ${this.playerData[playerIndex]?.port} (${this.playerData[playerIndex]?.character})` : 
+        const playerName = player ? 
+            `Player ${player.port} (${player.character})` : 
             `Player ${playerIndex + 1}`;
         
-        console.log(`${playerName} lost a stock! Remaining stocks: ${this.lastStockCounts[playerIndex]}`);
+        this._log(`${playerName} lost a stock! Remaining stocks: ${remainingStocks}` +
+            (deathSummary ? ` - ${deathSummary.description}` : ''));
+        
+        // Throttle commentary to avoid excessive processing
+        const now = Date.now();
+        if (!event || !this.options.liveCommentary || now - this.lastEventTime < EVENT_THRESHOLD) {
+            return;
+        }
+        
+        this.lastEventTime = now;
         
         // Generate live commentary for significant events
         try {
-            const eventData = JSON.stringify({
-                type: "stockLost",
-                playerIndex,
-                stocksLost,
-                remainingStocks: this.lastStockCounts[playerIndex],
-                playerCharacter: this.playerData?.[playerIndex]?.character || "Unknown"
-            });
-            
-            await provideLiveCommentary(this.apiKey, [eventData]);
+            await provideLiveCommentary(this.apiKey, [event], { label: this.options.label });
         } catch (err) {
-            console.error("Failed to generate commentary:", err.message);
+            this._error("Failed to generate commentary:", err.message);
         }
     }
     
     _processNewCombos(combos) {
         if (!combos || combos.length === 0) return;
         
-        // Find combos we haven't processed yet
+        // Find combos we haven't processed yet (combo.playerIndex is the player being comboed)
         const newCombos = combos.filter(combo => 
             combo.moves && 
             combo.moves.length >= 3 && // Only consider "real" combos with at least 3 moves
-            !this.comboEvents.some(existingCombo => 
-                existingCombo.playerIndex === combo.playerIndex && 
-                existingCombo.startFrame === combo.startFrame
+            !this.timeline.getEvents({ type: EVENT_TYPES.COMBO }).some(({ payload }) => 
+                payload.victimIndex === combo.playerIndex && 
+                payload.startFrame === combo.startFrame
             )
         );
         
         // Process each new combo
         newCombos.forEach(async combo => {
-            const now = Date.now();
+            const attackerIndex = getComboAttacker(combo) ?? combo.playerIndex;
+            const relationship = this.model.getRelationship(attackerIndex, combo.playerIndex);
             
-            // Throttle events to avoid excessive processing
-            if (now - this.lastEventTime < EVENT_THRESHOLD) {
-                return;
-            }
-            
-            this.lastEventTime = now;
+            // Rebuild the actual string of moves, with DI read from the frames
+            const conversion = reconstructConversion(combo, { frames: this.model.getFrames() });
+            const attacker = this._getPlayer(attackerIndex);
             
             // Record the combo event
-            this.comboEvents.push({
-                playerIndex: combo.playerIndex,
-                startFrame: combo.startFrame,
-                endFrame: combo.endFrame,
+            const event = this.timeline.add({
+                type: EVENT_TYPES.COMBO,
+                frame: combo.endFrame ?? this.lastFrame,
+                playerIndex: attackerIndex,
+                victimIndex: combo.playerIndex,
+                victimCharacter: this._getPlayer(combo.playerIndex)?.character,
+                relationship,
                 moves: combo.moves.length,
-                damage: combo.percent
+                moveNames: conversion.hits.map(hit => hit.move),
+                moveString: conversion.moveString,
+                opener: conversion.opener?.move || null,
+                didKill: conversion.didKill,
+                hits: conversion.hits.map(hit => ({
+                    move: hit.move,
+                    frame: hit.frame,
+                    percent: parseFloat(hit.percent.toFixed(1)),
+                    di: hit.di
+                })),
+                damage: combo.percent,
+                playerCharacter: attacker?.character || "Unknown",
+                startFrame: combo.startFrame,
+                endFrame: combo.endFrame
             });
             
-            const attackerName = this.playerData ? 
-                `Player ${this.playerData[combo.playerIndex]?.port} (${this.playerData[combo.playerIndex]?.character})` : 
-                `Player ${combo.playerIndex + 1}`;
+            const attackerName = attacker ? 
+                `Player ${attacker.port} (${attacker.character})` : 
+                `Player ${attackerIndex + 1}`;
                 
-            console.log(`${attackerName} performed a ${combo.moves.length}-hit combo for ${combo.percent.toFixed(1)}% damage!`);
+            this._log(`${attackerName} performed a ${combo.moves.length}-hit combo for ${combo.percent.toFixed(1)}% damage! (${conversion.moveString})`);
+            
+            // Throttle commentary to avoid excessive processing
+            const now = Date.now();
+            if (!event || !this.options.liveCommentary || now - this.lastEventTime < EVENT_THRESHOLD) {
+                return;
+            }
+            
+            this.lastEventTime = now;
             
             // Generate live commentary for significant combos
             try {
-                const eventData = JSON.stringify({
-                    type: "combo",
-                    playerIndex: combo.playerIndex,
-                    moves: combo.moves.length,
-                    damage: combo.percent,
-                    playerCharacter: this.playerData?.[combo.playerIndex]?.character || "Unknown"
-                });
-                
-                await provideLiveCommentary(this.apiKey, [eventData]);
+                await provideLiveCommentary(this.apiKey, [event], { label: this.options.label });
             } catch (err) {
-                console.error("Failed to generate commentary:", err.message);
+                this._error("Failed to generate commentary:", err.message);
             }
         });
     }
     
     async _generateEndGameAnalysis() {
-        if (!this.playerData || this.stockLostEvents.length === 0) return;
-        
-        console.log("\nGenerating end-game analysis...");
-        
-        // Calculate final game statistics
-        const stocksLostByPlayer = {};
+        if (!this.playerData || this.timeline.length === 0) return;
         
-        this.stockLostEvents.forEach(event => {
-            if (!stocksLostByPlayer[event.playerIndex]) {
-                stocksLostByPlayer[event.playerIndex] = 0;
-            }
-            stocksLostByPlayer[event.playerIndex] += event.stocksLost;
-        });
+        this._log("\nGenerating end-game analysis...");
         
-        // Calculate combo statistics
+        // Calculate final game statistics from the timeline
+        const { stocksLost: stocksLostByPlayer, damageDealt: totalDamage, friendlyFire } = this.timeline.summarize();
         const combosByPlayer = {};
-        let totalDamage = {};
-        
-        this.comboEvents.forEach(combo => {
-            if (!combosByPlayer[combo.playerIndex]) {
-                combosByPlayer[combo.playerIndex] = [];
-                totalDamage[combo.playerIndex] = 0;
-            }
-            
-            combosByPlayer[combo.playerIndex].push(combo);
-            totalDamage[combo.playerIndex] += combo.damage;
-        });
+        this.timeline.getFlatEvents({ type: EVENT_TYPES.COMBO })
+            .filter(combo => combo.relationship !== 'teammate')
+            .forEach(combo => {
+                combosByPlayer[combo.playerIndex] = [...(combosByPlayer[combo.playerIndex] || []), combo];
+            });
         
-        // Prepare data for AI coaching
+        // Prepare data for AI coaching, in player order
         const matchData = {
-            damageDealt: Object.keys(totalDamage).map(index => totalDamage[index] || 0),
-            stockLosses: Object.keys(stocksLostByPlayer).map(index => stocksLostByPlayer[index] || 0),
-            characters: this.playerData.map(p => p.character)
+            damageDealt: this.playerData.map(p => totalDamage[p.playerIndex] || 0),
+            stockLosses: this.playerData.map(p => stocksLostByPlayer[p.playerIndex] || 0),
+            characters: this.playerData.map(p => p.character),
+            playerTypes: this.playerData.map(p => p.type),
+            players: this.playerData,
+            isTeams: this.model.isTeams(),
+            stage: this.model.getStage().name
         };
         
+        if (matchData.isTeams) {
+            matchData.friendlyFire = this.playerData.map(p => friendlyFire[p.playerIndex] || 0);
+            matchData.teams = summarizeTeams(this.playerData, {
+                damageDealt: totalDamage,
+                stocksLost: stocksLostByPlayer,
+                friendlyFire
+            });
+        }
+        
+        // Technical metrics from the shared frame analyzer
+        const technical = this.frameAnalyzer.getSnapshot();
+        matchData.habits = this.playerData.map(p => technical.tendencySummaries?.[p.playerIndex] || []);
+        matchData.inputs = this.playerData.map(p => technical.inputStats?.[p.playerIndex] || null);
+        matchData.stageControl = this.playerData.map(p => technical.stageControlStats?.[p.playerIndex] || null);
+        const names = Object.fromEntries(this.playerData.map(p => [p.playerIndex, p.character]));
+        matchData.deaths = this.playerData.map(p => technical.deaths
+            .filter(death => death.playerIndex === p.playerIndex)
+            .map(death => summarizeDeath(death, names)));
+        const frames = this.model.getFrames();
+        matchData.notableConversions = this.playerData.map(p =>
+            getNotableConversions(technical.conversions, p.playerIndex, { frames }).map(conversion => ({
+                description: describeConversion(conversion),
+                opener: conversion.opener?.move || null,
+                openingType: conversion.openingType,
+                di: describeDi(conversion)
+            })));
+        matchData.timeline = this.timeline.toJSON();
+        
         // Display match summary
-        console.log("\n===== MATCH SUMMARY =====");
-        this.playerData.forEach((player, index) => {
-            console.log(`Player ${player.port} (${player.character}):`);
-            console.log(`  Stocks Lost: ${stocksLostByPlayer[index] || 0}`);
-            console.log(`  Total Damage Dealt: ${totalDamage[index]?.toFixed(1) || 0}`);
-            console.log(`  Significant Combos: ${combosByPlayer[index]?.length || 0}`);
+        this._log("\n===== MATCH SUMMARY =====");
+        this.playerData.forEach(player => {
+            const index = player.playerIndex;
+            this._log(`Player ${player.port} (${player.character}):`);
+            this._log(`  Stocks Lost: ${stocksLostByPlayer[index] || 0}`);
+            this._log(`  Total Damage Dealt: ${totalDamage[index]?.toFixed(1) || 0}`);
+            this._log(`  Significant Combos: ${combosByPlayer[index]?.length || 0}`);
+            const techMetrics = technical.playerMetrics[index];
+            if (techMetrics) {
+                this._log(`  L-Cancel Rate: ${techMetrics.lCancelRate} | Wavedashes: ${techMetrics.wavedashCount} | Tech Rate: ${techMetrics.techRate}`);
+            }
         });
         
         // Generate AI coaching advice
         try {
-            console.log("\nGenerating coaching advice...");
+            this._log("\nGenerating coaching advice...");
             const advice = await generateCoachingAdvice(this.apiKey, matchData);
-            console.log("\n===== COACHING ADVICE =====");
-            console.log(advice);
-            console.log("===========================\n");
+            this._log("\n===== COACHING ADVICE =====");
+            this._log(advice);
+            this._log("===========================\n");
         } catch (err) {
-            console.error(`Failed to generate coaching advice: ${err.message}`);
+            this._error(`Failed to generate coaching advice: ${err.message}`);
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,281 @@
+// src/drillMode.js
+// Practice drills: the player picks one technique, plays against a CPU or in training
+// mode, and gets feedback on every attempt as it happens. Attempts come from the
+// FrameAnalyzer 'technique' events and the missed-input flags that explain a failure
+// (frames early or late), so drills judge inputs the same way game analysis does.
+
+import { EventEmitter } from 'events';
+import { L_CANCEL_WINDOW } from './utils/inputs.js';
+
+/**
+ * Techniques that can be drilled. `settleFrames` is how long an attempt waits for a
+ * missed-input flag to be finalized (a late L-cancel press is only known up to
+ * L_CANCEL_WINDOW frames after landing).
+ */
+export const DRILLS = {
+    'l-cancel': { label: 'L-cancels', name: 'L-cancel', aliases: ['lcancel', 'l-cancels', 'lcancels'], settleFrames: L_CANCEL_WINDOW },
+    wavedash: { label: 'Wavedashes', name: 'Wavedash', aliases: ['wavedashes', 'wd'], settleFrames: 0 },
+    'shield-drop': { label: 'Shield drops', name: 'Shield drop', aliases: ['shielddrop', 'shield-drops', 'shielddrops'], settleFrames: 0 },
+    multishine: { label: 'Multishines', name: 'Multishine', aliases: ['multishines'], settleFrames: 0 },
+    ledgedash: { label: 'Ledgedashes', name: 'Ledgedash', aliases: ['ledgedashes', 'ld'], settleFrames: 0 }
+};
+
+// Frames before an attempt in which a missed-input flag is taken to belong to it (a
+// late airdodge is flagged when it comes out, the wavedash once its landing lag ends)
+const FLAG_WINDOW = 30;
+
+// Longest interval between shines judged as a clean multishine
+const MULTISHINE_TARGET_INTERVAL = 10;
+
+/**
+ * Looks up a drill by name or alias
+ *
+ * @param {string} name - e.g. 'l-cancel', 'lcancels', 'WD'
+ * @returns {string|null} - Drill key
+ */
+export function getDrill(name) {
+    if (!name) return null;
+    const wanted = name.toLowerCase();
+    return Object.keys(DRILLS).find(key => key === wanted || DRILLS[key].aliases.includes(wanted)) || null;
+}
+
+/**
+ * Judges one technique event, with the missed-input flag that explains it if any
+ *
+ * @returns {Object} - { success, timing, framesOff, detail } where timing is 'early',
+ *   'late', 'no-press' or null
+ */
+function judgeAttempt(drill, event, flag, analysis) {
+    const data = event?.data || {};
+
+    switch (drill) {
+        case 'l-cancel': {
+            const detail = data.aerial || null;
+            if (event.quality === 'success') return { success: true, timing: null, framesOff: 0, detail };
+            if (flag?.reason === 'early-l-cancel') return { success: false, timing: 'early', framesOff: flag.framesEarly, detail };
+            if (flag?.reason === 'late-l-cancel') return { success: false, timing: 'late', framesOff: flag.framesLate, detail };
+            return { success: false, timing: 'no-press', framesOff: null, detail };
+        }
+        case 'wavedash': {
+            const angles = analysis?.inputs?.[event.playerIndex]?.wavedashAngles || [];
+            const angle = angles.length > 0 ? angles[angles.length - 1] : null;
+            const detail = angle !== null ? `${Math.round(angle)}°, ${data.quality || 'unknown'} distance` : data.quality || null;
+            if (flag?.reason === 'late-airdodge') return { success: false, timing: 'late', framesOff: flag.framesLate, detail };
+            return { success: true, timing: null, framesOff: 0, detail };
+        }
+        case 'shield-drop':
+            // Failed shield drops never produce a technique event, only a spot dodge flag
+            if (!event) return { success: false, timing: null, framesOff: null, detail: 'spot dodged, stick off the notch' };
+            return { success: true, timing: null, framesOff: 0, detail: `${data.duration}f in shield` };
+        case 'multishine': {
+            const framesOff = Math.max(0, data.interval - MULTISHINE_TARGET_INTERVAL);
+            return { success: framesOff === 0, timing: framesOff > 0 ? 'late' : null, framesOff, detail: `${data.interval}f between shines` };
+        }
+        case 'ledgedash': {
+            const galint = data.galint ?? null;
+            const detail = galint !== null ? `${galint} frame${galint === 1 ? '' : 's'} of GALINT${data.estimated ? ' (estimated)' : ''}` : 'GALINT unknown';
+            return { success: galint === null ? event.quality !== 'missed' : galint > 0, timing: null, framesOff: null, detail };
+        }
+        default:
+            return { success: event?.quality !== 'missed', timing: null, framesOff: null, detail: null };
+    }
+}
+
+/**
+ * One drill session for one player, across as many games as they play
+ *
+ * Events:
+ *   'attempt' (attempt) - an attempt was judged ({ number, frame, success, timing, framesOff,
+ *     detail, successes, attempts, successRate, streak })
+ */
+export class DrillSession extends EventEmitter {
+    /**
+     * @param {string} drill - Drill key or alias (see DRILLS)
+     */
+    constructor(drill) {
+        super();
+        this.drill = getDrill(drill);
+        if (!this.drill) {
+            throw new Error(`Unknown drill: ${drill} (choose from ${Object.keys(DRILLS).join(', ')})`);
+        }
+
+        this.attempts = [];
+        this.streak = 0;
+        this.bestStreak = 0;
+        this.games = 0;
+        this.startedAt = new Date().toISOString();
+        this.endedAt = null;
+        this.analyzer = null;
+        this.listeners = null;
+        this.pending = [];
+        this.flags = [];
+    }
+
+    /**
+     * Starts judging the attempts of a player in the games an analyzer sees. Attempts
+     * still pending from a previous analyzer are judged first.
+     *
+     * @param {FrameAnalyzer} analyzer - Analyzer of the current game
+     * @param {number} playerIndex - Slippi player index of the drilling player
+     */
+    attach(analyzer, playerIndex) {
+        this.detach();
+
+        const onTechnique = event => {
+            if (event.playerIndex !== playerIndex || event.technique !== this.drill) return;
+            this.pending.push({ event, readyAt: event.frame + DRILLS[this.drill].settleFrames });
+        };
+        const onMissedInput = flag => {
+            if (flag.playerIndex !== playerIndex || flag.technique !== this.drill) return;
+            if (this.drill === 'shield-drop') {
+                this._judge(null, flag);
+                return;
+            }
+            this.flags.push(flag);
+        };
+
+        analyzer.on('technique', onTechnique);
+        analyzer.on('missed-input', onMissedInput);
+        this.analyzer = analyzer;
+        this.listeners = { onTechnique, onMissedInput };
+        this.games++;
+    }
+
+    /**
+     * Stops listening to the current analyzer, judging whatever is still pending
+     */
+    detach() {
+        if (!this.analyzer) return;
+        this.flush();
+        this.analyzer.off('technique', this.listeners.onTechnique);
+        this.analyzer.off('missed-input', this.listeners.onMissedInput);
+        this.analyzer = null;
+        this.listeners = null;
+    }
+
+    /**
+     * Judges pending attempts whose flags are final by this frame. Call once per frame
+     * after the analyzer has seen it.
+     *
+     * @param {number} frameNum - Latest analyzed frame (default: judge everything pending)
+     */
+    flush(frameNum = Number.MAX_SAFE_INTEGER) {
+        const ready = this.pending.filter(attempt => attempt.readyAt <= frameNum);
+        this.pending = this.pending.filter(attempt => attempt.readyAt > frameNum);
+
+        ready.forEach(({ event }) => {
+            const flagIndex = this.flags.findIndex(flag =>
+                flag.frame <= event.frame && flag.frame >= event.frame - FLAG_WINDOW);
+            const [flag] = flagIndex >= 0 ? this.flags.splice(flagIndex, 1) : [null];
+            this._judge(event, flag);
+        });
+
+        // Flags no attempt claimed (e.g. Game & Watch aerials, which can't be L-cancelled)
+        this.flags = this.flags.filter(flag => flag.frame >= frameNum - FLAG_WINDOW);
+    }
+
+    _judge(event, flag) {
+        const result = judgeAttempt(this.drill, event, flag, this.analyzer?.analysis);
+        this.streak = result.success ? this.streak + 1 : 0;
+        this.bestStreak = Math.max(this.bestStreak, this.streak);
+
+        const attempt = { number: this.attempts.length + 1, frame: event?.frame ?? flag?.frame ?? null, ...result };
+        this.attempts.push(attempt);
+
+        const successes = this.attempts.filter(a => a.success).length;
+        this.emit('attempt', {
+            ...attempt,
+            successes,
+            attempts: this.attempts.length,
+            successRate: successes / this.attempts.length,
+            streak: this.streak
+        });
+    }
+
+    /**
+     * End-of-session summary, the shape stored in player profiles
+     *
+     * @returns {Object} - { drill, label, startedAt, endedAt, games, attempts, successes,
+     *   successRate, averageFramesOff, bestStreak, misses } where averageFramesOff is over
+     *   timed misses and misses counts failures by timing
+     */
+    getSummary() {
+        const successes = this.attempts.filter(attempt => attempt.success).length;
+        const timedMisses = this.attempts.filter(attempt => !attempt.success && attempt.framesOff > 0);
+        const misses = {};
+        this.attempts.filter(attempt => !attempt.success).forEach(attempt => {
+            const key = attempt.timing || 'other';
+            misses[key] = (misses[key] || 0) + 1;
+        });
+
+        return {
+            drill: this.drill,
+            label: DRILLS[this.drill].label,
+            startedAt: this.startedAt,
+            endedAt: this.endedAt || new Date().toISOString(),
+            games: this.games,
+            attempts: this.attempts.length,
+            successes,
+            successRate: this.attempts.length > 0 ? successes / this.attempts.length : null,
+            averageFramesOff: timedMisses.length > 0 ?
+                timedMisses.reduce((sum, attempt) => sum + attempt.framesOff, 0) / timedMisses.length : null,
+            bestStreak: this.bestStreak,
+            misses
+        };
+    }
+
+    /**
+     * Judges everything pending and stops listening
+     *
+     * @returns {Object} - getSummary()
+     */
+    finish() {
+        this.detach();
+        this.flush();
+        this.endedAt = new Date().toISOString();
+        return this.getSummary();
+    }
+}
+
+/**
+ * One-line feedback for an attempt, e.g. "❌ #12 L-cancel (nair): 2 frames late | 9/12 (75%)"
+ *
+ * @param {Object} attempt - 'attempt' event of a DrillSession
+ * @param {string} drill - Drill key
+ * @returns {string}
+ */
+export function formatAttempt(attempt, drill) {
+    const { name } = DRILLS[drill];
+    let outcome = '';
+    if (attempt.timing === 'no-press') {
+        outcome = ': no press';
+    } else if (attempt.timing && attempt.framesOff > 0) {
+        outcome = `: ${attempt.framesOff} frame${attempt.framesOff === 1 ? '' : 's'} ${attempt.timing}`;
+    } else if (!attempt.success) {
+        outcome = ': missed';
+    }
+    const detail = attempt.detail ? ` (${attempt.detail})` : '';
+    const rate = `${attempt.successes}/${attempt.attempts} (${Math.round(attempt.successRate * 100)}%)`;
+    return `${attempt.success ? '✅' : '❌'} #${attempt.number} ${name}${detail}${outcome} | ${rate}${attempt.streak >= 5 ? ` | streak ${attempt.streak}` : ''}`;
+}
+
+/**
+ * Readable end-of-session summary lines
+ *
+ * @param {Object} summary - DrillSession.getSummary()
+ * @returns {Array<string>}
+ */
+export function describeDrillSummary(summary) {
+    if (summary.attempts === 0) return [`${summary.label}: no attempts recorded`];
+
+    const lines = [
+        `${summary.label}: ${summary.successes}/${summary.attempts} (${Math.round(summary.successRate * 100)}%) over ${summary.games} game(s)`,
+        `Best streak: ${summary.bestStreak}`
+    ];
+    if (summary.averageFramesOff !== null) {
+        lines.push(`Misses were ${summary.averageFramesOff.toFixed(1)} frames off on average`);
+    }
+    const misses = Object.entries(summary.misses).map(([timing, count]) => `${count} ${timing}`);
+    if (misses.length > 0) lines.push(`Misses: ${misses.join(', ')}`);
+    return lines;
+}
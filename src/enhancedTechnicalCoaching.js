@@ -1,6 +1,8 @@
 // src/enhancedTechnicalCoaching.js
 import { characterNames } from './utils/slippiUtils.js';
+import { AERIALS, getCharacterData, getCharacterDataByName, getJumpSquatFrames } from './utils/characterData.js';
 import { executeOpenAIRequest } from './utils/api/openaiHandler.js';
+import { getPlayerHistory } from './playerProfiles.js';
 
 /**
  * Enhanced coaching profile types for targeted feedback
@@ -37,11 +39,18 @@ export async function generateEnhancedCoaching(apiKey, matchData, options = {})
     cacheEnabled = true,
     localEndpoint = process.env.LM_STUDIO_ENDPOINT || 'http://localhost:1234/v1',
     frameData = null, // Optional detailed frame data for deeper analysis
-    playerHistory = null, // Optional historical performance data
+    playerHistory: suppliedHistory = null, // Optional historical performance data (default: player profiles)
     focusAreas = [], // Specific areas to focus feedback on
     targetPlayerIndex = null // Which player to focus coaching on
   } = options;
   
+  // Long-term history from the player profiles when the caller doesn't supply any
+  let playerHistory = suppliedHistory;
+  if (!playerHistory && matchData.players) {
+    const history = getPlayerHistory(matchData.players, { stage: matchData.stage, isTeams: matchData.isTeams });
+    playerHistory = Object.keys(history).length > 0 ? history : null;
+  }
+  
   // Generate a cache key if caching is enabled
   const cacheKey = cacheEnabled ? 
     `coaching-${coachingProfile}-${JSON.stringify(matchData).slice(0, 100)}-${targetPlayerIndex}` : null;
@@ -178,49 +187,49 @@ function createEnhancedCoachingPrompt(
     // Frame data reference points for common characters
     const characterData = {
       'Fox': {
-        jumpSquatFrames: 3,
         bestOosOption: 'shine (frame 1)',
         keyMoves: 'nair, bair, shine, upsmash',
         techSkillFocus: 'shine OoS, double shine, shine grab, perfect ledgedash'
       },
       'Falco': {
-        jumpSquatFrames: 5,
         bestOosOption: 'shine (frame 1)',
         keyMoves: 'dair, bair, shine, fsmash',
         techSkillFocus: 'pillar combos, shine dair, double shine pressure, short hop lasers'
       },
       'Marth': {
-        jumpSquatFrames: 4,
         bestOosOption: 'up-B (frame 5)',
         keyMoves: 'fair, dtilt, grab, fsmash',
         techSkillFocus: 'dash dance grab, pivot tipper, chaingrab spacies'
       },
       'Captain Falcon': {
-        jumpSquatFrames: 5,
         bestOosOption: 'nair (frame 7)',
         keyMoves: 'nair, knee, stomping dair, upair',
         techSkillFocus: 'instant aerial drift, stomp knee, pivot grabs, platform tech chase'
       },
       'Jigglypuff': {
-        jumpSquatFrames: 5,
         bestOosOption: 'rest OoS (frame 1)',
         keyMoves: 'bair, rest, upthrow, pound',
         techSkillFocus: 'perfect spaced bairs, rest setups, ledge planking'
       },
       'Sheik': {
-        jumpSquatFrames: 3,
         bestOosOption: 'nair (frame 4)',
         keyMoves: 'fair, ftilt, dash attack, needle',
         techSkillFocus: 'reaction tech chase, needle cancels, platform movement'
       }
     };
     
+    // Frame data and physics come from the shared character data module
+    const physics = characterId !== null ? getCharacterData(characterId) : getCharacterDataByName(characterName);
+    
     // Return character-specific data or generic template
-    return characterData[characterName] || {
-      jumpSquatFrames: 4, // Common default
-      bestOosOption: 'character-specific',
-      keyMoves: 'character-specific',
-      techSkillFocus: 'character-specific advanced techniques'
+    return {
+      ...(characterData[characterName] || {
+        bestOosOption: 'character-specific',
+        keyMoves: 'character-specific',
+        techSkillFocus: 'character-specific advanced techniques'
+      }),
+      jumpSquatFrames: physics?.jumpSquat ?? getJumpSquatFrames(null),
+      physics
     };
   };
   
@@ -238,7 +247,9 @@ ${characterInfo.map(p => {
 - Damage Efficiency: ${derivedStats.find(d => d.playerNumber === p.playerNumber).damageEfficiency} damage per stock
 - Estimated Conversions: ${derivedStats.find(d => d.playerNumber === p.playerNumber).estimatedConversions}
 - Key Frame Data: 
-  * Jump Squat: ${charData.jumpSquatFrames} frames
+  * Jump Squat: ${charData.jumpSquatFrames} frames${charData.physics ? `
+  * Weight: ${charData.physics.weight}, fall speed ${charData.physics.fallSpeed} (fast fall ${charData.physics.fastFallSpeed})
+  * Landing lag (L-cancelled): ${AERIALS.map(aerial => `${aerial} ${charData.physics.aerials[aerial].landingLag} (${charData.physics.aerials[aerial].lCancelLag})`).join(', ')}` : ''}
   * Best OoS option: ${charData.bestOosOption}
   * Key moves: ${charData.keyMoves}`;
 }).join('\n\n')}
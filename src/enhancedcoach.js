@@ -116,14 +116,21 @@ if (apiKey === 'local') {
 const require = createRequire(import.meta.url);
 const _ = require('lodash');
 const chokidar = require('chokidar');
-const { SlippiGame } = require('@slippi/slippi-js');
 
 // Import our coaching modules
 import { provideLiveCommentary } from './liveCommentary.js';
 import { COMMENTARY_STYLES } from './hybridCommentary.js';
-import { generateCoachingAdvice } from './aicoaching.js';
+import { generateCoachingAdvice } from './aiCoaching.js';
 import { getConfig } from './utils/configManager.js'; // Keep for potential future use, though direct process.env is used now
-import { characterNames } from './utils/slippiUtils.js';
+import { GameModel, SlpFrameReader, normalizePlayers, getTeams, getRelationship, determineWinningSide, describeSide, summarizeTeams, getStageInfo } from './gameModel.js';
+import { getComboAttacker } from './utils/slippiUtils.js';
+import { reconstructConversion, getNotableConversions, describeConversion, describeDi } from './utils/comboReconstruction.js';
+import { ReplayIndex, updateReplayIndex } from './replayIndex.js';
+import { PlayerProfileStore } from './playerProfiles.js';
+import { FrameAnalyzer } from './utils/frameDataAnalyzer.js';
+import { summarizeDeath } from './utils/deaths.js';
+import { MatchTimeline } from './matchTimeline.js';
+import { EVENT_TYPES, createActionStateEvent } from './utils/eventSchema.js';
 import './utils/logger.js'; // Initializes logger
 
 
@@ -138,15 +145,6 @@ const EVENT_PRIORITIES = {
   ACTION_STATE: { threshold: 4000, lastTriggered: 0 } // Added for action states
 };
 
-// Melee action states of interest for advanced detection
-const ACTION_STATES = {
-  TECH_START: 0xC7, TECH_ROLL_LEFT: 0xC9, TECH_ROLL_RIGHT: 0xCA, TECH_MISS: 0xC8,
-  FIRE_FOX_GROUND: 0x159, FIRE_FOX_AIR: 0x15A, UP_B_GROUND: 0x15B, UP_B_AIR: 0x15C,
-  GRAB: 0xD4, DASH: 0x14, DASH_ATTACK: 0x15, SHIELD: 0xB3, SHIELD_BREAK: 0xB6,
-  NAIR: 0x41, FAIR: 0x42, BAIR: 0x43, UAIR: 0x44, DAIR: 0x45,
-  FALL: 0x1D, LANDING_SPECIAL: 0xC, JUMP_SQUAT: 0xF, AIR_DODGE: 0x13
-};
-
 // Track pending events for batched processing
 const PENDING_EVENTS_LIMIT = 5; // Increased slightly
 const BATCH_PROCESSING_INTERVAL = 1000; // ms - reduced from 1500ms for faster response
@@ -166,8 +164,9 @@ class EnhancedSlippiCoach {
     this.watchMode = 'directory'; // Using chokidar directory watching
     this.directoryPollInterval = 100; // ms
     
-    // File processing debounce
+    // File processing debounce; a change inside the window is read once it has passed
     this.processingDebounce = 100; // Reduced from 200ms for faster response
+    this.trailingReads = {}; // Pending debounced reads by file path
 
     this.gameByPath = {};
     this.watcher = null;
@@ -177,6 +176,8 @@ class EnhancedSlippiCoach {
     this.pendingEvents = {};
     this.eventProcessorInterval = null;
     this.previousFrames = {}; // Store previous frames for state transition detection
+    this.replayIndex = new ReplayIndex(); // Persistent index of finished games
+    this.playerProfiles = new PlayerProfileStore(); // Long-term per-player history
     
     // Last processed file tracking to avoid redundant processing
     this.lastProcessedFile = null;
@@ -231,12 +232,23 @@ class EnhancedSlippiCoach {
 
 
   /**
-   * Add an event to the pending events queue for this game
+   * Record an event in the game's timeline
    * @param {string} filePath Path to the game file
-   * @param {object} event Event data to add
+   * @param {object} event Event data ({ type, frame, ...fields })
+   * @returns {object|null} The timeline event, or null if the game is unknown or the event invalid
+   */
+  _recordEvent(filePath, event) {
+    const timeline = this.gameByPath[filePath]?.state?.timeline;
+    return timeline ? timeline.add(event) : null;
+  }
+
+  /**
+   * Add a timeline event to the pending commentary queue for this game
+   * @param {string} filePath Path to the game file
+   * @param {object} event Timeline event (from _recordEvent)
    */
   _addPendingEvent(filePath, event) {
-    if (!this.gameByPath[filePath]) return; // Don't add events for non-existent games
+    if (!this.gameByPath[filePath] || !event) return; // Don't add events for non-existent games
 
     if (!this.pendingEvents[filePath]) {
       this.pendingEvents[filePath] = [];
@@ -351,10 +363,9 @@ class EnhancedSlippiCoach {
       interval: this.directoryPollInterval, // Polling interval (ms)
       binaryInterval: 300,
       ignoreInitial: false, // Process existing files on startup
-      awaitWriteFinish: { // Wait for writes to finish before triggering events
-        stabilityThreshold: 200, // Reduced from 500ms for faster updates
-        pollInterval: 50 // Reduced from 100ms for faster updates
-      },
+      // No awaitWriteFinish: Dolphin appends a frame every ~16ms, so a game in progress never
+      // looks finished and its changes would only arrive once the game is over. Partly
+      // written data is safe to read, SlpFrameReader leaves incomplete commands for later.
       ignored: [
         /(^|[\/\\])\../, // Ignore dotfiles 
         '**/CurrentGame.slp' // Explicitly ignore CurrentGame.slp
@@ -395,6 +406,9 @@ class EnhancedSlippiCoach {
       this.eventProcessorInterval = null;
     }
 
+    Object.values(this.trailingReads).forEach(timer => clearTimeout(timer));
+    this.trailingReads = {};
+
     this.isMonitoring = false;
     this.gameByPath = {}; // Clear game state on stop
     this.pendingEvents = {};
@@ -420,10 +434,17 @@ class EnhancedSlippiCoach {
       return;
     }
 
-    // Debounce rapid changes (e.g., during saving) - simple time-based debounce
+    // Debounce rapid changes (e.g., during saving). A skipped change is read when the
+    // window has passed, so the last change of a game (its end) is never lost.
     const now = Date.now();
     const lastProcessedTime = this.gameByPath[filePath]?.lastProcessedTime || 0;
     if (now - lastProcessedTime < this.processingDebounce) {
+        if (!this.trailingReads[filePath]) {
+            this.trailingReads[filePath] = setTimeout(() => {
+                delete this.trailingReads[filePath];
+                this._handleFileChange(filePath, eventType);
+            }, this.processingDebounce - (now - lastProcessedTime));
+        }
         return;
     }
 
@@ -437,16 +458,17 @@ class EnhancedSlippiCoach {
       if (!game) {
         console.log(`[${eventType}] Processing new Slippi file: ${path.basename(filePath)}`);
 
-        // Create new game instance with real-time processing
-        game = new SlippiGame(filePath, { processOnTheFly: true });
+        // Read the file incrementally: every poll parses only what was appended since
+        const reader = new SlpFrameReader(filePath);
+        const model = new GameModel(reader);
+        game = reader;
 
         // Create fresh game state
         gameState = {
           settings: null,
           latestFrameProcessed: -124, // Start before frame -123
           players: [],
-          stockEvents: [],
-          comboEvents: [],
+          timeline: new MatchTimeline({ source: filePath }), // Every event of the game, in order
           lastStockCounts: {}, // Use object for playerIndex mapping
           lastEventTimes: {},    // Track throttling by event type
           // pendingCommentary: [] // This is handled by the global pendingEvents now
@@ -454,6 +476,7 @@ class EnhancedSlippiCoach {
 
         // Store in our tracking map
         this.gameByPath[filePath] = {
+          model,
           game,
           state: gameState,
           lastProcessedTime: now // Track processing time
@@ -468,28 +491,32 @@ class EnhancedSlippiCoach {
       }
 
       // Get current game data
-      const settings = game.getSettings(); // Can throw if file is invalid
-      const latestFrame = game.getLatestFrame();
+      const newFrames = game.read(); // Can throw if file is invalid
+      const settings = game.getSettings();
       const gameEnd = game.getGameEnd();
 
       // Process game start if not yet processed
       if (!gameState.settings && settings && settings.players && settings.players.length > 0) {
-          this._handleGameStart(filePath, settings); // This updates gameState.settings and gameState.players
+          this._handleGameStart(filePath, settings, this.gameByPath[filePath].model); // This updates gameState.settings and gameState.players
       }
 
-      // Process frame data if game has started and frame is new
-      if (gameState.settings && latestFrame && latestFrame.frame > gameState.latestFrameProcessed) {
-        // Detect state transitions between frames if previous frame exists
-        if (this.previousFrames[filePath]) {
-          this._detectStateTransitions(filePath, this.previousFrames[filePath], latestFrame);
-        }
+      // Process every frame finalized since the last update, in order, so no stock loss
+      // or action state between polls is skipped
+      if (gameState.settings && newFrames.length > 0) {
+        newFrames.forEach(frame => {
+          if (frame.frame <= gameState.latestFrameProcessed) return;
+
+          // Technique detectors first, so a death is analyzed before its stock loss
+          gameState.frameAnalyzer.pushFrame(frame);
+          this._processFrameData(filePath, frame);
 
-        // Store current frame for next comparison
-        this.previousFrames[filePath] = latestFrame;
+          // Store current frame for next comparison
+          this.previousFrames[filePath] = frame;
+          gameState.latestFrameProcessed = frame.frame;
+        });
 
-        // Process the latest frame data
-        this._processFrameData(filePath, latestFrame);
-        gameState.latestFrameProcessed = latestFrame.frame;
+        // Combos are kept up to date by the reader as frames are finalized
+        this._processNewCombos(filePath, game.getCombos());
       }
 
       // Process game end if detected and not already completed
@@ -520,77 +547,25 @@ class EnhancedSlippiCoach {
 
 
   /**
-   * Detect state transitions between frames for deeper commentary
+   * Turn a technique detected by the shared FrameAnalyzer into a live commentary event
    * @param {string} filePath Path to the game file
-   * @param {object} previousFrame Previous frame data
-   * @param {object} currentFrame Current frame data
+   * @param {object} event Technical event ({ frame, playerIndex, technique, quality, data })
    */
-  _detectStateTransitions(filePath, previousFrame, currentFrame) {
-      if (!previousFrame?.players || !currentFrame?.players) return; // Need both frames
-
-      currentFrame.players.forEach((player, playerIndex) => {
-          const prevPlayerFrame = previousFrame.players[playerIndex];
-          // Ensure both player frames and post-frame data exist
-          if (!prevPlayerFrame?.post || !player?.post) return;
-
-          const prevState = prevPlayerFrame.post.actionStateId;
-          const currentState = player.post.actionStateId;
-          const gameInfo = this.gameByPath[filePath];
-          const playerData = gameInfo?.state?.players?.find(p => p.index === playerIndex);
-          
-          // Skip CPU actions if not specifically enabled
-          if (playerData && playerData.playerType === 1 && !this.includeCpuEvents) {
-              return;
-          }
-          
-          const charName = playerData?.character || 'Unknown';
-
-          // Only process if state changed meaningfully
-          if (prevState !== currentState) {
-              let eventData = null;
-
-              // Tech detection
-              if ([ACTION_STATES.TECH_IN_PLACE, ACTION_STATES.TECH_ROLL_LEFT, ACTION_STATES.TECH_ROLL_RIGHT].includes(currentState)) {
-                  const techType = currentState === ACTION_STATES.TECH_IN_PLACE ? 'in-place' :
-                                   currentState === ACTION_STATES.TECH_ROLL_LEFT ? 'roll left' : 'roll right';
-                  eventData = { subType: "tech", details: { techType } };
-              }
-              // Missed Tech
-              else if (currentState === ACTION_STATES.TECH_MISS) {
-                   eventData = { subType: "tech-miss", details: {} };
-              }
-              // Shield/grab detection
-              else if (currentState === ACTION_STATES.SHIELD) { eventData = { subType: "shield" }; }
-              else if (currentState === ACTION_STATES.GRAB) { eventData = { subType: "grab" }; }
-              // Recovery detection (simplified)
-              else if ([ACTION_STATES.FIRE_FOX_AIR, ACTION_STATES.UP_B_AIR].includes(currentState)) { eventData = { subType: "recovery" }; }
-              // Wavedash landing (landing shortly after airdodge)
-              else if ([ACTION_STATES.LANDING_SPECIAL, ACTION_STATES.LANDING].includes(currentState) && prevState === ACTION_STATES.AIR_DODGE) {
-                  const frameDiff = currentFrame.frame - previousFrame.frame;
-                  if (frameDiff <= 5) { // Check if landing happened quickly after airdodge
-                       eventData = { subType: "wavedash-land", details: { frameDiff } };
-                  }
-              }
-              // L-Cancel (landing after aerial) - Note: Actual success requires lag analysis not done here
-              else if ([ACTION_STATES.LANDING, ACTION_STATES.LANDING_SPECIAL].includes(currentState) &&
-                       (prevState >= ACTION_STATES.NAIR && prevState <= ACTION_STATES.DAIR)) {
-                   const aerialMap = { [ACTION_STATES.NAIR]: 'nair', [ACTION_STATES.FAIR]: 'fair', [ACTION_STATES.BAIR]: 'bair', [ACTION_STATES.UAIR]: 'uair', [ACTION_STATES.DAIR]: 'dair' };
-                   eventData = { subType: "l-cancel-attempt", details: { aerial: aerialMap[prevState] || 'aerial' } };
-              }
+  _handleTechniqueEvent(filePath, event) {
+      const gameState = this.gameByPath[filePath]?.state;
+      const playerData = gameState?.players?.find(p => p.playerIndex === event.playerIndex);
+      const actionState = createActionStateEvent(event, playerData);
+      if (!actionState) return;
+
+      // Skip CPU actions if not specifically enabled
+      if (playerData && playerData.isCPU && !this.includeCpuEvents) {
+          return;
+      }
 
-              // If a relevant event was detected and not throttled
-              if (eventData && this._canTriggerEventType('ACTION_STATE', filePath)) {
-                  this._addPendingEvent(filePath, {
-                      type: "actionState",
-                      playerIndex,
-                      frame: currentFrame.frame,
-                      playerCharacter: charName,
-                      isHuman: playerData?.playerType === 0,
-                      ...eventData // Spread subtype and details
-                  });
-              }
-          }
-      });
+      const entry = this._recordEvent(filePath, actionState);
+      if (this._canTriggerEventType('ACTION_STATE', filePath)) {
+          this._addPendingEvent(filePath, entry);
+      }
   }
 
 
@@ -635,6 +610,8 @@ class EnhancedSlippiCoach {
       }
 
       // Clean up state associated with the removed file path
+      clearTimeout(this.trailingReads[filePath]);
+      delete this.trailingReads[filePath];
       this.activeGames.delete(filePath);
       delete this.pendingEvents[filePath];
       delete this.previousFrames[filePath];
@@ -656,8 +633,9 @@ class EnhancedSlippiCoach {
    * Handle game start event
    * @param {string} filePath Path to the game file
    * @param {object} settings Game settings
+   * @param {GameModel} model Game model for the file
    */
-   _handleGameStart(filePath, settings) {
+   _handleGameStart(filePath, settings, model = null) {
     // Ensure gameState exists before modifying it
     if (!this.gameByPath[filePath] || !this.gameByPath[filePath].state) {
         console.error(`Cannot handle game start for ${path.basename(filePath)}: Game state not initialized.`);
@@ -679,47 +657,42 @@ class EnhancedSlippiCoach {
 
     // Store settings
     gameState.settings = settings;
+    gameState.timeline = new MatchTimeline({
+      source: filePath,
+      stageId: settings.stageId ?? null,
+      startAt: model?.getMetadata?.()?.startAt || null
+    });
 
-    // Extract player information
-    if (settings.players && Array.isArray(settings.players)) {
-      gameState.players = settings.players.map((player, index) => {
-          const characterId = player.characterId;
-          // Use defensive check for characterNames
-          const character = (typeof characterId === 'number' && characterNames[characterId])
-              ? characterNames[characterId]
-              : 'Unknown';
-
-          return {
-              index, // 0-based index from the players array
-              port: player.port || (index + 1), // Use port if available, otherwise guess
-              characterId,
-              character,
-              playerType: player.type, // 0=human, 1=CPU, 2=Demo?
-              isHuman: player.type === 0,
-              isCPU: player.type === 1,
-              cpuLevel: player.type === 1 ? player.characterId : null
-          };
-      });
+    // Extract normalized player information
+    const players = model ? model.getPlayers() : normalizePlayers(settings);
+    if (players.length > 0) {
+      gameState.players = players;
 
       console.log("Matchup:");
       gameState.players.forEach(p => {
-          console.log(`  Player (Port ${p.port}, Index ${p.index}): ${p.character}${p.playerType === 1 ? ' (CPU)' : ''}`);
+          console.log(`  Player (Port ${p.port}, ${p.displayName}): ${p.character}${p.isCPU ? ' (CPU)' : ''}`);
       });
 
       // Generate a game start commentary event
+      gameState.timeline.metadata.players = players;
       const matchupEvent = {
-        type: "gameStart",
+        type: EVENT_TYPES.GAME_START,
         matchup: gameState.players.map(p => p.character),
-        playerTypes: gameState.players.map(p => p.playerType),
+        playerTypes: gameState.players.map(p => p.type),
+        isTeams: Boolean(settings.isTeams),
+        teams: getTeams(gameState.players).map(side => ({
+          name: side.name,
+          characters: side.players.map(p => p.character)
+        })),
         stage: settings.stageId,
         frame: settings.startFrame || -123 // Use start frame if available
       };
-      this._addPendingEvent(filePath, matchupEvent);
+      this._addPendingEvent(filePath, this._recordEvent(filePath, matchupEvent));
 
       // Initialize stock counts based on player data
       gameState.lastStockCounts = {};
       gameState.players.forEach(p => {
-          gameState.lastStockCounts[p.index] = settings.playerSettings?.[p.index]?.startStocks ?? 4; // Use startStocks if available, default 4
+          gameState.lastStockCounts[p.playerIndex] = p.startStocks;
       });
 
     } else {
@@ -729,8 +702,8 @@ class EnhancedSlippiCoach {
     }
 
     // Reset tracking data for this game
-    gameState.stockEvents = [];
-    gameState.comboEvents = [];
+    gameState.frameAnalyzer = new FrameAnalyzer({ stageId: settings.stageId });
+    gameState.frameAnalyzer.on('technique', event => this._handleTechniqueEvent(filePath, event));
     gameState.lastEventTimes = {};
     gameState.latestFrameProcessed = settings.startFrame ? settings.startFrame -1 : -124; // Reset frame processing start
 
@@ -740,9 +713,9 @@ class EnhancedSlippiCoach {
 
 
   /**
-   * Process new frame data
+   * Process one new frame
    * @param {string} filePath Path to the game file
-   * @param {object} latestFrame Latest frame data
+   * @param {object} latestFrame Frame data, called for every frame in order
    */
   _processFrameData(filePath, latestFrame) {
     // Ensure gameState exists
@@ -755,7 +728,7 @@ class EnhancedSlippiCoach {
     // Generate frame update commentary events (less frequently)
     if (latestFrame.frame > 0 && latestFrame.frame % 600 === 0 && this._canTriggerEventType('FRAME_UPDATE', filePath)) { // Every 10 seconds
       const frameUpdateEvent = {
-        type: "frameUpdate",
+        type: EVENT_TYPES.FRAME_UPDATE,
         frame: latestFrame.frame,
         players: {}
       };
@@ -763,41 +736,25 @@ class EnhancedSlippiCoach {
       // Display current percentages and stocks
       let logString = `[Frame ${latestFrame.frame}]`;
       gameState.players.forEach((player) => {
-        const frameData = _.get(latestFrame, ["players", player.index, "post"]); // Get post-frame data
+        const frameData = _.get(latestFrame, ["players", player.playerIndex, "post"]); // Get post-frame data
         if (!frameData) return;
 
         const percent = (frameData.percent || 0).toFixed(1);
-        const stocks = frameData.stocksRemaining ?? gameState.lastStockCounts[player.index] ?? '?'; // Use stocksRemaining if available
+        const stocks = frameData.stocksRemaining ?? gameState.lastStockCounts[player.playerIndex] ?? '?'; // Use stocksRemaining if available
 
         logString += ` | P${player.port}(${player.character.substring(0,3)}): ${percent}% (${stocks}s)`;
 
-        frameUpdateEvent.players[player.index] = {
+        frameUpdateEvent.players[player.playerIndex] = {
           percent: parseFloat(percent),
           stocks: stocks
         };
       });
       // console.log(logString); // Optional: uncomment for verbose frame updates
-      this._addPendingEvent(filePath, frameUpdateEvent);
+      this._addPendingEvent(filePath, this._recordEvent(filePath, frameUpdateEvent));
     }
 
     // Check for stock changes
     this._checkStockChanges(filePath, latestFrame);
-
-    // Check for combos using SlippiGame's built-in combo detection
-    try {
-      const game = this.gameByPath[filePath]?.game;
-      if (game) {
-          const stats = game.getStats(); // This computes stats up to the latest processed frame
-          if (stats?.combos) {
-            this._processNewCombos(filePath, stats.combos);
-          }
-      }
-    } catch (err) {
-       // Ignore stats processing errors, they can happen if game is incomplete
-       if (!err.message.includes("Cannot read properties of undefined (reading 'frame')")) { // Filter common incomplete game error
-            console.warn(`Stats processing error for ${path.basename(filePath)}: ${err.message}`);
-       }
-    }
   }
 
 
@@ -815,7 +772,7 @@ class EnhancedSlippiCoach {
 
     // Check each player's stock count based on game state's player array
     gameState.players.forEach(playerInfo => {
-        const playerIndex = playerInfo.index;
+        const playerIndex = playerInfo.playerIndex;
         const frameData = _.get(latestFrame, ["players", playerIndex, "post"]); // Get post-frame data
 
         if (!frameData || frameData.stocksRemaining === undefined) return; // Skip if data missing
@@ -850,49 +807,69 @@ class EnhancedSlippiCoach {
     if (!this.gameByPath[filePath] || !this.gameByPath[filePath].state) return;
     const gameState = this.gameByPath[filePath].state;
 
-    // Stock loss is high priority - use STOCK_LOSS throttling
-    if (!this._canTriggerEventType('STOCK_LOSS', filePath)) {
-      return; // Throttled
-    }
-
     // Get player info using the index
-    const playerData = gameState.players.find(p => p.index === playerIndex);
+    const playerData = gameState.players.find(p => p.playerIndex === playerIndex);
     if (!playerData) {
         console.warn(`Stock lost for unknown player index: ${playerIndex}`);
         return;
     }
     
-    // Skip CPU stock losses if not specifically enabled
-    if (playerData.playerType === 1 && !this.includeCpuEvents) {
-        return;
-    }
-
     const remainingStocks = frame.players[playerIndex]?.post?.stocksRemaining ?? '?';
 
-    // Record the stock lost event
-    const event = {
+    // The frame analyzer records the death (kill move, blast zone, punish) as soon as the
+    // player enters a dead state, which is no later than the stock counter dropping
+    const recordedDeaths = gameState.timeline.getEvents({ type: EVENT_TYPES.STOCK_LOST, playerIndex })
+      .map(event => event.payload.deathFrame);
+    const death = _.findLast(gameState.frameAnalyzer?.analysis.deaths || [], d =>
+      d.playerIndex === playerIndex && !recordedDeaths.includes(d.frame)) || null;
+
+    // Credit the stock to whoever landed the punish that killed, or to whoever hit the
+    // player last when there is no death analysis (may be a teammate in doubles)
+    const previousFrame = this.previousFrames[filePath];
+    const killerIndex = death ? death.killerIndex : (frame.players[playerIndex]?.post?.lastHitBy ??
+      previousFrame?.players?.[playerIndex]?.post?.lastHitBy ?? null);
+    const killerData = killerIndex !== null ? gameState.players.find(p => p.playerIndex === killerIndex) : null;
+    const killerRelationship = killerData ? getRelationship(gameState.players, playerIndex, killerIndex) : 'self';
+
+    const names = Object.fromEntries(gameState.players.map(p => [p.playerIndex, p.character]));
+    const deathSummary = death ? summarizeDeath(death, names) : null;
+
+    // Record the stock lost event (even when commentary for it is skipped or throttled)
+    const entry = this._recordEvent(filePath, {
+      type: EVENT_TYPES.STOCK_LOST,
       time: Date.now(),
       frame: frame.frame,
       playerIndex, // Keep 0-based index internally
       stocksLost,
-      remainingStocks: remainingStocks
-    };
-    gameState.stockEvents.push(event);
-
-    const playerName = `Player (Port ${playerData.port}, ${playerData.character}${playerData.playerType === 1 ? ' CPU' : ''})`;
-    console.log(`💀 ${playerName} lost ${stocksLost} stock! Remaining: ${remainingStocks}`);
-
-    // Generate live commentary for stock loss event
-    this._addPendingEvent(filePath, {
-      type: "stockLost",
-      playerIndex,
-      stocksLost,
       remainingStocks: remainingStocks,
       playerCharacter: playerData.character, // Pass character name
-      isHuman: playerData.playerType === 0,
-      isCPU: playerData.playerType === 1,
-      frame: frame.frame
+      isHuman: playerData.isHuman,
+      isCPU: playerData.isCPU,
+      killerIndex: killerData ? killerIndex : null,
+      killerCharacter: killerData?.character,
+      killerRelationship,
+      deathFrame: death?.frame ?? null,
+      ...deathSummary // description, percent, blastZone, selfDestruct, killMove, punish, opening
     });
+
+    // Skip CPU stock losses if not specifically enabled
+    if (playerData.isCPU && !this.includeCpuEvents) {
+        return;
+    }
+
+    const playerName = `Player (Port ${playerData.port}, ${playerData.character}${playerData.isCPU ? ' CPU' : ''})`;
+    const killerText = killerRelationship === 'self' ? ' (self-destruct)' :
+      ` (by ${killerRelationship === 'teammate' ? 'teammate ' : ''}${killerData.character}, Port ${killerData.port})`;
+    console.log(`💀 ${playerName} lost ${stocksLost} stock${killerText}! Remaining: ${remainingStocks}` +
+      (deathSummary ? ` - ${deathSummary.description}` : ''));
+
+    // Stock loss is high priority - use STOCK_LOSS throttling
+    if (!this._canTriggerEventType('STOCK_LOSS', filePath)) {
+      return; // Throttled
+    }
+
+    // Generate live commentary for stock loss event
+    this._addPendingEvent(filePath, entry);
   }
 
 
@@ -905,15 +882,15 @@ class EnhancedSlippiCoach {
     if (!this.gameByPath[filePath] || !this.gameByPath[filePath].state || !combos) return;
     const gameState = this.gameByPath[filePath].state;
 
-    // Find combos we haven't processed yet
+    // Find combos we haven't processed yet (combo.playerIndex is the player being comboed)
     const newCombos = combos.filter(combo =>
       combo.moves &&
       combo.moves.length >= 2 && // Lowered threshold to 2+ hits
       // Ensure combo end frame is recent enough to be relevant
       (combo.endFrame >= gameState.latestFrameProcessed - 120) && // Within last 2 seconds
-      !gameState.comboEvents.some(existingCombo =>
-        existingCombo.playerIndex === combo.playerIndex &&
-        existingCombo.startFrame === combo.startFrame
+      !gameState.timeline.getEvents({ type: EVENT_TYPES.COMBO }).some(({ payload }) =>
+        payload.victimIndex === combo.playerIndex &&
+        payload.startFrame === combo.startFrame
       )
     );
 
@@ -927,28 +904,55 @@ class EnhancedSlippiCoach {
          damage = (combo.endPercent || 0) - (combo.startPercent || 0);
       }
 
-      // Record the combo event internally
-      const recordedCombo = {
-        playerIndex: combo.playerIndex,
-        startFrame: combo.startFrame,
-        endFrame: combo.endFrame,
-        moves: combo.moves.length,
-        damage: damage
-      };
-      gameState.comboEvents.push(recordedCombo);
+      // Attribute the combo to the attacker and note whether it hit an opponent or a teammate
+      const attackerIndex = getComboAttacker(combo) ?? combo.playerIndex;
+      const relationship = getRelationship(gameState.players, attackerIndex, combo.playerIndex);
+
+      // Rebuild the actual string of moves, with DI read from the frames
+      const conversion = reconstructConversion(combo, {
+        frames: this.gameByPath[filePath].game?.getFrames()
+      });
 
       // Get player info
-      const playerData = gameState.players.find(p => p.index === combo.playerIndex);
-      
+      const playerData = gameState.players.find(p => p.playerIndex === attackerIndex);
+      const victimData = gameState.players.find(p => p.playerIndex === combo.playerIndex);
+
+      // Record the combo in the timeline (even when commentary for it is skipped or throttled)
+      const entry = this._recordEvent(filePath, {
+        type: EVENT_TYPES.COMBO,
+        frame: combo.endFrame ?? gameState.latestFrameProcessed,
+        playerIndex: attackerIndex,
+        victimIndex: combo.playerIndex,
+        victimCharacter: victimData?.character || "Unknown",
+        relationship,
+        moves: combo.moves.length,
+        moveNames: conversion.hits.map(hit => hit.move),
+        moveString: conversion.moveString,
+        opener: conversion.opener?.move || null,
+        didKill: conversion.didKill,
+        hits: conversion.hits.map(hit => ({
+          move: hit.move,
+          frame: hit.frame,
+          percent: parseFloat(hit.percent.toFixed(1)),
+          di: hit.di
+        })),
+        damage: parseFloat(damage.toFixed(1)), // Ensure number format
+        playerCharacter: playerData?.character || "Unknown",
+        isHuman: playerData ? playerData.isHuman : true, // Default to human if player data missing
+        isCPU: playerData?.isCPU,
+        startFrame: combo.startFrame,
+        endFrame: combo.endFrame
+      });
+
       // Skip CPU combos if not specifically enabled
-      if (playerData && playerData.playerType === 1 && !this.includeCpuEvents) {
+      if (playerData && playerData.isCPU && !this.includeCpuEvents) {
           return;
       }
-      
-      const isHuman = playerData ? playerData.playerType === 0 : true; // Default to human if player data missing
+
       const attackerName = playerData ?
-        `Player (Port ${playerData.port}, ${playerData.character}${playerData.playerType === 1 ? ' CPU' : ''})` :
-        `Player ${combo.playerIndex + 1}`; // Fallback
+        `Player (Port ${playerData.port}, ${playerData.character}${playerData.isCPU ? ' CPU' : ''})` :
+        `Player ${attackerIndex + 1}`; // Fallback
+      const targetText = relationship === 'teammate' ? ` on their teammate ${victimData?.character || ''}`.trimEnd() : '';
 
       // Categorize combo by size for appropriate throttling
       const comboType = combo.moves.length >= 4 ? 'SIGNIFICANT_COMBO' : 'MINOR_COMBO';
@@ -958,25 +962,10 @@ class EnhancedSlippiCoach {
         return;
       }
 
-      console.log(`💥 ${attackerName} performed a ${combo.moves.length}-hit combo for ${damage.toFixed(1)}% damage!`);
-
-      // Generate structured combo data for commentary
-      const comboData = {
-        type: "combo",
-        playerIndex: combo.playerIndex,
-        moves: combo.moves.length,
-        damage: parseFloat(damage.toFixed(1)), // Ensure number format
-        playerCharacter: playerData?.character || "Unknown",
-        isHuman: isHuman,
-        isCPU: playerData?.playerType === 1,
-        startFrame: combo.startFrame,
-        endFrame: combo.endFrame,
-        // Optional: add move IDs if needed by commentary prompt
-        // moveTypes: combo.moves.map(m => m.moveId).join(',')
-      };
+      console.log(`💥 ${attackerName} performed a ${combo.moves.length}-hit combo${targetText} for ${damage.toFixed(1)}% damage! (${conversion.moveString})`);
 
       // Add to pending events queue for batched processing
-      this._addPendingEvent(filePath, comboData);
+      this._addPendingEvent(filePath, entry);
     });
   }
 
@@ -1004,22 +993,36 @@ class EnhancedSlippiCoach {
 
     // Add game end event to queue (ensure players data exists)
     if (gameState.players && gameState.players.length > 0) {
-         // Determine winner/loser if possible (simple stock check)
-         let winnerIndex = -1, loserIndex = -1;
-         if (gameEnd?.gameEndMethod === 2 && gameState.players.length === 2) { // Only for GAME! in 1v1
-             const p0Stocks = gameState.lastStockCounts[gameState.players[0].index] ?? -1;
-             const p1Stocks = gameState.lastStockCounts[gameState.players[1].index] ?? -1;
-             if (p0Stocks > p1Stocks) winnerIndex = gameState.players[0].index;
-             if (p1Stocks > p0Stocks) winnerIndex = gameState.players[1].index;
+         // Determine the winning side from remaining stocks (teams share their stock total)
+         const latestFrame = this.gameByPath[filePath].game?.getLatestFrame();
+         const percents = {};
+         gameState.players.forEach(p => {
+             percents[p.playerIndex] = latestFrame?.players?.[p.playerIndex]?.post?.percent ?? 0;
+         });
+         const winningSide = gameEnd?.gameEndMethod === 7 ? null :
+             determineWinningSide(gameState.players, gameState.lastStockCounts, {
+                 percents,
+                 endMethod: gameEnd?.gameEndMethod
+             });
+         const losingSides = winningSide ?
+             getTeams(gameState.players).filter(side => side.name !== winningSide.name) : [];
+         gameState.winningSide = winningSide;
+
+         if (winningSide) {
+             console.log(`Winner: ${describeSide(winningSide)}`);
          }
 
-         this._addPendingEvent(filePath, {
-             type: "gameEnd",
+         this._addPendingEvent(filePath, this._recordEvent(filePath, {
+             type: EVENT_TYPES.GAME_END,
              endType: endMessage,
              lrasQuitter: gameEnd?.gameEndMethod === 7 ? gameEnd.lrasInitiatorIndex : undefined,
-             winnerIndex: winnerIndex, // Add winner info if determined
+             winnerIndex: winningSide ? winningSide.players[0].playerIndex : -1, // First winner, kept for 1v1 consumers
+             winnerIndices: winningSide ? winningSide.players.map(p => p.playerIndex) : [],
+             winner: winningSide ? describeSide(winningSide) : undefined,
+             loser: losingSides.length > 0 ? losingSides.map(describeSide).join(' and ') : undefined,
+             isTeams: Boolean(gameState.settings?.isTeams),
              frame: gameState.latestFrameProcessed // Frame where end was detected
-         });
+         }));
     }
 
     // Generate game analysis after processing pending events
@@ -1027,6 +1030,7 @@ class EnhancedSlippiCoach {
         this._generateGameAnalysis(filePath);
         this.completedGames.add(filePath); // Mark completed *after* analysis
         this.activeGames.delete(filePath);
+        return updateReplayIndex(filePath, this.replayIndex, this.playerProfiles, { wait: true });
     }).catch(err => {
         console.error(`Error processing pending events before final analysis for ${path.basename(filePath)}: ${err.message}`);
         // Still mark completed? Yes, to avoid reprocessing loop on error.
@@ -1056,40 +1060,74 @@ class EnhancedSlippiCoach {
 
     console.log(`\n📊 Generating end-game analysis for ${path.basename(filePath)}...`);
 
-    // Calculate final game statistics using recorded events
-    const stocksLostByPlayer = {};
-    gameState.players.forEach(p => { stocksLostByPlayer[p.index] = 0; }); // Initialize
-    gameState.stockEvents.forEach(event => {
-        stocksLostByPlayer[event.playerIndex] = (stocksLostByPlayer[event.playerIndex] || 0) + event.stocksLost;
-    });
-
-    const combosByPlayer = {};
-    let totalDamage = {};
-    gameState.players.forEach(p => {
-        combosByPlayer[p.index] = [];
-        totalDamage[p.index] = 0;
-    }); // Initialize
-    gameState.comboEvents.forEach(combo => {
-      combosByPlayer[combo.playerIndex].push(combo);
-      totalDamage[combo.playerIndex] += combo.damage;
-    });
+    // Calculate final game statistics from the timeline
+    const summary = gameState.timeline.summarize();
+    const stocksLostByPlayer = summary.stocksLost;
+    const totalDamage = summary.damageDealt;
+    const friendlyFire = summary.friendlyFire;
+    const combosByPlayer = _.groupBy(
+      gameState.timeline.getFlatEvents({ type: EVENT_TYPES.COMBO }).filter(combo => combo.relationship !== 'teammate'),
+      'playerIndex');
 
     // Prepare data for AI coaching, mapping stats back to player order
     const matchData = {
-      damageDealt: gameState.players.map(p => totalDamage[p.index] || 0),
-      stockLosses: gameState.players.map(p => stocksLostByPlayer[p.index] || 0),
+      damageDealt: gameState.players.map(p => totalDamage[p.playerIndex] || 0),
+      stockLosses: gameState.players.map(p => stocksLostByPlayer[p.playerIndex] || 0),
       characters: gameState.players.map(p => p.character || 'Unknown'), // Use stored character names
-      playerTypes: gameState.players.map(p => p.playerType)
+      playerTypes: gameState.players.map(p => p.type),
+      players: gameState.players,
+      isTeams: Boolean(gameState.settings?.isTeams),
+      stage: getStageInfo(gameState.settings).name
     };
 
+    if (matchData.isTeams) {
+      matchData.friendlyFire = gameState.players.map(p => friendlyFire[p.playerIndex] || 0);
+      matchData.teams = summarizeTeams(gameState.players, {
+        damageDealt: totalDamage,
+        stocksLost: stocksLostByPlayer,
+        friendlyFire
+      });
+      matchData.teamKills = summary.teamKills;
+      matchData.winningTeam = gameState.winningSide?.name || null;
+    }
+
+    // Technical metrics from the same detectors the batch analyzer uses
+    const technical = gameState.frameAnalyzer?.getSnapshot();
+    matchData.habits = gameState.players.map(p => technical?.tendencySummaries?.[p.playerIndex] || []);
+    matchData.inputs = gameState.players.map(p => technical?.inputStats?.[p.playerIndex] || null);
+    matchData.stageControl = gameState.players.map(p => technical?.stageControlStats?.[p.playerIndex] || null);
+    const names = Object.fromEntries(gameState.players.map(p => [p.playerIndex, p.character]));
+    matchData.deaths = gameState.players.map(p => (technical?.deaths || [])
+      .filter(death => death.playerIndex === p.playerIndex)
+      .map(death => summarizeDeath(death, names)));
+    const frames = gameData.game?.getFrames();
+    matchData.notableConversions = gameState.players.map(p =>
+      getNotableConversions(technical?.conversions, p.playerIndex, { frames }).map(conversion => ({
+        description: describeConversion(conversion),
+        opener: conversion.opener?.move || null,
+        openingType: conversion.openingType,
+        di: describeDi(conversion)
+      })));
+    matchData.timeline = gameState.timeline.toJSON();
+
     // Display match summary
     console.log("\n===== MATCH SUMMARY =====");
     gameState.players.forEach((player) => { // Iterate through the structured player data
-      const pIndex = player.index;
-      console.log(`Player (Port ${player.port}, ${player.character}${player.playerType === 1 ? ' CPU' : ''}):`);
+      const pIndex = player.playerIndex;
+      const techMetrics = technical?.playerMetrics?.[pIndex];
+      console.log(`Player (Port ${player.port}, ${player.character}${player.isCPU ? ' CPU' : ''}):`);
       console.log(`  Stocks Lost: ${stocksLostByPlayer[pIndex] || 0}`);
       console.log(`  Total Damage Dealt: ${(totalDamage[pIndex] || 0).toFixed(1)}`);
       console.log(`  Combos Recorded: ${combosByPlayer[pIndex]?.length || 0}`);
+      if (techMetrics) {
+        console.log(`  L-Cancel Rate: ${techMetrics.lCancelRate} | Wavedashes: ${techMetrics.wavedashCount} | Tech Rate: ${techMetrics.techRate}`);
+      }
+      if (matchData.isTeams) {
+        console.log(`  Friendly Fire: ${(friendlyFire[pIndex] || 0).toFixed(1)}`);
+      }
+    });
+    (matchData.teams || []).forEach(team => {
+      console.log(`${team.name}: ${team.damageDealt.toFixed(1)} damage dealt, ${team.stocksLost} stocks lost`);
     });
     console.log("=======================");
 
@@ -6,6 +6,141 @@ const require = createRequire(import.meta.url);
 // Use SlippiGame instead of SlpFile for proper API access
 const { SlippiGame } = require('@slippi/slippi-js');
 import { extractPlayerStatistics } from './utils/slippiUtils.js';
+import { normalizePlayers, getStageInfo } from './gameModel.js';
+import { ReplayIndex, updateReplayIndex, isCompleteReplay } from './replayIndex.js';
+import { PlayerProfileStore } from './playerProfiles.js';
+
+/**
+ * Parses a finished replay, adds the game to the replay index and player profiles and
+ * hands the game data to the callback. Used by the directory watcher and for games
+ * recorded from a live stream.
+ *
+ * @param {string} filePath - Path to the .slp file
+ * @param {Function} onGameProcessed - Called with { filePath, metadata, settings, stats,
+ *   playerStats, players, stage }
+ * @param {Object} options
+ * @param {ReplayIndex} options.replayIndex - Index to update (default: index at the default path)
+ * @param {PlayerProfileStore} options.playerProfiles - Profiles to update (default: store at the default path)
+ * @returns {Promise<boolean>} - false when the file is still being written, could not be
+ *   read or could not be indexed
+ */
+export async function processReplayFile(filePath, onGameProcessed, options = {}) {
+    const { replayIndex = new ReplayIndex(), playerProfiles = new PlayerProfileStore() } = options;
+    
+    try {
+        // Slippi creates the file when the game starts; it is processed once the game is over
+        if (!await isCompleteReplay(filePath)) return false;
+
+        console.log(`Processing replay file: ${filePath}`);
+        // Use SlippiGame instead of SlpFile for proper API access
+        const game = new SlippiGame(filePath);
+        
+        // Load basic metadata using the correct API - with defensive null checks
+        let metadata = null;
+        let settings = null;
+        let stats = null;
+        let frames = null;
+        
+        try {
+            metadata = game.getMetadata() || {};
+            console.log("Metadata parsed successfully");
+        } catch (metadataErr) {
+            console.error(`Failed to parse metadata: ${metadataErr.message}`);
+            metadata = {};
+        }
+        
+        try {
+            settings = game.getSettings() || {};
+            console.log(`Settings parsed successfully${settings.gameMode ? ': ' + settings.gameMode : ''}`);
+        } catch (settingsErr) {
+            console.error(`Failed to parse settings: ${settingsErr.message}`);
+            settings = {};
+        }
+        
+        try {
+            stats = game.getStats() || {};
+            console.log("Stats parsed successfully");
+        } catch (statsErr) {
+            console.error(`Failed to parse stats: ${statsErr.message}`);
+            stats = {};
+        }
+        
+        try {
+            frames = game.getFrames() || {};
+            console.log(`Parsed ${Object.keys(frames).length} frames`);
+        } catch (framesErr) {
+            console.error(`Failed to parse frames: ${framesErr.message}`);
+            frames = {};
+        }
+        
+        // Normalized players shared with the live monitors
+        const players = normalizePlayers(settings, metadata);
+        console.log(`Extracted data for ${players.length} players`);
+        
+        // Extract per-player damage and stock losses in players order
+        const playerStats = {
+            damageDealt: [],
+            stockLosses: []
+        };
+        
+        if (players.length > 0 && Object.keys(frames).length > 0) {
+            const extracted = extractPlayerStatistics(settings, frames);
+            players.forEach((player, index) => {
+                const entry = extracted.find(e => e.playerIndex === player.playerIndex);
+                playerStats.damageDealt[index] = entry?.damageDealt || 0;
+                playerStats.stockLosses[index] = entry?.stockLosses || 0;
+            });
+            console.log(`Extracted stats for ${playerStats.damageDealt.length} players`);
+        } else {
+            console.log("No player stats available in this replay");
+        }
+        
+        // Check if we have enough valid data to process
+        if (!metadata.startAt && !settings.players && !stats.overall) {
+            console.warn("This replay file appears to be corrupted or empty");
+            return true;
+        }
+        
+        // A replay that could not be indexed is tried again on its next change, so the
+        // game is only handed on once
+        if (!await updateReplayIndex(filePath, replayIndex, playerProfiles)) return false;
+
+        // Call the callback with the processed game data
+        onGameProcessed({
+            filePath,
+            metadata,
+            settings,
+            stats,
+            playerStats,
+            players,
+            stage: getStageInfo(settings)
+        });
+        return true;
+    } catch (err) {
+        console.error(`Error processing ${filePath}: ${err.message}`);
+        console.error(err.stack);
+        return false;
+    }
+}
+
+/**
+ * Builds the matchData generateCoachingAdvice() expects from processed game data
+ *
+ * @param {Object} gameData - Game data passed to the onGameProcessed callback
+ * @returns {Object} - matchData
+ */
+export function buildReplayMatchData(gameData) {
+    const players = gameData.players || [];
+    return {
+        damageDealt: players.map((player, index) => gameData.playerStats?.damageDealt?.[index] || 0),
+        stockLosses: players.map((player, index) => gameData.playerStats?.stockLosses?.[index] || 0),
+        characters: players.map(player => player.character),
+        playerTypes: players.map(player => player.type),
+        players,
+        isTeams: Boolean(gameData.settings?.isTeams),
+        stage: gameData.stage?.name
+    };
+}
 
 // Watches a directory for new .slp files and processes them
 export async function watchSlippiReplays(directoryPath, onGameProcessed) {
@@ -19,112 +154,24 @@ export async function watchSlippiReplays(directoryPath, onGameProcessed) {
     
     // Track processed files to avoid re-processing
     const processedFiles = new Set();
+    const processingFiles = new Set();
+    const pendingChecks = new Map(); // File path -> timer
+    
+    // Every processed replay is also recorded in the persistent replay index and player profiles
+    const replayIndex = new ReplayIndex();
+    const playerProfiles = new PlayerProfileStore();
     
     // Process function for individual replay files
     async function processFile(filePath) {
-        if (processedFiles.has(filePath)) return;
+        if (processedFiles.has(filePath) || processingFiles.has(filePath)) return;
         
+        processingFiles.add(filePath);
         try {
-            console.log(`Processing replay file: ${filePath}`);
-            // Use SlippiGame instead of SlpFile for proper API access
-            const game = new SlippiGame(filePath);
-            
-            // Load basic metadata using the correct API - with defensive null checks
-            let metadata = null;
-            let settings = null;
-            let stats = null;
-            let frames = null;
-            
-            try {
-                metadata = game.getMetadata() || {};
-                console.log("Metadata parsed successfully");
-            } catch (metadataErr) {
-                console.error(`Failed to parse metadata: ${metadataErr.message}`);
-                metadata = {};
-            }
-            
-            try {
-                settings = game.getSettings() || {};
-                console.log(`Settings parsed successfully${settings.gameMode ? ': ' + settings.gameMode : ''}`);
-            } catch (settingsErr) {
-                console.error(`Failed to parse settings: ${settingsErr.message}`);
-                settings = {};
-            }
-            
-            try {
-                stats = game.getStats() || {};
-                console.log("Stats parsed successfully");
-            } catch (statsErr) {
-                console.error(`Failed to parse stats: ${statsErr.message}`);
-                stats = {};
+            if (await processReplayFile(filePath, onGameProcessed, { replayIndex, playerProfiles })) {
+                processedFiles.add(filePath);
             }
-            
-            try {
-                frames = game.getFrames() || {};
-                console.log(`Parsed ${Object.keys(frames).length} frames`);
-            } catch (framesErr) {
-                console.error(`Failed to parse frames: ${framesErr.message}`);
-                frames = {};
-            }
-            
-            // Extract player data with defensive coding
-            const playerStats = {
-                damageDealt: [],
-                stockLosses: []
-            };
-            
-            // Safely extract player stats if available
-            if (stats && stats.overall && Array.isArray(stats.overall)) {
-                stats.overall.forEach((player, index) => {
-                    if (player) {
-                        playerStats.damageDealt[index] = player.totalDamage || 0;
-                        playerStats.stockLosses[index] = player.stocksLost || 0;
-                    }
-                });
-                console.log(`Extracted stats for ${stats.overall.length} players`);
-            } else {
-                console.log("No player stats available in this replay");
-            }
-            
-            // Extract players from settings if available
-            const players = [];
-            if (settings && settings.players && Array.isArray(settings.players)) {
-                settings.players.forEach((player, index) => {
-                    if (player) {
-                        players.push({
-                            index,
-                            characterId: player.characterId,
-                            type: player.type, // 0 = human, 1 = CPU, 2 = demo
-                            playerIndex: player.playerIndex,
-                            port: player.port || index + 1
-                        });
-                    }
-                });
-                console.log(`Extracted data for ${players.length} players`);
-            }
-            
-            // Mark as processed
-            processedFiles.add(filePath);
-            
-            // Check if we have enough valid data to process
-            if (!metadata.startAt && !settings.players && !stats.overall) {
-                console.warn("This replay file appears to be corrupted or empty");
-                return;
-            }
-            
-            // Call the callback with the processed game data
-            onGameProcessed({
-                filePath,
-                metadata,
-                settings,
-                stats,
-                playerStats,
-                players
-            });
-            
-        } catch (err) {
-            console.error(`Error processing ${filePath}: ${err.message}`);
-            console.error(err.stack);
+        } finally {
+            processingFiles.delete(filePath);
         }
     }
     
@@ -146,20 +193,25 @@ export async function watchSlippiReplays(directoryPath, onGameProcessed) {
         console.log("No existing replay files found. Waiting for new files...");
     }
     
-    // Watch for new files
-    const watcher = fs.watch(directoryPath, async (eventType, filename) => {
-        if (eventType === 'rename' && filename && filename.endsWith('.slp')) {
-            const filePath = path.join(directoryPath, filename);
-            
-            // Wait a moment to ensure the file is completely written
-            // Some applications lock files during writing
-            setTimeout(async () => {
-                if (fs.existsSync(filePath)) {
-                    console.log(`New replay file detected: ${filename}`);
-                    await processFile(filePath);
-                }
-            }, 1000); // 1 second delay
-        }
+    // Watch for new and growing files. Slippi creates the file at game start and writes
+    // to it every frame, so each file is checked once it has been quiet for a second;
+    // a file that is not finished yet is checked again on its next change.
+    const watcher = fs.watch(directoryPath, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.slp')) return;
+        const filePath = path.join(directoryPath, filename);
+        if (processedFiles.has(filePath)) return;
+
+        clearTimeout(pendingChecks.get(filePath));
+        pendingChecks.set(filePath, setTimeout(async () => {
+            pendingChecks.delete(filePath);
+            if (fs.existsSync(filePath)) {
+                await processFile(filePath);
+            }
+        }, 1000)); // 1 second delay
+    });
+    watcher.on('close', () => {
+        pendingChecks.forEach(timer => clearTimeout(timer));
+        pendingChecks.clear();
     });
     
     console.log("Watching for new Slippi replay files...");
@@ -0,0 +1,473 @@
+// src/gameModel.js
+// Shared game model wrapping SlippiGame. Every monitor, index and prompt builder reads
+// players, stage, timer and stock counts through here so they all see the same shapes.
+
+import { createRequire } from 'module';
+import { characterNames } from './utils/slippiUtils.js';
+import { STAGE_NAMES } from './utils/constants.js';
+
+const require = createRequire(import.meta.url);
+const {
+    SlippiGame,
+    SlpParser,
+    SlpParserEvent,
+    SlpInputSource,
+    Stats,
+    ComboComputer,
+    openSlpFile,
+    closeSlpFile,
+    iterateEvents,
+    getMetadata
+} = require('@slippi/slippi-js');
+
+/**
+ * Slippi player types from the game start block
+ */
+export const PLAYER_TYPES = {
+    HUMAN: 0,
+    CPU: 1,
+    DEMO: 2,
+    EMPTY: 3
+};
+
+/**
+ * Timer modes from the game start block
+ */
+const TIMER_MODES = {
+    0: 'none',
+    2: 'decreasing',
+    3: 'increasing'
+};
+
+/**
+ * Team colors by teamId in teams mode
+ */
+export const TEAM_NAMES = {
+    0: 'Red',
+    1: 'Blue',
+    2: 'Green'
+};
+
+const GAME_END_TIME = 1;
+
+const DEFAULT_START_STOCKS = 4;
+
+/**
+ * Builds normalized player objects from game settings (and metadata when available)
+ *
+ * @param {Object} settings - Game settings from SlippiGame.getSettings()
+ * @param {Object} metadata - Optional metadata from SlippiGame.getMetadata()
+ * @returns {Array<Object>} - Normalized players, in settings order
+ */
+export function normalizePlayers(settings, metadata = null) {
+    if (!settings || !Array.isArray(settings.players)) return [];
+
+    return settings.players
+        .filter(player => player && player.type !== PLAYER_TYPES.EMPTY)
+        .map(player => {
+            const playerIndex = player.playerIndex;
+            const names = metadata?.players?.[playerIndex]?.names || {};
+            const characterId = player.characterId;
+            const port = player.port || playerIndex + 1;
+            const connectCode = player.connectCode || names.code || null;
+            const isCPU = player.type === PLAYER_TYPES.CPU;
+
+            return {
+                playerIndex,
+                port,
+                connectCode,
+                displayName: player.displayName || names.netplay || player.nametag || connectCode || `Player ${port}`,
+                nametag: player.nametag || null,
+                characterId,
+                character: characterNames[characterId] || 'Unknown',
+                costume: player.characterColor ?? null,
+                type: player.type,
+                isHuman: player.type === PLAYER_TYPES.HUMAN,
+                isCPU,
+                cpuLevel: isCPU ? (player.cpuLevel ?? null) : null,
+                teamId: settings.isTeams ? (player.teamId ?? null) : null,
+                startStocks: player.startStocks ?? DEFAULT_START_STOCKS
+            };
+        });
+}
+
+/**
+ * Resolves the stage of a game
+ *
+ * @param {Object} settings - Game settings
+ * @returns {Object} - { id, name }
+ */
+export function getStageInfo(settings) {
+    const id = settings?.stageId ?? null;
+    return {
+        id,
+        name: id !== null ? (STAGE_NAMES[id] || `Stage ${id}`) : 'Unknown Stage'
+    };
+}
+
+/**
+ * Groups players into sides. In teams mode a side is a team; otherwise every player
+ * is their own side, so 1v1 and free-for-all games go through the same code paths.
+ *
+ * @param {Array<Object>} players - Normalized players
+ * @returns {Array<Object>} - [{ teamId, name, players }]
+ */
+export function getTeams(players) {
+    const sides = [];
+    (players || []).forEach(player => {
+        if (player.teamId === null || player.teamId === undefined) {
+            sides.push({ teamId: null, name: `Player ${player.port}`, players: [player] });
+            return;
+        }
+
+        let side = sides.find(entry => entry.teamId === player.teamId);
+        if (!side) {
+            side = { teamId: player.teamId, name: `${TEAM_NAMES[player.teamId] || `Team ${player.teamId}`} Team`, players: [] };
+            sides.push(side);
+        }
+        side.players.push(player);
+    });
+    return sides;
+}
+
+/**
+ * Sums per-player totals into per-side totals
+ *
+ * @param {Array<Object>} players - Normalized players
+ * @param {Object} totals - { [statName]: { [playerIndex]: number } }
+ * @returns {Array<Object>} - [{ teamId, name, characters, playerIndices, [statName]: sum }]
+ */
+export function summarizeTeams(players, totals = {}) {
+    return getTeams(players).map(side => {
+        const summary = {
+            teamId: side.teamId,
+            name: side.name,
+            characters: side.players.map(p => p.character),
+            playerIndices: side.players.map(p => p.playerIndex)
+        };
+        Object.entries(totals).forEach(([statName, values]) => {
+            summary[statName] = side.players.reduce((sum, p) => sum + (values?.[p.playerIndex] || 0), 0);
+        });
+        return summary;
+    });
+}
+
+/**
+ * Short label for a side, e.g. "Red Team (Fox & Marth)" or "Fox"
+ *
+ * @param {Object} side - Side from getTeams()
+ * @returns {string}
+ */
+export function describeSide(side) {
+    if (!side) return 'Unknown';
+    const characters = side.players.map(p => p.character).join(' & ');
+    return side.teamId === null ? characters : `${side.name} (${characters})`;
+}
+
+/**
+ * Describes how one player relates to another
+ *
+ * @param {Array<Object>} players - Normalized players
+ * @param {number} playerIndex - Player the relationship is seen from
+ * @param {number} otherIndex - Other player
+ * @returns {string|null} - 'self', 'teammate', 'opponent', or null if either player is unknown
+ */
+export function getRelationship(players, playerIndex, otherIndex) {
+    if (playerIndex === otherIndex) return 'self';
+
+    const player = (players || []).find(p => p.playerIndex === playerIndex);
+    const other = (players || []).find(p => p.playerIndex === otherIndex);
+    if (!player || !other) return null;
+
+    const sameTeam = player.teamId !== null && player.teamId !== undefined && player.teamId === other.teamId;
+    return sameTeam ? 'teammate' : 'opponent';
+}
+
+/**
+ * Determines the winning side from remaining stocks. Teams share a stock total, so a
+ * team wins as long as any member is still alive. Timeouts are broken by lower
+ * total percent, as in game.
+ *
+ * @param {Array<Object>} players - Normalized players
+ * @param {Object} stockCounts - { [playerIndex]: stocks }
+ * @param {Object} options - { percents: { [playerIndex]: percent }, endMethod }
+ * @returns {Object|null} - Winning side ({ teamId, name, players }) or null if undecided
+ */
+export function determineWinningSide(players, stockCounts, options = {}) {
+    const { percents = null, endMethod = null } = options;
+
+    const standings = getTeams(players).map(side => ({
+        side,
+        stocks: side.players.reduce((sum, p) => sum + Math.max(0, stockCounts?.[p.playerIndex] ?? 0), 0),
+        percent: side.players.reduce((sum, p) => {
+            const alive = (stockCounts?.[p.playerIndex] ?? 0) > 0;
+            return sum + (alive ? (percents?.[p.playerIndex] ?? 0) : 0);
+        }, 0)
+    }));
+    if (standings.length < 2) return null;
+
+    standings.sort((a, b) => b.stocks - a.stocks);
+    const [first, second] = standings;
+    if (first.stocks > second.stocks) return first.side;
+
+    // Equal stocks on time: lower percent wins
+    if (endMethod === GAME_END_TIME && percents) {
+        const tied = standings.filter(entry => entry.stocks === first.stocks)
+            .sort((a, b) => a.percent - b.percent);
+        if (tied[0].percent < tied[1].percent) return tied[0].side;
+    }
+
+    return null;
+}
+
+/**
+ * Incremental reader for a .slp file that is still being written. It remembers the byte
+ * offset it has parsed up to, so each read() only parses the data appended since the
+ * previous one and returns every newly finalized frame exactly once, in order (frames are
+ * finalized once rollbacks can no longer change them). It answers the same queries as
+ * SlippiGame for what it has read so far (settings, frames, latest frame, game end,
+ * metadata), so a GameModel can wrap it, and keeps combos up to date as frames arrive.
+ */
+export class SlpFrameReader {
+    /**
+     * @param {string} filePath - Path to the .slp file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.readPosition = null;
+        this.latestFrame = null;
+        this.metadata = null;
+        this.pendingFrames = [];
+
+        this.parser = new SlpParser();
+        this.comboComputer = new ComboComputer();
+        this.stats = new Stats({ processOnTheFly: true });
+        this.stats.register(this.comboComputer);
+
+        this.parser.on(SlpParserEvent.SETTINGS, settings => this.stats.setup(settings));
+        this.parser.on(SlpParserEvent.FINALIZED_FRAME, frame => {
+            this.stats.addFrame(frame);
+            this.latestFrame = frame;
+            this.pendingFrames.push(frame);
+        });
+    }
+
+    /**
+     * Parses everything appended to the file since the last read
+     *
+     * @returns {Array<Object>} - Newly finalized frames in chronological order
+     */
+    read() {
+        if (this.parser.getGameEnd() === null) {
+            const file = openSlpFile({ source: SlpInputSource.FILE, filePath: this.filePath });
+            try {
+                // Stops before a command that is only partly written; it is read next time
+                this.readPosition = iterateEvents(file, (command, payload) => {
+                    if (payload) this.parser.handleCommand(command, payload);
+                    return false;
+                }, this.readPosition);
+            } finally {
+                closeSlpFile(file);
+            }
+        }
+
+        const frames = this.pendingFrames;
+        this.pendingFrames = [];
+        return frames;
+    }
+
+    getSettings() {
+        return this.parser.getSettings();
+    }
+
+    getFrames() {
+        return this.parser.getFrames();
+    }
+
+    /**
+     * @returns {Object|null} - Latest finalized frame
+     */
+    getLatestFrame() {
+        return this.latestFrame;
+    }
+
+    getGameEnd() {
+        return this.parser.getGameEnd();
+    }
+
+    /**
+     * Metadata, written after the game end block
+     *
+     * @returns {Object|null}
+     */
+    getMetadata() {
+        if (this.metadata || this.parser.getGameEnd() === null) return this.metadata;
+
+        const file = openSlpFile({ source: SlpInputSource.FILE, filePath: this.filePath });
+        try {
+            this.metadata = getMetadata(file);
+        } finally {
+            closeSlpFile(file);
+        }
+        return this.metadata;
+    }
+
+    /**
+     * Combos up to the latest finalized frame (combo.playerIndex is the player comboed)
+     *
+     * @returns {Array<Object>}
+     */
+    getCombos() {
+        return this.comboComputer.fetch();
+    }
+}
+
+/**
+ * Wraps a SlippiGame (or an SlpFrameReader) and exposes normalized game information
+ */
+export class GameModel {
+    /**
+     * @param {string|Object} source - Path to a .slp file, or an existing SlippiGame or
+     *   SlpFrameReader
+     * @param {Object} options - SlippiGame options (e.g. { processOnTheFly: true })
+     */
+    constructor(source, options = {}) {
+        this.game = typeof source === 'string' ? new SlippiGame(source, options) : source;
+        this._players = null;
+    }
+
+    getSettings() {
+        return this.game.getSettings();
+    }
+
+    getMetadata() {
+        try {
+            return this.game.getMetadata();
+        } catch {
+            // Metadata is only written when the game finishes
+            return null;
+        }
+    }
+
+    getFrames() {
+        return this.game.getFrames() || {};
+    }
+
+    getLatestFrame() {
+        return this.game.getLatestFrame();
+    }
+
+    getGameEnd() {
+        return this.game.getGameEnd();
+    }
+
+    /**
+     * Whether the game start block with player data has been read yet
+     *
+     * @returns {boolean}
+     */
+    isReady() {
+        const settings = this.getSettings();
+        return Boolean(settings && Array.isArray(settings.players) && settings.players.length > 0);
+    }
+
+    /**
+     * Normalized players. Cached once the game start block is available.
+     *
+     * @returns {Array<Object>}
+     */
+    getPlayers() {
+        if (this._players) return this._players;
+        if (!this.isReady()) return [];
+
+        this._players = normalizePlayers(this.getSettings(), this.getMetadata());
+        return this._players;
+    }
+
+    /**
+     * @param {number} playerIndex - Slippi player index (port - 1)
+     * @returns {Object|null} - Normalized player
+     */
+    getPlayer(playerIndex) {
+        return this.getPlayers().find(player => player.playerIndex === playerIndex) || null;
+    }
+
+    /**
+     * @returns {Array<string>} - Character names in player order
+     */
+    getMatchup() {
+        return this.getPlayers().map(player => player.character);
+    }
+
+    getStage() {
+        return getStageInfo(this.getSettings());
+    }
+
+    /**
+     * @returns {Object} - { mode: 'none'|'decreasing'|'increasing', startingSeconds }
+     */
+    getTimerMode() {
+        const settings = this.getSettings() || {};
+        return {
+            mode: TIMER_MODES[settings.timerType] || 'unknown',
+            startingSeconds: settings.startingTimerSeconds ?? null
+        };
+    }
+
+    isTeams() {
+        return Boolean(this.getSettings()?.isTeams);
+    }
+
+    /**
+     * @returns {Array<Object>} - Sides of the game, see getTeams()
+     */
+    getTeams() {
+        return getTeams(this.getPlayers());
+    }
+
+    /**
+     * @param {number} playerIndex - Slippi player index
+     * @returns {Array<Object>} - Players on the same team, excluding the player
+     */
+    getTeammates(playerIndex) {
+        const players = this.getPlayers();
+        return players.filter(p => getRelationship(players, playerIndex, p.playerIndex) === 'teammate');
+    }
+
+    /**
+     * @param {number} playerIndex - Slippi player index
+     * @returns {Array<Object>} - Players on other teams
+     */
+    getOpponents(playerIndex) {
+        const players = this.getPlayers();
+        return players.filter(p => getRelationship(players, playerIndex, p.playerIndex) === 'opponent');
+    }
+
+    /**
+     * @param {number} playerIndex - Slippi player index
+     * @param {number} otherIndex - Other player index
+     * @returns {string|null} - See getRelationship()
+     */
+    getRelationship(playerIndex, otherIndex) {
+        return getRelationship(this.getPlayers(), playerIndex, otherIndex);
+    }
+
+    /**
+     * Stock counts per player index, taken from the given frame (or the latest frame)
+     * and falling back to each player's starting stocks
+     *
+     * @param {Object} frame - Optional frame to read stock counts from
+     * @returns {Object} - { [playerIndex]: stocks }
+     */
+    getStockCounts(frame = null) {
+        const source = frame || this.getLatestFrame();
+        const counts = {};
+        this.getPlayers().forEach(player => {
+            const stocks = source?.players?.[player.playerIndex]?.post?.stocksRemaining;
+            counts[player.playerIndex] = stocks ?? player.startStocks;
+        });
+        return counts;
+    }
+}
+
+export default GameModel;
@@ -0,0 +1,140 @@
+// src/heatmapReport.js
+// Builds positional heatmap reports over one or more replays: per stage, per player,
+// occupancy grids of where they stood in neutral, where they got hit and where they
+// died, written as JSON plus one SVG per layer.
+
+import fs from 'fs';
+import path from 'path';
+import { processSlippiFile } from './slippiProcessor.js';
+import { normalizePlayers, getStageInfo } from './gameModel.js';
+import { generateHeatmaps, mergePlayerHeatmaps, renderHeatmapSvg, HEATMAP_LAYERS } from './utils/heatmaps.js';
+
+/**
+ * Heatmap report format version
+ */
+export const HEATMAP_REPORT_VERSION = 1;
+
+/**
+ * Key players are grouped by across games: connect code, else display name
+ */
+function getPlayerKey(player) {
+    return player.connectCode || player.displayName;
+}
+
+function matchesPlayer(player, filter) {
+    if (!filter) return true;
+    const wanted = String(filter).toLowerCase();
+    return [player.connectCode, player.displayName].some(name => name && name.toLowerCase() === wanted);
+}
+
+/**
+ * Builds heatmaps for every player on every stage across the given replays. Games of
+ * the same player on the same stage are added together.
+ *
+ * @param {Array<string>} filePaths - .slp files
+ * @param {Object} options
+ * @param {number} options.cellSize - Cell size in game units
+ * @param {string} options.player - Only include this connect code or display name
+ * @param {Function} options.onProgress - Called with { done, total, filePath, ok, error }
+ * @returns {Promise<Object>} - { version, generatedAt, games, failed, stages }, where each
+ *   stage is { stageId, stage, cellSize, bounds, columns, rows, players } and each player
+ *   is { key, displayName, connectCode, characters, games, layers, deaths }
+ */
+export async function buildHeatmapReport(filePaths, options = {}) {
+    const { cellSize, player: playerFilter, onProgress } = options;
+    const stages = {};
+    let games = 0;
+    let failed = 0;
+
+    for (let i = 0; i < filePaths.length; i++) {
+        const filePath = filePaths[i];
+        try {
+            const { metadata, settings, frames } = await processSlippiFile(filePath);
+            const stage = getStageInfo(settings);
+            const players = normalizePlayers(settings, metadata).filter(player => matchesPlayer(player, playerFilter));
+            if (players.length === 0) {
+                throw new Error(playerFilter ? `${playerFilter} did not play in this game` : 'Replay has no player data');
+            }
+
+            const heatmap = generateHeatmaps(frames, { stageId: stage.id, cellSize });
+            const stageEntry = stages[stage.id] = stages[stage.id] || {
+                stageId: stage.id,
+                stage: stage.name,
+                cellSize: heatmap.cellSize,
+                bounds: heatmap.bounds,
+                columns: heatmap.columns,
+                rows: heatmap.rows,
+                players: {}
+            };
+
+            players.forEach(player => {
+                const playerHeatmap = heatmap.players[player.playerIndex];
+                if (!playerHeatmap) return;
+
+                const key = getPlayerKey(player);
+                const existing = stageEntry.players[key];
+                const file = path.basename(filePath);
+                const merged = mergePlayerHeatmaps(existing || null, {
+                    layers: playerHeatmap.layers,
+                    deaths: playerHeatmap.deaths.map(death => ({ ...death, file }))
+                });
+
+                stageEntry.players[key] = {
+                    ...merged,
+                    key,
+                    displayName: player.displayName,
+                    connectCode: player.connectCode,
+                    characters: [...new Set([...(existing?.characters || []), player.character])],
+                    games: (existing?.games || 0) + 1
+                };
+            });
+
+            games++;
+            onProgress?.({ done: i + 1, total: filePaths.length, filePath, ok: true });
+        } catch (err) {
+            failed++;
+            onProgress?.({ done: i + 1, total: filePaths.length, filePath, ok: false, error: err.message });
+        }
+    }
+
+    return {
+        version: HEATMAP_REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        games,
+        failed,
+        stages: Object.values(stages).map(stage => ({ ...stage, players: Object.values(stage.players) }))
+    };
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+/**
+ * Writes a heatmap report as heatmaps.json plus one SVG per stage, player and layer
+ *
+ * @param {Object} report - Result of buildHeatmapReport()
+ * @param {string} outputDir - Directory to write into (created if missing)
+ * @returns {Array<string>} - Paths of the files written
+ */
+export function writeHeatmapReport(report, outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const jsonPath = path.join(outputDir, 'heatmaps.json');
+    fs.writeFileSync(jsonPath, JSON.stringify(report), 'utf8');
+    const written = [jsonPath];
+
+    report.stages.forEach(stage => {
+        stage.players.forEach(player => {
+            Object.values(HEATMAP_LAYERS).forEach(layer => {
+                const games = `${player.games} game${player.games === 1 ? '' : 's'}`;
+                const title = `${player.displayName} (${player.characters.join(', ')}) - ${stage.stage} - ${layer}, ${games}`;
+                const svgPath = path.join(outputDir, `${slugify(stage.stage)}-${slugify(player.key)}-${layer}.svg`);
+                fs.writeFileSync(svgPath, renderHeatmapSvg(stage, player, layer, { title }), 'utf8');
+                written.push(svgPath);
+            });
+        });
+    });
+
+    return written;
+}
@@ -10,6 +10,7 @@ import { executeOpenAIRequest } from './utils/api/openaiHandler.js';
 
 // Import constants
 import { COMMENTARY_STYLES } from './utils/constants.js';
+import { readEvent } from './utils/eventSchema.js';
 
 // Cache for LLM-generated commentary to reduce API calls
 const commentaryCache = new Map();
@@ -61,7 +62,7 @@ export async function provideHybridCommentary(apiKey, events, options = {}) {
   // Parse event for decision making
   let event;
   try {
-    event = typeof events[0] === 'string' ? JSON.parse(events[0]) : events[0];
+    event = readEvent(events[0]);
   } catch (e) {
     console.error('Error parsing event:', e);
     // Fall back to template mode on parse error
@@ -280,9 +281,10 @@ Current event: ${JSON.stringify(event, null, 2)}
     case 'combo':
       promptBase += `
 For this combo, focus on:
+- The actual string landed (moveString, opener) rather than the hit count
 - Frame advantage of the starter move
 - Technical execution quality
-- DI expectations and opponent counterplay opportunities
+- DI the victim held on each hit (hits[].di: in/out relative to the attacker, up/down) and counterplay opportunities
 - Follow-up potential based on percent and positioning
 
 Provide a single, concise line of commentary (30-60 characters) that would be spoken by a professional commentator.
@@ -292,7 +294,8 @@ Provide a single, concise line of commentary (30-60 characters) that would be sp
     case 'stockLost':
       promptBase += `
 For this stock loss, focus on:
-- Kill confirm technical execution
+- The kill move, blast zone and percent (killMove, blastZone, percent), or the self-destruct (selfDestruct)
+- Kill confirm technical execution and the punish that led to it (punish, opening)
 - Percent thresholds for the character matchup
 - Stage positioning factors
 - Potential DI or technical escape options
@@ -1,6 +1,13 @@
-import { startLiveMonitoring } from './liveMonitor.js';
-import { provideLiveCommentary } from './liveCommentary.js';
+import path from 'path';
+import { startLiveMonitoring, getConnectionSettings, CONNECTION_TYPES } from './liveMonitor.js';
+import { provideLiveCommentary, createCommentaryThrottle } from './liveCommentary.js';
+import { generateCoachingAdvice } from './aiCoaching.js';
+import { processReplayFile, buildReplayMatchData } from './filebasedindex.js';
+import { ReplayIndex } from './replayIndex.js';
+import { PlayerProfileStore } from './playerProfiles.js';
+import { MatchTimeline } from './matchTimeline.js';
 import { getConfig } from './utils/configManager.js';
+import { EVENT_TYPES } from './utils/eventSchema.js';
 import './utils/logger.js';
 
 async function main() {
@@ -14,32 +21,75 @@ async function main() {
         process.exit(1);
     }
     
-    // Connection parameters - matching your Dolphin Netplay configuration
-    const address = "127.0.0.1";
-    const port = 2626; // Exact port from your Dolphin Netplay Setup
+    // Connection parameters - SLIPPI_CONNECTION_TYPE, SLIPPI_RELAY_ADDRESS and SLIPPI_RELAY_PORT in .env
+    let connection;
+    try {
+        connection = getConnectionSettings();
+    } catch (configError) {
+        console.error(`ERROR: ${configError.message}`);
+        process.exit(1);
+    }
+    const { type, address, port } = connection;
+
+    // Optional recording of every game received (SLIPPI_RECORD_DIR in .env), so games from a
+    // console get the same post-game coaching, replay index and profile updates as replay files
+    const recordDir = process.env.SLIPPI_RECORD_DIR ? path.resolve(process.env.SLIPPI_RECORD_DIR) : null;
+    const replayIndex = new ReplayIndex();
+    const playerProfiles = new PlayerProfileStore();
+    const timeline = new MatchTimeline();
+    let finishedTimeline = null;
 
-    console.log(`Starting live monitoring on ${address}:${port}...`);
+    const coachRecordedGame = async (gameData) => {
+        const matchData = buildReplayMatchData(gameData);
+        if (matchData.players.length === 0) return;
+        if (finishedTimeline) matchData.timeline = finishedTimeline;
+
+        try {
+            console.log("Generating coaching advice...");
+            const advice = await generateCoachingAdvice(apiKey, matchData);
+            console.log("\n===== COACHING ADVICE =====");
+            console.log(advice || "No coaching advice generated.");
+            console.log("===========================\n");
+        } catch (err) {
+            console.error(`Failed to generate coaching advice: ${err.message}`);
+        }
+    };
+
+    console.log(`Starting live monitoring (${type}) on ${address}:${port}...`);
+    if (recordDir) console.log(`Recording games to ${recordDir}`);
     console.log("Waiting for Slippi games...");
 
+    const shouldComment = createCommentaryThrottle();
     try {
-        startLiveMonitoring(address, port, async (eventType, eventData) => {
+        await startLiveMonitoring(address, port, async (eventType, eventData) => {
             try {
-                if (eventType === "combo") {
-                    await provideLiveCommentary(apiKey, [JSON.stringify(eventData)]);
-                }
+                // Keep the finished game's events for its post-game coaching
+                if (eventType === EVENT_TYPES.GAME_END) finishedTimeline = timeline.toJSON();
+
+                if (!shouldComment(eventType)) return;
+                await provideLiveCommentary(apiKey, [eventData]);
             } catch (eventError) {
                 console.error(`Error processing ${eventType} event:`, eventError.message);
             }
+        }, {
+            connectionType: type,
+            timeline,
+            recordDir,
+            onGameRecorded: filePath => processReplayFile(filePath, coachRecordedGame, { replayIndex, playerProfiles })
         });
         
         console.log("Slippi Coach is now running! Press Ctrl+C to exit.");
     } catch (connectionError) {
         console.error(`Failed to start monitoring: ${connectionError.message}`);
         console.log("Check that:");
-        console.log("1. Slippi Dolphin is running with Netplay Setup configured");
-        console.log("2. Direct Connection is selected (as shown in your setup)");
-        console.log("3. Port 2626 is specified in the Netplay configuration");
-        console.log("4. You've pressed the 'Connect' button in the Netplay Setup");
+        if (type === CONNECTION_TYPES.CONSOLE) {
+            console.log(`1. The console or Slippi relay is reachable at ${address}:${port}`);
+            console.log("2. No other program (e.g. the Slippi Launcher mirror) is connected to the console");
+        } else {
+            console.log("1. Slippi Dolphin is running a game (netplay or replay playback)");
+            console.log(`2. Dolphin's spectator port is ${port} (the first instance uses 51441)`);
+        }
+        console.log("Set SLIPPI_CONNECTION_TYPE (dolphin or console), SLIPPI_RELAY_ADDRESS and SLIPPI_RELAY_PORT in .env to change the connection");
         process.exit(1);
     }
 }
@@ -1,16 +1,44 @@
 // src/liveCommentary.js
 import { generateTemplateCommentary } from './templateCommentarySystem.js';
 import { COMMENTARY_STYLES, CACHE_EXPIRY } from './utils/constants.js';
+import { readEvent, EVENT_TYPES } from './utils/eventSchema.js';
 
 // Cache for commentaries to reduce duplicate API calls
 const commentaryCache = new Map();
 
+// Milliseconds between commentaries; stock losses and game ends are always commented on
+const COMMENTARY_THRESHOLD = 3000;
+const ALWAYS_COMMENTED = [EVENT_TYPES.STOCK_LOST, EVENT_TYPES.GAME_END];
+
+/**
+ * Decides which live events get commentary: never game starts or frame updates (they are
+ * context for the events that follow), always stock losses and game ends, anything else
+ * once the threshold has passed since the last commentary
+ *
+ * @param {number} threshold - Milliseconds between commentaries
+ * @returns {Function} - (eventType) => boolean, to call once per event
+ */
+export function createCommentaryThrottle(threshold = COMMENTARY_THRESHOLD) {
+  let lastCommentaryTime = 0;
+
+  return (eventType) => {
+    if (eventType === EVENT_TYPES.GAME_START || eventType === EVENT_TYPES.FRAME_UPDATE) return false;
+
+    const now = Date.now();
+    if (!ALWAYS_COMMENTED.includes(eventType) && now - lastCommentaryTime < threshold) return false;
+    lastCommentaryTime = now;
+    return true;
+  };
+}
+
 /**
  * Provides live commentary based on gameplay events
  * 
  * @param {Object} llmProvider - LLM provider instance
- * @param {Array} events - Gameplay events to comment on
+ * @param {Array} events - Gameplay events to comment on (timeline events, flat event
+ *   objects or their JSON)
  * @param {Object} options - Configuration options
+ * @param {string} options.label - Prefix for the logged commentary, e.g. the setup it is about
  * @returns {Promise<string>} - Generated commentary
  */
 export async function provideLiveCommentary(llmProvider, events, options = {}) {
@@ -21,12 +49,14 @@ export async function provideLiveCommentary(llmProvider, events, options = {}) {
     maxLength = 100,
     gameState = null,
     temperature = 0.75,
+    label = null,
   } = options;
+  const tag = label ? `[${label}] ` : '';
   
   // Parse and prepare the first event for processing
   let event;
   try {
-    event = typeof events[0] === 'string' ? JSON.parse(events[0]) : events[0];
+    event = readEvent(events[0]);
   } catch (e) {
     console.warn('Error parsing event:', e.message);
     return 'Exciting match action!';
@@ -54,7 +84,7 @@ export async function provideLiveCommentary(llmProvider, events, options = {}) {
       });
     }
     
-    console.log(`🎙️ TEMPLATE COMMENTARY: ${commentary}`);
+    console.log(`${tag}🎙️ TEMPLATE COMMENTARY: ${commentary}`);
     return commentary;
   }
   
@@ -62,7 +92,7 @@ export async function provideLiveCommentary(llmProvider, events, options = {}) {
   const prompt = buildTechnicalCommentaryPrompt(event, commentaryStyle, null, gameState);
   
   try {
-    console.log(`[${llmProvider.name}] Generating commentary...`);
+    console.log(`${tag}[${llmProvider.name}] Generating commentary...`);
     
     // Use provider abstraction for consistent interface
     const commentary = await llmProvider.generateCompletion(prompt, {
@@ -79,14 +109,14 @@ export async function provideLiveCommentary(llmProvider, events, options = {}) {
       });
     }
     
-    console.log(`🎙️ ${llmProvider.name.toUpperCase()} COMMENTARY: ${commentary || 'No response'}`);
+    console.log(`${tag}🎙️ ${llmProvider.name.toUpperCase()} COMMENTARY: ${commentary || 'No response'}`);
     return commentary || 'Exciting gameplay!';
   } catch (err) {
     console.error('Error generating commentary:', err.message);
     
     // Graceful fallback to templates on error
     const fallbackCommentary = generateTemplateCommentary(event, gameState);
-    console.log(`🎙️ FALLBACK: ${fallbackCommentary}`);
+    console.log(`${tag}🎙️ FALLBACK: ${fallbackCommentary}`);
     return fallbackCommentary;
   }
 }
@@ -147,9 +177,10 @@ Current event: ${JSON.stringify(event, null, 2)}
     case 'combo':
       promptBase += `
 For this combo, focus on:
+- The actual string landed (moveString, opener) rather than the hit count
 - Frame advantage of the starter move
 - Technical execution quality
-- DI expectations and opponent counterplay opportunities
+- DI the victim held on each hit (hits[].di: in/out relative to the attacker, up/down) and counterplay opportunities
 - Follow-up potential based on percent and positioning
 
 Provide a single, concise line of commentary (30-60 characters) that would be spoken by a professional commentator.
@@ -159,7 +190,8 @@ Provide a single, concise line of commentary (30-60 characters) that would be sp
     case 'stockLost':
       promptBase += `
 For this stock loss, focus on:
-- Kill confirm technical execution
+- The kill move, blast zone and percent (killMove, blastZone, percent), or the self-destruct (selfDestruct)
+- Kill confirm technical execution and the punish that led to it (punish, opening)
 - Percent thresholds for the character matchup
 - Stage positioning factors
 - Potential DI or technical escape options
@@ -203,9 +235,9 @@ function generateCacheKey(event, style) {
   const additionalKey = (() => {
     switch (eventType) {
       case 'combo':
-        return `${event.moves || '?'}-${event.damage || '?'}`;
+        return `${event.moveString || event.moves || '?'}-${event.damage || '?'}`;
       case 'stockLost':
-        return `${event.remainingStocks || '?'}`;
+        return `${event.remainingStocks || '?'}-${event.killMove || event.blastZone || '?'}`;
       case 'actionState':
         return `${event.subType || 'generic'}`;
       default:
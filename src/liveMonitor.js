@@ -1,59 +1,318 @@
 // Fix for CommonJS/ESM interoperability using createRequire
+import fs from 'fs';
+import path from 'path';
 import { createRequire } from 'module';
+import { MatchTimeline } from './matchTimeline.js';
+import { waitForCompleteReplay } from './replayIndex.js';
+import { EVENT_TYPES, createActionStateEvent } from './utils/eventSchema.js';
+import { getComboAttacker } from './utils/slippiUtils.js';
+import { FrameAnalyzer } from './utils/frameDataAnalyzer.js';
+import { summarizeDeath } from './utils/deaths.js';
+import { normalizePlayers, getStageInfo, getTeams, getRelationship, determineWinningSide, describeSide } from './gameModel.js';
 const require = createRequire(import.meta.url);
 // Direct require of CommonJS modules
 const { SlpLiveStream, SlpRealTime } = require('@vinceau/slp-realtime');
+const { ConnectionEvent, ConnectionStatus, Ports, SlpFileWriterEvent } = require('@slippi/slippi-js');
 
-async function startLiveMonitoring(address, port, onEventCallback) {
-    const livestream = new SlpLiveStream();
+/**
+ * Where live game data comes from: the spectator port of Slippi Dolphin, or the console
+ * protocol spoken by a Wii running Nintendont and by Slippi relays
+ */
+export const CONNECTION_TYPES = {
+    DOLPHIN: 'dolphin',
+    CONSOLE: 'console'
+};
+
+// Used when nothing is configured: the relay this monitor has always connected to
+const DEFAULT_CONNECTION = { type: CONNECTION_TYPES.CONSOLE, address: '127.0.0.1', port: 2626 };
+
+const STATUS_NAMES = {
+    [ConnectionStatus.DISCONNECTED]: 'disconnected',
+    [ConnectionStatus.CONNECTING]: 'connecting',
+    [ConnectionStatus.CONNECTED]: 'connected',
+    [ConnectionStatus.RECONNECT_WAIT]: 'reconnect-wait'
+};
+
+const END_TYPES = { 1: 'TIME!', 2: 'GAME!', 7: 'No Contest' };
+const LRAS_END_METHOD = 7;
+
+// Frames between frameUpdate events (10 seconds, as in the file-based coach)
+const FRAME_UPDATE_INTERVAL = 600;
+
+/**
+ * Connection settings from the given overrides, else SLIPPI_CONNECTION_TYPE,
+ * SLIPPI_RELAY_ADDRESS and SLIPPI_RELAY_PORT. A connection type given without a port
+ * uses the standard Slippi port (51441); with nothing configured this is the relay on
+ * 127.0.0.1:2626.
+ *
+ * @param {Object} overrides - { type, address, port }
+ * @returns {Object} - { type, address, port }
+ */
+export function getConnectionSettings(overrides = {}) {
+    const configuredType = overrides.type || process.env.SLIPPI_CONNECTION_TYPE;
+    const type = configuredType ? String(configuredType).toLowerCase() : DEFAULT_CONNECTION.type;
+    if (!Object.values(CONNECTION_TYPES).includes(type)) {
+        throw new Error(`Unknown connection type: ${type} (expected ${Object.values(CONNECTION_TYPES).join(' or ')})`);
+    }
+
+    const configuredPort = overrides.port ?? process.env.SLIPPI_RELAY_PORT;
+    const port = configuredPort !== undefined ? Number(configuredPort) :
+        configuredType ? Ports.DEFAULT : DEFAULT_CONNECTION.port;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid relay port: ${configuredPort}`);
+    }
+
+    return {
+        type,
+        address: overrides.address || process.env.SLIPPI_RELAY_ADDRESS || DEFAULT_CONNECTION.address,
+        port
+    };
+}
+
+/**
+ * Connects to a Slippi Dolphin relay or a console and records the same events as the
+ * file-based coach in a match timeline: game start and end, stock losses (with the kill
+ * move and punish), combos, action states from the frame analyzer and periodic frame
+ * updates. Every recorded event is passed to the callback. With a recording directory,
+ * every game received is also written to a .slp file (with metadata: start time, last
+ * frame, console nickname, player names and characters).
+ *
+ * @param {string} address - Relay or console address
+ * @param {number} port - Relay or console port
+ * @param {Function} onEventCallback - Called with (eventType, event) where event is the
+ *   timeline event envelope
+ * @param {Object} options
+ * @param {string} options.connectionType - 'dolphin' or 'console' (default: 'console')
+ * @param {string} options.label - Prefix for log lines (default: none)
+ * @param {MatchTimeline} options.timeline - Timeline to record into (cleared on every game start)
+ * @param {Function} options.onFrame - Called with (frame, frameAnalyzer) for every frame
+ * @param {Function} options.onStatusChange - Called with the connection status name
+ *   ('disconnected', 'connecting', 'connected' or 'reconnect-wait')
+ * @param {string} options.recordDir - Directory to record games into (default: no recording)
+ * @param {Function} options.onGameRecorded - Called with the path of each completely
+ *   written recording
+ * @returns {Promise<Object>} - { timeline, stop } where timeline is the one events are
+ *   recorded in and stop() unsubscribes from the stream and closes the connection
+ */
+async function startLiveMonitoring(address, port, onEventCallback, options = {}) {
+    const connectionType = options.connectionType || DEFAULT_CONNECTION.type;
+    const source = `${connectionType}:${address}:${port}`;
+    const livestream = new SlpLiveStream(connectionType,
+        options.recordDir ? { outputFiles: true, folderPath: options.recordDir } : undefined);
     const realtime = new SlpRealTime();
+    const timeline = options.timeline || new MatchTimeline({ source });
+
+    // With several connections in one process, every line names the one it is about
+    const prefix = options.label ? [`[${options.label}]`] : [];
+    const log = (...args) => console.log(...prefix, ...args);
+    const warn = (...args) => console.warn(...prefix, ...args);
+    const logError = (...args) => console.error(...prefix, ...args);
+
+    // State of the game in progress
+    let players = [];
+    let stockCounts = {};
+    let percents = {};
+    let frameAnalyzer = null;
+    let lastFrame = null;
+
+    const record = (event) => {
+        const entry = timeline.add(event);
+        if (entry) onEventCallback(entry.type, entry);
+        return entry;
+    };
+    const getPlayer = playerIndex => players.find(player => player.playerIndex === playerIndex) || null;
+
+    const subscriptions = [];
+    const stop = () => {
+        subscriptions.forEach(subscription => subscription.unsubscribe());
+        subscriptions.length = 0;
+        livestream.connection.disconnect();
+    };
+
+    const recordStockLost = (playerIndex, stocksLost, frame) => {
+        // Kill move, blast zone and punish, recorded by the analyzer when the player died
+        const recordedDeaths = timeline.getEvents({ type: EVENT_TYPES.STOCK_LOST, playerIndex })
+            .map(event => event.payload.deathFrame);
+        const death = frameAnalyzer.analysis.deaths
+            .filter(d => d.playerIndex === playerIndex && !recordedDeaths.includes(d.frame))
+            .pop() || null;
+        const names = Object.fromEntries(players.map(p => [p.playerIndex, p.character]));
+        const deathSummary = death ? summarizeDeath(death, names) : null;
+        const killer = death?.killerIndex !== null && death?.killerIndex !== undefined ? getPlayer(death.killerIndex) : null;
+
+        record({
+            type: EVENT_TYPES.STOCK_LOST,
+            frame,
+            playerIndex,
+            stocksLost,
+            remainingStocks: stockCounts[playerIndex],
+            playerCharacter: getPlayer(playerIndex)?.character || 'Unknown',
+            killerIndex: killer ? death.killerIndex : null,
+            killerCharacter: killer?.character,
+            deathFrame: death?.frame ?? null,
+            ...deathSummary
+        });
+    };
+
+    const handleFrame = (frame) => {
+        if (!frameAnalyzer || !frame?.players || (lastFrame !== null && frame.frame <= lastFrame)) return;
+        lastFrame = frame.frame;
+        frameAnalyzer.pushFrame(frame);
+
+        // After the analyzer, so the death that cost the stock is already recorded
+        Object.entries(frame.players).forEach(([playerIndexStr, playerFrame]) => {
+            const playerIndex = Number(playerIndexStr);
+            const post = playerFrame?.post;
+            if (!post) return;
+
+            percents[playerIndex] = post.percent ?? percents[playerIndex];
+            if (post.stocksRemaining === undefined || post.stocksRemaining === null) return;
+            const previousStocks = stockCounts[playerIndex];
+            stockCounts[playerIndex] = post.stocksRemaining;
+            if (previousStocks !== undefined && post.stocksRemaining < previousStocks) {
+                recordStockLost(playerIndex, previousStocks - post.stocksRemaining, frame.frame);
+            }
+        });
+
+        if (frame.frame > 0 && frame.frame % FRAME_UPDATE_INTERVAL === 0) {
+            record({
+                type: EVENT_TYPES.FRAME_UPDATE,
+                frame: frame.frame,
+                players: Object.fromEntries(players.map(p => [p.playerIndex, {
+                    percent: parseFloat((percents[p.playerIndex] ?? 0).toFixed(1)),
+                    stocks: stockCounts[p.playerIndex] ?? '?'
+                }]))
+            });
+        }
+
+        if (options.onFrame) options.onFrame(frame, frameAnalyzer);
+    };
 
     try {
         // Register error handler before attempting connection
-        livestream.connection.on('error', (err) => {
-            console.error(`Slippi relay connection error: ${err.message}`);
-            console.log("Attempting to reconnect automatically...");
-            // The reconnect-core library will handle reconnection attempts
+        livestream.connection.on(ConnectionEvent.ERROR, (err) => {
+            logError(`Slippi ${connectionType} connection error: ${err?.message || err}`);
         });
 
-        // Register disconnect handler
-        livestream.connection.on('disconnect', () => {
-            console.log("Disconnected from Slippi relay. Waiting for reconnection...");
+        // Connection status changes (reconnection is handled by the connection itself)
+        livestream.connection.on(ConnectionEvent.STATUS_CHANGE, (status) => {
+            const statusName = STATUS_NAMES[status] || `status ${status}`;
+            log(`Slippi ${connectionType} connection: ${statusName}`);
+            if (status === ConnectionStatus.RECONNECT_WAIT) {
+                log("Waiting to reconnect automatically...");
+            }
+            if (options.onStatusChange) options.onStatusChange(statusName);
         });
 
-        // Register reconnect handler
-        livestream.connection.on('reconnect', (attempt) => {
-            console.log(`Reconnection attempt #${attempt}`);
-        });
+        if (options.recordDir) {
+            fs.mkdirSync(options.recordDir, { recursive: true });
+            livestream.on(SlpFileWriterEvent.NEW_FILE, (filePath) => {
+                log(`Recording game to ${filePath}`);
+            });
+            livestream.on(SlpFileWriterEvent.FILE_COMPLETE, async (filePath) => {
+                try {
+                    if (!await waitForCompleteReplay(filePath)) {
+                        warn(`Recording ${path.basename(filePath)} was not finished in time; skipping post-game analysis`);
+                        return;
+                    }
+                    log(`Saved recording: ${path.basename(filePath)}`);
+                    if (options.onGameRecorded) await options.onGameRecorded(filePath);
+                } catch (err) {
+                    logError(`Error finishing recording ${path.basename(filePath)}: ${err.message}`);
+                }
+            });
+        }
 
         await livestream.start(address, port);
-        console.log("Successfully connected to live stream!");
+        log(`Successfully connected to ${connectionType} at ${address}:${port}!`);
 
         realtime.setStream(livestream);
 
         // Subscribe to game start
-        realtime.game.start$.subscribe(() => {
-            console.log("Game started!");
-            onEventCallback("gameStart", {});
-        });
+        subscriptions.push(realtime.game.start$.subscribe((settings) => {
+            log("Game started!");
+            players = normalizePlayers(settings);
+            stockCounts = Object.fromEntries(players.map(p => [p.playerIndex, p.startStocks]));
+            percents = {};
+            lastFrame = null;
+            const stage = getStageInfo(settings);
+            frameAnalyzer = new FrameAnalyzer({ stageId: stage.id });
+            frameAnalyzer.on('technique', (technique) => {
+                const actionState = createActionStateEvent(technique, getPlayer(technique.playerIndex));
+                if (actionState) record(actionState);
+            });
 
-        // Subscribe to stock changes
-        realtime.stock.countChange$.subscribe((payload) => {
-            console.log(`Player ${payload.playerIndex + 1} stocks: ${payload.stocksRemaining}`);
-            onEventCallback("stockChange", payload);
-        });
+            timeline.clear({ source, stageId: stage.id, players });
+            record({
+                type: EVENT_TYPES.GAME_START,
+                frame: -123,
+                matchup: players.map(p => p.character),
+                playerTypes: players.map(p => p.type),
+                isTeams: Boolean(settings?.isTeams),
+                stage: stage.id
+            });
+        }));
 
-        // Subscribe to combos
-        realtime.combo.end$.subscribe((payload) => {
-            console.log("Combo detected:", payload);
-            onEventCallback("combo", payload);
-        });
+        // Every frame, in order, through the same analyzer the file-based coach uses
+        subscriptions.push(livestream.playerFrame$.subscribe(handleFrame));
+
+        // Subscribe to game end
+        subscriptions.push(realtime.game.end$.subscribe((gameEnd) => {
+            const endType = END_TYPES[gameEnd?.gameEndMethod] || 'Unknown';
+            log(`Game ended: ${endType}`);
+
+            const winningSide = gameEnd?.gameEndMethod === LRAS_END_METHOD ? null :
+                determineWinningSide(players, stockCounts, { percents, endMethod: gameEnd?.gameEndMethod });
+            const losingSides = winningSide ?
+                getTeams(players).filter(side => side.name !== winningSide.name) : [];
+
+            record({
+                type: EVENT_TYPES.GAME_END,
+                frame: lastFrame,
+                endType,
+                lrasQuitter: gameEnd?.gameEndMethod === LRAS_END_METHOD ? gameEnd.lrasInitiatorIndex : undefined,
+                winnerIndex: winningSide ? winningSide.players[0].playerIndex : -1, // First winner, kept for 1v1 consumers
+                winnerIndices: winningSide ? winningSide.players.map(p => p.playerIndex) : [],
+                winner: winningSide ? describeSide(winningSide) : undefined,
+                loser: losingSides.length > 0 ? losingSides.map(describeSide).join(' and ') : undefined,
+                isTeams: players.some(p => p.teamId !== null)
+            });
+        }));
+
+        // Subscribe to combos (combo.playerIndex is the player being comboed)
+        subscriptions.push(realtime.combo.end$.subscribe((payload) => {
+            const combo = payload.combo || payload;
+            const endPercent = combo.endPercent ?? combo.currentPercent ?? combo.startPercent;
+            const attackerIndex = getComboAttacker(combo) ?? combo.playerIndex;
+            const damage = parseFloat((endPercent - combo.startPercent).toFixed(1));
+            log(`Combo: ${combo.moves?.length || 0} hits, ${damage}%`);
+
+            record({
+                type: EVENT_TYPES.COMBO,
+                frame: combo.endFrame ?? null,
+                playerIndex: attackerIndex,
+                victimIndex: combo.playerIndex,
+                relationship: getRelationship(players, attackerIndex, combo.playerIndex) || 'opponent',
+                moves: combo.moves?.length || 0,
+                damage,
+                didKill: Boolean(combo.didKill),
+                playerCharacter: getPlayer(attackerIndex)?.character || 'Unknown',
+                victimCharacter: getPlayer(combo.playerIndex)?.character || 'Unknown',
+                startFrame: combo.startFrame,
+                endFrame: combo.endFrame ?? null
+            });
+        }));
 
+        return { timeline, stop };
     } catch (err) {
-        console.error("Failed to connect to live stream:", err.message);
-        console.log("Verify that Slippi is running with relay protocol enabled");
+        // A connection that timed out may still be trying
+        stop();
+        logError("Failed to connect to live stream:", err.message);
+        log(connectionType === CONNECTION_TYPES.CONSOLE ?
+            "Verify that the console is on the network and Nintendont is running Slippi" :
+            "Verify that Slippi is running with relay protocol enabled");
         throw new Error(`Connection failure: ${err.message}`);
     }
 }
 
-export { startLiveMonitoring };
\ No newline at end of file
+export { startLiveMonitoring };
@@ -0,0 +1,140 @@
+// src/matchTimeline.js
+// Ordered record of every event in a match, in the shared event schema. Monitors add
+// events as they happen; commentary reads single events from it and coaching reads the
+// whole timeline after the game. Timelines serialize to and from JSON.
+
+import { EventEmitter } from 'events';
+import { EVENT_SCHEMA_VERSION, EVENT_TYPES, normalizeEvent, validateEvent, flattenEvent } from './utils/eventSchema.js';
+
+export class MatchTimeline extends EventEmitter {
+    /**
+     * @param {Object} metadata - Match information kept with the events, e.g.
+     *   { source, stageId, players, startAt }
+     */
+    constructor(metadata = {}) {
+        super();
+        this.clear(metadata);
+    }
+
+    /**
+     * Drops every event and starts over (e.g. when a new game starts on a relay)
+     *
+     * @param {Object} metadata - New match information
+     */
+    clear(metadata = {}) {
+        this.metadata = { ...metadata };
+        this.events = [];
+        this.nextSeq = 0;
+    }
+
+    get length() {
+        return this.events.length;
+    }
+
+    /**
+     * Adds an event. Flat events ({ type, playerIndex, ... }) are converted to the
+     * envelope shape first. Invalid events are not added.
+     *
+     * @param {Object} event - Event envelope or flat event
+     * @returns {Object|null} - The stored envelope, or null when the event is invalid
+     */
+    add(event) {
+        const entry = { ...normalizeEvent(event), seq: this.nextSeq };
+        const { valid, errors } = validateEvent(entry);
+        if (!valid) {
+            console.warn(`[Timeline] Dropping invalid ${entry.type || 'untyped'} event: ${errors.join('; ')}`);
+            return null;
+        }
+
+        this.nextSeq++;
+        this.events.push(entry);
+        this.emit('event', entry);
+        return entry;
+    }
+
+    /**
+     * Events matching every given filter, in the order they were added
+     *
+     * @param {Object} filter
+     * @param {string|Array<string>} filter.type - Event type(s)
+     * @param {number} filter.playerIndex - Only events involving this player
+     * @param {number} filter.fromFrame - Only events on or after this frame
+     * @param {number} filter.toFrame - Only events on or before this frame
+     * @returns {Array<Object>} - Event envelopes
+     */
+    getEvents(filter = {}) {
+        const types = filter.type !== undefined ? [].concat(filter.type) : null;
+        return this.events.filter(event =>
+            (!types || types.includes(event.type)) &&
+            (filter.playerIndex === undefined || event.players.includes(filter.playerIndex)) &&
+            (filter.fromFrame === undefined || (event.frame !== null && event.frame >= filter.fromFrame)) &&
+            (filter.toFrame === undefined || (event.frame !== null && event.frame <= filter.toFrame)));
+    }
+
+    /**
+     * Payloads of matching events, flattened ({ type, frame, timestamp, ...payload })
+     *
+     * @param {Object} filter - Same as getEvents()
+     * @returns {Array<Object>}
+     */
+    getFlatEvents(filter = {}) {
+        return this.getEvents(filter).map(flattenEvent);
+    }
+
+    /**
+     * Stocks lost, damage dealt on opponents and friendly fire per player, from the
+     * stockLost and combo events
+     *
+     * @returns {Object} - { stocksLost, damageDealt, friendlyFire, teamKills }, the first
+     *   three keyed by player index
+     */
+    summarize() {
+        const stocksLost = {};
+        const damageDealt = {};
+        const friendlyFire = {};
+        let teamKills = 0;
+
+        this.getEvents({ type: EVENT_TYPES.STOCK_LOST }).forEach(({ payload }) => {
+            stocksLost[payload.playerIndex] = (stocksLost[payload.playerIndex] || 0) + (payload.stocksLost ?? 1);
+            if (payload.killerRelationship === 'teammate') teamKills++;
+        });
+        this.getEvents({ type: EVENT_TYPES.COMBO }).forEach(({ payload }) => {
+            const totals = payload.relationship === 'teammate' ? friendlyFire : damageDealt;
+            totals[payload.playerIndex] = (totals[payload.playerIndex] || 0) + payload.damage;
+        });
+
+        return { stocksLost, damageDealt, friendlyFire, teamKills };
+    }
+
+    toJSON() {
+        return {
+            schemaVersion: EVENT_SCHEMA_VERSION,
+            metadata: this.metadata,
+            events: this.events
+        };
+    }
+
+    /**
+     * Restores a timeline written with toJSON()
+     *
+     * @param {Object|string} json - Parsed object or JSON text
+     * @returns {MatchTimeline}
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.schemaVersion !== EVENT_SCHEMA_VERSION) {
+            throw new Error(`Unsupported timeline schema version: ${data?.schemaVersion} (expected ${EVENT_SCHEMA_VERSION})`);
+        }
+
+        const timeline = new MatchTimeline(data.metadata);
+        (data.events || []).forEach((event, i) => {
+            const { valid, errors } = validateEvent(event);
+            if (!valid) {
+                throw new Error(`Invalid event ${i} in timeline: ${errors.join('; ')}`);
+            }
+            timeline.events.push(event);
+        });
+        timeline.nextSeq = timeline.events.reduce((max, event) => Math.max(max, (event.seq ?? -1) + 1), 0);
+        return timeline;
+    }
+}
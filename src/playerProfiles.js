@@ -0,0 +1,420 @@
+// src/playerProfiles.js
+// Long-term player profiles, keyed by connect code or a configured alias. Every indexed
+// game adds its per-player metrics from the frame analysis, plus matchup and stage
+// records; profiles expose rolling averages and trends, which coaching prompts quote so
+// advice refers to habits seen over many games rather than one.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const PROFILES_VERSION = 1;
+
+/**
+ * Games kept per profile for rolling averages (older games only remain in the records)
+ */
+export const MAX_PROFILE_GAMES = 500;
+
+/**
+ * Games in the rolling window, and in the earlier window trends compare it against
+ */
+export const DEFAULT_TREND_WINDOW = 10;
+
+/**
+ * Drill sessions kept per profile (see drillMode.js)
+ */
+export const MAX_PROFILE_DRILLS = 100;
+
+/**
+ * Per-game metrics taken from analyzeFrameData() playerMetrics. `higherIsBetter` decides
+ * whether a rising average is an improvement; `minChange` is the smallest difference
+ * between windows reported as a trend.
+ */
+export const PROFILE_METRICS = {
+    lCancelRate: { label: 'L-cancel rate', higherIsBetter: true, minChange: 0.05, percent: true },
+    techRate: { label: 'Tech rate', higherIsBetter: true, minChange: 0.05, percent: true },
+    neutralWinRatio: { label: 'Neutral win ratio', higherIsBetter: true, minChange: 0.04, percent: true },
+    openingsPerKill: { label: 'Openings per kill', higherIsBetter: false, minChange: 0.5, percent: false },
+    damagePerOpening: { label: 'Damage per opening', higherIsBetter: true, minChange: 2, percent: false }
+};
+
+/**
+ * Default profile store location, overridable with SLIPPI_PROFILES_PATH
+ *
+ * @returns {string} - Path to the profile file
+ */
+export function getDefaultProfilesPath() {
+    return process.env.SLIPPI_PROFILES_PATH || path.join(os.homedir(), '.slippi-coach', 'player-profiles.json');
+}
+
+/**
+ * Reads a metric the analyzer formats as a string ('0.85', 'N/A')
+ */
+function parseMetric(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function average(values) {
+    const known = values.filter(value => value !== null);
+    return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+function addResult(records, key, won) {
+    const entry = records[key] = records[key] || { games: 0, wins: 0, losses: 0 };
+    entry.games++;
+    if (won === true) entry.wins++;
+    if (won === false) entry.losses++;
+}
+
+function createProfile(key, displayName) {
+    return {
+        key,
+        displayName: displayName || key,
+        connectCodes: [],
+        games: 0,
+        firstPlayedAt: null,
+        lastPlayedAt: null,
+        characters: {},
+        matchups: {},
+        stages: {},
+        recentGames: [],
+        drills: []
+    };
+}
+
+function getOpponents(record, player) {
+    return record.players.filter(other =>
+        other.playerIndex !== player.playerIndex &&
+        (!record.isTeams || other.teamId === null || other.teamId === undefined || other.teamId !== player.teamId));
+}
+
+/**
+ * Persistent player profiles backed by a JSON file
+ */
+export class PlayerProfileStore {
+    /**
+     * @param {string} profilesPath - Path to the profile file (default: getDefaultProfilesPath())
+     */
+    constructor(profilesPath = getDefaultProfilesPath()) {
+        this.profilesPath = profilesPath;
+        this.profiles = {};
+        this.aliases = {};
+        this.loaded = false;
+    }
+
+    /**
+     * Reads the profiles from disk; a missing file is an empty store
+     *
+     * @returns {PlayerProfileStore}
+     */
+    load() {
+        let data = null;
+        try {
+            data = JSON.parse(fs.readFileSync(this.profilesPath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`Could not read player profiles from ${this.profilesPath}: ${err.message}`);
+            }
+        }
+
+        if (data && data.version !== PROFILES_VERSION) {
+            console.warn(`Ignoring player profiles with unsupported version ${data.version} in ${this.profilesPath}`);
+            data = null;
+        }
+
+        this.profiles = data?.profiles || {};
+        this.aliases = data?.aliases || {};
+        this.loaded = true;
+        return this;
+    }
+
+    _ensureLoaded() {
+        if (!this.loaded) this.load();
+    }
+
+    /**
+     * Writes the store (through a temporary file, so a crash never leaves half a file)
+     */
+    save() {
+        this._ensureLoaded();
+        fs.mkdirSync(path.dirname(this.profilesPath), { recursive: true });
+        const tempPath = `${this.profilesPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: PROFILES_VERSION,
+            aliases: this.aliases,
+            profiles: this.profiles
+        }), 'utf8');
+        fs.renameSync(tempPath, this.profilesPath);
+    }
+
+    /**
+     * Maps a connect code or display name (e.g. an offline tag) to a profile key, so
+     * several codes or names can share one profile
+     *
+     * @param {string} name - Connect code or display name
+     * @param {string} profileKey - Profile to use for it
+     */
+    setAlias(name, profileKey) {
+        this._ensureLoaded();
+        this.aliases[name.toLowerCase()] = profileKey;
+    }
+
+    /**
+     * Profile key of a player: a configured alias for their connect code or display
+     * name, else their connect code. Offline players without an alias have no profile.
+     *
+     * @param {Object} player - Player with connectCode and displayName
+     * @returns {string|null}
+     */
+    resolveKey(player) {
+        this._ensureLoaded();
+        const alias = [player.connectCode, player.displayName]
+            .filter(Boolean)
+            .map(name => this.aliases[name.toLowerCase()])
+            .find(Boolean);
+        return alias || player.connectCode || null;
+    }
+
+    /**
+     * @param {Object|string} player - Player, or a profile key, connect code or alias
+     * @returns {Object|null} - Profile
+     */
+    get(player) {
+        this._ensureLoaded();
+        const key = typeof player === 'string'
+            ? this.aliases[player.toLowerCase()] || player
+            : this.resolveKey(player);
+        return key ? this.profiles[key] || null : null;
+    }
+
+    get size() {
+        this._ensureLoaded();
+        return Object.keys(this.profiles).length;
+    }
+
+    /**
+     * Adds a game to the profile of every player in it. Games already recorded (same
+     * hash) and CPUs are skipped. Call save() to persist.
+     *
+     * @param {Object} record - Replay index record (see buildIndexRecord)
+     * @returns {Array<string>} - Keys of the profiles that were updated
+     */
+    recordGame(record) {
+        this._ensureLoaded();
+        const playerMetrics = record.technicalAnalysis?.rawMetrics?.playerMetrics || {};
+        const updated = [];
+
+        record.players.forEach(player => {
+            const key = player.isCPU ? null : this.resolveKey(player);
+            if (!key) return;
+
+            const profile = this.profiles[key] = this.profiles[key] || createProfile(key, player.displayName);
+            if (profile.recentGames.some(game => game.hash === record.hash)) return;
+
+            const opponents = getOpponents(record, player);
+            const metrics = Object.fromEntries(Object.keys(PROFILE_METRICS)
+                .map(metric => [metric, parseMetric(playerMetrics[player.playerIndex]?.[metric])]));
+
+            profile.games++;
+            profile.displayName = player.displayName || profile.displayName;
+            if (player.connectCode && !profile.connectCodes.includes(player.connectCode)) {
+                profile.connectCodes.push(player.connectCode);
+            }
+            if (record.startAt && (!profile.firstPlayedAt || record.startAt < profile.firstPlayedAt)) {
+                profile.firstPlayedAt = record.startAt;
+            }
+            if (record.startAt && (!profile.lastPlayedAt || record.startAt > profile.lastPlayedAt)) {
+                profile.lastPlayedAt = record.startAt;
+            }
+
+            addResult(profile.characters, player.character, player.won);
+            addResult(profile.stages, record.stage, player.won);
+            if (!record.isTeams) {
+                opponents.forEach(opponent => {
+                    addResult(profile.matchups, `${player.character} vs ${opponent.character}`, player.won);
+                });
+            }
+
+            profile.recentGames.push({
+                hash: record.hash,
+                playedAt: record.startAt || null,
+                character: player.character,
+                opponents: opponents.map(opponent => opponent.character),
+                stage: record.stage,
+                isTeams: Boolean(record.isTeams),
+                won: player.won ?? null,
+                metrics
+            });
+            profile.recentGames.sort((a, b) => (Date.parse(a.playedAt) || 0) - (Date.parse(b.playedAt) || 0));
+            if (profile.recentGames.length > MAX_PROFILE_GAMES) {
+                profile.recentGames.splice(0, profile.recentGames.length - MAX_PROFILE_GAMES);
+            }
+
+            updated.push(key);
+        });
+
+        return updated;
+    }
+
+    /**
+     * Adds the summary of a drill session to a profile, creating the profile if the
+     * player has none yet. Call save() to persist.
+     *
+     * @param {Object|string} player - Player, or a profile key, connect code or alias
+     * @param {Object} summary - DrillSession.getSummary()
+     * @returns {string|null} - Key of the updated profile, or null when the player has none
+     */
+    recordDrill(player, summary) {
+        this._ensureLoaded();
+        const key = typeof player === 'string'
+            ? this.aliases[player.toLowerCase()] || player
+            : this.resolveKey(player);
+        if (!key) return null;
+
+        const profile = this.profiles[key] = this.profiles[key] ||
+            createProfile(key, typeof player === 'string' ? null : player.displayName);
+        profile.drills = profile.drills || [];
+        profile.drills.push(summary);
+        if (profile.drills.length > MAX_PROFILE_DRILLS) {
+            profile.drills.splice(0, profile.drills.length - MAX_PROFILE_DRILLS);
+        }
+        return key;
+    }
+
+    /**
+     * Drops every profile (aliases are kept), e.g. before rebuilding from the index
+     */
+    clear() {
+        this._ensureLoaded();
+        this.profiles = {};
+    }
+}
+
+/**
+ * Rolling and all-time averages per metric, and whether the recent window improved or
+ * declined against the window before it
+ *
+ * @param {Object} profile - Profile from PlayerProfileStore
+ * @param {Object} options
+ * @param {number} options.window - Games per window (default: 10)
+ * @returns {Object} - { [metric]: { recent, previous, allTime, games, trend } } where
+ *   trend is 'improving', 'declining' or null
+ */
+export function computeProfileTrends(profile, options = {}) {
+    const window = options.window ?? DEFAULT_TREND_WINDOW;
+    const trends = {};
+
+    Object.entries(PROFILE_METRICS).forEach(([metric, spec]) => {
+        const values = profile.recentGames.map(game => game.metrics[metric]).filter(value => value !== null);
+        const recent = average(values.slice(-window));
+        const previous = average(values.slice(-2 * window, -window));
+
+        let trend = null;
+        if (recent !== null && previous !== null && values.length >= 2 * window &&
+            Math.abs(recent - previous) >= spec.minChange) {
+            trend = (recent > previous) === spec.higherIsBetter ? 'improving' : 'declining';
+        }
+
+        trends[metric] = { recent, previous, allTime: average(values), games: values.length, trend };
+    });
+
+    return trends;
+}
+
+function formatRecord({ wins, losses }) {
+    return `${wins}-${losses}`;
+}
+
+function formatMetricValue(metric, value) {
+    return PROFILE_METRICS[metric].percent ? `${Math.round(value * 100)}%` : value.toFixed(1);
+}
+
+/**
+ * Readable long-term history for coaching prompts, e.g.
+ * { 'L-cancel rate': '84% over the last 10 games (all-time 79%, improving)', ... }, plus
+ * the latest drill session per technique
+ *
+ * @param {Object} profile - Profile from PlayerProfileStore
+ * @param {Object} options
+ * @param {string} options.character - Character played now (selects the matchup records)
+ * @param {Array<string>} options.opponents - Opponent characters now
+ * @param {string} options.stage - Stage now
+ * @param {number} options.window - Rolling window (default: 10)
+ * @returns {Object} - Metric label -> text
+ */
+export function summarizeProfile(profile, options = {}) {
+    const window = options.window ?? DEFAULT_TREND_WINDOW;
+    const summary = {};
+    if (profile.games > 0) {
+        summary['Games tracked'] = `${profile.games} since ${profile.firstPlayedAt ? profile.firstPlayedAt.slice(0, 10) : 'unknown date'}`;
+    }
+
+    Object.entries(computeProfileTrends(profile, { window })).forEach(([metric, stats]) => {
+        if (stats.recent === null) return;
+        const games = Math.min(window, stats.games);
+        let text = `${formatMetricValue(metric, stats.recent)} over the last ${games} game${games === 1 ? '' : 's'}`;
+        text += ` (all-time ${formatMetricValue(metric, stats.allTime)}${stats.trend ? `, ${stats.trend}` : ''})`;
+        summary[PROFILE_METRICS[metric].label] = text;
+    });
+
+    (options.opponents || []).forEach(opponent => {
+        const matchup = profile.matchups[`${options.character} vs ${opponent}`];
+        if (matchup) {
+            summary[`${options.character} vs ${opponent} record`] = `${formatRecord(matchup)} in ${matchup.games} games`;
+        }
+    });
+    if (options.stage && profile.stages[options.stage]) {
+        const stage = profile.stages[options.stage];
+        summary[`${options.stage} record`] = `${formatRecord(stage)} in ${stage.games} games`;
+    }
+
+    // Latest drill session per technique, against the one before it
+    const drillsByTechnique = {};
+    (profile.drills || []).filter(drill => drill.attempts > 0).forEach(drill => {
+        (drillsByTechnique[drill.drill] = drillsByTechnique[drill.drill] || []).push(drill);
+    });
+    Object.values(drillsByTechnique).forEach(drills => {
+        const [previous, latest] = drills.length > 1 ? drills.slice(-2) : [null, drills[0]];
+        let text = `${Math.round(latest.successRate * 100)}% of ${latest.attempts} attempts on ${latest.startedAt.slice(0, 10)}`;
+        if (previous) text += ` (previous session ${Math.round(previous.successRate * 100)}%)`;
+        summary[`${latest.label} drill`] = text;
+    });
+
+    return summary;
+}
+
+/**
+ * Long-term history of the players of a game, for coaching prompts. Players without a
+ * profile are left out.
+ *
+ * @param {Array<Object>} players - Normalized players (connectCode, displayName, character),
+ *   in matchData order
+ * @param {Object} options
+ * @param {PlayerProfileStore} options.store - Profile store (default: store at the default path)
+ * @param {string} options.stage - Stage of the game
+ * @param {boolean} options.isTeams - Doubles game (matchup records are singles only)
+ * @returns {Object} - { [player number]: summary }, numbered from 1 in the order given (the
+ *   `playerHistory` shape of generateEnhancedCoaching)
+ */
+export function getPlayerHistory(players, options = {}) {
+    const store = options.store || new PlayerProfileStore().load();
+    const history = {};
+
+    (players || []).forEach((player, idx) => {
+        if (player.isCPU) return;
+        const profile = store.get(player);
+        if (!profile || profile.games === 0) return;
+
+        const opponents = options.isTeams ? [] : players
+            .filter(other => other.playerIndex !== player.playerIndex)
+            .map(other => other.character);
+        history[idx + 1] = summarizeProfile(profile, {
+            character: player.character,
+            opponents,
+            stage: options.stage
+        });
+    });
+
+    return history;
+}
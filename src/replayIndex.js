@@ -0,0 +1,385 @@
+// src/replayIndex.js
+// Persistent index of every replay the coach has seen, keyed by file hash.
+// Stored as JSON lines: each line is a full record and the last line for a hash wins,
+// so watchers can append cheaply and a crash at worst loses the line being written.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildReplayReport } from './replayReport.js';
+import { PlayerProfileStore } from './playerProfiles.js';
+
+export const INDEX_VERSION = 1;
+
+// A .slp file is complete once the length of its raw event data, at this offset of the
+// header, has been filled in. Dolphin and the file writer do that after the game end
+// block and the metadata, so a file hashed before then hashes differently later.
+const RAW_LENGTH_OFFSET = 11;
+const COMPLETE_POLL_INTERVAL = 100; // milliseconds
+const COMPLETE_TIMEOUT = 10000; // milliseconds
+
+/**
+ * Default index location, overridable with SLIPPI_INDEX_PATH
+ *
+ * @returns {string} - Path to the index file
+ */
+export function getDefaultIndexPath() {
+    return process.env.SLIPPI_INDEX_PATH || path.join(os.homedir(), '.slippi-coach', 'replay-index.jsonl');
+}
+
+/**
+ * Hashes a replay's contents so renamed or moved files are recognized
+ *
+ * @param {string} filePath - Path to the .slp file
+ * @returns {string} - Hex SHA-1 digest
+ */
+export function hashReplayFile(filePath) {
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Whether a replay has been completely written. A missing file is not complete.
+ *
+ * @param {string} filePath - Path to the .slp file
+ * @returns {Promise<boolean>}
+ */
+export async function isCompleteReplay(filePath) {
+    let file;
+    try {
+        file = await fs.promises.open(filePath, 'r');
+        const { buffer, bytesRead } = await file.read(Buffer.alloc(4), 0, 4, RAW_LENGTH_OFFSET);
+        return bytesRead === 4 && buffer.readUInt32BE(0) > 0;
+    } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+    } finally {
+        await file?.close();
+    }
+}
+
+/**
+ * Waits until a replay that is being written has been completed. Only meant for files
+ * that were just written to; use isCompleteReplay() for files already on disk.
+ *
+ * @param {string} filePath - Path to the .slp file
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {Promise<boolean>} - false if the file was not finished in time
+ */
+export async function waitForCompleteReplay(filePath, timeout = COMPLETE_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+
+    while (!await isCompleteReplay(filePath)) {
+        if (Date.now() >= deadline) return false;
+        await new Promise(resolve => setTimeout(resolve, COMPLETE_POLL_INTERVAL));
+    }
+    return true;
+}
+
+/**
+ * Turns a replay report into an index record
+ *
+ * @param {string} hash - File hash
+ * @param {string} filePath - Absolute path to the .slp file
+ * @param {Object} report - Report from buildReplayReport()
+ * @returns {Object} - Index record
+ */
+export function buildIndexRecord(hash, filePath, report) {
+    const winnerIndices = report.game.winner?.playerIndices || [];
+    const statsByIndex = {};
+    (report.stats || []).forEach(entry => { statsByIndex[entry.playerIndex] = entry; });
+
+    // Metadata is written last, so fall back to the file time for games still being finalized
+    let startAt = report.game.startAt;
+    if (!startAt) {
+        try {
+            startAt = fs.statSync(filePath).mtime.toISOString();
+        } catch {
+            startAt = null;
+        }
+    }
+
+    return {
+        version: INDEX_VERSION,
+        hash,
+        file: filePath,
+        indexedAt: new Date().toISOString(),
+        startAt,
+        playedOn: report.game.playedOn,
+        stageId: report.game.stageId,
+        stage: report.game.stage,
+        isTeams: report.game.isTeams,
+        durationFrames: report.game.durationFrames,
+        durationSeconds: report.game.durationSeconds,
+        endMethod: report.game.endMethod,
+        winner: report.game.winner,
+        players: report.players.map(player => ({
+            playerIndex: player.playerIndex,
+            port: player.port,
+            connectCode: player.connectCode,
+            displayName: player.displayName,
+            characterId: player.characterId,
+            character: player.character,
+            teamId: player.teamId,
+            isCPU: player.isCPU,
+            won: report.game.winner ? winnerIndices.includes(player.playerIndex) : null,
+            damageDealt: statsByIndex[player.playerIndex]?.damageDealt ?? null,
+            stockLosses: statsByIndex[player.playerIndex]?.stockLosses ?? null,
+            kills: statsByIndex[player.playerIndex]?.kills ?? null
+        })),
+        stats: report.stats,
+        technicalAnalysis: report.technicalAnalysis
+    };
+}
+
+/**
+ * Parses a time filter: an ISO date, or a relative age such as "30d", "2w" or "12h"
+ *
+ * @param {string|number|Date} value - Filter value
+ * @returns {number|null} - Epoch milliseconds
+ */
+export function parseTimeFilter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+
+    const relative = /^(\d+)([hdwm])$/.exec(String(value).trim());
+    if (relative) {
+        const unitMs = { h: 3600000, d: 86400000, w: 604800000, m: 2592000000 };
+        return Date.now() - Number(relative[1]) * unitMs[relative[2]];
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`Invalid date filter: ${value}`);
+    }
+    return parsed;
+}
+
+/**
+ * Case-insensitive match of a player against a connect code or display name
+ */
+function matchesPlayer(player, identity) {
+    const wanted = identity.toLowerCase();
+    return (player.connectCode || '').toLowerCase() === wanted ||
+        (player.displayName || '').toLowerCase() === wanted;
+}
+
+function matchesName(actual, wanted) {
+    return (actual || '').toLowerCase() === String(wanted).toLowerCase();
+}
+
+/**
+ * Replay index backed by a JSON lines file
+ */
+export class ReplayIndex {
+    /**
+     * @param {string} indexPath - Path to the index file (default: getDefaultIndexPath())
+     */
+    constructor(indexPath = getDefaultIndexPath()) {
+        this.indexPath = indexPath;
+        this.records = new Map();
+        this.lineCount = 0;
+        this.loaded = false;
+    }
+
+    /**
+     * Reads the index from disk. Unparseable lines (e.g. a torn final write) are skipped.
+     *
+     * @returns {ReplayIndex}
+     */
+    load() {
+        this.records.clear();
+        this.lineCount = 0;
+
+        let content = '';
+        try {
+            content = fs.readFileSync(this.indexPath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        content.split('\n').forEach((line, lineNumber) => {
+            if (!line.trim()) return;
+            try {
+                const record = JSON.parse(line);
+                if (record.hash) {
+                    this.records.set(record.hash, record);
+                    this.lineCount++;
+                }
+            } catch {
+                console.warn(`Skipping corrupt index line ${lineNumber + 1} in ${this.indexPath}`);
+            }
+        });
+
+        this.loaded = true;
+        return this;
+    }
+
+    _ensureLoaded() {
+        if (!this.loaded) this.load();
+    }
+
+    get size() {
+        this._ensureLoaded();
+        return this.records.size;
+    }
+
+    has(hash) {
+        this._ensureLoaded();
+        return this.records.has(hash);
+    }
+
+    get(hash) {
+        this._ensureLoaded();
+        return this.records.get(hash) || null;
+    }
+
+    /**
+     * Adds or replaces a record
+     *
+     * @param {Object} record - Record from buildIndexRecord()
+     */
+    upsert(record) {
+        this._ensureLoaded();
+        fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+        fs.appendFileSync(this.indexPath, `${JSON.stringify(record)}\n`, 'utf8');
+        this.records.set(record.hash, record);
+        this.lineCount++;
+    }
+
+    /**
+     * Rewrites the file with one line per replay, dropping superseded lines
+     */
+    compact() {
+        this._ensureLoaded();
+        if (this.lineCount === this.records.size) return;
+
+        const tempPath = `${this.indexPath}.tmp`;
+        const lines = Array.from(this.records.values()).map(record => JSON.stringify(record));
+        fs.writeFileSync(tempPath, lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf8');
+        fs.renameSync(tempPath, this.indexPath);
+        this.lineCount = this.records.size;
+    }
+
+    /**
+     * Finds games matching every given filter, newest first
+     *
+     * @param {Object} filters - Query filters
+     * @param {string} filters.player - Connect code or display name; character/opponent/result are relative to this player
+     * @param {string} filters.character - Character played (by the player, or by anyone)
+     * @param {string} filters.opponent - Character played by an opponent
+     * @param {string|number} filters.stage - Stage name or id
+     * @param {string|number|Date} filters.since - Earliest start time (ISO date or "30d"-style age)
+     * @param {string|number|Date} filters.until - Latest start time
+     * @param {string} filters.result - 'win' or 'loss' for the player
+     * @param {boolean} filters.teams - Only doubles (true) or only singles (false)
+     * @param {number} filters.limit - Maximum number of results
+     * @returns {Array<Object>} - Matching records
+     */
+    query(filters = {}) {
+        this._ensureLoaded();
+        const since = parseTimeFilter(filters.since);
+        const until = parseTimeFilter(filters.until);
+
+        const results = Array.from(this.records.values()).filter(record => {
+            const startMs = record.startAt ? Date.parse(record.startAt) : null;
+            if (since !== null && (startMs === null || startMs < since)) return false;
+            if (until !== null && (startMs === null || startMs > until)) return false;
+
+            if (filters.stage !== undefined) {
+                const stageMatches = String(record.stageId) === String(filters.stage) || matchesName(record.stage, filters.stage);
+                if (!stageMatches) return false;
+            }
+
+            if (filters.teams !== undefined && Boolean(record.isTeams) !== Boolean(filters.teams)) return false;
+
+            // Candidate "me" players: the named player, or anyone when no player is given
+            const selves = filters.player
+                ? record.players.filter(player => matchesPlayer(player, filters.player))
+                : record.players;
+
+            return selves.some(self => {
+                if (filters.character && !matchesName(self.character, filters.character)) return false;
+                if (filters.result && self.won !== (filters.result === 'win')) return false;
+
+                if (filters.opponent) {
+                    const opponents = record.players.filter(other =>
+                        other.playerIndex !== self.playerIndex &&
+                        (other.teamId === null || other.teamId === undefined || other.teamId !== self.teamId));
+                    if (!opponents.some(other => matchesName(other.character, filters.opponent))) return false;
+                }
+
+                return true;
+            });
+        });
+
+        results.sort((a, b) => (Date.parse(b.startAt) || 0) - (Date.parse(a.startAt) || 0));
+        return filters.limit ? results.slice(0, filters.limit) : results;
+    }
+}
+
+/**
+ * Analyzes a replay and stores it in the index, skipping files whose hash is already indexed
+ *
+ * @param {string} filePath - Path to the .slp file
+ * @param {Object} options - Options
+ * @param {ReplayIndex} options.index - Index to update (default: index at the default path)
+ * @param {boolean} options.force - Re-analyze even if the hash is already indexed
+ * @returns {Promise<Object>} - { status: 'added'|'updated'|'unchanged', record }
+ */
+export async function indexReplayFile(filePath, options = {}) {
+    const { index = new ReplayIndex(), force = false } = options;
+    const absolutePath = path.resolve(filePath);
+    const hash = hashReplayFile(absolutePath);
+
+    const existing = index.get(hash);
+    if (existing && !force) {
+        // Same replay seen at a new location: just record the move
+        if (existing.file !== absolutePath) {
+            const moved = { ...existing, file: absolutePath };
+            index.upsert(moved);
+            return { status: 'updated', record: moved };
+        }
+        return { status: 'unchanged', record: existing };
+    }
+
+    const report = await buildReplayReport(absolutePath, { rootDir: path.dirname(absolutePath) });
+    const record = buildIndexRecord(hash, absolutePath, report);
+    index.upsert(record);
+    return { status: existing ? 'updated' : 'added', record };
+}
+
+/**
+ * Background index update used by the watchers: indexes the replay and adds it to the
+ * player profiles. Replays still being written are not indexed, so the hash is always
+ * that of the finished file; callers retry them later. Never throws; failures are logged.
+ *
+ * @param {string} filePath - Path to the .slp file
+ * @param {ReplayIndex} index - Index to update
+ * @param {PlayerProfileStore} profiles - Player profiles to update
+ * @param {Object} options
+ * @param {boolean} options.wait - The game just ended: wait for the file to be finished
+ *   instead of checking once
+ * @returns {Promise<boolean>} - Whether the replay is in the index
+ */
+export async function updateReplayIndex(filePath, index = new ReplayIndex(), profiles = new PlayerProfileStore(), options = {}) {
+    try {
+        const complete = options.wait ? await waitForCompleteReplay(filePath) : await isCompleteReplay(filePath);
+        if (!complete) {
+            console.warn(`Not indexing ${path.basename(filePath)} yet: the replay is not finished`);
+            return false;
+        }
+        const { status, record } = await indexReplayFile(filePath, { index });
+        if (status !== 'unchanged') {
+            console.log(`Replay index ${status}: ${path.basename(filePath)}`);
+        }
+        if (status === 'added' && profiles.recordGame(record).length > 0) {
+            profiles.save();
+        }
+        return true;
+    } catch (err) {
+        console.warn(`Could not index ${path.basename(filePath)}: ${err.message}`);
+        return false;
+    }
+}
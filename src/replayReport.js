@@ -0,0 +1,97 @@
+// src/replayReport.js
+// Builds the structured per-game report written by the batch analyzer.
+
+import path from 'path';
+import { processSlippiFile, getMatchDuration } from './slippiProcessor.js';
+import { generateTechnicalAnalysis } from './utils/frameDataAnalyzer.js';
+import { extractPlayerStatistics } from './utils/slippiUtils.js';
+import { normalizePlayers, getStageInfo, determineWinningSide, describeSide } from './gameModel.js';
+
+/**
+ * Report format version, bumped whenever the report shape changes
+ */
+export const REPORT_VERSION = 2;
+
+const END_METHODS = { 1: 'TIME!', 2: 'GAME!', 7: 'No Contest' };
+
+/**
+ * Analyzes a single replay file and returns a JSON-serializable report
+ *
+ * @param {string} filePath - Absolute path to the .slp file
+ * @param {Object} options - Report options
+ * @param {string} options.rootDir - Directory the report path is made relative to
+ * @returns {Promise<Object>} - Structured game report
+ */
+export async function buildReplayReport(filePath, options = {}) {
+    const { rootDir = path.dirname(filePath) } = options;
+
+    const { metadata, settings, frames, gameEnd, stats } = await processSlippiFile(filePath);
+
+    if (!settings.players || settings.players.length === 0) {
+        throw new Error('Replay has no player data');
+    }
+
+    const players = normalizePlayers(settings, metadata);
+    const stage = getStageInfo(settings);
+
+    const durationFrames = getMatchDuration(metadata) || stats?.lastFrame || 0;
+
+    // Per-player damage/stock accounting plus the slippi-js computed ratios
+    const playerStats = extractPlayerStatistics(settings, frames);
+    const overall = playerStats.map(entry => {
+        const computed = (stats?.overall || []).find(o => o.playerIndex === entry.playerIndex) || {};
+        return {
+            playerIndex: entry.playerIndex,
+            damageDealt: entry.damageDealt,
+            damageTaken: entry.damageTaken,
+            selfDamage: entry.selfDamage,
+            friendlyFireDealt: entry.friendlyFireDealt,
+            kills: entry.kills,
+            stockLosses: entry.stockLosses,
+            stocksRemaining: entry.stocksRemaining,
+            conversionCount: computed.conversionCount ?? null,
+            openingsPerKill: computed.openingsPerKill?.ratio ?? null,
+            damagePerOpening: computed.damagePerOpening?.ratio ?? null,
+            neutralWinRatio: computed.neutralWinRatio?.ratio ?? null,
+            inputsPerMinute: computed.inputsPerMinute?.ratio ?? null
+        };
+    });
+
+    // Winner from final stocks (and percent on timeouts); undecided for LRAS quits
+    const stockCounts = {};
+    playerStats.forEach(entry => { stockCounts[entry.playerIndex] = entry.stocksRemaining; });
+    const lastFrame = frames[durationFrames];
+    const percents = {};
+    players.forEach(player => {
+        percents[player.playerIndex] = lastFrame?.players?.[player.playerIndex]?.post?.percent ?? 0;
+    });
+    const winningSide = gameEnd?.gameEndMethod === 7 ? null :
+        determineWinningSide(players, stockCounts, { percents, endMethod: gameEnd?.gameEndMethod });
+
+    const technicalAnalysis = generateTechnicalAnalysis(frames, { stageId: stage.id });
+
+    return {
+        version: REPORT_VERSION,
+        file: path.relative(rootDir, filePath),
+        analyzedAt: new Date().toISOString(),
+        game: {
+            startAt: metadata.startAt || null,
+            playedOn: metadata.playedOn || null,
+            stageId: stage.id,
+            stage: stage.name,
+            isTeams: Boolean(settings.isTeams),
+            durationFrames,
+            durationSeconds: Math.round(durationFrames / 60),
+            endMethod: gameEnd ? (END_METHODS[gameEnd.gameEndMethod] || 'Unknown') : null,
+            lrasInitiatorIndex: gameEnd?.lrasInitiatorIndex ?? null,
+            winner: winningSide ? {
+                name: describeSide(winningSide),
+                teamId: winningSide.teamId,
+                playerIndices: winningSide.players.map(player => player.playerIndex)
+            } : null
+        },
+        players,
+        stats: overall,
+        technicalAnalysis
+    };
+}
@@ -0,0 +1,409 @@
+// src/sessionTracker.js
+// Groups consecutive games into sessions and sets. A session is a run of games with short
+// breaks between them; within a session, consecutive games between the same players form a
+// set (best-of-3 or best-of-5), or a practice block when a CPU is involved. Works on replay
+// index records, so any indexed history can be grouped after the fact.
+
+import { parseTimeFilter } from './replayIndex.js';
+
+/**
+ * Minutes between two games that end a session
+ */
+export const DEFAULT_SESSION_GAP_MINUTES = 30;
+
+/**
+ * Minutes between two games that end a set even if nobody has won it yet
+ */
+export const DEFAULT_SET_GAP_MINUTES = 10;
+
+export const DEFAULT_BEST_OF = 3;
+
+// Per-game numbers followed across a set, from the index record stats
+const TREND_STATS = {
+    damageDealt: { label: 'damage dealt', digits: 0 },
+    neutralWinRatio: { label: 'neutral win ratio', digits: 2 },
+    openingsPerKill: { label: 'openings per kill', digits: 1 },
+    damagePerOpening: { label: 'damage per opening', digits: 1 }
+};
+
+/**
+ * Key players are recognized by across games: connect code, else display name
+ */
+function getPlayerKey(player) {
+    return player.connectCode || player.displayName;
+}
+
+function matchesPlayer(player, identity) {
+    const wanted = String(identity).toLowerCase();
+    return [player.connectCode, player.displayName].some(name => name && name.toLowerCase() === wanted);
+}
+
+/**
+ * Sides of a game: teams in doubles, otherwise one side per player. Side keys are stable
+ * across games (sorted player keys), so they identify the same team from game to game.
+ *
+ * @param {Object} record - Replay index record
+ * @returns {Array<Object>} - [{ key, players }]
+ */
+function getSides(record) {
+    const groups = new Map();
+    record.players.forEach(player => {
+        const group = record.isTeams && player.teamId !== null && player.teamId !== undefined
+            ? `team-${player.teamId}` : `player-${player.playerIndex}`;
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(player);
+    });
+
+    return Array.from(groups.values()).map(players => ({
+        key: players.map(getPlayerKey).sort().join(' & '),
+        players
+    }));
+}
+
+function getLineupKey(sides) {
+    return sides.map(side => side.key).sort().join(' vs ');
+}
+
+function getStartMs(record) {
+    const startMs = record.startAt ? Date.parse(record.startAt) : NaN;
+    return Number.isNaN(startMs) ? null : startMs;
+}
+
+function getEndMs(record) {
+    const startMs = getStartMs(record);
+    return startMs === null ? null : startMs + (record.durationSeconds || 0) * 1000;
+}
+
+/**
+ * Minutes between the end of one game and the start of the next (null when unknown)
+ */
+function getGapMinutes(previous, next) {
+    const previousEnd = getEndMs(previous);
+    const nextStart = getStartMs(next);
+    if (previousEnd === null || nextStart === null) return null;
+    return Math.max(0, nextStart - previousEnd) / 60000;
+}
+
+/**
+ * Streaming session and set tracker. Add games in the order they were played; sets close
+ * when a side has won the majority of the best-of, when the players change, or after a
+ * break longer than the set gap.
+ */
+export class SessionTracker {
+    /**
+     * @param {Object} options
+     * @param {number} options.sessionGapMinutes - Break that ends a session (default: 30)
+     * @param {number} options.setGapMinutes - Break that ends an unfinished set (default: 10)
+     * @param {number} options.bestOf - Games per set, 3 or 5 (default: 3)
+     */
+    constructor(options = {}) {
+        this.sessionGapMinutes = options.sessionGapMinutes ?? DEFAULT_SESSION_GAP_MINUTES;
+        this.setGapMinutes = options.setGapMinutes ?? DEFAULT_SET_GAP_MINUTES;
+        this.bestOf = options.bestOf ?? DEFAULT_BEST_OF;
+        this.reset();
+    }
+
+    reset() {
+        this.sessions = [];
+        this.lastRecord = null;
+    }
+
+    get currentSession() {
+        return this.sessions[this.sessions.length - 1] || null;
+    }
+
+    get currentSet() {
+        const session = this.currentSession;
+        return session ? session.sets[session.sets.length - 1] || null : null;
+    }
+
+    /**
+     * Adds the next game
+     *
+     * @param {Object} record - Replay index record
+     * @returns {Object} - { session, set, game }
+     */
+    addGame(record) {
+        const sides = getSides(record);
+        const lineup = getLineupKey(sides);
+        const gap = this.lastRecord ? getGapMinutes(this.lastRecord, record) : null;
+
+        let session = this.currentSession;
+        if (!session || gap === null || gap > this.sessionGapMinutes) {
+            session = {
+                startAt: record.startAt || null,
+                endAt: null,
+                kind: 'practice',
+                players: [],
+                games: 0,
+                sets: []
+            };
+            this.sessions.push(session);
+        }
+
+        let set = session.sets[session.sets.length - 1];
+        if (!set || set.complete || set.lineup !== lineup || (gap !== null && gap > this.setGapMinutes)) {
+            set = this._createSet(record, sides, lineup);
+            session.sets.push(set);
+        }
+
+        const game = this._addGameToSet(set, record, sides);
+
+        session.games++;
+        session.endAt = getEndMs(record) !== null ? new Date(getEndMs(record)).toISOString() : session.endAt;
+        if (set.kind === 'set') session.kind = 'competitive';
+        sides.forEach(side => {
+            side.players.map(getPlayerKey).forEach(key => {
+                if (!session.players.includes(key)) session.players.push(key);
+            });
+        });
+
+        this.lastRecord = record;
+        return { session, set, game };
+    }
+
+    _createSet(record, sides, lineup) {
+        const practice = record.players.some(player => player.isCPU);
+        return {
+            kind: practice ? 'practice' : 'set',
+            lineup,
+            isTeams: Boolean(record.isTeams),
+            bestOf: practice ? null : this.bestOf,
+            sides: sides.map(side => ({
+                key: side.key,
+                players: side.players.map(player => ({
+                    key: getPlayerKey(player),
+                    connectCode: player.connectCode || null,
+                    displayName: player.displayName
+                }))
+            })),
+            score: Object.fromEntries(sides.map(side => [side.key, 0])),
+            winner: null,
+            complete: false,
+            startAt: record.startAt || null,
+            games: []
+        };
+    }
+
+    _addGameToSet(set, record, sides) {
+        const previous = set.games[set.games.length - 1] || null;
+        const winnerIndices = record.winner?.playerIndices || [];
+        const winningSide = winnerIndices.length > 0
+            ? sides.find(side => side.players.some(player => winnerIndices.includes(player.playerIndex)))
+            : null;
+
+        const statsByIndex = {};
+        (record.stats || []).forEach(entry => { statsByIndex[entry.playerIndex] = entry; });
+
+        const game = {
+            number: set.games.length + 1,
+            file: record.file,
+            hash: record.hash,
+            startAt: record.startAt || null,
+            stageId: record.stageId,
+            stage: record.stage,
+            durationSeconds: record.durationSeconds,
+            endMethod: record.endMethod,
+            winner: winningSide?.key || null,
+            characters: Object.fromEntries(sides.map(side => [side.key, side.players.map(player => player.character)])),
+            stats: Object.fromEntries(sides.map(side => [side.key, sumSideStats(side.players, statsByIndex)])),
+            // In a set the loser of the previous game picks the next stage
+            stagePickedBy: previous && previous.winner
+                ? set.sides.map(side => side.key).find(key => key !== previous.winner) || null
+                : null,
+            stageChanged: previous ? previous.stageId !== record.stageId : false,
+            characterChanges: []
+        };
+
+        if (previous) {
+            Object.entries(game.characters).forEach(([sideKey, characters]) => {
+                const before = previous.characters[sideKey] || [];
+                if (before.join('/') !== characters.join('/')) {
+                    game.characterChanges.push({ side: sideKey, from: before, to: characters });
+                }
+            });
+        }
+
+        set.games.push(game);
+        if (game.winner) set.score[game.winner]++;
+
+        if (set.kind === 'set') {
+            const winsNeeded = Math.ceil(set.bestOf / 2);
+            const setWinner = Object.keys(set.score).find(key => set.score[key] >= winsNeeded);
+            if (setWinner) {
+                set.winner = setWinner;
+                set.complete = true;
+            }
+        }
+        return game;
+    }
+}
+
+function sumSideStats(players, statsByIndex) {
+    const totals = {};
+    Object.keys(TREND_STATS).forEach(stat => {
+        const values = players.map(player => statsByIndex[player.playerIndex]?.[stat])
+            .filter(value => value !== null && value !== undefined && Number.isFinite(value));
+        if (values.length === 0) {
+            totals[stat] = null;
+        } else if (stat === 'damageDealt') {
+            totals[stat] = values.reduce((sum, value) => sum + value, 0);
+        } else {
+            totals[stat] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+    });
+    return totals;
+}
+
+/**
+ * Groups index records into sessions and sets
+ *
+ * @param {Array<Object>} records - Replay index records, in any order
+ * @param {Object} options - SessionTracker options, plus
+ * @param {string} options.player - Only games this connect code or display name played in
+ * @param {string|number|Date} options.since - Earliest start time (ISO date or "30d"-style age)
+ * @param {string|number|Date} options.until - Latest start time
+ * @returns {Array<Object>} - Sessions, oldest first: { startAt, endAt, kind, players, games, sets }
+ */
+export function groupSessions(records, options = {}) {
+    const since = parseTimeFilter(options.since);
+    const until = parseTimeFilter(options.until);
+
+    const games = (records || [])
+        .filter(record => getStartMs(record) !== null)
+        .filter(record => since === null || getStartMs(record) >= since)
+        .filter(record => until === null || getStartMs(record) <= until)
+        .filter(record => !options.player || record.players.some(player => matchesPlayer(player, options.player)))
+        .sort((a, b) => getStartMs(a) - getStartMs(b));
+
+    const tracker = new SessionTracker(options);
+    games.forEach(record => tracker.addGame(record));
+    return tracker.sessions;
+}
+
+/**
+ * Side of a set the given player is on (null if they did not play in it)
+ */
+export function getPlayerSide(set, player) {
+    if (!player) return null;
+    return set.sides.find(side => side.players.some(entry => matchesPlayer(entry, player)))?.key || null;
+}
+
+/**
+ * Notes a stat that moved the same way every game (3 or more games)
+ */
+function describeTrend(subject, stat, values) {
+    const known = values.filter(value => value !== null);
+    if (known.length < 3 || known.length !== values.length) return null;
+
+    const rising = known.every((value, i) => i === 0 || value > known[i - 1]);
+    const falling = known.every((value, i) => i === 0 || value < known[i - 1]);
+    if (!rising && !falling) return null;
+
+    const { label, digits } = TREND_STATS[stat];
+    const series = known.map(value => value.toFixed(digits)).join(' -> ');
+    return `${subject} ${label} ${rising ? 'rose' : 'fell'} every game (${series})`;
+}
+
+/**
+ * Readable summary of a set: the score, one line per game, and notes on counterpicks,
+ * character switches and per-game trends, e.g. "You lost game 3 after switching to Dreamland"
+ *
+ * @param {Object} set - Set from SessionTracker
+ * @param {Object} options
+ * @param {string} options.player - Connect code or display name the notes speak to ("you")
+ * @returns {Object} - { kind, bestOf, perspective, score, result, complete, games, notes, trends }
+ *   where score lists wins with the given player's side first
+ */
+export function summarizeSet(set, options = {}) {
+    const self = getPlayerSide(set, options.player);
+    const name = key => (key === self ? 'You' : key);
+    const others = set.sides.map(side => side.key).filter(key => key !== self);
+    const outcome = (key, game) => (game.winner === null ? 'had no result in' : (game.winner === key ? 'won' : 'lost'));
+
+    const orderedKeys = self ? [self, ...others] : set.sides.map(side => side.key);
+    const score = orderedKeys.map(key => set.score[key]).join('-');
+
+    const games = set.games.map(game => {
+        const lineup = orderedKeys.map(key => `${name(key)} (${game.characters[key].join(' & ')})`).join(' vs ');
+        const result = game.winner ? `${name(game.winner)} won` : `no result${game.endMethod ? ` (${game.endMethod})` : ''}`;
+        return `Game ${game.number} on ${game.stage}: ${lineup}; ${result}`;
+    });
+
+    const notes = [];
+    set.games.forEach(game => {
+        if (game.number === 1) return;
+
+        game.characterChanges.forEach(change => {
+            notes.push(`${name(change.side)} ${outcome(change.side, game)} game ${game.number} after switching from ` +
+                `${change.from.join(' & ')} to ${change.to.join(' & ')}`);
+        });
+        if (game.stageChanged && game.stagePickedBy) {
+            const picker = game.stagePickedBy;
+            notes.push(`${name(picker)} ${outcome(picker, game)} game ${game.number} after switching to ${game.stage}`);
+        } else if (game.stageChanged) {
+            notes.push(`Game ${game.number} moved to ${game.stage}` +
+                (game.winner ? `; ${name(game.winner)} won it` : ''));
+        }
+    });
+
+    const trends = {};
+    orderedKeys.forEach(key => {
+        trends[key] = Object.fromEntries(Object.keys(TREND_STATS)
+            .map(stat => [stat, set.games.map(game => game.stats[key]?.[stat] ?? null)]));
+        Object.entries(trends[key]).forEach(([stat, values]) => {
+            const note = describeTrend(key === self ? 'Your' : `${key}'s`, stat, values);
+            if (note) notes.push(note);
+        });
+    });
+
+    return {
+        kind: set.kind,
+        bestOf: set.bestOf,
+        perspective: self,
+        score,
+        result: self && set.winner ? (set.winner === self ? 'win' : 'loss') : null,
+        complete: set.complete,
+        games,
+        notes,
+        trends
+    };
+}
+
+/**
+ * Builds the matchData generateCoachingAdvice() expects for a whole set: characters and
+ * players from the last game, damage and stocks summed over the set, and the set summary
+ *
+ * @param {Object} set - Set from SessionTracker
+ * @param {Array<Object>} records - Index records of the set's games (matched by hash)
+ * @param {Object} options - summarizeSet() options
+ * @returns {Object} - matchData with a `set` summary
+ */
+export function buildSetMatchData(set, records, options = {}) {
+    const byHash = new Map((records || []).map(record => [record.hash, record]));
+    const setRecords = set.games.map(game => byHash.get(game.hash)).filter(Boolean);
+    const lastRecord = setRecords[setRecords.length - 1];
+    if (!lastRecord) return null;
+
+    // Players are matched across games by key, since ports can change between games
+    const totals = {};
+    setRecords.forEach(record => {
+        record.players.forEach(player => {
+            const entry = totals[getPlayerKey(player)] = totals[getPlayerKey(player)] || { damageDealt: 0, stockLosses: 0 };
+            entry.damageDealt += player.damageDealt || 0;
+            entry.stockLosses += player.stockLosses || 0;
+        });
+    });
+
+    const players = lastRecord.players.map(player => ({ ...player, isHuman: !player.isCPU }));
+    return {
+        damageDealt: players.map(player => totals[getPlayerKey(player)].damageDealt),
+        stockLosses: players.map(player => totals[getPlayerKey(player)].stockLosses),
+        characters: players.map(player => player.character || 'Unknown'),
+        playerTypes: players.map(player => (player.isCPU ? 1 : 0)),
+        players,
+        isTeams: Boolean(lastRecord.isTeams),
+        stage: lastRecord.stage,
+        set: summarizeSet(set, options)
+    };
+}
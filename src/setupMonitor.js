@@ -0,0 +1,327 @@
+// src/setupMonitor.js
+// Several setups monitored from one process, e.g. every station at a local or a stream
+// setup next to friendlies. A setup is a relay or console connection, or a Slippi folder
+// whose CurrentGame.slp is followed. Each setup has a label, its own match timeline (its
+// event stream) and its own commentary channel; getStatus() shows all of them at once.
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { startLiveMonitoring, getConnectionSettings, CONNECTION_TYPES } from './liveMonitor.js';
+import { CurrentGameMonitor } from './currentGameMonitor.js';
+import { provideLiveCommentary, createCommentaryThrottle } from './liveCommentary.js';
+import { MatchTimeline } from './matchTimeline.js';
+import { updateReplayIndex } from './replayIndex.js';
+import { getStageInfo } from './gameModel.js';
+import { EVENT_TYPES, readEvent } from './utils/eventSchema.js';
+
+/**
+ * Kinds of setup: the two live connection types, and a folder written by Dolphin
+ */
+export const SETUP_TYPES = {
+    DOLPHIN: CONNECTION_TYPES.DOLPHIN,
+    CONSOLE: CONNECTION_TYPES.CONSOLE,
+    FOLDER: 'folder'
+};
+
+// Milliseconds before a connection that could not be established is tried again
+const RETRY_INTERVAL = 15000;
+
+/**
+ * Reads and validates a setup list
+ *
+ * The file holds { "setups": [...] } or just the list. Each setup is
+ *   { "label", "type": "console" | "dolphin", "address", "port", "recordDir" } or
+ *   { "label", "type": "folder", "dir" }
+ * Relative paths are resolved against the file's directory. A missing address or port
+ * falls back to the same settings as the single-connection monitor.
+ *
+ * @param {string} configPath - Path to the JSON file
+ * @returns {Array<Object>} - Setups ready for SetupMonitor
+ */
+export function loadSetupConfig(configPath) {
+    const absolutePath = path.resolve(configPath);
+    const parsed = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    const setups = Array.isArray(parsed) ? parsed : parsed?.setups;
+    if (!Array.isArray(setups) || setups.length === 0) {
+        throw new Error(`${configPath} lists no setups`);
+    }
+
+    const baseDir = path.dirname(absolutePath);
+    const labels = new Set();
+
+    return setups.map((setup, i) => {
+        const label = setup?.label ? String(setup.label) : null;
+        if (!label) throw new Error(`Setup ${i + 1} has no label`);
+        if (labels.has(label)) throw new Error(`Duplicate setup label: ${label}`);
+        labels.add(label);
+
+        const type = String(setup.type || '').toLowerCase();
+        if (type === SETUP_TYPES.FOLDER) {
+            if (!setup.dir) throw new Error(`Setup ${label} needs the "dir" of its Slippi folder`);
+            return { label, type, dir: path.resolve(baseDir, setup.dir) };
+        }
+        if (!Object.values(CONNECTION_TYPES).includes(type)) {
+            throw new Error(`Setup ${label} has unknown type "${setup.type}" (expected console, dolphin or folder)`);
+        }
+
+        let connection;
+        try {
+            connection = getConnectionSettings({ type, address: setup.address, port: setup.port });
+        } catch (err) {
+            throw new Error(`Setup ${label}: ${err.message}`);
+        }
+        return {
+            label,
+            ...connection,
+            recordDir: setup.recordDir ? path.resolve(baseDir, setup.recordDir) : null
+        };
+    });
+}
+
+/**
+ * Short description of an event for the status view
+ *
+ * @param {Object} event - Flat event
+ * @returns {string}
+ */
+function describeEvent(event) {
+    switch (event.type) {
+        case EVENT_TYPES.GAME_START:
+            return 'Game started';
+        case EVENT_TYPES.GAME_END:
+            return event.winner ? `${event.endType}: ${event.winner} won` : `Game ended (${event.endType})`;
+        case EVENT_TYPES.STOCK_LOST:
+            return `${event.playerCharacter} lost a stock (${event.remainingStocks} left)`;
+        case EVENT_TYPES.COMBO:
+            return `${event.playerCharacter} ${event.moves}-hit combo, ${event.damage.toFixed(1)}%`;
+        case EVENT_TYPES.ACTION_STATE:
+            return `${event.playerCharacter} ${event.subType}`;
+        default:
+            return event.type;
+    }
+}
+
+/**
+ * Monitors a list of setups
+ *
+ * Events (each with the label of the setup):
+ *   'event' ({ label, event }) - an event was recorded in a setup's timeline (envelope)
+ *   'commentary' ({ label, text, event }) - commentary was generated for a setup
+ *   'status' ({ label, status }) - a setup's connection status changed
+ */
+export class SetupMonitor extends EventEmitter {
+    /**
+     * @param {Array<Object>} setups - Setups from loadSetupConfig()
+     * @param {Object} options
+     * @param {Object} options.llmProvider - Provider for commentary (default: templates)
+     * @param {boolean} options.commentary - Comment on every setup's events (default: true)
+     * @param {ReplayIndex} options.replayIndex - Index recorded games are added to
+     * @param {PlayerProfileStore} options.playerProfiles - Profiles recorded games are added to
+     */
+    constructor(setups, options = {}) {
+        super();
+        this.options = { llmProvider: null, commentary: true, ...options };
+        this.running = false;
+
+        this.setups = setups.map(config => ({
+            config,
+            label: config.label,
+            source: config.type === SETUP_TYPES.FOLDER ? config.dir : `${config.type} ${config.address}:${config.port}`,
+            status: 'idle',
+            timeline: null,
+            monitor: null,
+            connection: null,
+            retryTimer: null,
+            shouldComment: createCommentaryThrottle(),
+            players: [],
+            stage: null,
+            inGame: false,
+            frame: null,
+            stocks: {},
+            percents: {},
+            games: 0,
+            lastEvent: null
+        }));
+    }
+
+    /**
+     * Starts every setup. A setup that fails to start does not stop the others;
+     * connections that can't be established are retried.
+     */
+    async start() {
+        if (this.running) return;
+        this.running = true;
+        await Promise.all(this.setups.map(setup =>
+            setup.config.type === SETUP_TYPES.FOLDER ? this._startFolder(setup) : this._startConnection(setup)));
+    }
+
+    /**
+     * Stops every setup: folder monitors, open connections and pending reconnections
+     */
+    stop() {
+        this.running = false;
+        this.setups.forEach(setup => {
+            clearTimeout(setup.retryTimer);
+            setup.retryTimer = null;
+            if (setup.monitor) setup.monitor.stop();
+            if (setup.connection) {
+                setup.connection.stop();
+                setup.connection = null;
+            }
+        });
+    }
+
+    async _startFolder(setup) {
+        const monitor = new CurrentGameMonitor(null, setup.config.dir, {
+            liveCommentary: false,
+            endGameAnalysis: false,
+            label: setup.label
+        });
+        setup.monitor = monitor;
+        setup.timeline = monitor.timeline;
+        setup.timeline.on('event', entry => this._handleEvent(setup, entry));
+        monitor.on('frame', frame => this._handleFrame(setup, frame));
+
+        try {
+            await monitor.start();
+            this._setStatus(setup, 'watching');
+        } catch (err) {
+            console.error(`[${setup.label}] ${err.message}`);
+            this._setStatus(setup, 'error');
+        }
+    }
+
+    async _startConnection(setup) {
+        const { type, address, port, recordDir } = setup.config;
+        setup.timeline = setup.timeline || new MatchTimeline({ source: setup.source });
+
+        try {
+            const connection = await startLiveMonitoring(address, port, (eventType, entry) => this._handleEvent(setup, entry), {
+                connectionType: type,
+                label: setup.label,
+                timeline: setup.timeline,
+                recordDir,
+                onFrame: frame => this._handleFrame(setup, frame),
+                onStatusChange: status => this._setStatus(setup, status),
+                onGameRecorded: recordDir ?
+                    filePath => updateReplayIndex(filePath, this.options.replayIndex, this.options.playerProfiles) :
+                    undefined
+            });
+            // stop() may have been called while connecting
+            if (this.running) {
+                setup.connection = connection;
+            } else {
+                connection.stop();
+            }
+        } catch {
+            if (!this.running) return;
+            this._setStatus(setup, 'retrying');
+            setup.retryTimer = setTimeout(() => {
+                setup.retryTimer = null;
+                if (this.running) this._startConnection(setup);
+            }, RETRY_INTERVAL);
+        }
+    }
+
+    _setStatus(setup, status) {
+        if (setup.status === status) return;
+        setup.status = status;
+        this.emit('status', { label: setup.label, status });
+    }
+
+    _handleFrame(setup, frame) {
+        setup.frame = frame.frame;
+        Object.entries(frame.players || {}).forEach(([playerIndex, playerFrame]) => {
+            const post = playerFrame?.post;
+            if (!post) return;
+            if (post.stocksRemaining !== undefined && post.stocksRemaining !== null) setup.stocks[playerIndex] = post.stocksRemaining;
+            if (post.percent !== undefined && post.percent !== null) setup.percents[playerIndex] = post.percent;
+        });
+    }
+
+    async _handleEvent(setup, entry) {
+        if (!this.running) return;
+        const event = readEvent(entry);
+        if (event.type === EVENT_TYPES.GAME_START) {
+            setup.players = setup.timeline.metadata.players || [];
+            setup.stage = getStageInfo({ stageId: event.stage }).name;
+            setup.inGame = true;
+            setup.frame = null;
+            setup.stocks = Object.fromEntries(setup.players.map(p => [p.playerIndex, p.startStocks]));
+            setup.percents = {};
+            setup.games++;
+        } else if (event.type === EVENT_TYPES.GAME_END) {
+            setup.inGame = false;
+        }
+        if (event.type !== EVENT_TYPES.FRAME_UPDATE) {
+            setup.lastEvent = { description: describeEvent(event), at: Date.now() };
+        }
+        this.emit('event', { label: setup.label, event: entry });
+
+        if (!this.options.commentary || !setup.shouldComment(event.type)) return;
+        try {
+            const text = await provideLiveCommentary(this.options.llmProvider, [entry], { label: setup.label });
+            if (text) this.emit('commentary', { label: setup.label, text, event: entry });
+        } catch (err) {
+            console.error(`[${setup.label}] Failed to generate commentary:`, err.message);
+        }
+    }
+
+    /**
+     * Current state of every setup
+     *
+     * @returns {Array<Object>} - { label, source, status, inGame, games, stage, frame,
+     *   players: [{ port, character, stocks, percent }], lastEvent, lastEventAt }
+     */
+    getStatus() {
+        return this.setups.map(setup => ({
+            label: setup.label,
+            source: setup.source,
+            status: setup.status,
+            inGame: setup.inGame,
+            games: setup.games,
+            stage: setup.stage,
+            frame: setup.frame,
+            players: setup.players.map(p => ({
+                port: p.port,
+                character: p.character,
+                stocks: setup.stocks[p.playerIndex] ?? null,
+                percent: setup.percents[p.playerIndex] ?? null
+            })),
+            lastEvent: setup.lastEvent?.description || null,
+            lastEventAt: setup.lastEvent?.at || null
+        }));
+    }
+}
+
+/**
+ * Formats setup statuses as a table, one setup per line
+ *
+ * @param {Array<Object>} statuses - SetupMonitor.getStatus()
+ * @param {number} now - Current time in milliseconds (for the age of the last event)
+ * @returns {Array<string>}
+ */
+export function formatSetupStatus(statuses, now = Date.now()) {
+    const rows = statuses.map(status => {
+        const players = status.players.map(p => {
+            const stocks = p.stocks !== null ? ` ${p.stocks}` : '';
+            const percent = status.inGame && p.percent !== null ? ` (${Math.round(p.percent)}%)` : '';
+            return `${p.character}${stocks}${percent}`;
+        }).join(' vs ');
+        const game = players ? `${players} - ${status.stage}${status.inGame ? '' : ' (ended)'}` : '-';
+        const time = status.inGame && status.frame !== null && status.frame >= 0 ?
+            `${Math.floor(status.frame / 3600)}:${String(Math.floor(status.frame / 60) % 60).padStart(2, '0')}` : '';
+        const lastEvent = status.lastEvent ?
+            `${status.lastEvent} (${Math.round((now - status.lastEventAt) / 1000)}s ago)` : '-';
+        return [status.label, status.status, String(status.games), game, time, lastEvent];
+    });
+
+    const header = ['Setup', 'Status', 'Games', 'Game', 'Time', 'Last event'];
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((cell, column) =>
+        column === row.length - 1 ? cell : cell.padEnd(widths[column])).join('  ');
+
+    return [formatRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)];
+}
@@ -2,11 +2,12 @@
 // It processes the game data, extracts relevant information, and prepares it for analysis and commentary.
 
 import fs from 'fs';
+import { extractPlayerStatistics } from './utils/slippiUtils.js';
 // Use createRequire for CommonJS modules compatibility
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 // Direct require of the CommonJS distribution
-const { SlpFile } = require('@slippi/slippi-js');
+const { SlippiGame } = require('@slippi/slippi-js');
 
 // Function to process a Slippi file and extract relevant data
 async function processSlippiFile(filePath) {
@@ -14,47 +15,41 @@ async function processSlippiFile(filePath) {
         throw new Error('File not found');
     }
 
-    let slp;
+    let game;
     try {
-        slp = new SlpFile(filePath);
+        game = new SlippiGame(filePath);
     } catch (err) {
         throw new Error(`Failed to open Slippi file: ${err.message}`);
     }
 
-    const metadata = slp.getMetadata();
-    const settings = slp.getSettings();
-    const frames = slp.getFrames();
+    const metadata = game.getMetadata() || {};
+    const settings = game.getSettings() || {};
+    const frames = game.getFrames() || {};
+    const gameEnd = game.getGameEnd();
+
+    // Stats computation can fail on truncated replays; the raw data is still useful
+    let stats = null;
+    try {
+        stats = game.getStats();
+    } catch (err) {
+        stats = null;
+    }
 
     return {
         metadata,
         settings,
         frames,
+        gameEnd,
+        stats,
     };
 }
 
-// Function to extract player statistics from the Slippi data
-function extractPlayerStats(settings, frames) {
-    const playerStats = settings.players.map(player => ({
-        characterId: player.characterId,
-        stocks: 4, // Assuming 4 stocks at the start
-        damageDealt: 0,
-    }));
-
-    frames.forEach(frame => {
-        frame.players.forEach((playerFrame, index) => {
-            if (playerFrame.post) {
-                playerStats[index].stocks = playerFrame.post.stocks;
-                playerStats[index].damageDealt += playerFrame.post.damage;
-            }
-        });
-    });
-
-    return playerStats;
-}
-
 // Function to get the match duration
 function getMatchDuration(metadata) {
     return metadata.lastFrame || metadata.duration || 0;
 }
 
+// Per-player stats now live in one canonical extractor shared with the rest of the app
+const extractPlayerStats = extractPlayerStatistics;
+
 export { processSlippiFile, extractPlayerStats, getMatchDuration };
\ No newline at end of file
@@ -38,7 +38,25 @@ export function generateFallbackCoaching(matchData) {
     else if (efficiency < 50) rating = "needs improvement";
     
     advice += `Overall performance: ${rating.toUpperCase()}\n`;
-    advice += `Damage per stock: ${efficiency.toFixed(1)}\n\n`;
+    advice += `Damage per stock: ${efficiency.toFixed(1)}\n`;
+    const bestPunish = matchData.notableConversions?.[index]?.[0];
+    if (bestPunish) {
+      advice += `Best punish: ${bestPunish.description}\n`;
+    }
+    const deaths = matchData.deaths?.[index] || [];
+    const selfDestructs = deaths.filter(death => death.selfDestruct).length;
+    if (deaths.length > 0) {
+      const averagePercent = deaths.reduce((sum, death) => sum + death.percent, 0) / deaths.length;
+      advice += `Deaths: ${deaths.length} at ${averagePercent.toFixed(0)}% on average` +
+        `${selfDestructs > 0 ? `, ${selfDestructs} self-destruct${selfDestructs === 1 ? '' : 's'}` : ''}\n`;
+    }
+    // Long-term trends from the player's profile
+    const trends = Object.entries(matchData.history?.[index + 1] || {})
+      .filter(([, value]) => /improving|declining/.test(value));
+    trends.forEach(([label, value]) => {
+      advice += `${label}: ${value}\n`;
+    });
+    advice += "\n";
     
     // Add character-specific tips
     advice += "### Key improvements:\n";
@@ -64,6 +82,29 @@ export function generateFallbackCoaching(matchData) {
     advice += "\n";
   });
   
+  // Sets: score and what changed between games
+  if (matchData.set) {
+    advice += `## Set: ${matchData.set.score}${matchData.set.bestOf ? ` (best of ${matchData.set.bestOf})` : ''}\n`;
+    matchData.set.notes.forEach(note => {
+      advice += `- ${note}\n`;
+    });
+    advice += "\n";
+  }
+
+  // Doubles: compare the teams and call out friendly fire
+  if (matchData.isTeams && matchData.teams?.length >= 2) {
+    advice += `## Teams: ${matchData.teams.map(team => `${team.name} (${team.characters.join(' & ')})`).join(' vs ')}\n`;
+    matchData.teams.forEach(team => {
+      advice += `- ${team.name}: ${(team.damageDealt || 0).toFixed(1)} damage dealt, ${team.stocksLost || 0} stocks lost`;
+      advice += team.friendlyFire > 0 ? `, ${team.friendlyFire.toFixed(1)}% friendly fire\n` : "\n";
+    });
+    if (matchData.teamKills) {
+      advice += `- ${matchData.teamKills} stock(s) lost to a teammate. Watch your spacing around your partner.\n`;
+    }
+    advice += "Coordinate on a shared target and only take a teammate's stock when they can't make use of it.\n";
+    return advice;
+  }
+
   // Add quick match note if multiple characters
   if (characters.length >= 2) {
     advice += `## Matchup Note: ${characters[0]} vs ${characters[1]}\n`;
@@ -1,5 +1,6 @@
 // src/templateCommentary.js
 import { characterNames } from './utils/slippiUtils.js';
+import { readEvent } from './utils/eventSchema.js';
 
 // Commentary template collections for different event types
 const TEMPLATES = {
@@ -9,18 +10,56 @@ const TEMPLATES = {
     "That's a stock gone for {character}! Player {player} has {remainingStocks} left."
   ],
   
+  stockLostKill: [
+    "{character} dies off {blastZone} to {killer}'s {killMove} at {percent}%!",
+    "{killer} takes {character}'s stock with {killMove} at {percent}%! {remainingStocks} left.",
+    "{killMove} from {killer} sends {character} off {blastZone} at {percent}%!"
+  ],
+  
+  selfDestruct: [
+    "{character} self-destructs off {blastZone} at {percent}%! {remainingStocks} stocks left.",
+    "Oh no, Player {player}'s {character} goes off {blastZone} on their own at {percent}%!"
+  ],
+  
+  teamKill: [
+    "Ouch! {killer} takes out their own teammate {character}. Player {player} down to {remainingStocks}.",
+    "Friendly fire! {character} loses a stock to teammate {killer}."
+  ],
+  
   combo: [
     "Impressive {moveCount}-hit combo from Player {player}'s {character} dealing {damage}% damage!",
     "Player {player} executes a clean {moveCount}-hit string with {character} for {damage}%!",
     "Nice conversion from {character}! Player {player}'s {moveCount}-hit combo dealt {damage}%."
   ],
   
+  comboString: [
+    "Player {player}'s {character} goes {moveString} for {damage}%!",
+    "{character} runs {moveString} for {damage}%!",
+    "Clean conversion from {character}: {moveString}, {damage}% total."
+  ],
+  
+  comboKill: [
+    "{character} takes the stock with {moveString}!",
+    "Player {player}'s {character} closes it out: {moveString} for the kill!"
+  ],
+  
   gameStart: [
     "Match starting: {player1} ({char1}) vs {player2} ({char2}) on {stage}!",
     "Here we go! {char1} facing off against {char2} on {stage}.",
     "Battle begins between {char1} and {char2} on {stage}. Let's see some tech skill!"
   ],
   
+  friendlyCombo: [
+    "{character} lands {moveCount} hits on teammate {victim} for {damage}%. That's not helping!",
+    "Friendly fire from Player {player}'s {character}: {damage}% on {victim}."
+  ],
+  
+  gameStartTeams: [
+    "Doubles starting: {team1} vs {team2} on {stage}!",
+    "Here we go! {team1} taking on {team2} on {stage}.",
+    "Teams battle begins on {stage}: {team1} against {team2}. Watch the teamwork!"
+  ],
+  
   gameEnd: [
     "Game! {winner} takes the victory over {loser}.",
     "That's it! {winner} clutches out the win against {loser}.",
@@ -76,7 +115,7 @@ export function generateTemplateCommentary(events, gameContext = null) {
   // Parse the first event (we typically process one event at a time)
   let event;
   try {
-    event = typeof events[0] === 'string' ? JSON.parse(events[0]) : events[0];
+    event = readEvent(events[0]);
   } catch (e) {
     console.error('Error parsing event:', e);
     return 'Something interesting just happened in the match!';
@@ -88,30 +127,65 @@ export function generateTemplateCommentary(events, gameContext = null) {
   
   switch (event.type) {
     case 'stockLost':
-      templateCollection = TEMPLATES.stockLost;
+      // Name the kill move and blast zone when the death was analyzed
+      if (event.killerRelationship === 'teammate') {
+        templateCollection = TEMPLATES.teamKill;
+      } else if (event.selfDestruct && event.blastZone) {
+        templateCollection = TEMPLATES.selfDestruct;
+      } else if (event.killMove && event.killerCharacter && event.blastZone) {
+        templateCollection = TEMPLATES.stockLostKill;
+      } else {
+        templateCollection = TEMPLATES.stockLost;
+      }
       replacements = {
         player: event.playerIndex + 1,
         character: event.playerCharacter || 'Player',
-        remainingStocks: event.remainingStocks
+        remainingStocks: event.remainingStocks,
+        killer: event.killerCharacter || 'their teammate',
+        killMove: event.killMove,
+        percent: event.percent ?? '?',
+        blastZone: event.blastZone === 'side' ? 'the side' : `the ${event.blastZone}`
       };
       break;
       
     case 'combo':
-      templateCollection = TEMPLATES.combo;
+      // Spell out the actual string when the combo was reconstructed
+      if (event.relationship === 'teammate') {
+        templateCollection = TEMPLATES.friendlyCombo;
+      } else if (event.moveString) {
+        templateCollection = event.didKill ? TEMPLATES.comboKill : TEMPLATES.comboString;
+      } else {
+        templateCollection = TEMPLATES.combo;
+      }
       replacements = {
         player: event.playerIndex + 1,
         character: event.playerCharacter || 'Player',
+        victim: event.victimCharacter || 'their teammate',
         moveCount: event.moves || '?',
+        moveString: event.moveString,
         damage: typeof event.damage === 'number' ? event.damage.toFixed(1) : event.damage || '?'
       };
       break;
       
-    case 'gameStart':
+    case 'gameStart': {
+      const stageName = STAGE_NAMES[event.stage] || 'this stage';
+      
+      // Doubles: describe each team instead of two single characters
+      if (event.isTeams && event.teams?.length >= 2) {
+        templateCollection = TEMPLATES.gameStartTeams;
+        const describeTeam = team => `${team.name} (${team.characters.join(' & ')})`;
+        replacements = {
+          team1: describeTeam(event.teams[0]),
+          team2: event.teams.slice(1).map(describeTeam).join(' and '),
+          stage: stageName
+        };
+        break;
+      }
+      
       templateCollection = TEMPLATES.gameStart;
       
       // Extract player characters from context
       const characters = event.matchup || [];
-      const stageName = STAGE_NAMES[event.stage] || 'this stage';
       
       replacements = {
         player1: 'Player 1',
@@ -121,6 +195,7 @@ export function generateTemplateCommentary(events, gameContext = null) {
         stage: stageName
       };
       break;
+    }
       
     case 'gameEnd':
       templateCollection = TEMPLATES.gameEnd;
@@ -236,7 +311,7 @@ export async function provideLiveCommentary(apiKey, events, options = {}) {
     const { executeOpenAIRequest } = await import('./utils/api/openaiHandler.js');
     
     // Build the prompt (simplified version)
-    const prompt = `Generate a short, exciting commentary line for this Smash Bros Melee event: ${JSON.stringify(events[0])}`;
+    const prompt = `Generate a short, exciting commentary line for this Smash Bros Melee event: ${JSON.stringify(readEvent(events[0]))}`;
     
     // Execute the request
     const result = await executeOpenAIRequest(apiKey, prompt, {
@@ -1,5 +1,6 @@
 // src/templateCommentarySystem.js
 import { STAGE_NAMES } from './utils/constants.js';
+import { readEvent } from './utils/eventSchema.js';
 
 /**
  * Generates template-based commentary without requiring an LLM
@@ -8,13 +9,11 @@ import { STAGE_NAMES } from './utils/constants.js';
  * @returns {string} - Generated commentary
  */
 export function generateTemplateCommentary(event, gameState = null) {
-  // Parse the event if it's a string
-  if (typeof event === 'string') {
-    try {
-      event = JSON.parse(event);
-    } catch (e) {
-      return 'Something interesting just happened!';
-    }
+  // Parse JSON and unwrap timeline events
+  try {
+    event = readEvent(event);
+  } catch (e) {
+    return 'Something interesting just happened!';
   }
   
   // Get event type and select appropriate template
@@ -42,7 +41,7 @@ export function generateTemplateCommentary(event, gameState = null) {
  * @returns {string} - Generated commentary
  */
 function generateComboTemplate(event) {
-  const { playerCharacter, moves, damage, isHuman } = event;
+  const { playerCharacter, moves, damage, isHuman, relationship, victimCharacter, moveString, didKill } = event;
   const performer = isHuman === false ? 'CPU' : 'Player';
   
   // Handle undefined values
@@ -50,6 +49,28 @@ function generateComboTemplate(event) {
   const safeMoves = moves || '?';
   const safeDamage = damage !== undefined ? parseFloat(damage).toFixed(1) : '?';
   
+  // Doubles: hits on a teammate are friendly fire
+  if (relationship === 'teammate') {
+    const teammate = victimCharacter || 'their teammate';
+    const friendlyTemplates = [
+      `Friendly fire! ${safeCharacter} hits teammate ${teammate} for ${safeDamage}%.`,
+      `${safeCharacter} catches ${teammate} with ${safeMoves} hits. Wrong target!`
+    ];
+    return friendlyTemplates[Math.floor(Math.random() * friendlyTemplates.length)];
+  }
+  
+  // Spell out the actual string when the combo was reconstructed
+  if (moveString) {
+    const stringTemplates = didKill ? [
+      `${safeCharacter} takes the stock with ${moveString}!`,
+      `${performer}'s ${safeCharacter} closes it out: ${moveString}!`
+    ] : [
+      `${performer}'s ${safeCharacter} goes ${moveString} for ${safeDamage}%!`,
+      `${safeCharacter} runs ${moveString} for ${safeDamage}%!`
+    ];
+    return stringTemplates[Math.floor(Math.random() * stringTemplates.length)];
+  }
+  
   const templates = [
     `${performer}'s ${safeCharacter} lands a ${safeMoves}-hit combo for ${safeDamage}%!`,
     `${safeMoves} hits from ${safeCharacter} dealing ${safeDamage}% damage!`,
@@ -65,13 +86,36 @@ function generateComboTemplate(event) {
  * @returns {string} - Generated commentary
  */
 function generateStockLostTemplate(event) {
-  const { playerCharacter, remainingStocks, isHuman } = event;
+  const { playerCharacter, remainingStocks, isHuman, killerRelationship, killerCharacter } = event;
   const player = isHuman === false ? 'CPU' : 'Player';
   
   // Handle undefined values
   const safeCharacter = playerCharacter || 'Fighter';
   const safeStocks = remainingStocks !== undefined ? remainingStocks : '?';
   
+  if (killerRelationship === 'teammate') {
+    const teammate = killerCharacter || 'their own teammate';
+    const teamKillTemplates = [
+      `Ouch! ${teammate} takes out teammate ${safeCharacter}! ${safeStocks} stocks left.`,
+      `Friendly fire costs ${safeCharacter} a stock! ${safeStocks} remaining.`
+    ];
+    return teamKillTemplates[Math.floor(Math.random() * teamKillTemplates.length)];
+  }
+  
+  // Name the kill move and blast zone when the death was analyzed
+  const { killMove, percent, blastZone, selfDestruct } = event;
+  const zone = blastZone === 'side' ? 'the side' : `the ${blastZone}`;
+  if (selfDestruct && blastZone) {
+    return `${safeCharacter} self-destructs off ${zone} at ${percent}%! ${safeStocks} stocks left.`;
+  }
+  if (killMove && killerCharacter && blastZone) {
+    const killTemplates = [
+      `${safeCharacter} dies off ${zone} to ${killerCharacter}'s ${killMove} at ${percent}%!`,
+      `${killerCharacter}'s ${killMove} takes ${safeCharacter}'s stock at ${percent}%! ${safeStocks} remaining.`
+    ];
+    return killTemplates[Math.floor(Math.random() * killTemplates.length)];
+  }
+  
   const templates = [
     `${player}'s ${safeCharacter} loses a stock! ${safeStocks} remaining.`,
     `${safeCharacter} gets sent to the blast zone! ${safeStocks} stocks left.`,
@@ -168,6 +212,18 @@ function generateGameStartTemplate(event, gameState = null) {
   const stageId = event.stage;
   const stageName = STAGE_NAMES[stageId] || `Stage ${stageId}`;
   
+  // Doubles: describe the two teams
+  if (event.isTeams && event.teams?.length >= 2) {
+    const [team1, ...others] = event.teams.map(team => `${team.name} (${team.characters.join(' & ')})`);
+    const team2 = others.join(' and ');
+    const teamTemplates = [
+      `Doubles starting: ${team1} vs ${team2} on ${stageName}!`,
+      `Here we go! ${team1} taking on ${team2} on ${stageName}.`,
+      `Teams battle begins on ${stageName}: ${team1} against ${team2}.`
+    ];
+    return teamTemplates[Math.floor(Math.random() * teamTemplates.length)];
+  }
+  
   // Handle case with less than 2 characters
   if (matchup.length < 2) {
     return `Match starting on ${stageName}!`;
@@ -196,20 +252,20 @@ function generateGameEndTemplate(event, gameState = null) {
     return `Game ended early - Player ${lrasQuitter + 1} has left the match.`;
   }
   
-  // Use game state to determine winner and loser if available
-  let winner = "The winner";
-  let loser = "the opponent";
+  // Prefer the winning/losing side labels from the event (these cover teams)
+  let winner = event.winner || "The winner";
+  let loser = event.loser || "the opponent";
   
-  if (gameState && gameState.players && winnerIndex !== undefined && winnerIndex !== -1) {
-    const winnerPlayer = gameState.players.find(p => p.index === winnerIndex);
+  if (!event.winner && gameState && gameState.players && winnerIndex !== undefined && winnerIndex !== -1) {
+    const winnerPlayer = gameState.players.find(p => p.playerIndex === winnerIndex);
     if (winnerPlayer) {
       winner = winnerPlayer.character || "Player " + (winnerPlayer.port || (winnerIndex + 1));
     }
     
     // Find the other player as loser
-    const loserPlayer = gameState.players.find(p => p.index !== winnerIndex);
+    const loserPlayer = gameState.players.find(p => p.playerIndex !== winnerIndex);
     if (loserPlayer) {
-      loser = loserPlayer.character || "Player " + (loserPlayer.port || (loserPlayer.index + 1));
+      loser = loserPlayer.character || "Player " + (loserPlayer.port || (loserPlayer.playerIndex + 1));
     }
   }
   
@@ -0,0 +1,565 @@
+// src/utils/actionStates.js
+/**
+ * Authoritative Melee action-state table.
+ *
+ * IDs 0-340 are shared by every character and use the game's internal names. IDs from
+ * 341 up are character-specific (mostly specials) and mean different things per
+ * character. They are named and categorized for the characters in
+ * NAMED_STATE_CHARACTERS: Fox, Falco, Marth and Roy (every special), Peach (float, side
+ * smash and turnip pull) and Sheik (needles). The layouts of the other characters have not
+ * been sourced yet; their states are reported as UNNAMED_SPECIAL_STATE in category SPECIAL.
+ */
+
+/**
+ * Common action states, indexed by ID
+ */
+const COMMON_STATE_NAMES = [
+    'DeadDown', 'DeadLeft', 'DeadRight', 'DeadUp', 'DeadUpStar', 'DeadUpStarIce', 'DeadUpFall',
+    'DeadUpFallHitCamera', 'DeadUpFallHitCameraFlat', 'DeadUpFallIce', 'DeadUpFallHitCameraIce',
+    'Sleep', 'Rebirth', 'RebirthWait', 'Wait', 'WalkSlow', 'WalkMiddle', 'WalkFast', 'Turn',
+    'TurnRun', 'Dash', 'Run', 'RunDirect', 'RunBrake', 'KneeBend', 'JumpF', 'JumpB', 'JumpAerialF',
+    'JumpAerialB', 'Fall', 'FallF', 'FallB', 'FallAerial', 'FallAerialF', 'FallAerialB',
+    'FallSpecial', 'FallSpecialF', 'FallSpecialB', 'DamageFall', 'Squat', 'SquatWait', 'SquatRv',
+    'Landing', 'LandingFallSpecial', 'Attack11', 'Attack12', 'Attack13', 'Attack100Start',
+    'Attack100Loop', 'Attack100End', 'AttackDash', 'AttackS3Hi', 'AttackS3HiS', 'AttackS3S',
+    'AttackS3LwS', 'AttackS3Lw', 'AttackHi3', 'AttackLw3', 'AttackS4Hi', 'AttackS4HiS',
+    'AttackS4S', 'AttackS4LwS', 'AttackS4Lw', 'AttackHi4', 'AttackLw4', 'AttackAirN',
+    'AttackAirF', 'AttackAirB', 'AttackAirHi', 'AttackAirLw', 'LandingAirN', 'LandingAirF',
+    'LandingAirB', 'LandingAirHi', 'LandingAirLw', 'DamageHi1', 'DamageHi2', 'DamageHi3',
+    'DamageN1', 'DamageN2', 'DamageN3', 'DamageLw1', 'DamageLw2', 'DamageLw3', 'DamageAir1',
+    'DamageAir2', 'DamageAir3', 'DamageFlyHi', 'DamageFlyN', 'DamageFlyLw', 'DamageFlyTop',
+    'DamageFlyRoll', 'LightGet', 'HeavyGet', 'LightThrowF', 'LightThrowB', 'LightThrowHi',
+    'LightThrowLw', 'LightThrowDash', 'LightThrowDrop', 'LightThrowAirF', 'LightThrowAirB',
+    'LightThrowAirHi', 'LightThrowAirLw', 'HeavyThrowF', 'HeavyThrowB', 'HeavyThrowHi',
+    'HeavyThrowLw', 'LightThrowF4', 'LightThrowB4', 'LightThrowHi4', 'LightThrowLw4',
+    'LightThrowAirF4', 'LightThrowAirB4', 'LightThrowAirHi4', 'LightThrowAirLw4',
+    'HeavyThrowF4', 'HeavyThrowB4', 'HeavyThrowHi4', 'HeavyThrowLw4', 'SwordSwing1',
+    'SwordSwing3', 'SwordSwing4', 'SwordSwingDash', 'BatSwing1', 'BatSwing3', 'BatSwing4',
+    'BatSwingDash', 'ParasolSwing1', 'ParasolSwing3', 'ParasolSwing4', 'ParasolSwingDash',
+    'HarisenSwing1', 'HarisenSwing3', 'HarisenSwing4', 'HarisenSwingDash', 'StarRodSwing1',
+    'StarRodSwing3', 'StarRodSwing4', 'StarRodSwingDash', 'LipStickSwing1', 'LipStickSwing3',
+    'LipStickSwing4', 'LipStickSwingDash', 'ItemParasolOpen', 'ItemParasolFall',
+    'ItemParasolFallSpecial', 'ItemParasolDamageFall', 'LGunShoot', 'LGunShootAir',
+    'LGunShootEmpty', 'LGunShootAirEmpty', 'FireFlowerShoot', 'FireFlowerShootAir',
+    'ItemScrew', 'ItemScrewAir', 'DamageScrew', 'DamageScrewAir', 'ItemScopeStart',
+    'ItemScopeRapid', 'ItemScopeFire', 'ItemScopeEnd', 'ItemScopeAirStart', 'ItemScopeAirRapid',
+    'ItemScopeAirFire', 'ItemScopeAirEnd', 'ItemScopeStartEmpty', 'ItemScopeRapidEmpty',
+    'ItemScopeFireEmpty', 'ItemScopeEndEmpty', 'ItemScopeAirStartEmpty',
+    'ItemScopeAirRapidEmpty', 'ItemScopeAirFireEmpty', 'ItemScopeAirEndEmpty', 'LiftWait',
+    'LiftWalk1', 'LiftWalk2', 'LiftTurn', 'GuardOn', 'Guard', 'GuardOff', 'GuardSetOff',
+    'GuardReflect', 'DownBoundU', 'DownWaitU', 'DownDamageU', 'DownStandU', 'DownAttackU',
+    'DownFowardU', 'DownBackU', 'DownSpotU', 'DownBoundD', 'DownWaitD', 'DownDamageD',
+    'DownStandD', 'DownAttackD', 'DownFowardD', 'DownBackD', 'DownSpotD', 'Passive',
+    'PassiveStandF', 'PassiveStandB', 'PassiveWall', 'PassiveWallJump', 'PassiveCeil',
+    'ShieldBreakFly', 'ShieldBreakFall', 'ShieldBreakDownU', 'ShieldBreakDownD',
+    'ShieldBreakStandU', 'ShieldBreakStandD', 'FuraFura', 'Catch', 'CatchPull', 'CatchDash',
+    'CatchDashPull', 'CatchWait', 'CatchAttack', 'CatchCut', 'ThrowF', 'ThrowB', 'ThrowHi',
+    'ThrowLw', 'CapturePulledHi', 'CaptureWaitHi', 'CaptureDamageHi', 'CapturePulledLw',
+    'CaptureWaitLw', 'CaptureDamageLw', 'CaptureCut', 'CaptureJump', 'CaptureNeck',
+    'CaptureFoot', 'EscapeF', 'EscapeB', 'Escape', 'EscapeAir', 'ReboundStop', 'Rebound',
+    'ThrownF', 'ThrownB', 'ThrownHi', 'ThrownLw', 'ThrownLwWomen', 'Pass', 'Ottotto',
+    'OttottoWait', 'FlyReflectWall', 'FlyReflectCeil', 'StopWall', 'StopCeil', 'MissFoot',
+    'CliffCatch', 'CliffWait', 'CliffClimbSlow', 'CliffClimbQuick', 'CliffAttackSlow',
+    'CliffAttackQuick', 'CliffEscapeSlow', 'CliffEscapeQuick', 'CliffJumpSlow1',
+    'CliffJumpSlow2', 'CliffJumpQuick1', 'CliffJumpQuick2', 'AppealR', 'AppealL',
+    'ShoulderedWait', 'ShoulderedWalkSlow', 'ShoulderedWalkMiddle', 'ShoulderedWalkFast',
+    'ShoulderedTurn', 'ThrownFF', 'ThrownFB', 'ThrownFHi', 'ThrownFLw', 'CaptureCaptain',
+    'CaptureYoshi', 'YoshiEgg', 'CaptureKoopa', 'CaptureDamageKoopa', 'CaptureWaitKoopa',
+    'ThrownKoopaF', 'ThrownKoopaB', 'CaptureKoopaAir', 'CaptureDamageKoopaAir',
+    'CaptureWaitKoopaAir', 'ThrownKoopaAirF', 'ThrownKoopaAirB', 'CaptureKirby',
+    'CaptureWaitKirby', 'ThrownKirbyStar', 'ThrownCopyStar', 'ThrownKirby', 'BarrelWait',
+    'Bury', 'BuryWait', 'BuryJump', 'DamageSong', 'DamageSongWait', 'DamageSongRv',
+    'DamageBind', 'CaptureMewtwo', 'CaptureMewtwoAir', 'ThrownMewtwo', 'ThrownMewtwoAir',
+    'WarpStarJump', 'WarpStarFall', 'HammerWait', 'HammerWalk', 'HammerTurn', 'HammerKneeBend',
+    'HammerFall', 'HammerJump', 'HammerLanding', 'KinokoGiantStart', 'KinokoGiantStartAir',
+    'KinokoGiantEnd', 'KinokoGiantEndAir', 'KinokoSmallStart', 'KinokoSmallStartAir',
+    'KinokoSmallEnd', 'KinokoSmallEndAir', 'Entry', 'EntryStart', 'EntryEnd', 'DamageIce',
+    'DamageIceJump', 'CaptureMasterhand', 'CaptureDamageMasterhand', 'CaptureWaitMasterhand',
+    'ThrownMasterhand', 'CaptureKirbyYoshi', 'KirbyYoshiEgg', 'CaptureLeadead',
+    'CaptureLikelike', 'DownReflect', 'CaptureCrazyhand', 'CaptureDamageCrazyhand',
+    'CaptureWaitCrazyhand', 'ThrownCrazyhand', 'BarrelCannonWait'
+];
+
+/**
+ * First character-specific action state ID
+ */
+export const FIRST_SPECIAL_STATE = COMMON_STATE_NAMES.length; // 341
+
+/**
+ * Name of character-specific states without an entry in CHARACTER_STATE_NAMES
+ */
+export const UNNAMED_SPECIAL_STATE = 'Special';
+
+// Fox and Falco share the same special state layout
+const SPACIE_STATE_NAMES = [
+    'BlasterGroundStartup', 'BlasterGroundLoop', 'BlasterGroundEnd', 'BlasterAirStartup',
+    'BlasterAirLoop', 'BlasterAirEnd', 'IllusionGroundStartup', 'IllusionGround',
+    'IllusionGroundEnd', 'IllusionAirStartup', 'IllusionAir', 'IllusionAirEnd',
+    'FireFoxGroundStartup', 'FireFoxAirStartup', 'FireFoxGround', 'FireFoxAir',
+    'FireFoxGroundEnd', 'FireFoxAirEnd', 'FireFoxBounceEnd', 'ReflectorGroundStartup',
+    'ReflectorGroundLoop', 'ReflectorGroundReflect', 'ReflectorGroundEnd',
+    'ReflectorGroundChangeDirection', 'ReflectorAirStartup', 'ReflectorAirLoop',
+    'ReflectorAirReflect', 'ReflectorAirEnd', 'ReflectorAirChangeDirection'
+];
+
+// Leading part of Peach's special state layout (float, float aerials, side smash, turnip pull)
+const PEACH_STATE_NAMES = [
+    'Float', 'FloatEndF', 'FloatEndB', 'FloatAttackN', 'FloatAttackF', 'FloatAttackB',
+    'FloatAttackU', 'FloatAttackD', 'AttackS4Club', 'AttackS4Pan', 'AttackS4Racket',
+    'VegetableGround'
+];
+
+// Leading part of Sheik's special state layout (needle storm)
+const SHEIK_STATE_NAMES = [
+    'NeedleStormGroundStartCharge', 'NeedleStormGroundChargeLoop', 'NeedleStormGroundEndCharge',
+    'NeedleStormGroundFire', 'NeedleStormAirStartCharge', 'NeedleStormAirChargeLoop',
+    'NeedleStormAirEndCharge', 'NeedleStormAirFire'
+];
+
+// Marth's special state layout, one state per special animation (SpecialNStart through
+// SpecialAirLwHit). Roy's is the same with his own moves.
+const MARTH_STATE_NAMES = [
+    'ShieldBreakerGroundStartCharge', 'ShieldBreakerGroundChargeLoop', 'ShieldBreakerGroundEarlyRelease',
+    'ShieldBreakerGroundFullyCharged', 'ShieldBreakerAirStartCharge', 'ShieldBreakerAirChargeLoop',
+    'ShieldBreakerAirEarlyRelease', 'ShieldBreakerAirFullyCharged', 'DancingBlade1Ground',
+    'DancingBlade2UpGround', 'DancingBlade2SideGround', 'DancingBlade3UpGround',
+    'DancingBlade3SideGround', 'DancingBlade3DownGround', 'DancingBlade4UpGround',
+    'DancingBlade4SideGround', 'DancingBlade4DownGround', 'DancingBlade1Air', 'DancingBlade2UpAir',
+    'DancingBlade2SideAir', 'DancingBlade3UpAir', 'DancingBlade3SideAir', 'DancingBlade3DownAir',
+    'DancingBlade4UpAir', 'DancingBlade4SideAir', 'DancingBlade4DownAir', 'DolphinSlashGround',
+    'DolphinSlashAir', 'CounterGround', 'CounterGroundHit', 'CounterAir', 'CounterAirHit'
+];
+
+const ROY_STATE_NAMES = MARTH_STATE_NAMES.map(name => name
+    .replace('ShieldBreaker', 'FlareBlade')
+    .replace('DancingBlade', 'DoubleEdgeDance')
+    .replace('DolphinSlash', 'Blazer'));
+
+/**
+ * Character-specific state names by external character ID, indexed from FIRST_SPECIAL_STATE
+ */
+const CHARACTER_STATE_NAMES = {
+    2: SPACIE_STATE_NAMES,  // Fox
+    9: MARTH_STATE_NAMES,   // Marth
+    12: PEACH_STATE_NAMES,  // Peach
+    19: SHEIK_STATE_NAMES,  // Sheik
+    20: SPACIE_STATE_NAMES, // Falco
+    23: ROY_STATE_NAMES     // Roy
+};
+
+/**
+ * External IDs of the characters whose character-specific states are named
+ */
+export const NAMED_STATE_CHARACTERS = Object.freeze(Object.keys(CHARACTER_STATE_NAMES).map(Number));
+
+/**
+ * Converts an internal state name to a constant key, e.g. "AttackAirN" -> "ATTACK_AIR_N"
+ */
+function toConstantName(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+        .toUpperCase();
+}
+
+/**
+ * Common action state IDs by constant name (e.g. ACTION_STATES.ATTACK_AIR_N === 65),
+ * plus readable aliases for the states the detectors care about
+ */
+export const ACTION_STATES = Object.freeze({
+    ...Object.fromEntries(COMMON_STATE_NAMES.map((name, id) => [toConstantName(name), id])),
+
+    // Readable aliases
+    STANDING: 14,
+    JUMP_SQUAT: 24,
+    NAIR: 65,
+    FAIR: 66,
+    BAIR: 67,
+    UAIR: 68,
+    DAIR: 69,
+    SHIELD_START: 178,
+    SHIELD: 179,
+    SHIELD_RELEASE: 180,
+    SHIELD_STUN: 181,
+    MISSED_TECH_UP: 183,
+    MISSED_TECH_DOWN: 191,
+    TECH_IN_PLACE: 199,
+    TECH_F: 200,
+    TECH_B: 201,
+    TECH_WALL: 202,
+    TECH_WALL_JUMP: 203,
+    TECH_CEILING: 204,
+    GRAB: 212,
+    DASH_GRAB: 214,
+    ROLL_F: 233,
+    ROLL_B: 234,
+    SPOT_DODGE: 235,
+    AIR_DODGE: 236,
+    PLATFORM_DROP: 244,
+    LEDGE_GRAB: 252,
+    LEDGE_HANG: 253
+});
+
+/**
+ * Fox/Falco special states (also valid for Falco)
+ */
+export const SPACIE_STATES = Object.freeze(
+    Object.fromEntries(SPACIE_STATE_NAMES.map((name, offset) => [toConstantName(name), FIRST_SPECIAL_STATE + offset]))
+);
+
+/**
+ * Peach special states
+ */
+export const PEACH_STATES = Object.freeze(
+    Object.fromEntries(PEACH_STATE_NAMES.map((name, offset) => [toConstantName(name), FIRST_SPECIAL_STATE + offset]))
+);
+
+/**
+ * Sheik special states
+ */
+export const SHEIK_STATES = Object.freeze(
+    Object.fromEntries(SHEIK_STATE_NAMES.map((name, offset) => [toConstantName(name), FIRST_SPECIAL_STATE + offset]))
+);
+
+/**
+ * Marth special states (Roy's use the same IDs)
+ */
+export const MARTH_STATES = Object.freeze(
+    Object.fromEntries(MARTH_STATE_NAMES.map((name, offset) => [toConstantName(name), FIRST_SPECIAL_STATE + offset]))
+);
+
+/**
+ * Values of the post-frame lCancelStatus field
+ */
+export const L_CANCEL_STATUS = {
+    NONE: 0,
+    SUCCESS: 1,
+    FAILURE: 2
+};
+
+/**
+ * Aerial attack state -> the landing state it lands into, and back
+ */
+export const AERIAL_LANDING_STATES = {
+    [ACTION_STATES.NAIR]: ACTION_STATES.LANDING_AIR_N,
+    [ACTION_STATES.FAIR]: ACTION_STATES.LANDING_AIR_F,
+    [ACTION_STATES.BAIR]: ACTION_STATES.LANDING_AIR_B,
+    [ACTION_STATES.UAIR]: ACTION_STATES.LANDING_AIR_HI,
+    [ACTION_STATES.DAIR]: ACTION_STATES.LANDING_AIR_LW
+};
+
+const AERIAL_MOVE_NAMES = {
+    [ACTION_STATES.NAIR]: 'nair',
+    [ACTION_STATES.FAIR]: 'fair',
+    [ACTION_STATES.BAIR]: 'bair',
+    [ACTION_STATES.UAIR]: 'uair',
+    [ACTION_STATES.DAIR]: 'dair'
+};
+
+/**
+ * Action state categories. Each common state belongs to exactly one.
+ */
+export const ACTION_STATE_CATEGORIES = {
+    DEAD: 'dead',
+    RESPAWN: 'respawn',
+    IDLE: 'idle',
+    WALK: 'walk',
+    TURN: 'turn',
+    DASH: 'dash',
+    RUN: 'run',
+    JUMP_SQUAT: 'jump-squat',
+    JUMP: 'jump',
+    FALL: 'fall',
+    HELPLESS: 'helpless',
+    CROUCH: 'crouch',
+    LANDING: 'landing',
+    GROUND_ATTACK: 'ground-attack',
+    AERIAL_ATTACK: 'aerial-attack',
+    AERIAL_LANDING: 'aerial-landing',
+    DAMAGE: 'damage',
+    ITEM: 'item',
+    SHIELD: 'shield',
+    MISSED_TECH: 'missed-tech',
+    DOWNED: 'downed',
+    TECH: 'tech',
+    SHIELD_BREAK: 'shield-break',
+    GRAB: 'grab',
+    THROW: 'throw',
+    GRABBED: 'grabbed',
+    DODGE: 'dodge',
+    AIR_DODGE: 'air-dodge',
+    THROWN: 'thrown',
+    PLATFORM_DROP: 'platform-drop',
+    TEETER: 'teeter',
+    WALL_BOUNCE: 'wall-bounce',
+    LEDGE: 'ledge',
+    LEDGE_ACTION: 'ledge-action',
+    TAUNT: 'taunt',
+    CAPTURED: 'captured',
+    ENTRY: 'entry',
+    SPECIAL: 'special',
+    RECOVERY: 'recovery', // Up special, the recovery move
+    OTHER: 'other'
+};
+
+const C = ACTION_STATE_CATEGORIES;
+
+// [first, last, category], inclusive, covering 0-340
+const CATEGORY_RANGES = [
+    [0, 10, C.DEAD],
+    [11, 11, C.OTHER],
+    [12, 13, C.RESPAWN],
+    [14, 14, C.IDLE],
+    [15, 17, C.WALK],
+    [18, 19, C.TURN],
+    [20, 20, C.DASH],
+    [21, 23, C.RUN],
+    [24, 24, C.JUMP_SQUAT],
+    [25, 28, C.JUMP],
+    [29, 34, C.FALL],
+    [35, 37, C.HELPLESS],
+    [38, 38, C.DAMAGE],
+    [39, 41, C.CROUCH],
+    [42, 43, C.LANDING],
+    [44, 64, C.GROUND_ATTACK],
+    [65, 69, C.AERIAL_ATTACK],
+    [70, 74, C.AERIAL_LANDING],
+    [75, 91, C.DAMAGE],
+    [92, 173, C.ITEM],
+    [174, 177, C.ITEM],
+    [178, 182, C.SHIELD],
+    [183, 183, C.MISSED_TECH],
+    [184, 190, C.DOWNED],
+    [191, 191, C.MISSED_TECH],
+    [192, 198, C.DOWNED],
+    [199, 204, C.TECH],
+    [205, 211, C.SHIELD_BREAK],
+    [212, 218, C.GRAB],
+    [219, 222, C.THROW],
+    [223, 232, C.GRABBED],
+    [233, 235, C.DODGE],
+    [236, 236, C.AIR_DODGE],
+    [237, 238, C.OTHER],
+    [239, 243, C.THROWN],
+    [244, 244, C.PLATFORM_DROP],
+    [245, 246, C.TEETER],
+    [247, 250, C.WALL_BOUNCE],
+    [251, 251, C.OTHER],
+    [252, 253, C.LEDGE],
+    [254, 263, C.LEDGE_ACTION],
+    [264, 265, C.TAUNT],
+    [266, 321, C.CAPTURED],
+    [322, 324, C.ENTRY],
+    [325, 326, C.DAMAGE],
+    [327, 334, C.CAPTURED],
+    [335, 335, C.DOWNED],
+    [336, 340, C.CAPTURED]
+];
+
+// [first, last, category] per character-specific layout, as offsets from
+// FIRST_SPECIAL_STATE. States not listed are SPECIAL.
+const SPECIAL_CATEGORY_RANGES = new Map([
+    [SPACIE_STATE_NAMES, [
+        [12, 15, C.RECOVERY], // Fire Fox / Fire Bird startup and travel
+        [16, 16, C.LANDING],
+        [17, 18, C.RECOVERY]
+    ]],
+    [PEACH_STATE_NAMES, [
+        [0, 2, C.FALL],
+        [3, 7, C.AERIAL_ATTACK],
+        [8, 10, C.GROUND_ATTACK]
+    ]],
+    [MARTH_STATE_NAMES, [[26, 27, C.RECOVERY]]],
+    [ROY_STATE_NAMES, [[26, 27, C.RECOVERY]]]
+]);
+
+// Categories are resolved once into flat lookups
+const STATE_CATEGORIES = [];
+CATEGORY_RANGES.forEach(([first, last, category]) => {
+    for (let id = first; id <= last; id++) {
+        STATE_CATEGORIES[id] = category;
+    }
+});
+
+const SPECIAL_STATE_CATEGORIES = new Map();
+SPECIAL_CATEGORY_RANGES.forEach((ranges, layout) => {
+    const categories = layout.map(() => C.SPECIAL);
+    ranges.forEach(([first, last, category]) => {
+        for (let offset = first; offset <= last; offset++) {
+            categories[offset] = category;
+        }
+    });
+    SPECIAL_STATE_CATEGORIES.set(layout, categories);
+});
+
+/**
+ * Name of an action state
+ *
+ * @param {number} stateId - Action state ID
+ * @param {number} characterId - External character ID, used for states from FIRST_SPECIAL_STATE up
+ * @returns {string} - Internal state name, or UNNAMED_SPECIAL_STATE for unnamed character-specific states
+ */
+export function getActionStateName(stateId, characterId = null) {
+    if (stateId === null || stateId === undefined) return 'Unknown';
+    if (stateId < FIRST_SPECIAL_STATE) return COMMON_STATE_NAMES[stateId] || `State${stateId}`;
+
+    const characterStates = CHARACTER_STATE_NAMES[characterId];
+    return characterStates?.[stateId - FIRST_SPECIAL_STATE] || UNNAMED_SPECIAL_STATE;
+}
+
+/**
+ * Category of an action state (one of ACTION_STATE_CATEGORIES)
+ *
+ * @param {number} stateId - Action state ID
+ * @param {number} characterId - External character ID, used for states from FIRST_SPECIAL_STATE up
+ * @returns {string}
+ */
+export function getActionStateCategory(stateId, characterId = null) {
+    if (stateId === null || stateId === undefined) return C.OTHER;
+    if (stateId >= FIRST_SPECIAL_STATE) {
+        const categories = SPECIAL_STATE_CATEGORIES.get(CHARACTER_STATE_NAMES[characterId]);
+        return categories?.[stateId - FIRST_SPECIAL_STATE] || C.SPECIAL;
+    }
+    return STATE_CATEGORIES[stateId] || C.OTHER;
+}
+
+export function isAerialAttack(stateId) {
+    return getActionStateCategory(stateId) === C.AERIAL_ATTACK;
+}
+
+export function isAerialLanding(stateId) {
+    return getActionStateCategory(stateId) === C.AERIAL_LANDING;
+}
+
+/**
+ * Any landing state: normal, special (e.g. after an airdodge) or aerial landing lag
+ */
+export function isLanding(stateId) {
+    const category = getActionStateCategory(stateId);
+    return category === C.LANDING || category === C.AERIAL_LANDING;
+}
+
+/**
+ * States that are always airborne. Specials can be either and are not included.
+ */
+export function isAirborne(stateId) {
+    const category = getActionStateCategory(stateId);
+    return category === C.JUMP || category === C.FALL || category === C.HELPLESS ||
+        category === C.AERIAL_ATTACK || category === C.AIR_DODGE ||
+        (stateId >= ACTION_STATES.DAMAGE_AIR1 && stateId <= ACTION_STATES.DAMAGE_FLY_ROLL) ||
+        stateId === ACTION_STATES.DAMAGE_FALL;
+}
+
+export function isInHitstun(stateId) {
+    return stateId >= ACTION_STATES.DAMAGE_HI1 && stateId <= ACTION_STATES.DAMAGE_FLY_ROLL;
+}
+
+/**
+ * Held by a normal grab
+ */
+export function isGrabbed(stateId) {
+    return getActionStateCategory(stateId) === C.GRABBED;
+}
+
+/**
+ * Held by a command grab (Bowser side-B, Kirby inhale, DK cargo, ...). The barrel
+ * wait state falls inside the range but is not a grab.
+ */
+export function isCommandGrabbed(stateId) {
+    return ((stateId >= ACTION_STATES.SHOULDERED_WAIT && stateId <= ACTION_STATES.THROWN_MEWTWO_AIR) ||
+        (stateId >= ACTION_STATES.CAPTURE_MASTERHAND && stateId <= ACTION_STATES.CAPTURE_WAIT_CRAZYHAND)) &&
+        stateId !== ACTION_STATES.BARREL_WAIT;
+}
+
+/**
+ * Grounded and actionable: standing, walking, dashing, crouching, ground attacks or
+ * grabbing. Used to decide when a punish has ended.
+ */
+export function isInControl(stateId) {
+    return (stateId >= ACTION_STATES.WAIT && stateId <= ACTION_STATES.KNEE_BEND) ||
+        (stateId >= ACTION_STATES.SQUAT && stateId <= ACTION_STATES.SQUAT_RV) ||
+        (stateId >= ACTION_STATES.ATTACK11 && stateId <= ACTION_STATES.ATTACK_LW4) ||
+        stateId === ACTION_STATES.CATCH;
+}
+
+export function isShielding(stateId) {
+    return getActionStateCategory(stateId) === C.SHIELD;
+}
+
+export function isTech(stateId) {
+    return getActionStateCategory(stateId) === C.TECH;
+}
+
+export function isMissedTech(stateId) {
+    return getActionStateCategory(stateId) === C.MISSED_TECH;
+}
+
+export function isDead(stateId) {
+    return getActionStateCategory(stateId) === C.DEAD;
+}
+
+export function isOnLedge(stateId) {
+    return getActionStateCategory(stateId) === C.LEDGE;
+}
+
+/**
+ * Classifies the state a player enters when leaving the ledge
+ *
+ * @param {number} stateId - First action state after the ledge hang
+ * @returns {string} - 'getup', 'attack', 'roll', 'jump', 'drop', 'hit' or 'other'
+ */
+export function getLedgeOption(stateId) {
+    switch (stateId) {
+        case ACTION_STATES.CLIFF_CLIMB_SLOW:
+        case ACTION_STATES.CLIFF_CLIMB_QUICK:
+            return 'getup';
+        case ACTION_STATES.CLIFF_ATTACK_SLOW:
+        case ACTION_STATES.CLIFF_ATTACK_QUICK:
+            return 'attack';
+        case ACTION_STATES.CLIFF_ESCAPE_SLOW:
+        case ACTION_STATES.CLIFF_ESCAPE_QUICK:
+            return 'roll';
+        case ACTION_STATES.CLIFF_JUMP_SLOW1:
+        case ACTION_STATES.CLIFF_JUMP_SLOW2:
+        case ACTION_STATES.CLIFF_JUMP_QUICK1:
+        case ACTION_STATES.CLIFF_JUMP_QUICK2:
+            return 'jump';
+        default:
+            break;
+    }
+
+    if (isInHitstun(stateId)) return 'hit';
+
+    // Letting go: falling, or jumping / attacking / airdodging straight out of the drop
+    const category = getActionStateCategory(stateId);
+    if (category === C.FALL || category === C.JUMP || category === C.AERIAL_ATTACK ||
+        category === C.AIR_DODGE || category === C.SPECIAL || category === C.RECOVERY) {
+        return 'drop';
+    }
+    return 'other';
+}
+
+/**
+ * Short move name for an aerial attack or aerial landing state ("nair", "fair", ...)
+ *
+ * @param {number} stateId - Aerial attack or aerial landing state
+ * @returns {string|null}
+ */
+export function getAerialName(stateId) {
+    if (AERIAL_MOVE_NAMES[stateId]) return AERIAL_MOVE_NAMES[stateId];
+    const aerial = Object.keys(AERIAL_LANDING_STATES).find(key => AERIAL_LANDING_STATES[key] === stateId);
+    return aerial ? AERIAL_MOVE_NAMES[aerial] : null;
+}
+
+/**
+ * Whether the player is in Fox/Falco's shine (reflector)
+ *
+ * @param {number} stateId - Action state ID
+ * @param {number} characterId - External character ID
+ * @returns {boolean}
+ */
+export function isShine(stateId, characterId) {
+    return CHARACTER_STATE_NAMES[characterId] === SPACIE_STATE_NAMES &&
+        stateId >= SPACIE_STATES.REFLECTOR_GROUND_STARTUP &&
+        stateId <= SPACIE_STATES.REFLECTOR_AIR_CHANGE_DIRECTION;
+}
@@ -0,0 +1,232 @@
+// src/utils/characterData.js
+// Per-character physics and frame data for all 26 characters, keyed by external
+// character ID (the numbering used by characterNames and game settings). Analyzers and
+// prompt builders read character-specific numbers from here instead of keeping their
+// own tables. Speeds and distances are in game units per frame / game units.
+// Ledge-grab boxes are not in the table yet (see UNSOURCED_FIELDS).
+
+import { characterNames } from './slippiUtils.js';
+
+/**
+ * Aerial names in the order used by the landing lag tables
+ */
+export const AERIALS = ['nair', 'fair', 'bair', 'uair', 'dair'];
+
+/**
+ * Initial horizontal speed of a maximum-length wavedash (airdodge speed 3.1 at the
+ * shallowest airdodge angle). Airdodge speed is a common attribute, so characters only
+ * differ in how far they slide, through their traction.
+ */
+export const WAVEDASH_SPEED = 2.96;
+
+/**
+ * Landing lag of a wavedash / waveland (LandingFallSpecial)
+ */
+export const WAVELAND_LAG = 10;
+
+/**
+ * Builds the per-aerial landing lag table. L-cancelling halves landing lag (rounded
+ * down); aerials listed in `notCancellable` keep their full lag.
+ */
+function aerials(lags, notCancellable = []) {
+    return Object.fromEntries(AERIALS.map((aerial, i) => [aerial, {
+        landingLag: lags[i],
+        lCancelLag: notCancellable.includes(aerial) ? lags[i] : Math.floor(lags[i] / 2)
+    }]));
+}
+
+/**
+ * Character data by external character ID
+ *   jumpSquat     - Jump squat frames
+ *   weight        - Weight (knockback resistance)
+ *   fallSpeed     - Maximum fall speed
+ *   fastFallSpeed - Fast fall speed
+ *   traction      - Ground friction; sliding above walk speed slows by twice this
+ *   aerials       - { nair|fair|bair|uair|dair: { landingLag, lCancelLag } }
+ *   airdodgeDistance - Distance a maximum-length airdodge into the ground (wavedash) slides
+ *   ledgeGrabBox  - Always null until sourced from the character attribute data
+ */
+export const CHARACTER_DATA = {
+    0: { // Captain Falcon
+        jumpSquat: 4, weight: 104, fallSpeed: 2.9, fastFallSpeed: 3.5, traction: 0.08,
+        aerials: aerials([15, 18, 20, 15, 25])
+    },
+    1: { // Donkey Kong
+        jumpSquat: 5, weight: 114, fallSpeed: 2.4, fastFallSpeed: 2.96, traction: 0.08,
+        aerials: aerials([15, 20, 20, 15, 25])
+    },
+    2: { // Fox
+        jumpSquat: 3, weight: 75, fallSpeed: 2.8, fastFallSpeed: 3.4, traction: 0.08,
+        aerials: aerials([15, 22, 20, 18, 18])
+    },
+    3: { // Mr. Game & Watch: nair, bair and uair cannot be L-cancelled
+        jumpSquat: 4, weight: 60, fallSpeed: 1.7, fastFallSpeed: 2.3, traction: 0.06,
+        aerials: aerials([18, 15, 18, 18, 18], ['nair', 'bair', 'uair'])
+    },
+    4: { // Kirby
+        jumpSquat: 3, weight: 70, fallSpeed: 1.6, fastFallSpeed: 2.0, traction: 0.08,
+        aerials: aerials([15, 15, 15, 15, 20])
+    },
+    5: { // Bowser
+        jumpSquat: 8, weight: 117, fallSpeed: 1.9, fastFallSpeed: 2.4, traction: 0.06,
+        aerials: aerials([20, 30, 20, 20, 30])
+    },
+    6: { // Link
+        jumpSquat: 6, weight: 104, fallSpeed: 2.13, fastFallSpeed: 3.0, traction: 0.1,
+        aerials: aerials([15, 20, 20, 30, 40])
+    },
+    7: { // Luigi
+        jumpSquat: 4, weight: 100, fallSpeed: 1.6, fastFallSpeed: 2.0, traction: 0.025,
+        aerials: aerials([15, 15, 15, 15, 22])
+    },
+    8: { // Mario
+        jumpSquat: 4, weight: 100, fallSpeed: 1.7, fastFallSpeed: 2.3, traction: 0.06,
+        aerials: aerials([15, 18, 15, 15, 20])
+    },
+    9: { // Marth
+        jumpSquat: 4, weight: 87, fallSpeed: 2.2, fastFallSpeed: 2.5, traction: 0.06,
+        aerials: aerials([15, 15, 20, 15, 32])
+    },
+    10: { // Mewtwo
+        jumpSquat: 5, weight: 85, fallSpeed: 1.5, fastFallSpeed: 2.3, traction: 0.04,
+        aerials: aerials([15, 25, 20, 18, 20])
+    },
+    11: { // Ness
+        jumpSquat: 4, weight: 94, fallSpeed: 1.83, fastFallSpeed: 2.2, traction: 0.06,
+        aerials: aerials([15, 20, 20, 18, 25])
+    },
+    12: { // Peach
+        jumpSquat: 5, weight: 90, fallSpeed: 1.5, fastFallSpeed: 2.0, traction: 0.1,
+        aerials: aerials([15, 18, 15, 18, 22])
+    },
+    13: { // Pikachu
+        jumpSquat: 3, weight: 80, fallSpeed: 1.9, fastFallSpeed: 2.7, traction: 0.09,
+        aerials: aerials([15, 15, 15, 15, 20])
+    },
+    14: { // Ice Climbers
+        jumpSquat: 3, weight: 88, fallSpeed: 1.6, fastFallSpeed: 2.0, traction: 0.035,
+        aerials: aerials([15, 30, 15, 15, 20])
+    },
+    15: { // Jigglypuff
+        jumpSquat: 5, weight: 60, fallSpeed: 1.3, fastFallSpeed: 1.6, traction: 0.09,
+        aerials: aerials([15, 22, 22, 18, 22])
+    },
+    16: { // Samus
+        jumpSquat: 3, weight: 110, fallSpeed: 1.4, fastFallSpeed: 2.3, traction: 0.06,
+        aerials: aerials([15, 20, 20, 18, 23])
+    },
+    17: { // Yoshi
+        jumpSquat: 5, weight: 108, fallSpeed: 1.93, fastFallSpeed: 2.93, traction: 0.06,
+        aerials: aerials([15, 22, 20, 18, 30])
+    },
+    18: { // Zelda
+        jumpSquat: 6, weight: 90, fallSpeed: 1.4, fastFallSpeed: 1.73, traction: 0.1,
+        aerials: aerials([15, 20, 20, 18, 30])
+    },
+    19: { // Sheik
+        jumpSquat: 3, weight: 90, fallSpeed: 2.13, fastFallSpeed: 3.0, traction: 0.08,
+        aerials: aerials([15, 15, 15, 18, 20])
+    },
+    20: { // Falco
+        jumpSquat: 5, weight: 80, fallSpeed: 3.1, fastFallSpeed: 3.5, traction: 0.08,
+        aerials: aerials([15, 22, 20, 18, 18])
+    },
+    21: { // Young Link
+        jumpSquat: 4, weight: 85, fallSpeed: 2.13, fastFallSpeed: 3.0, traction: 0.08,
+        aerials: aerials([15, 20, 15, 30, 32])
+    },
+    22: { // Dr. Mario
+        jumpSquat: 4, weight: 100, fallSpeed: 1.7, fastFallSpeed: 2.3, traction: 0.06,
+        aerials: aerials([15, 18, 15, 15, 20])
+    },
+    23: { // Roy
+        jumpSquat: 5, weight: 85, fallSpeed: 2.4, fastFallSpeed: 2.9, traction: 0.06,
+        aerials: aerials([15, 15, 20, 15, 32])
+    },
+    24: { // Pichu
+        jumpSquat: 3, weight: 55, fallSpeed: 1.9, fastFallSpeed: 2.7, traction: 0.1,
+        aerials: aerials([15, 15, 15, 15, 20])
+    },
+    25: { // Ganondorf
+        jumpSquat: 6, weight: 109, fallSpeed: 2.0, fastFallSpeed: 2.6, traction: 0.07,
+        aerials: aerials([15, 20, 20, 20, 25])
+    }
+};
+
+/**
+ * Fields every character has but whose values have not been sourced yet; they are null
+ * rather than estimated. The ledge-grab box (horizontal range and vertical extent of the
+ * cliff catch box) has to come from each character's attribute data.
+ */
+export const UNSOURCED_FIELDS = ['ledgeGrabBox'];
+
+Object.values(CHARACTER_DATA).forEach(data => {
+    data.airdodgeDistance = Number(slideDistance(data.traction).toFixed(2));
+    UNSOURCED_FIELDS.forEach(field => { data[field] = null; });
+});
+
+// Used when the character is unknown
+const DEFAULT_JUMP_SQUAT = 4;
+const DEFAULT_LANDING_LAG = 15;
+
+/**
+ * @param {number} characterId - External character ID
+ * @returns {Object|null} - Character data with its name, or null for unknown IDs
+ */
+export function getCharacterData(characterId) {
+    const data = CHARACTER_DATA[characterId];
+    return data ? { name: characterNames[characterId], ...data } : null;
+}
+
+/**
+ * @param {string} name - Character name as in characterNames (case-insensitive)
+ * @returns {Object|null} - Character data with its name and ID
+ */
+export function getCharacterDataByName(name) {
+    if (!name) return null;
+    const entry = Object.entries(characterNames)
+        .find(([, characterName]) => characterName.toLowerCase() === String(name).toLowerCase());
+    return entry ? { id: Number(entry[0]), ...getCharacterData(Number(entry[0])) } : null;
+}
+
+/**
+ * @param {number} characterId - External character ID
+ * @returns {number} - Jump squat frames
+ */
+export function getJumpSquatFrames(characterId) {
+    return CHARACTER_DATA[characterId]?.jumpSquat ?? DEFAULT_JUMP_SQUAT;
+}
+
+/**
+ * @param {number} characterId - External character ID
+ * @param {string} aerial - 'nair', 'fair', 'bair', 'uair' or 'dair'
+ * @param {boolean} lCancelled - Whether the landing was L-cancelled
+ * @returns {number} - Landing lag frames
+ */
+export function getLandingLag(characterId, aerial, lCancelled = false) {
+    const lag = CHARACTER_DATA[characterId]?.aerials[aerial];
+    if (!lag) return lCancelled ? Math.floor(DEFAULT_LANDING_LAG / 2) : DEFAULT_LANDING_LAG;
+    return lCancelled ? lag.lCancelLag : lag.landingLag;
+}
+
+/**
+ * Distance a maximum-length wavedash slides before stopping, or over the first
+ * `frames` frames after landing. Ground speed above walk speed drops by twice the
+ * character's traction every frame.
+ *
+ * @param {number} characterId - External character ID
+ * @param {number} frames - Only count this many frames of sliding (default: until stopped)
+ * @returns {number|null} - Distance in game units, or null for unknown characters
+ */
+export function getWavedashDistance(characterId, frames = Infinity) {
+    const traction = CHARACTER_DATA[characterId]?.traction;
+    if (!traction) return null;
+    return slideDistance(traction, frames);
+}
+
+function slideDistance(traction, frames = Infinity) {
+    const deceleration = traction * 2;
+    const slideFrames = Math.min(frames, Math.ceil(WAVEDASH_SPEED / deceleration));
+    // Arithmetic series of the per-frame speeds
+    return slideFrames * WAVEDASH_SPEED - deceleration * slideFrames * (slideFrames - 1) / 2;
+}
@@ -0,0 +1,188 @@
+// src/utils/comboReconstruction.js
+// Rebuilds combos and conversions into the string of moves that was actually landed:
+// readable move names in order, with the frame, percent and DI of every hit, the opener
+// and whether it killed. Accepts combos/conversions from SlippiGame.getStats() as well
+// as ConversionTracker conversions (same shape); frame data is used for DI and
+// character-specific move names when available.
+
+import { getJoystickRegion, JOYSTICK_REGIONS } from './inputs.js';
+import { getMoveLabel } from './moves.js';
+import { getComboAttacker, getExternalCharacterId } from './slippiUtils.js';
+
+// Longest hitlag a hit can cause
+const MAX_HITLAG_FRAMES = 20;
+
+// Stick direction of each joystick region as [x, y] signs
+const REGION_DIRECTIONS = {
+    [JOYSTICK_REGIONS.DZ]: [0, 0],
+    [JOYSTICK_REGIONS.NE]: [1, 1],
+    [JOYSTICK_REGIONS.SE]: [1, -1],
+    [JOYSTICK_REGIONS.SW]: [-1, -1],
+    [JOYSTICK_REGIONS.NW]: [-1, 1],
+    [JOYSTICK_REGIONS.N]: [0, 1],
+    [JOYSTICK_REGIONS.E]: [1, 0],
+    [JOYSTICK_REGIONS.S]: [0, -1],
+    [JOYSTICK_REGIONS.W]: [-1, 0]
+};
+
+/**
+ * Hitlag frames for a hit of the given damage (Melee's formula, without the electric
+ * multiplier)
+ */
+function estimateHitlag(damage) {
+    return Math.min(MAX_HITLAG_FRAMES, Math.floor(damage / 3 + 3));
+}
+
+/**
+ * Frame on which DI is read for a hit: the last frame of the victim's hitlag. Uses
+ * post.hitlagRemaining when the replay has it, and estimates hitlag from damage otherwise.
+ */
+function findDiFrame(frames, victimIndex, hitFrame, damage) {
+    const victimPost = frameNum => frames[frameNum]?.players?.[victimIndex]?.post;
+    const hitlagRemaining = victimPost(hitFrame)?.hitlagRemaining;
+
+    let frame = hitFrame;
+    if (hitlagRemaining !== undefined && hitlagRemaining !== null) {
+        while (frame < hitFrame + MAX_HITLAG_FRAMES && victimPost(frame + 1)?.hitlagRemaining > 0) frame++;
+        return frame;
+    }
+
+    const lastHitlagFrame = hitFrame + estimateHitlag(damage) - 1;
+    while (frame < lastHitlagFrame && frames[frame + 1]?.players?.[victimIndex]) frame++;
+    return frame;
+}
+
+/**
+ * DI direction of a held stick, relative to the attacker: 'in' (toward the attacker),
+ * 'out', 'up', 'down', combinations such as 'up-out', or 'none'
+ *
+ * @param {Object} pre - Victim's pre-frame data on the DI frame
+ * @param {number} victimX - Victim position
+ * @param {number} attackerX - Attacker position
+ * @returns {string|null} - Null when the stick is unknown
+ */
+export function getDiDirection(pre, victimX, attackerX) {
+    if (!pre || pre.joystickX === undefined || pre.joystickX === null) return null;
+
+    const [stickX, stickY] = REGION_DIRECTIONS[getJoystickRegion(pre.joystickX, pre.joystickY ?? 0)];
+    const parts = [];
+    if (stickY !== 0) parts.push(stickY > 0 ? 'up' : 'down');
+    if (stickX !== 0) {
+        if (victimX === attackerX || victimX === undefined || attackerX === undefined) {
+            parts.push(stickX > 0 ? 'right' : 'left');
+        } else {
+            parts.push(Math.sign(attackerX - victimX) === stickX ? 'in' : 'out');
+        }
+    }
+    return parts.length > 0 ? parts.join('-') : 'none';
+}
+
+/**
+ * Rebuilds a combo or conversion into its ordered hits
+ *
+ * @param {Object} conversion - Combo or conversion (playerIndex is the player being hit)
+ * @param {Object} options
+ * @param {Object} options.frames - Frames by frame number (SlippiGame.getFrames()), for DI
+ *   and attacker characters
+ * @param {Object} options.characterIds - External character IDs by player index, used
+ *   when frames are not available
+ * @returns {Object} - { attackerIndex, victimIndex, startFrame, endFrame, startPercent,
+ *   endPercent, damage, didKill, openingType, opener, hits, moveString }. Each hit is
+ *   { playerIndex, frame, moveId, move, hitCount, damage, percent, di }, where percent
+ *   is the victim's percent after the hit.
+ */
+export function reconstructConversion(conversion, options = {}) {
+    const { frames = null, characterIds = {} } = options;
+    const victimIndex = conversion.playerIndex;
+    const attackerIndex = getComboAttacker(conversion);
+    const startPercent = conversion.startPercent ?? 0;
+
+    let percent = startPercent;
+    const hits = (conversion.moves || []).map(move => {
+        const hitterIndex = move.playerIndex ?? attackerIndex;
+        const frame = frames?.[move.frame];
+        const hitterPost = frame?.players?.[hitterIndex]?.post;
+        const characterId = hitterPost?.internalCharacterId !== undefined && hitterPost?.internalCharacterId !== null ?
+            getExternalCharacterId(hitterPost.internalCharacterId) : characterIds[hitterIndex] ?? null;
+
+        const damage = move.damage ?? 0;
+        percent += damage;
+
+        let di = null;
+        if (frames) {
+            const diFrame = frames[findDiFrame(frames, victimIndex, move.frame, damage)];
+            const victim = diFrame?.players?.[victimIndex];
+            const attacker = diFrame?.players?.[hitterIndex];
+            di = getDiDirection(victim?.pre, victim?.post?.positionX, attacker?.post?.positionX);
+        }
+
+        return {
+            playerIndex: hitterIndex,
+            frame: move.frame,
+            moveId: move.moveId,
+            move: getMoveLabel(move.moveId, characterId),
+            hitCount: move.hitCount ?? 1,
+            damage,
+            percent,
+            di
+        };
+    });
+
+    const endPercent = conversion.endPercent ?? conversion.currentPercent ?? percent;
+    return {
+        attackerIndex,
+        victimIndex,
+        startFrame: conversion.startFrame,
+        endFrame: conversion.endFrame ?? null,
+        startPercent,
+        endPercent,
+        damage: endPercent - startPercent,
+        didKill: Boolean(conversion.didKill),
+        openingType: conversion.openingType ?? null,
+        opener: hits[0] ? { move: hits[0].move, moveId: hits[0].moveId, frame: hits[0].frame } : null,
+        hits,
+        moveString: hits.map(hit => hit.move).join(' → ')
+    };
+}
+
+/**
+ * One-line description, e.g. "u-throw → u-air → knee (52%, killed)"
+ *
+ * @param {Object} reconstructed - Result of reconstructConversion()
+ * @returns {string}
+ */
+export function describeConversion(reconstructed) {
+    const details = [`${reconstructed.damage.toFixed(0)}%`];
+    if (reconstructed.didKill) details.push('killed');
+    return `${reconstructed.moveString || 'no hits'} (${details.join(', ')})`;
+}
+
+/**
+ * DI held on each hit, e.g. "in, in, up-out"; null when no DI was read
+ *
+ * @param {Object} reconstructed - Result of reconstructConversion()
+ * @returns {string|null}
+ */
+export function describeDi(reconstructed) {
+    const directions = reconstructed.hits.map(hit => hit.di);
+    return directions.some(direction => direction !== null) ?
+        directions.map(direction => direction ?? '?').join(', ') : null;
+}
+
+/**
+ * A player's most damaging conversions, rebuilt and described
+ *
+ * @param {Array<Object>} conversions - Conversions (ConversionTracker or slippi-js)
+ * @param {number} attackerIndex - Player whose punishes to pick
+ * @param {Object} options - Options for reconstructConversion(), plus `limit` (default 3)
+ * @returns {Array<Object>} - Reconstructed conversions, kills first, then by damage
+ */
+export function getNotableConversions(conversions, attackerIndex, options = {}) {
+    const { limit = 3, ...reconstructOptions } = options;
+    return (conversions || [])
+        .filter(conversion => conversion.moves?.length > 0 && getComboAttacker(conversion) === attackerIndex &&
+            conversion.playerIndex !== attackerIndex)
+        .map(conversion => reconstructConversion(conversion, reconstructOptions))
+        .sort((a, b) => (b.didKill - a.didKill) || (b.damage - a.damage))
+        .slice(0, limit);
+}
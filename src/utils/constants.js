@@ -3,6 +3,7 @@
  * Centralized constants module for Slippi Coach
  * Provides consistent enumeration values across all modules
  */
+import { ACTION_STATES } from './actionStates.js';
 
 /**
  * Commentary styles for different tone and focus
@@ -70,50 +71,9 @@ export const STAGE_NAMES = {
 };
 
 /**
- * Melee action states of interest for advanced detection
+ * Melee action states, see actionStates.js for names, categories and helpers
  */
-export const ACTION_STATES = {
-  // Movement states
-  STANDING: 0,
-  DASH_START: 20,
-  DASH: 21,
-  RUN: 22,
-  RUN_DIRECT: 23,
-  JUMP_SQUAT: 24,
-  JUMP_F: 25,
-  JUMP_B: 26,
-  LANDING: 11,
-  LANDING_SPECIAL: 12,
-  
-  // Tech options
-  TECH_START: 0xC7,
-  TECH_ROLL_LEFT: 0xC9,
-  TECH_ROLL_RIGHT: 0xCA,
-  TECH_IN_PLACE: 0xC8,
-  TECH_MISS: 0xC8,
-  
-  // Recovery options
-  FIRE_FOX_GROUND: 0x159,
-  FIRE_FOX_AIR: 0x15A,
-  UP_B_GROUND: 0x15B,
-  UP_B_AIR: 0x15C,
-  
-  // Shield/grab states
-  GRAB: 0xD4,
-  SHIELD: 0xB3,
-  SHIELD_BREAK: 0xB6,
-  
-  // Aerial attacks
-  NAIR: 0x41,
-  FAIR: 0x42,
-  BAIR: 0x43,
-  UAIR: 0x44,
-  DAIR: 0x45,
-  
-  // Other
-  FALL: 0x1D,
-  AIR_DODGE: 0x13
-};
+export { ACTION_STATES };
 
 export default {
   COMMENTARY_STYLES,
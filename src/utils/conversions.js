@@ -0,0 +1,283 @@
+// src/utils/conversions.js
+// Conversion (punish) tracking, following slippi-js: a conversion starts when a player is
+// hit or grabbed, and ends once they have been back in control for PUNISH_RESET_FRAMES
+// frames or lose the stock. Conversions use the slippi-js shape, so playerIndex is the
+// player being punished and lastHitBy the player punishing them.
+
+import { isInHitstun, isGrabbed, isCommandGrabbed, isInControl } from './actionStates.js';
+import { getMoveShortName } from './moves.js';
+
+/**
+ * Frames a punished player must stay in control before the conversion ends
+ */
+export const PUNISH_RESET_FRAMES = 45;
+
+/**
+ * How a conversion was opened
+ */
+export const OPENING_TYPES = {
+    NEUTRAL_WIN: 'neutral-win',       // Neither player was being punished
+    COUNTER_ATTACK: 'counter-attack', // The attacker was being punished and hit back
+    TRADE: 'trade'                    // Both players hit each other on the same frame
+};
+
+/**
+ * Picks the player responsible for a hit. lastHitBy can be stale (e.g. on grabs), so in
+ * a two-player game the only other player is used when it does not point at one.
+ *
+ * @param {Object} post - Post-frame data of the player who was hit
+ * @param {number} victimIndex - Index of the player who was hit
+ * @param {Object} players - frame.players
+ * @returns {number|null} - Attacker index
+ */
+export function resolveAttacker(post, victimIndex, players) {
+    const lastHitBy = post.lastHitBy;
+    if (lastHitBy !== null && lastHitBy !== undefined && lastHitBy !== victimIndex && players[lastHitBy]) {
+        return lastHitBy;
+    }
+
+    const others = Object.keys(players).map(Number).filter(index => index !== victimIndex);
+    return others.length === 1 ? others[0] : null;
+}
+
+/**
+ * Streaming conversion tracker. Feed it every frame in order; conversions are added to
+ * `conversions` when they start and completed in place when they end.
+ */
+export class ConversionTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.conversions = [];
+        this.playerStates = {};
+    }
+
+    _getState(playerIndex) {
+        if (!this.playerStates[playerIndex]) {
+            this.playerStates[playerIndex] = {
+                conversion: null,
+                move: null,
+                resetCounter: 0,
+                lastHitAnimation: null,
+                prevPercent: null,
+                prevStocks: null,
+                prevActionState: null,
+                prevActionCounter: null
+            };
+        }
+        return this.playerStates[playerIndex];
+    }
+
+    /**
+     * Opening type of a conversion starting this frame. A trade is detected when the
+     * attacker's own conversion (with the victim attacking) also starts this frame.
+     */
+    _getOpeningType(attackerIndex, victimIndex, frameNum) {
+        const attackerConversion = attackerIndex !== null ? this.playerStates[attackerIndex]?.conversion : null;
+        if (!attackerConversion) return OPENING_TYPES.NEUTRAL_WIN;
+
+        if (attackerConversion.startFrame === frameNum && attackerConversion.lastHitBy === victimIndex) {
+            attackerConversion.openingType = OPENING_TYPES.TRADE;
+            return OPENING_TYPES.TRADE;
+        }
+        return OPENING_TYPES.COUNTER_ATTACK;
+    }
+
+    /**
+     * Processes one frame for every player
+     *
+     * @param {Object} players - frame.players ({ [playerIndex]: { pre, post } })
+     * @param {number} frameNum - Frame number
+     * @returns {Object} - { started, ended } conversions that started or ended this frame
+     */
+    pushFrame(players, frameNum) {
+        const started = [];
+        const ended = [];
+        if (!players) return { started, ended };
+
+        const entries = Object.entries(players)
+            .filter(([, playerFrame]) => playerFrame?.post)
+            .map(([index, playerFrame]) => [Number(index), playerFrame.post]);
+
+        entries.forEach(([victimIndex, post]) => {
+            const state = this._getState(victimIndex);
+            const percent = post.percent ?? 0;
+            const damageTaken = state.prevPercent !== null ? percent - state.prevPercent : 0;
+            const lostStock = state.prevStocks !== null && post.stocksRemaining < state.prevStocks;
+            const isPunished = isInHitstun(post.actionStateId) ||
+                isGrabbed(post.actionStateId) || isCommandGrabbed(post.actionStateId);
+
+            // Once the attacker's animation changes (or restarts), the next hit is a new move
+            if (state.move) {
+                const attackerPost = players[state.move.playerIndex]?.post;
+                const attackerState = this.playerStates[state.move.playerIndex];
+                const animationRestarted = attackerPost?.actionStateCounter !== undefined &&
+                    attackerState?.prevActionCounter !== null &&
+                    attackerPost.actionStateCounter < attackerState.prevActionCounter;
+                if (!attackerPost || attackerPost.actionStateId !== state.lastHitAnimation || animationRestarted) {
+                    state.lastHitAnimation = null;
+                }
+            }
+
+            if (isPunished) {
+                const attackerIndex = resolveAttacker(post, victimIndex, players);
+
+                if (!state.conversion) {
+                    state.conversion = {
+                        playerIndex: victimIndex,
+                        lastHitBy: attackerIndex,
+                        startFrame: frameNum,
+                        endFrame: null,
+                        startPercent: state.prevPercent ?? 0,
+                        currentPercent: percent,
+                        endPercent: null,
+                        moves: [],
+                        didKill: false,
+                        openingType: this._getOpeningType(attackerIndex, victimIndex, frameNum)
+                    };
+                    state.move = null;
+                    state.lastHitAnimation = null;
+                    this.conversions.push(state.conversion);
+                    started.push(state.conversion);
+                }
+
+                if (damageTaken > 0) {
+                    const hitBy = attackerIndex ?? state.conversion.lastHitBy;
+                    if (state.lastHitAnimation === null || !state.move || state.move.playerIndex !== hitBy) {
+                        state.move = {
+                            playerIndex: hitBy,
+                            frame: frameNum,
+                            moveId: players[hitBy]?.post?.lastAttackLanded ?? null,
+                            hitCount: 0,
+                            damage: 0
+                        };
+                        state.conversion.moves.push(state.move);
+                    }
+
+                    state.move.hitCount += 1;
+                    state.move.damage += damageTaken;
+                    // The previous frame's animation is the one that connected, even on trades
+                    state.lastHitAnimation = this.playerStates[hitBy]?.prevActionState ?? null;
+                }
+
+                state.resetCounter = 0;
+            }
+
+            if (!state.conversion) return;
+
+            if (!lostStock) {
+                state.conversion.currentPercent = percent;
+            }
+
+            // Count frames since the player got back in control
+            if (state.resetCounter > 0 || isInControl(post.actionStateId)) {
+                state.resetCounter += 1;
+            }
+
+            if (lostStock) {
+                state.conversion.didKill = true;
+            }
+
+            if (lostStock || state.resetCounter > PUNISH_RESET_FRAMES) {
+                state.conversion.endFrame = frameNum;
+                state.conversion.endPercent = state.prevPercent ?? 0;
+                ended.push(state.conversion);
+                state.conversion = null;
+                state.move = null;
+                state.resetCounter = 0;
+            }
+        });
+
+        // Only now move every player on, so attackers are compared with the previous frame
+        entries.forEach(([playerIndex, post]) => {
+            const state = this._getState(playerIndex);
+            state.prevPercent = post.percent ?? 0;
+            state.prevStocks = post.stocksRemaining ?? state.prevStocks;
+            state.prevActionState = post.actionStateId;
+            state.prevActionCounter = post.actionStateCounter ?? null;
+        });
+
+        return { started, ended };
+    }
+}
+
+/**
+ * Damage dealt over a conversion (so far, for conversions still in progress)
+ */
+export function getConversionDamage(conversion) {
+    return (conversion.endPercent ?? conversion.currentPercent) - conversion.startPercent;
+}
+
+function ratio(count, total) {
+    return total > 0 ? count / total : null;
+}
+
+/**
+ * Summarizes conversions per player, like slippi-js overall stats. Kills are
+ * conversions that ended in a stock loss; self-inflicted damage is ignored.
+ *
+ * @param {Array<Object>} conversions - Conversions from ConversionTracker
+ * @param {Array<number>} playerIndices - Players to summarize
+ * @returns {Object} - { [playerIndex]: stats }
+ */
+export function computeConversionStats(conversions, playerIndices) {
+    const attributed = (conversions || []).filter(c =>
+        c.lastHitBy !== null && c.lastHitBy !== undefined && c.lastHitBy !== c.playerIndex);
+    const countOfType = type => attributed.filter(c => c.openingType === type).length;
+    const totalNeutralWins = countOfType(OPENING_TYPES.NEUTRAL_WIN);
+    const totalCounterHits = countOfType(OPENING_TYPES.COUNTER_ATTACK);
+
+    const stats = {};
+    playerIndices.forEach(playerIndex => {
+        const own = attributed.filter(c => c.lastHitBy === playerIndex);
+        const ofType = type => own.filter(c => c.openingType === type);
+
+        const openings = own.length;
+        const kills = own.filter(c => c.didKill).length;
+        const totalDamage = own.reduce((sum, c) => sum + getConversionDamage(c), 0);
+        const totalMoves = own.reduce((sum, c) => sum + c.moves.length, 0);
+        const totalFrames = own.reduce((sum, c) => {
+            const lastFrame = c.endFrame ?? c.moves[c.moves.length - 1]?.frame ?? c.startFrame;
+            return sum + (lastFrame - c.startFrame);
+        }, 0);
+
+        const longest = own.reduce((best, c) => (!best || c.moves.length > best.moves.length ? c : best), null);
+
+        // Which moves won neutral
+        const openers = {};
+        ofType(OPENING_TYPES.NEUTRAL_WIN).forEach(c => {
+            const opener = getMoveShortName(c.moves[0]?.moveId);
+            openers[opener] = (openers[opener] || 0) + 1;
+        });
+
+        const neutralWins = ofType(OPENING_TYPES.NEUTRAL_WIN).length;
+        const counterHits = ofType(OPENING_TYPES.COUNTER_ATTACK).length;
+
+        stats[playerIndex] = {
+            openings,
+            kills,
+            totalDamage,
+            openingsPerKill: kills > 0 ? openings / kills : null,
+            damagePerOpening: ratio(totalDamage, openings),
+            neutralWins,
+            neutralLosses: attributed.filter(c => c.playerIndex === playerIndex && c.openingType === OPENING_TYPES.NEUTRAL_WIN).length,
+            counterHits,
+            trades: ofType(OPENING_TYPES.TRADE).length,
+            neutralWinRatio: ratio(neutralWins, totalNeutralWins),
+            counterHitRatio: ratio(counterHits, totalCounterHits),
+            averagePunishLength: ratio(totalMoves, openings),
+            averagePunishFrames: ratio(totalFrames, openings),
+            longestPunish: longest ? {
+                frame: longest.startFrame,
+                moves: longest.moves.length,
+                damage: getConversionDamage(longest),
+                didKill: longest.didKill
+            } : null,
+            openers
+        };
+    });
+
+    return stats;
+}
@@ -0,0 +1,278 @@
+// src/utils/deaths.js
+// Death analysis per stock: for every stock lost, the blast zone it was lost through,
+// the percent, whether it was a self-destruct, the killing move and the conversion that
+// led to it, and the neutral interaction that started that conversion.
+
+import { ACTION_STATES, getActionStateName, isDead } from './actionStates.js';
+import { reconstructConversion } from './comboReconstruction.js';
+import { getExternalCharacterId } from './slippiUtils.js';
+import { distanceToBlastZone, getStageZone } from './stageGeometry.js';
+
+/**
+ * Blast zone categories
+ */
+export const BLAST_ZONES = {
+    TOP: 'top',
+    SIDE: 'side',
+    BOTTOM: 'bottom'
+};
+
+/**
+ * Blast zone side ('left', 'right', 'top', 'bottom') of a dead state
+ */
+function getDeadStateSide(stateId) {
+    if (stateId === ACTION_STATES.DEAD_DOWN) return 'bottom';
+    if (stateId === ACTION_STATES.DEAD_LEFT) return 'left';
+    if (stateId === ACTION_STATES.DEAD_RIGHT) return 'right';
+    return isDead(stateId) ? 'top' : null;
+}
+
+function getBlastZone(side) {
+    if (side === 'top') return BLAST_ZONES.TOP;
+    if (side === 'bottom') return BLAST_ZONES.BOTTOM;
+    return side ? BLAST_ZONES.SIDE : null;
+}
+
+/**
+ * Streaming death tracker. Feed it every frame in order, after the ConversionTracker
+ * whose conversions it was given has seen the same frame; deaths are added to `deaths`
+ * as they happen.
+ */
+export class DeathTracker {
+    /**
+     * @param {number} stageId - Stage ID (used for blast zones without a dead state, and zones)
+     * @param {Object} options
+     * @param {Array<Object>} options.conversions - ConversionTracker.conversions, used to
+     *   find the punish that led to each death
+     */
+    constructor(stageId, options = {}) {
+        this.stageId = stageId;
+        this.conversions = options.conversions || [];
+        this.reset();
+    }
+
+    reset() {
+        this.deaths = [];
+        this.playerStates = {};
+    }
+
+    _getState(playerIndex) {
+        if (!this.playerStates[playerIndex]) {
+            this.playerStates[playerIndex] = {
+                characterId: null,
+                prevPost: null,          // Last post-frame while alive
+                prevStocks: null,
+                wasDead: false,
+                pendingDeath: null,      // Recorded on entering a dead state, awaiting the stock loss
+                openingConversion: null, // Conversion the opening below belongs to
+                opening: null            // Victim's state just before that conversion started
+            };
+        }
+        return this.playerStates[playerIndex];
+    }
+
+    /**
+     * Conversion in progress (or ended on this frame) against a player
+     */
+    _findConversion(victimIndex, frameNum) {
+        for (let i = this.conversions.length - 1; i >= 0; i--) {
+            const conversion = this.conversions[i];
+            if (conversion.playerIndex !== victimIndex) continue;
+            return conversion.endFrame === null || conversion.endFrame === frameNum ? conversion : null;
+        }
+        return null;
+    }
+
+    _characterIds() {
+        return Object.fromEntries(Object.entries(this.playerStates)
+            .map(([playerIndex, state]) => [playerIndex, state.characterId]));
+    }
+
+    /**
+     * @param {Object} players - frame.players ({ [playerIndex]: { pre, post } })
+     * @param {number} frameNum - Frame number
+     * @returns {Array<Object>} - Deaths recorded on this frame
+     */
+    pushFrame(players, frameNum) {
+        const recorded = [];
+        if (!players) return recorded;
+
+        Object.entries(players).forEach(([index, playerFrame]) => {
+            const post = playerFrame?.post;
+            if (!post) return;
+
+            const playerIndex = Number(index);
+            const state = this._getState(playerIndex);
+            if (post.internalCharacterId !== undefined && post.internalCharacterId !== null) {
+                state.characterId = getExternalCharacterId(post.internalCharacterId);
+            }
+
+            const dead = isDead(post.actionStateId);
+            const lostStock = state.prevStocks !== null && post.stocksRemaining < state.prevStocks;
+
+            // Remember what the victim was doing right before each punish started
+            const conversion = this._findConversion(playerIndex, frameNum);
+            if (conversion && conversion !== state.openingConversion && state.prevPost) {
+                state.openingConversion = conversion;
+                state.opening = {
+                    actionState: getActionStateName(state.prevPost.actionStateId, state.characterId),
+                    zone: getStageZone(this.stageId, state.prevPost.positionX, state.prevPost.positionY)
+                };
+            }
+
+            // A death is recorded once: on entering a dead state or on the stock loss,
+            // whichever comes first
+            if (dead && !state.wasDead) {
+                const death = this._recordDeath(playerIndex, post, frameNum, conversion);
+                recorded.push(death);
+                state.pendingDeath = lostStock ? null : death;
+            } else if (lostStock) {
+                if (state.pendingDeath) {
+                    state.pendingDeath.stocksRemaining = post.stocksRemaining;
+                    state.pendingDeath = null;
+                } else {
+                    recorded.push(this._recordDeath(playerIndex, post, frameNum, conversion));
+                }
+            }
+
+            if (!dead) state.prevPost = post;
+            state.prevStocks = post.stocksRemaining ?? state.prevStocks;
+            state.wasDead = dead;
+        });
+
+        return recorded;
+    }
+
+    _recordDeath(playerIndex, post, frameNum, conversion) {
+        const state = this._getState(playerIndex);
+        const last = state.prevPost || post;
+        const side = getDeadStateSide(post.actionStateId) ||
+            distanceToBlastZone(this.stageId, last.positionX, last.positionY)?.side || null;
+
+        // A death without a punish in progress is a self-destruct
+        let punish = null;
+        let killerIndex = null;
+        let killMove = null;
+        let opening = null;
+        if (conversion && conversion.moves.length > 0) {
+            punish = reconstructConversion(conversion, { characterIds: this._characterIds() });
+            const lastHit = punish.hits[punish.hits.length - 1];
+            killerIndex = lastHit.playerIndex ?? null;
+            killMove = { moveId: lastHit.moveId, move: lastHit.move };
+            opening = {
+                frame: conversion.startFrame,
+                openingType: conversion.openingType,
+                opener: punish.opener?.move ?? null,
+                attackerIndex: punish.attackerIndex,
+                victimState: state.openingConversion === conversion ? state.opening?.actionState ?? null : null,
+                zone: state.openingConversion === conversion ? state.opening?.zone ?? null : null
+            };
+        }
+
+        const death = {
+            playerIndex,
+            frame: frameNum,
+            stocksRemaining: post.stocksRemaining ?? null,
+            percent: last.percent ?? 0,
+            position: { x: last.positionX ?? null, y: last.positionY ?? null },
+            blastZone: getBlastZone(side),
+            blastZoneSide: side,
+            selfDestruct: punish === null,
+            killerIndex,
+            killMove,
+            conversion: punish ? {
+                startFrame: punish.startFrame,
+                startPercent: punish.startPercent,
+                damage: punish.damage,
+                hitCount: punish.hits.length,
+                moveString: punish.moveString
+            } : null,
+            opening
+        };
+        this.deaths.push(death);
+        return death;
+    }
+}
+
+/**
+ * One-line description, e.g. "Fox dies off the top to Marth's u-smash at 98%"
+ *
+ * @param {Object} death - DeathTracker death
+ * @param {Object} names - Names (e.g. characters) by player index; "Player N" otherwise
+ * @returns {string}
+ */
+export function describeDeath(death, names = {}) {
+    const name = index => names[index] || `Player ${Number(index) + 1}`;
+    const zone = death.blastZone === BLAST_ZONES.SIDE ? 'the side' :
+        (death.blastZone ? `the ${death.blastZone}` : 'the stage');
+    const percent = `${Math.round(death.percent)}%`;
+
+    if (death.selfDestruct) {
+        return `${name(death.playerIndex)} self-destructs off ${zone} at ${percent}`;
+    }
+    const killer = death.killerIndex !== null ? `${name(death.killerIndex)}'s ` : '';
+    const move = death.killMove?.move || 'a hit';
+    return `${name(death.playerIndex)} dies off ${zone} to ${killer}${move} at ${percent}`;
+}
+
+/**
+ * How a death's punish started, e.g. "neutral-win with d-tilt (Marth was in Dash, edge)"
+ *
+ * @param {Object} death - DeathTracker death
+ * @param {Object} names - Names by player index
+ * @returns {string|null} - Null for self-destructs
+ */
+export function describeDeathOpening(death, names = {}) {
+    const opening = death.opening;
+    if (!opening) return null;
+
+    const details = [opening.victimState, opening.zone].filter(Boolean);
+    const victim = names[death.playerIndex] || `Player ${death.playerIndex + 1}`;
+    const context = details.length > 0 ? ` (${victim} was in ${details.join(', ')})` : '';
+    return `${opening.openingType || 'opening'} with ${opening.opener || 'a hit'}${context}`;
+}
+
+/**
+ * Flat, readable summary of a death for commentary events and coaching prompts
+ *
+ * @param {Object} death - DeathTracker death
+ * @param {Object} names - Names by player index
+ * @returns {Object} - { description, opening, percent, blastZone, selfDestruct, killMove, punish }
+ */
+export function summarizeDeath(death, names = {}) {
+    return {
+        description: describeDeath(death, names),
+        opening: describeDeathOpening(death, names),
+        percent: Math.round(death.percent),
+        blastZone: death.blastZone,
+        selfDestruct: death.selfDestruct,
+        killMove: death.killMove?.move ?? null,
+        punish: death.conversion?.moveString || null
+    };
+}
+
+/**
+ * Per-player death summary
+ *
+ * @param {Array<Object>} deaths - DeathTracker deaths
+ * @returns {Object} - { [playerIndex]: { deaths, selfDestructs, averagePercent, blastZones,
+ *   killMoves } } where killMoves counts deaths by killing move label
+ */
+export function computeDeathStats(deaths) {
+    const stats = {};
+    (deaths || []).forEach(death => {
+        const s = stats[death.playerIndex] = stats[death.playerIndex] || {
+            deaths: 0,
+            selfDestructs: 0,
+            averagePercent: 0,
+            blastZones: Object.fromEntries(Object.values(BLAST_ZONES).map(zone => [zone, 0])),
+            killMoves: {}
+        };
+        s.averagePercent = (s.averagePercent * s.deaths + death.percent) / (s.deaths + 1);
+        s.deaths++;
+        if (death.selfDestruct) s.selfDestructs++;
+        if (death.blastZone) s.blastZones[death.blastZone]++;
+        if (death.killMove?.move) s.killMoves[death.killMove.move] = (s.killMoves[death.killMove.move] || 0) + 1;
+    });
+    return stats;
+}
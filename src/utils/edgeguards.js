@@ -0,0 +1,374 @@
+// src/utils/edgeguards.js
+// Offstage situations: a player knocked offstage is tracked from the moment they leave
+// the stage until they land back on it or lose the stock. Each situation records the
+// recovering player's route and how the other side covered it.
+
+import {
+    FIRST_SPECIAL_STATE,
+    getLedgeOption,
+    isDead,
+    isInControl,
+    isInHitstun,
+    isLanding,
+    isOnLedge
+} from './actionStates.js';
+import { resolveAttacker } from './conversions.js';
+import { getStageGeometry, isOffstage, getStageSide, distanceToLedge } from './stageGeometry.js';
+import { characterNames, getExternalCharacterId } from './slippiUtils.js';
+
+/**
+ * Edgeguard coverage types, most significant first
+ */
+export const COVERAGE_TYPES = {
+    OFFSTAGE_HIT: 'offstage-hit', // Hit while both players were offstage
+    STAGE_HIT: 'stage-hit',       // Hit from the stage or the ledge
+    LEDGE_HOG: 'ledge-hog',       // Held the ledge on the recovering player's side
+    NONE: 'none'
+};
+
+/**
+ * Readable descriptions of the coverage types, for insights and prompts
+ */
+export const COVERAGE_LABELS = {
+    [COVERAGE_TYPES.OFFSTAGE_HIT]: 'going offstage for a hit',
+    [COVERAGE_TYPES.STAGE_HIT]: 'hitting from the stage',
+    [COVERAGE_TYPES.LEDGE_HOG]: 'ledge-hogging',
+    [COVERAGE_TYPES.NONE]: 'no coverage'
+};
+
+const COVERAGE_PRIORITY = [COVERAGE_TYPES.OFFSTAGE_HIT, COVERAGE_TYPES.STAGE_HIT, COVERAGE_TYPES.LEDGE_HOG];
+
+// Frames after a hit in which leaving the stage still counts as being knocked off
+const RECENT_HIT_FRAMES = 60;
+
+// Height bands (relative to the stage surface) used to describe a recovery
+const HIGH_RECOVERY_Y = 25;
+const LOW_RECOVERY_Y = -15;
+
+function getCharacterName(post) {
+    const characterId = getExternalCharacterId(post.internalCharacterId);
+    return characterNames[characterId] || 'Unknown';
+}
+
+/**
+ * @returns {string} - 'high', 'low' or 'level' relative to the stage surface
+ */
+function classifyHeight(y, geometry) {
+    if (y > geometry.groundY + HIGH_RECOVERY_Y) return 'high';
+    if (y < geometry.groundY + LOW_RECOVERY_Y) return 'low';
+    return 'level';
+}
+
+/**
+ * Angle of a recovery move in degrees: 0 is straight at the stage, 90 straight up,
+ * negative values head downwards and values above 90 drift away from the stage
+ */
+function getRecoveryAngle(start, end, side) {
+    const towardStage = (end.x - start.x) * (side === 'right' ? -1 : 1);
+    return Math.round(Math.atan2(end.y - start.y, towardStage) * 180 / Math.PI);
+}
+
+/**
+ * Streaming offstage tracker. Feed it every frame in order; situations are added to
+ * `situations` when they start and completed in place when they end.
+ */
+export class EdgeguardTracker {
+    /**
+     * @param {number} stageId - Stage ID. Stages without geometry are not tracked.
+     */
+    constructor(stageId = null) {
+        this.stageId = stageId;
+        this.geometry = getStageGeometry(stageId);
+        this.reset();
+    }
+
+    reset() {
+        this.situations = [];
+        this.playerStates = {};
+    }
+
+    _getState(playerIndex) {
+        if (!this.playerStates[playerIndex]) {
+            this.playerStates[playerIndex] = {
+                situation: null,
+                lastHitFrame: null,
+                lastHitBy: null,
+                recoveryMove: null,
+                prevPercent: null,
+                prevStocks: null,
+                prevActionState: null,
+                prevPosition: null
+            };
+        }
+        return this.playerStates[playerIndex];
+    }
+
+    /**
+     * Processes one frame for every player
+     *
+     * @param {Object} players - frame.players ({ [playerIndex]: { pre, post } })
+     * @param {number} frameNum - Frame number
+     * @returns {Array<Object>} - Situations that ended this frame
+     */
+    pushFrame(players, frameNum) {
+        const ended = [];
+        if (!this.geometry || !players) return ended;
+
+        const entries = Object.entries(players)
+            .filter(([, playerFrame]) => playerFrame?.post)
+            .map(([index, playerFrame]) => [Number(index), playerFrame.post]);
+
+        entries.forEach(([playerIndex, post]) => {
+            const state = this._getState(playerIndex);
+            const stateId = post.actionStateId;
+            const position = { x: post.positionX, y: post.positionY };
+            const offstage = isOffstage(this.stageId, position.x, position.y);
+            const lostStock = state.prevStocks !== null && post.stocksRemaining < state.prevStocks;
+            const damageTaken = state.prevPercent !== null && !lostStock ? (post.percent ?? 0) - state.prevPercent : 0;
+
+            if (isInHitstun(stateId)) {
+                state.lastHitFrame = frameNum;
+                state.lastHitBy = resolveAttacker(post, playerIndex, players) ?? state.lastHitBy;
+            }
+
+            // Knocked offstage: start a new situation
+            const alreadyOffstage = Boolean(state.situation);
+            if (!state.situation && offstage && !isDead(stateId) && !isOnLedge(stateId) &&
+                state.lastHitFrame !== null && frameNum - state.lastHitFrame <= RECENT_HIT_FRAMES) {
+                const edgeguarderPost = players[state.lastHitBy]?.post;
+                state.situation = {
+                    playerIndex,
+                    character: getCharacterName(post),
+                    edgeguarderIndex: state.lastHitBy,
+                    edgeguarderCharacter: edgeguarderPost ? getCharacterName(edgeguarderPost) : null,
+                    side: getStageSide(position.x),
+                    startFrame: frameNum,
+                    endFrame: null,
+                    startPercent: post.percent ?? 0,
+                    route: {
+                        height: null,
+                        destination: null,
+                        upBAngle: null,
+                        ledgeOption: null
+                    },
+                    ledgeOptions: [],
+                    maxLedgeDistance: 0, // Furthest the player got from the nearest ledge
+                    hitsTaken: 0,
+                    coverage: [],
+                    coverageType: COVERAGE_TYPES.NONE,
+                    outcome: null
+                };
+                state.recoveryMove = null;
+                this.situations.push(state.situation);
+            }
+
+            const situation = state.situation;
+            if (situation) {
+                // The hit that sent the player offstage is not part of the edgeguard
+                this._trackCoverage(situation, post, alreadyOffstage ? damageTaken : 0, players);
+                this._trackRoute(situation, state, stateId, position);
+                situation.maxLedgeDistance = Math.max(situation.maxLedgeDistance,
+                    distanceToLedge(this.stageId, position.x, position.y) ?? 0);
+
+                if (isDead(stateId) || lostStock) {
+                    this._endSituation(situation, frameNum, 'died');
+                } else if (!offstage && position.y >= this.geometry.groundY - 1 &&
+                    (isInControl(stateId) || isLanding(stateId))) {
+                    if (!situation.route.destination) {
+                        situation.route.destination = 'stage';
+                    }
+                    if (!situation.route.height) {
+                        situation.route.height = state.prevPosition && state.prevPosition.y > position.y + 1 ?
+                            'high' : 'level';
+                    }
+                    this._endSituation(situation, frameNum, 'recovered');
+                }
+
+                if (situation.outcome) {
+                    state.situation = null;
+                    state.recoveryMove = null;
+                    ended.push(situation);
+                }
+            }
+
+            state.prevPercent = post.percent ?? 0;
+            state.prevStocks = post.stocksRemaining ?? state.prevStocks;
+            state.prevActionState = stateId;
+            state.prevPosition = position;
+        });
+
+        return ended;
+    }
+
+    /**
+     * Records how the edgeguarder covered the recovery this frame
+     */
+    _trackCoverage(situation, post, damageTaken, players) {
+        const addCoverage = type => {
+            if (!situation.coverage.includes(type)) situation.coverage.push(type);
+        };
+
+        if (damageTaken > 0) {
+            situation.hitsTaken++;
+            const attackerIndex = resolveAttacker(post, situation.playerIndex, players);
+            const attackerPost = players[attackerIndex]?.post;
+            if (attackerPost) {
+                if (situation.edgeguarderIndex === null) {
+                    situation.edgeguarderIndex = attackerIndex;
+                    situation.edgeguarderCharacter = getCharacterName(attackerPost);
+                }
+                addCoverage(isOffstage(this.stageId, attackerPost.positionX, attackerPost.positionY) &&
+                    !isOnLedge(attackerPost.actionStateId) ? COVERAGE_TYPES.OFFSTAGE_HIT : COVERAGE_TYPES.STAGE_HIT);
+            }
+        }
+
+        // Edgeguarder holding the ledge the recovering player needs
+        const edgeguarderPost = players[situation.edgeguarderIndex]?.post;
+        if (edgeguarderPost && isOnLedge(edgeguarderPost.actionStateId) && !isOnLedge(post.actionStateId) &&
+            getStageSide(edgeguarderPost.positionX) === situation.side) {
+            addCoverage(COVERAGE_TYPES.LEDGE_HOG);
+        }
+    }
+
+    /**
+     * Records the recovery route: the last recovery special used, ledge grabs and the
+     * option taken from the ledge
+     */
+    _trackRoute(situation, state, stateId, position) {
+        const { route } = situation;
+        const inSpecial = stateId >= FIRST_SPECIAL_STATE;
+
+        if (inSpecial && !state.recoveryMove) {
+            state.recoveryMove = { start: position, end: position };
+        } else if (inSpecial) {
+            state.recoveryMove.end = position;
+        } else if (state.recoveryMove) {
+            route.upBAngle = getRecoveryAngle(state.recoveryMove.start, state.recoveryMove.end, situation.side);
+            route.height = classifyHeight(state.recoveryMove.start.y, this.geometry);
+            state.recoveryMove = null;
+        }
+
+        const wasOnLedge = isOnLedge(state.prevActionState);
+        if (isOnLedge(stateId) && !wasOnLedge) {
+            route.destination = 'ledge';
+            if (!route.height && state.prevPosition) {
+                route.height = classifyHeight(state.prevPosition.y, this.geometry);
+            }
+        } else if (wasOnLedge && !isOnLedge(stateId)) {
+            route.ledgeOption = getLedgeOption(stateId);
+            situation.ledgeOptions.push(route.ledgeOption);
+        }
+    }
+
+    _endSituation(situation, frameNum, outcome) {
+        situation.endFrame = frameNum;
+        situation.outcome = outcome;
+        situation.coverageType = COVERAGE_PRIORITY.find(type => situation.coverage.includes(type)) ||
+            COVERAGE_TYPES.NONE;
+    }
+}
+
+/**
+ * Whether a situation counts as an edgeguard attempt (the recovery was covered)
+ */
+export function isEdgeguardAttempt(situation) {
+    return situation.edgeguarderIndex !== null && situation.coverageType !== COVERAGE_TYPES.NONE;
+}
+
+function rate(count, total) {
+    return total > 0 ? count / total : null;
+}
+
+function increment(counts, key) {
+    if (key === null || key === undefined) return;
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Summarizes offstage situations per player (as edgeguarder and as recovering player)
+ * and per character matchup. Situations still in progress are ignored.
+ *
+ * @param {Array<Object>} situations - Situations from EdgeguardTracker
+ * @param {Array<number>} playerIndices - Players to summarize
+ * @returns {Object} - { players: { [playerIndex]: { edgeguarding, recovery } }, matchups }
+ */
+export function computeEdgeguardStats(situations, playerIndices) {
+    const finished = (situations || []).filter(s => s.outcome);
+    const attempts = finished.filter(isEdgeguardAttempt);
+
+    const players = {};
+    playerIndices.forEach(playerIndex => {
+        // As edgeguarder
+        const own = attempts.filter(s => s.edgeguarderIndex === playerIndex);
+        const byCoverage = {};
+        const byOpponentCharacter = {};
+        own.forEach(s => {
+            const coverage = byCoverage[s.coverageType] ||= { attempts: 0, successes: 0 };
+            coverage.attempts++;
+            const opponent = byOpponentCharacter[s.character] ||= { attempts: 0, successes: 0 };
+            opponent.attempts++;
+            if (s.outcome === 'died') {
+                coverage.successes++;
+                opponent.successes++;
+            }
+        });
+        Object.values(byOpponentCharacter).forEach(entry => { entry.successRate = rate(entry.successes, entry.attempts); });
+
+        const successes = own.filter(s => s.outcome === 'died').length;
+        // Opponent knocked offstage by this player but left alone
+        const uncovered = finished.filter(s => s.edgeguarderIndex === playerIndex && !isEdgeguardAttempt(s)).length;
+
+        // As recovering player
+        const recoveries = finished.filter(s => s.playerIndex === playerIndex);
+        const destinations = {};
+        const heights = {};
+        const ledgeOptions = {};
+        const angles = [];
+        let ledgeDistance = 0;
+        recoveries.forEach(s => {
+            ledgeDistance += s.maxLedgeDistance ?? 0;
+            increment(destinations, s.outcome === 'died' ? 'died' : s.route.destination);
+            increment(heights, s.route.height);
+            s.ledgeOptions.forEach(option => increment(ledgeOptions, option));
+            if (s.route.upBAngle !== null) angles.push(s.route.upBAngle);
+        });
+        const survived = recoveries.filter(s => s.outcome === 'recovered').length;
+
+        players[playerIndex] = {
+            edgeguarding: {
+                attempts: own.length,
+                successes,
+                successRate: rate(successes, own.length),
+                uncovered,
+                byCoverage,
+                byOpponentCharacter
+            },
+            recovery: {
+                situations: recoveries.length,
+                survived,
+                deaths: recoveries.length - survived,
+                survivalRate: rate(survived, recoveries.length),
+                edgeguarded: attempts.filter(s => s.playerIndex === playerIndex).length,
+                destinations,
+                heights,
+                ledgeOptions,
+                averageUpBAngle: angles.length > 0 ?
+                    Math.round(angles.reduce((sum, angle) => sum + angle, 0) / angles.length) : null,
+                // How far from the ledge recoveries started, on average
+                averageLedgeDistance: rate(ledgeDistance, recoveries.length)
+            }
+        };
+    });
+
+    // Edgeguarder character vs recovering character
+    const matchups = {};
+    attempts.forEach(s => {
+        const key = `${s.edgeguarderCharacter} vs ${s.character}`;
+        const entry = matchups[key] ||= { attempts: 0, successes: 0 };
+        entry.attempts++;
+        if (s.outcome === 'died') entry.successes++;
+    });
+    Object.values(matchups).forEach(entry => { entry.successRate = rate(entry.successes, entry.attempts); });
+
+    return { players, matchups };
+}
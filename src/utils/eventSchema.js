@@ -0,0 +1,266 @@
+// src/utils/eventSchema.js
+// Versioned schema for match events. Every producer (file monitors, the relay monitor)
+// records events in one envelope shape:
+//   { schemaVersion, seq, type, frame, timestamp, players, payload }
+// where `players` lists the player indices involved and `payload` holds the
+// type-specific fields. Commentary and coaching read events through readEvent(), which
+// also accepts the older flat objects ({ type, playerIndex, ... }).
+
+/**
+ * Version of the event envelope and payload shapes; bumped on incompatible changes
+ */
+export const EVENT_SCHEMA_VERSION = 1;
+
+/**
+ * Event types
+ */
+export const EVENT_TYPES = {
+    GAME_START: 'gameStart',
+    GAME_END: 'gameEnd',
+    STOCK_LOST: 'stockLost',
+    COMBO: 'combo',
+    ACTION_STATE: 'actionState',
+    FRAME_UPDATE: 'frameUpdate'
+};
+
+/**
+ * Payload fields per event type: `required` fields must be present, and every listed
+ * field that is present must match its type ('number', 'string', 'boolean', 'object',
+ * 'array', 'null', or alternatives joined with '|'). Fields not listed are allowed.
+ */
+export const EVENT_PAYLOADS = {
+    [EVENT_TYPES.GAME_START]: {
+        required: ['matchup'],
+        fields: {
+            matchup: 'array',
+            playerTypes: 'array',
+            isTeams: 'boolean',
+            teams: 'array',
+            stage: 'number|null'
+        }
+    },
+    [EVENT_TYPES.GAME_END]: {
+        required: ['endType'],
+        fields: {
+            endType: 'string',
+            winnerIndex: 'number',
+            winnerIndices: 'array',
+            winner: 'string',
+            loser: 'string',
+            lrasQuitter: 'number|null',
+            isTeams: 'boolean'
+        }
+    },
+    [EVENT_TYPES.STOCK_LOST]: {
+        required: ['playerIndex'],
+        fields: {
+            playerIndex: 'number',
+            stocksLost: 'number',
+            remainingStocks: 'number|string|null',
+            playerCharacter: 'string',
+            killerIndex: 'number|null',
+            killerCharacter: 'string|null',
+            killerRelationship: 'string',
+            percent: 'number|null',
+            blastZone: 'string|null',
+            selfDestruct: 'boolean|null',
+            killMove: 'string|null',
+            punish: 'string|null',
+            opening: 'string|null',
+            description: 'string|null'
+        }
+    },
+    [EVENT_TYPES.COMBO]: {
+        required: ['playerIndex', 'victimIndex', 'moves', 'damage'],
+        fields: {
+            playerIndex: 'number',
+            victimIndex: 'number',
+            moves: 'number',
+            damage: 'number',
+            relationship: 'string',
+            moveNames: 'array',
+            moveString: 'string',
+            opener: 'string|null',
+            didKill: 'boolean',
+            hits: 'array',
+            playerCharacter: 'string',
+            victimCharacter: 'string',
+            startFrame: 'number',
+            endFrame: 'number|null'
+        }
+    },
+    [EVENT_TYPES.ACTION_STATE]: {
+        required: ['playerIndex', 'subType'],
+        fields: {
+            playerIndex: 'number',
+            subType: 'string',
+            playerCharacter: 'string',
+            quality: 'number|string|null'
+        }
+    },
+    [EVENT_TYPES.FRAME_UPDATE]: {
+        required: ['players'],
+        fields: {
+            players: 'object'
+        }
+    }
+};
+
+/**
+ * FrameAnalyzer techniques reported as actionState events, mapped to the event's
+ * subType and details (null: this attempt is not reported)
+ */
+export const TECHNIQUE_ACTION_STATES = {
+    'wavedash': () => ({ subType: 'wavedash-land' }),
+    'l-cancel': event => event.quality === 'success' ? { subType: 'l-cancel-attempt', details: { aerial: event.data.aerial } } : null,
+    'tech': event => event.quality === 'missed' ? { subType: 'tech-miss', details: {} } : { subType: 'tech', details: { techType: event.data.type } },
+    'dash-dance': () => ({ subType: 'dashDance' })
+};
+
+// Payload fields that name the players an event involves
+const PLAYER_FIELDS = ['playerIndex', 'victimIndex', 'killerIndex', 'winnerIndices'];
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, expected) {
+    return expected.split('|').includes(typeOf(value));
+}
+
+/**
+ * Checks an event against the schema
+ *
+ * @param {Object} event - Event envelope
+ * @returns {Object} - { valid, errors } where errors is a list of messages
+ */
+export function validateEvent(event) {
+    const errors = [];
+    if (!event || typeOf(event) !== 'object') {
+        return { valid: false, errors: ['event must be an object'] };
+    }
+
+    if (event.schemaVersion !== EVENT_SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be ${EVENT_SCHEMA_VERSION} (got ${event.schemaVersion})`);
+    }
+    const spec = EVENT_PAYLOADS[event.type];
+    if (!spec) errors.push(`unknown event type: ${event.type}`);
+    if (!matchesType(event.frame, 'number|null')) errors.push('frame must be a number or null');
+    if (!matchesType(event.timestamp, 'number')) errors.push('timestamp must be a number');
+    if (!Array.isArray(event.players) || !event.players.every(Number.isInteger)) {
+        errors.push('players must be an array of player indices');
+    }
+    if (typeOf(event.payload) !== 'object') {
+        errors.push('payload must be an object');
+    } else if (spec) {
+        spec.required
+            .filter(field => event.payload[field] === undefined)
+            .forEach(field => errors.push(`payload.${field} is required for ${event.type}`));
+        Object.entries(spec.fields)
+            .filter(([field, expected]) => event.payload[field] !== undefined && !matchesType(event.payload[field], expected))
+            .forEach(([field, expected]) => errors.push(`payload.${field} must be ${expected} (got ${typeOf(event.payload[field])})`));
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Player indices a payload involves
+ */
+function getInvolvedPlayers(payload) {
+    const indices = PLAYER_FIELDS.flatMap(field => [].concat(payload[field] ?? []))
+        .filter(Number.isInteger);
+    return [...new Set(indices)];
+}
+
+/**
+ * Builds an event envelope
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} payload - Type-specific fields
+ * @param {Object} options
+ * @param {number|null} options.frame - Game frame (default payload.frame, else null)
+ * @param {number} options.timestamp - Milliseconds since the epoch (default now)
+ * @param {Array<number>} options.players - Involved players (default: from the payload)
+ * @returns {Object} - Event envelope (not validated)
+ */
+export function createEvent(type, payload = {}, options = {}) {
+    const { frame: payloadFrame, time, ...fields } = payload;
+    return {
+        schemaVersion: EVENT_SCHEMA_VERSION,
+        seq: null,
+        type,
+        frame: options.frame ?? (Number.isFinite(payloadFrame) ? payloadFrame : null),
+        timestamp: options.timestamp ?? (Number.isFinite(time) ? time : Date.now()),
+        players: options.players ?? getInvolvedPlayers(fields),
+        payload: fields
+    };
+}
+
+/**
+ * Whether a value is an event envelope (rather than an older flat event)
+ */
+export function isEventEnvelope(event) {
+    return Boolean(event) && typeof event === 'object' && 'schemaVersion' in event && 'payload' in event;
+}
+
+/**
+ * Converts an older flat event ({ type, frame, time, ...fields }) into an envelope;
+ * envelopes are returned unchanged
+ *
+ * @param {Object} event - Flat event or envelope
+ * @returns {Object} - Event envelope
+ */
+export function normalizeEvent(event) {
+    if (isEventEnvelope(event)) return event;
+    const { type, ...payload } = event || {};
+    return createEvent(type, payload);
+}
+
+/**
+ * Flat view of an event for commentary: { type, frame, timestamp, ...payload }
+ *
+ * @param {Object} event - Event envelope
+ * @returns {Object}
+ */
+export function flattenEvent(event) {
+    return { type: event.type, frame: event.frame, timestamp: event.timestamp, ...event.payload };
+}
+
+/**
+ * Reads an event as handed to commentary functions: a JSON string, an envelope or an
+ * older flat event. Throws on invalid JSON.
+ *
+ * @param {string|Object} event
+ * @returns {Object} - Flat event ({ type, frame, ...fields })
+ */
+export function readEvent(event) {
+    const parsed = typeof event === 'string' ? JSON.parse(event) : event;
+    return isEventEnvelope(parsed) ? flattenEvent(parsed) : parsed;
+}
+
+/**
+ * actionState event (flat) for a technique detected by the FrameAnalyzer, so every
+ * producer reports techniques the same way
+ *
+ * @param {Object} technique - Technique event ({ frame, playerIndex, technique, quality, data })
+ * @param {Object} player - Normalized player who performed it, if known
+ * @returns {Object|null} - Flat actionState event, or null when the technique is not reported
+ */
+export function createActionStateEvent(technique, player = null) {
+    const toActionState = TECHNIQUE_ACTION_STATES[technique.technique];
+    const fields = toActionState ? toActionState(technique) : null;
+    if (!fields) return null;
+
+    return {
+        type: EVENT_TYPES.ACTION_STATE,
+        playerIndex: technique.playerIndex,
+        frame: technique.frame,
+        playerCharacter: player?.character || 'Unknown',
+        isHuman: player?.isHuman,
+        quality: technique.quality,
+        ...fields
+    };
+}
@@ -1,63 +1,53 @@
 // src/utils/frameDataAnalyzer.js
-import { characterNames } from './slippiUtils.js';
+import { EventEmitter } from 'events';
+import { characterNames, getExternalCharacterId } from './slippiUtils.js';
+import {
+    ACTION_STATES,
+    ACTION_STATE_CATEGORIES,
+    L_CANCEL_STATUS,
+    getActionStateCategory,
+    getAerialName,
+    isAerialLanding,
+    isMissedTech,
+    isShielding,
+    isTech
+} from './actionStates.js';
+import { ConversionTracker, computeConversionStats, getConversionDamage, OPENING_TYPES } from './conversions.js';
+import { EdgeguardTracker, computeEdgeguardStats, COVERAGE_LABELS } from './edgeguards.js';
+import { TendencyTracker, computeTendencyStats, describeTendencies } from './tendencies.js';
+import { InputTracker, computeInputStats, L_CANCEL_WINDOW } from './inputs.js';
+import { TechniqueTracker, getTechniqueLabel } from './techniqueDetectors.js';
+import { StageControlTracker, computeStageControlStats } from './stageControl.js';
+import { DeathTracker, computeDeathStats, BLAST_ZONES } from './deaths.js';
+import { getMoveShortName } from './moves.js';
+import { getCharacterData, getJumpSquatFrames, getLandingLag, getWavedashDistance, WAVELAND_LAG } from './characterData.js';
+import { STAGE_NAMES } from './constants.js';
 
 /**
- * Constants for Melee-specific action states and technical execution
+ * Tech states and the tech type reported for them
  */
-const ACTION_STATES = {
-    // Movement states
-    STANDING: 0,
-    DASH_START: 20,
-    DASH: 21,
-    RUN: 22,
-    RUN_DIRECT: 23,
-    JUMP_SQUAT: 24,
-    JUMP_F: 25,
-    JUMP_B: 26,
-    LANDING: 11,
-    LANDING_SPECIAL: 12,
-    
-    // Aerial states
-    NAIR: 43,
-    FAIR: 44,
-    BAIR: 45,
-    UAIR: 46,
-    DAIR: 47,
-    
-    // Special movement
-    AIR_DODGE: 41,
-    SHIELD_START: 178,
-    SHIELD: 179,
-    SHIELD_RELEASE: 180,
-    GRAB: 212,
-    
-    // Defensive options
-    SPOT_DODGE: 229,
-    ROLL_F: 233,
-    ROLL_B: 234,
-    AIR_DODGE_F: 235,
-    AIR_DODGE_B: 236,
-    
-    // Tech options
-    TECH_MISS: 183,
-    TECH_DOWN: 185,
-    TECH_IN_PLACE: 184,
-    TECH_F: 186,
-    TECH_B: 187,
-    
-    // Character-specific shine states
-    FOX_SHINE: 191,
-    FALCO_SHINE: 191,
-    
-    // General categories (not actual state values)
-    AERIAL_ATTACK_START: 40,
-    AERIAL_ATTACK_END: 47,
-    GROUND_ATTACK_START: 50,
-    GROUND_ATTACK_END: 70,
-    HITSTUN_START: 75,
-    HITSTUN_END: 95
+const TECH_TYPES = {
+    [ACTION_STATES.TECH_IN_PLACE]: 'in-place',
+    [ACTION_STATES.TECH_F]: 'forward',
+    [ACTION_STATES.TECH_B]: 'backward',
+    [ACTION_STATES.TECH_WALL]: 'wall',
+    [ACTION_STATES.TECH_WALL_JUMP]: 'wall-jump',
+    [ACTION_STATES.TECH_CEILING]: 'ceiling'
 };
 
+/**
+ * Airborne state categories a player can fast fall in
+ */
+const FAST_FALL_CATEGORIES = new Set([
+    ACTION_STATE_CATEGORIES.JUMP,
+    ACTION_STATE_CATEGORIES.FALL,
+    ACTION_STATE_CATEGORIES.AERIAL_ATTACK
+]);
+
+// Smallest one-frame drop in self-induced vertical speed treated as a fast fall when the
+// character (and so its fast fall speed) is unknown
+const FAST_FALL_SPEED_DROP = 0.5;
+
 /**
  * Frame-perfect timing windows for advanced techniques
  */
@@ -72,392 +62,405 @@ const TECH_TIMINGS = {
 };
 
 /**
- * Analyzes Slippi replay frame data to extract technical execution metrics
- * Identifies frame-perfect inputs, advanced techniques, and optimization opportunities
- * 
- * @param {Object} frameData - Raw or processed Slippi frame data
- * @param {Object} options - Analysis configuration options
- * @returns {Object} - Comprehensive technical metrics
+ * Streaming technical analyzer. Frames are pushed one at a time in chronological order
+ * (from a finished replay or a live game), detectors keep their own per-player state,
+ * and every detected technique is emitted as it happens. Batch and live analysis both
+ * go through this class so they produce identical results.
+ *
+ * Events:
+ *   'technique' (event) - a technical event was detected ({ frame, playerIndex, technique, quality, data })
+ *   'conversion' (conversion) - a punish ended (see conversions.js for the shape)
+ *   'recovery' (situation) - an offstage situation ended (see edgeguards.js for the shape)
+ *   'tendency' (record) - a tech, missed-tech or ledge option was resolved (see tendencies.js)
+ *   'missed-input' (flag) - an input did not produce the intended technique (see inputs.js)
  */
-export function analyzeFrameData(frameData, options = {}) {
-    const {
-        startFrame = 0,
-        endFrame = Number.MAX_SAFE_INTEGER,
-        playerIndices = null,
-        filterTechniques = null
-    } = options;
-    
-    if (!frameData || typeof frameData !== 'object') {
-        return { error: 'Invalid frame data provided' };
+export class FrameAnalyzer extends EventEmitter {
+    /**
+     * @param {Object} options - Analysis configuration options
+     * @param {number} options.startFrame - Ignore frames before this frame
+     * @param {number} options.endFrame - Ignore frames after this frame
+     * @param {Array<number>} options.playerIndices - Only compute playerMetrics and technical
+     *   events for these players. Conversions, recoveries, tendencies, inputs, stage control
+     *   and deaths still cover every player, since they depend on the opponents' frames.
+     * @param {number} options.stageId - Stage ID, needed for edgeguard and recovery analysis
+     */
+    constructor(options = {}) {
+        super();
+        const {
+            startFrame = 0,
+            endFrame = Number.MAX_SAFE_INTEGER,
+            playerIndices = null,
+            stageId = null
+        } = options;
+        this.options = { startFrame, endFrame, playerIndices, stageId };
+        this.reset();
     }
-    
-    try {
-        // Initialize analysis result structure
-        const analysis = {
+
+    /**
+     * Clears all detector state and results
+     */
+    reset() {
+        this.conversionTracker = new ConversionTracker();
+        this.edgeguardTracker = new EdgeguardTracker(this.options.stageId);
+        this.tendencyTracker = new TendencyTracker();
+        this.inputTracker = new InputTracker();
+        this.techniqueTracker = new TechniqueTracker();
+        this.stageControlTracker = new StageControlTracker(this.options.stageId);
+        this.deathTracker = new DeathTracker(this.options.stageId, { conversions: this.conversionTracker.conversions });
+        this.analysis = {
             technicalEvents: [], // Chronological list of detected techniques
+            conversions: this.conversionTracker.conversions, // Punishes, in start order
+            recoveries: this.edgeguardTracker.situations, // Offstage situations, in start order
+            tendencies: this.tendencyTracker.records, // Tech, getup and ledge options, in start order
+            inputs: this.inputTracker.stats, // Raw pre-frame input tracking per player
+            missedInputs: this.inputTracker.missedInputs, // Inputs that did not come out as intended
+            stageControl: this.stageControlTracker.stats, // Frames per stage zone and center control
+            deaths: this.deathTracker.deaths, // Stock losses with kill move, blast zone and punish, in order
+            stageId: this.options.stageId,
             playerMetrics: {},   // Player-specific aggregated metrics
             neutralStats: {},    // Neutral game statistics
             punishStats: {},     // Punish game effectiveness
             movementEfficiency: {}, // Movement optimization metrics
             advancedTechniques: {} // Character-specific advanced techniques
         };
+
+        // Track player state across frames for transition detection
+        this.playerStates = {};
+        this.lastFrame = null;
+        this.frameCount = 0;
+    }
+
+    /**
+     * Feeds the next frame to every detector. Frames outside the configured range, and
+     * frames not newer than the last pushed frame, are ignored.
+     *
+     * @param {Object} frame - Slippi frame ({ frame, players })
+     * @param {number} frameNum - Frame number (defaults to frame.frame)
+     * @returns {Array<Object>} - Technical events detected on this frame
+     */
+    pushFrame(frame, frameNum = frame?.frame) {
+        const { startFrame, endFrame } = this.options;
+        if (!frame || !frame.players || frameNum === undefined || frameNum === null) return [];
+        if (frameNum < startFrame || frameNum > endFrame) return [];
+        if (this.lastFrame !== null && frameNum <= this.lastFrame) return [];
+
+        this.lastFrame = frameNum;
+        this.frameCount++;
+
+        const firstNewEvent = this.analysis.technicalEvents.length;
+        Object.entries(frame.players).forEach(([playerIndexStr, playerFrame]) => {
+            this._processPlayerFrame(Number(playerIndexStr), playerFrame, frameNum);
+        });
         
-        // Sort frame numbers chronologically
-        const frameNumbers = Object.keys(frameData)
-            .map(Number)
-            .filter(frame => frame >= startFrame && frame <= endFrame)
-            .sort((a, b) => a - b);
+        // Character-specific techniques (see techniqueDetectors.js)
+        const { playerIndices } = this.options;
+        this.techniqueTracker.pushFrame(frame, frameNum)
+            .filter(event => !playerIndices || playerIndices.includes(event.playerIndex))
+            .forEach(event => this.analysis.technicalEvents.push(event));
+
+        const newEvents = this.analysis.technicalEvents.slice(firstNewEvent);
+        newEvents.forEach(event => this.emit('technique', event));
+
+        const { ended } = this.conversionTracker.pushFrame(frame.players, frameNum);
+        ended.forEach(conversion => this.emit('conversion', conversion));
+
+        // After the conversions, so a death can be matched to the punish that caused it
+        this.deathTracker.pushFrame(frame.players, frameNum)
+            .forEach(death => this.emit('death', death));
+
+        this.edgeguardTracker.pushFrame(frame.players, frameNum)
+            .forEach(situation => this.emit('recovery', situation));
+
+        this.tendencyTracker.pushFrame(frame.players, frameNum)
+            .forEach(record => this.emit('tendency', record));
+
+        this.inputTracker.pushFrame(frame.players, frameNum)
+            .forEach(flag => this.emit('missed-input', flag));
+        
+        this.stageControlTracker.pushFrame(frame.players);
+
+        return newEvents;
+    }
+
+    /**
+     * Current results with derived metrics (rates, scores) computed. The returned object
+     * is a copy, so it stays valid while more frames are pushed.
+     *
+     * @returns {Object} - Same shape as analyzeFrameData()
+     */
+    getSnapshot() {
+        const snapshot = structuredClone(this.analysis);
+        calculateDerivedMetrics(snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Runs every detector on one player's data for one frame
+     *
+     * @param {number} playerIndex - Player index
+     * @param {Object} playerFrame - { pre, post } frame data for the player
+     * @param {number} frameNum - Frame number
+     */
+    _processPlayerFrame(playerIndex, playerFrame, frameNum) {
+        const { playerIndices } = this.options;
+        const analysis = this.analysis;
+        const playerStates = this.playerStates;
+
+        if (!playerFrame) return;
+
+        // Skip if filtering to specific players and this player not included
+        if (playerIndices && !playerIndices.includes(playerIndex)) return;
+        
+        // Skip if post-frame data missing (critical for analysis)
+        if (!playerFrame.post) return;
+        
+        // Initialize player tracking if needed
+        if (!playerStates[playerIndex]) {
+            playerStates[playerIndex] = {
+                lastActionState: null,
+                lastPosition: null,
+                lastFrame: null,
+                lastVerticalSpeed: null,
+                apexFrame: null,
+                fastFalling: false,
+                pendingLanding: null,
+                inDash: false,
+                dashStartFrame: null,
+                dashDirection: null,
+                inJumpSquat: false,
+                jumpSquatStartFrame: null,
+                potentialWavedash: null,
+                wavedashSlide: null,
+                inShield: false,
+                shieldStartFrame: null,
+                actionStateTransitions: []
+            };
             
-        if (frameNumbers.length === 0) {
-            return { error: 'No valid frames found in the provided range' };
+            // Initialize metrics for this player
+            analysis.playerMetrics[playerIndex] = {
+                lCancelCount: 0,
+                lCancelSuccess: 0,
+                wavedashCount: 0,
+                dashDanceCount: 0,
+                shieldDropCount: 0,
+                fastFallCount: 0,
+                perfectFastFallCount: 0,
+                edgeguardAttempts: 0,
+                edgeguardSuccess: 0,
+                techchaseAttempts: 0,
+                techchaseSuccess: 0,
+                neutralWins: 0,
+                missedTechs: 0,
+                successfulTechs: 0
+            };
+            
+            analysis.movementEfficiency[playerIndex] = {
+                groundMovementRatio: 0,
+                efficientMovementFrames: 0,
+                totalActionableFrames: 0,
+                overextensionCount: 0
+            };
+            
+            analysis.advancedTechniques[playerIndex] = {
+                characterSpecific: this.techniqueTracker.getCounts(playerIndex)
+            };
         }
         
-        // Track player state across frames for transition detection
-        const playerStates = {};
-        const actionStateHistory = {};
+        const playerState = playerStates[playerIndex];
+        const post = playerFrame.post;
+        const currentActionState = post.actionStateId;
+        const characterId = getCharacterId(playerFrame);
+        const stateChanged = currentActionState !== playerState.lastActionState;
         
-        // Process each frame in sequence
-        frameNumbers.forEach(frameNum => {
-            const frame = frameData[frameNum];
-            if (!frame || !frame.players) return;
-            
-            // Process each player's data in the frame
-            Object.entries(frame.players).forEach(([playerIndexStr, playerFrame]) => {
-                const playerIndex = Number(playerIndexStr);
-                
-                // Skip if filtering to specific players and this player not included
-                if (playerIndices && !playerIndices.includes(playerIndex)) return;
-                
-                // Skip if post-frame data missing (critical for analysis)
-                if (!playerFrame.post) return;
-                
-                // Initialize player tracking if needed
-                if (!playerStates[playerIndex]) {
-                    playerStates[playerIndex] = {
-                        lastActionState: null,
-                        lastPosition: null,
-                        lastFrame: null,
-                        inAerial: false,
-                        aerialStartFrame: null,
-                        inDash: false,
-                        dashStartFrame: null,
-                        inJumpSquat: false,
-                        jumpSquatStartFrame: null,
-                        inShield: false,
-                        shieldStartFrame: null,
-                        actionStateTransitions: []
-                    };
-                    
-                    actionStateHistory[playerIndex] = [];
-                    
-                    // Initialize metrics for this player
-                    analysis.playerMetrics[playerIndex] = {
-                        lCancelCount: 0,
-                        lCancelSuccess: 0,
-                        wavedashCount: 0,
-                        dashDanceCount: 0,
-                        shieldDropCount: 0,
-                        fastFallCount: 0,
-                        perfectFastFallCount: 0,
-                        edgeguardAttempts: 0,
-                        edgeguardSuccess: 0,
-                        techchaseAttempts: 0,
-                        techchaseSuccess: 0,
-                        neutralWins: 0,
-                        missedTechs: 0,
-                        successfulTechs: 0
-                    };
-                    
-                    analysis.movementEfficiency[playerIndex] = {
-                        groundMovementRatio: 0,
-                        efficientMovementFrames: 0,
-                        totalActionableFrames: 0,
-                        overextensionCount: 0
-                    };
-                    
-                    analysis.advancedTechniques[playerIndex] = {
-                        characterSpecific: {}
-                    };
-                }
-                
-                const playerState = playerStates[playerIndex];
-                const post = playerFrame.post;
-                const currentActionState = post.actionStateId;
-                
-                // Record action state transition if changed
-                if (currentActionState !== playerState.lastActionState) {
-                    playerState.actionStateTransitions.push({
-                        frame: frameNum,
-                        from: playerState.lastActionState,
-                        to: currentActionState
-                    });
-                    
-                    // Keep a rolling history of recent action states (last 10)
-                    actionStateHistory[playerIndex].push({
-                        frame: frameNum,
-                        state: currentActionState
-                    });
-                    
-                    if (actionStateHistory[playerIndex].length > 10) {
-                        actionStateHistory[playerIndex].shift();
-                    }
-                    
-                    // Detect specific technique based on action state transitions
-                    detectTechniquesFromTransition(
-                        playerState.lastActionState,
-                        currentActionState,
-                        playerIndex,
-                        frameNum,
-                        playerState,
-                        analysis
-                    );
-                }
-                
-                // Flag state tracking for aerial attacks
-                if (isAerialAttack(currentActionState) && !playerState.inAerial) {
-                    playerState.inAerial = true;
-                    playerState.aerialStartFrame = frameNum;
-                } else if (!isAerialAttack(currentActionState) && playerState.inAerial) {
-                    // Exiting aerial state
-                    playerState.inAerial = false;
-                    
-                    // If landed within L-cancel window, check for successful L-cancel
-                    if (isLandingState(currentActionState) && 
-                        frameNum - playerState.aerialStartFrame < 30) {
-                        
-                        analysis.playerMetrics[playerIndex].lCancelCount++;
-                        
-                        // L-cancel detection based on landing lag duration
-                        const expectedLag = getExpectedLandingLag(playerState.lastActionState);
-                        const actualLag = getLandingLagFromHistory(
-                            actionStateHistory[playerIndex],
-                            frameNum
-                        );
-                        
-                        if (actualLag <= expectedLag / 2 + 1) { // Account for frame imprecision
-                            analysis.playerMetrics[playerIndex].lCancelSuccess++;
-                            
-                            // Log successful L-cancel as technical event
-                            analysis.technicalEvents.push({
-                                frame: frameNum,
-                                playerIndex,
-                                technique: 'l-cancel',
-                                quality: 'success',
-                                data: {
-                                    aerial: getMoveName(playerState.lastActionState),
-                                    expectedLag,
-                                    actualLag
-                                }
-                            });
-                        } else {
-                            // Log missed L-cancel opportunity
-                            analysis.technicalEvents.push({
-                                frame: frameNum,
-                                playerIndex,
-                                technique: 'l-cancel',
-                                quality: 'missed',
-                                data: {
-                                    aerial: getMoveName(playerState.lastActionState),
-                                    expectedLag,
-                                    actualLag
-                                }
-                            });
-                        }
-                    }
-                }
-                
-                // Dash dance detection
-                if (currentActionState === ACTION_STATES.DASH_START) {
-                    if (!playerState.inDash) {
-                        playerState.inDash = true;
-                        playerState.dashStartFrame = frameNum;
-                    } else {
-                        // Already in dash and starting a new one = potential dash dance
-                        const dashDuration = frameNum - playerState.dashStartFrame;
-                        if (dashDuration <= TECH_TIMINGS.DASH_DANCE_MAX) {
-                            analysis.playerMetrics[playerIndex].dashDanceCount++;
-                            
-                            // Log dash dance as technical event
-                            analysis.technicalEvents.push({
-                                frame: frameNum,
-                                playerIndex,
-                                technique: 'dash-dance',
-                                quality: dashDuration <= 10 ? 'optimal' : 'standard',
-                                data: {
-                                    duration: dashDuration
-                                }
-                            });
-                        }
-                        
-                        // Reset dash tracking
-                        playerState.dashStartFrame = frameNum;
-                    }
-                } else if (playerState.inDash && 
-                          currentActionState !== ACTION_STATES.DASH && 
-                          currentActionState !== ACTION_STATES.DASH_START) {
-                    // Exiting dash state
-                    playerState.inDash = false;
-                }
-                
-                // Wavedash detection (jump squat → air dodge → landing in short sequence)
-                if (currentActionState === ACTION_STATES.JUMP_SQUAT) {
-                    playerState.inJumpSquat = true;
-                    playerState.jumpSquatStartFrame = frameNum;
-                } else if (currentActionState === ACTION_STATES.AIR_DODGE && playerState.inJumpSquat) {
-                    // Potential wavedash in progress (airdodge after jump squat)
-                    playerState.inJumpSquat = false;
-                    
-                    // Check frame precision
-                    const jumpSquatToAirdodgeDuration = frameNum - playerState.jumpSquatStartFrame;
-                    const characterJumpSquat = getCharacterJumpSquatFrames(
-                        getCharacterFromActionState(playerFrame)
-                    );
-                    
-                    const isOptimalTiming = Math.abs(
-                        jumpSquatToAirdodgeDuration - characterJumpSquat
-                    ) <= 1;
-                    
-                    // Store potential wavedash data for confirmation when landing
-                    playerState.potentialWavedash = {
-                        jumpSquatFrame: playerState.jumpSquatStartFrame,
-                        airdodgeFrame: frameNum,
-                        position: { x: post.positionX, y: post.positionY },
-                        isOptimalTiming
-                    };
-                } else if (isLandingState(currentActionState) && playerState.potentialWavedash) {
-                    // Confirm wavedash (landing soon after airdodge from jump squat)
-                    const airdodgeToLandDuration = frameNum - playerState.potentialWavedash.airdodgeFrame;
-                    
-                    if (airdodgeToLandDuration <= 5) { // Maximum 5 frames to land for valid wavedash
-                        analysis.playerMetrics[playerIndex].wavedashCount++;
-                        
-                        // Calculate wavedash distance/quality
-                        const horizontalDistance = Math.abs(
-                            post.positionX - playerState.potentialWavedash.position.x
-                        );
-                        
-                        const wavedashQuality = classifyWavedashQuality(
-                            horizontalDistance,
-                            getCharacterFromActionState(playerFrame)
-                        );
-                        
-                        // Log wavedash as technical event
-                        analysis.technicalEvents.push({
-                            frame: frameNum,
-                            playerIndex,
-                            technique: 'wavedash',
-                            quality: playerState.potentialWavedash.isOptimalTiming ? 
-                                'frame-perfect' : 'standard',
-                            data: {
-                                distance: horizontalDistance.toFixed(2),
-                                quality: wavedashQuality,
-                                duration: airdodgeToLandDuration
-                            }
-                        });
-                    }
-                    
-                    // Reset wavedash tracking
-                    playerState.potentialWavedash = null;
-                } else if (playerState.inJumpSquat && 
-                          currentActionState !== ACTION_STATES.JUMP_SQUAT && 
-                          currentActionState !== ACTION_STATES.AIR_DODGE) {
-                    // Exit jump squat without airdodge - not a wavedash
-                    playerState.inJumpSquat = false;
-                    playerState.potentialWavedash = null;
-                }
-                
-                // Shield drop detection
-                if (currentActionState === ACTION_STATES.SHIELD) {
-                    if (!playerState.inShield) {
-                        playerState.inShield = true;
-                        playerState.shieldStartFrame = frameNum;
-                    }
-                } else if (playerState.inShield && 
-                         (isAerialAttack(currentActionState) || 
-                          currentActionState === ACTION_STATES.LANDING)) {
-                    // Shield → aerial or shield → drop through platform
-                    const shieldDuration = frameNum - playerState.shieldStartFrame;
-                    
-                    if (shieldDuration <= 4) { // Fast shield drop
-                        analysis.playerMetrics[playerIndex].shieldDropCount++;
-                        
-                        // Log shield drop as technical event
-                        analysis.technicalEvents.push({
-                            frame: frameNum,
-                            playerIndex,
-                            technique: 'shield-drop',
-                            quality: shieldDuration <= 2 ? 'frame-perfect' : 'standard',
-                            data: {
-                                duration: shieldDuration,
-                                followUp: isAerialAttack(currentActionState) ? 
-                                    'aerial' : 'movement'
-                            }
-                        });
-                    }
-                    
-                    // Reset shield tracking
-                    playerState.inShield = false;
-                } else if (playerState.inShield && 
-                         currentActionState !== ACTION_STATES.SHIELD && 
-                         currentActionState !== ACTION_STATES.SHIELD_RELEASE) {
-                    // Exit shield state without technical follow-up
-                    playerState.inShield = false;
-                }
-                
-                // Tech detection
-                if (currentActionState === ACTION_STATES.TECH_MISS) {
-                    analysis.playerMetrics[playerIndex].missedTechs++;
-                    
-                    // Log missed tech as technical event
-                    analysis.technicalEvents.push({
-                        frame: frameNum,
-                        playerIndex,
-                        technique: 'tech',
-                        quality: 'missed',
-                        data: {}
-                    });
-                } else if (currentActionState === ACTION_STATES.TECH_IN_PLACE ||
-                         currentActionState === ACTION_STATES.TECH_F ||
-                         currentActionState === ACTION_STATES.TECH_B) {
-                    analysis.playerMetrics[playerIndex].successfulTechs++;
-                    
-                    const techType = currentActionState === ACTION_STATES.TECH_IN_PLACE ?
-                        'in-place' : (currentActionState === ACTION_STATES.TECH_F ? 
-                            'forward' : 'backward');
+        // Record action state transition if changed
+        if (stateChanged) {
+            playerState.actionStateTransitions.push({
+                frame: frameNum,
+                from: playerState.lastActionState,
+                to: currentActionState
+            });
+        }
+        
+        detectLCancel(playerState, currentActionState, post, characterId, playerIndex, frameNum, analysis);
+        detectFastFall(playerState, currentActionState, post, characterId, playerIndex, frameNum, analysis);
+        
+        // Dash dance detection (turning around during the initial dash)
+        if (currentActionState === ACTION_STATES.DASH) {
+            if (!playerState.inDash) {
+                playerState.inDash = true;
+                playerState.dashStartFrame = frameNum;
+                playerState.dashDirection = post.facingDirection;
+            } else if (post.facingDirection !== playerState.dashDirection) {
+                const dashDuration = frameNum - playerState.dashStartFrame;
+                if (dashDuration <= TECH_TIMINGS.DASH_DANCE_MAX) {
+                    analysis.playerMetrics[playerIndex].dashDanceCount++;
                     
-                    // Log successful tech as technical event
+                    // Log dash dance as technical event
                     analysis.technicalEvents.push({
                         frame: frameNum,
                         playerIndex,
-                        technique: 'tech',
-                        quality: 'success',
+                        technique: 'dash-dance',
+                        quality: dashDuration <= 10 ? 'optimal' : 'standard',
                         data: {
-                            type: techType
+                            duration: dashDuration
                         }
                     });
                 }
                 
-                // Character-specific technique detection
-                detectCharacterSpecificTechniques(
-                    playerIndex,
-                    currentActionState,
-                    post,
-                    actionStateHistory[playerIndex],
-                    frameNum,
-                    analysis
-                );
+                // Reset dash tracking for the dash in the new direction
+                playerState.dashStartFrame = frameNum;
+                playerState.dashDirection = post.facingDirection;
+            }
+        } else if (playerState.inDash && currentActionState !== ACTION_STATES.TURN) {
+            // Exiting dash state
+            playerState.inDash = false;
+        }
+        
+        // Wavedash slide finished: log the wavedash with the distance covered during the landing lag
+        if (playerState.wavedashSlide && currentActionState !== ACTION_STATES.LANDING_FALL_SPECIAL) {
+            recordWavedash(analysis, playerIndex, characterId, frameNum, playerState.wavedashSlide, post.positionX);
+            playerState.wavedashSlide = null;
+        }
+        
+        // Wavedash detection (jump squat → air dodge → special landing in short sequence)
+        const characterJumpSquat = getJumpSquatFrames(characterId);
+        if (currentActionState === ACTION_STATES.JUMP_SQUAT) {
+            if (!playerState.inJumpSquat) {
+                playerState.inJumpSquat = true;
+                playerState.jumpSquatStartFrame = frameNum;
+            }
+        } else if (currentActionState === ACTION_STATES.AIR_DODGE && playerState.inJumpSquat) {
+            // Potential wavedash in progress (airdodge after jump squat)
+            playerState.inJumpSquat = false;
+            
+            // Check frame precision: the earliest airdodge is the first airborne frame
+            const jumpSquatToAirdodgeDuration = frameNum - playerState.jumpSquatStartFrame;
+            const isOptimalTiming = Math.abs(
+                jumpSquatToAirdodgeDuration - characterJumpSquat
+            ) <= 1;
+            
+            // Store potential wavedash data for confirmation when landing
+            playerState.potentialWavedash = {
+                jumpSquatFrame: playerState.jumpSquatStartFrame,
+                airdodgeFrame: frameNum,
+                position: { x: post.positionX, y: post.positionY },
+                isOptimalTiming
+            };
+        } else if (currentActionState === ACTION_STATES.LANDING_FALL_SPECIAL && playerState.potentialWavedash) {
+            // Confirm wavedash (landing soon after airdodge from jump squat)
+            const airdodgeToLandDuration = frameNum - playerState.potentialWavedash.airdodgeFrame;
+            
+            if (airdodgeToLandDuration <= 5) { // Maximum 5 frames to land for valid wavedash
+                // Measure the slide once the landing lag is over
+                playerState.wavedashSlide = {
+                    ...playerState.potentialWavedash,
+                    landingFrame: frameNum,
+                    landingX: post.positionX,
+                    duration: airdodgeToLandDuration
+                };
+            }
+            
+            // Reset wavedash tracking
+            playerState.potentialWavedash = null;
+        } else if (playerState.inJumpSquat && 
+                  (frameNum - playerState.jumpSquatStartFrame > characterJumpSquat + TECH_TIMINGS.WAVEDASH_OPTIMAL ||
+                   (currentActionState !== ACTION_STATES.JUMP_F && currentActionState !== ACTION_STATES.JUMP_B))) {
+            // Jumped without airdodging soon after - not a wavedash
+            playerState.inJumpSquat = false;
+            playerState.potentialWavedash = null;
+        }
+        
+        // Shield drop detection (shield → platform drop)
+        if (isShielding(currentActionState)) {
+            if (!playerState.inShield) {
+                playerState.inShield = true;
+                playerState.shieldStartFrame = frameNum;
+            }
+        } else if (playerState.inShield) {
+            if (currentActionState === ACTION_STATES.PLATFORM_DROP) {
+                const shieldDuration = frameNum - playerState.shieldStartFrame;
+                analysis.playerMetrics[playerIndex].shieldDropCount++;
                 
-                // Update tracking state for next frame
-                playerState.lastActionState = currentActionState;
-                playerState.lastPosition = { x: post.positionX, y: post.positionY };
-                playerState.lastFrame = frameNum;
-            });
-        });
+                // Log shield drop as technical event
+                analysis.technicalEvents.push({
+                    frame: frameNum,
+                    playerIndex,
+                    technique: 'shield-drop',
+                    quality: shieldDuration <= TECH_TIMINGS.SHIELD_DROP ? 'optimal' : 'standard',
+                    data: {
+                        duration: shieldDuration
+                    }
+                });
+            }
+            
+            // Reset shield tracking
+            playerState.inShield = false;
+        }
         
-        // Calculate derived metrics
-        calculateDerivedMetrics(analysis);
+        // Tech detection, counted once when the tech (or missed tech) starts
+        if (stateChanged && isMissedTech(currentActionState)) {
+            analysis.playerMetrics[playerIndex].missedTechs++;
+            
+            // Log missed tech as technical event
+            analysis.technicalEvents.push({
+                frame: frameNum,
+                playerIndex,
+                technique: 'tech',
+                quality: 'missed',
+                data: {}
+            });
+        } else if (stateChanged && isTech(currentActionState) && !isTech(playerState.lastActionState)) {
+            analysis.playerMetrics[playerIndex].successfulTechs++;
+            
+            // Log successful tech as technical event
+            analysis.technicalEvents.push({
+                frame: frameNum,
+                playerIndex,
+                technique: 'tech',
+                quality: 'success',
+                data: {
+                    type: TECH_TYPES[currentActionState]
+                }
+            });
+        }
         
-        return analysis;
+        // Update tracking state for next frame
+        playerState.lastActionState = currentActionState;
+        playerState.lastPosition = { x: post.positionX, y: post.positionY };
+        playerState.lastFrame = frameNum;
+    }
+}
+
+/**
+ * Analyzes Slippi replay frame data to extract technical execution metrics
+ * Identifies frame-perfect inputs, advanced techniques, and optimization opportunities
+ *
+ * @param {Object} frameData - Raw or processed Slippi frame data
+ * @param {Object} options - Analysis configuration options (see FrameAnalyzer)
+ * @returns {Object} - Comprehensive technical metrics
+ */
+export function analyzeFrameData(frameData, options = {}) {
+    if (!frameData || typeof frameData !== 'object') {
+        return { error: 'Invalid frame data provided' };
+    }
+
+    try {
+        const analyzer = new FrameAnalyzer(options);
+        const { startFrame, endFrame } = analyzer.options;
+
+        // Sort frame numbers chronologically
+        const frameNumbers = Object.keys(frameData)
+            .map(Number)
+            .filter(frame => frame >= startFrame && frame <= endFrame)
+            .sort((a, b) => a - b);
+
+        if (frameNumbers.length === 0) {
+            return { error: 'No valid frames found in the provided range' };
+        }
+
+        frameNumbers.forEach(frameNum => analyzer.pushFrame(frameData[frameNum], frameNum));
+
+        return analyzer.getSnapshot();
     } catch (error) {
         console.error('Error in frame data analysis:', error);
         return {
@@ -500,237 +503,395 @@ function calculateDerivedMetrics(analysis) {
             lCancelScore + wavedashScore + dashDanceScore + shieldDropScore + techScore
         ) / 3).toFixed(1);
     });
+    
+    calculateConversionMetrics(analysis);
+    calculateEdgeguardMetrics(analysis);
+    calculateTendencyMetrics(analysis);
+    calculateInputMetrics(analysis);
+    calculateTechniqueMetrics(analysis);
+    calculateStageControlMetrics(analysis);
+    calculateDeathMetrics(analysis);
 }
 
 /**
- * Detect techniques based on action state transitions
+ * Fill neutral and punish statistics from the tracked conversions
  * 
- * @param {number} fromState - Previous action state
- * @param {number} toState - Current action state
- * @param {number} playerIndex - Player index
- * @param {number} frameNum - Current frame number
- * @param {Object} playerState - Player state tracking object
- * @param {Object} analysis - Analysis results to update
+ * @param {Object} analysis - Raw analysis data to augment
  */
-function detectTechniquesFromTransition(fromState, toState, playerIndex, frameNum, playerState, analysis) {
-    // Skip if either state is null (initialization)
-    if (fromState === null || toState === null) return;
+function calculateConversionMetrics(analysis) {
+    const playerIndices = Object.keys(analysis.playerMetrics).map(Number);
+    const conversionStats = computeConversionStats(analysis.conversions, playerIndices);
+    const format = (value, digits) => value !== null ? value.toFixed(digits) : 'N/A';
     
-    // Fast-fall detection (sharp vertical velocity transition)
-    if (isAirborne(fromState) && isAirborne(toState) && 
-        playerState.lastPosition && 
-        playerState.lastPosition.y > 0) {
+    playerIndices.forEach(playerIndex => {
+        const stats = conversionStats[playerIndex];
+        const metrics = analysis.playerMetrics[playerIndex];
         
-        analysis.playerMetrics[playerIndex].fastFallCount++;
+        // Headline numbers, formatted like the other rates
+        metrics.neutralWins = stats.neutralWins;
+        metrics.openings = stats.openings;
+        metrics.openingsPerKill = format(stats.openingsPerKill, 1);
+        metrics.damagePerOpening = format(stats.damagePerOpening, 1);
+        metrics.neutralWinRatio = format(stats.neutralWinRatio, 2);
+        metrics.counterHitRatio = format(stats.counterHitRatio, 2);
+        metrics.averagePunishLength = format(stats.averagePunishLength, 1);
         
-        // Log fast fall as technical event
-        analysis.technicalEvents.push({
-            frame: frameNum,
-            playerIndex,
-            technique: 'fast-fall',
-            quality: 'standard',
-            data: {}
-        });
-    }
+        analysis.neutralStats[playerIndex] = {
+            neutralWins: stats.neutralWins,
+            neutralLosses: stats.neutralLosses,
+            counterHits: stats.counterHits,
+            trades: stats.trades,
+            neutralWinRatio: stats.neutralWinRatio,
+            counterHitRatio: stats.counterHitRatio,
+            openers: stats.openers
+        };
+        
+        analysis.punishStats[playerIndex] = {
+            openings: stats.openings,
+            kills: stats.kills,
+            totalDamage: stats.totalDamage,
+            openingsPerKill: stats.openingsPerKill,
+            damagePerOpening: stats.damagePerOpening,
+            averagePunishLength: stats.averagePunishLength,
+            averagePunishFrames: stats.averagePunishFrames,
+            longestPunish: stats.longestPunish
+        };
+    });
+    
+    // Who won each neutral exchange, and with what
+    analysis.neutralExchanges = analysis.conversions
+        .filter(c => c.openingType === OPENING_TYPES.NEUTRAL_WIN || c.openingType === OPENING_TYPES.TRADE)
+        .filter(c => c.lastHitBy !== null && c.lastHitBy !== c.playerIndex)
+        .map(c => ({
+            frame: c.startFrame,
+            winnerIndex: c.lastHitBy,
+            loserIndex: c.playerIndex,
+            openingType: c.openingType,
+            move: getMoveShortName(c.moves[0]?.moveId),
+            damage: getConversionDamage(c),
+            didKill: c.didKill
+        }));
 }
 
 /**
- * Detect character-specific advanced techniques
+ * Fill edgeguard and recovery statistics from the tracked offstage situations
  * 
- * @param {number} playerIndex - Player index
- * @param {number} actionState - Current action state
- * @param {Object} postFrame - Post-frame data
- * @param {Array} stateHistory - Recent action state history
- * @param {number} frameNum - Current frame number
- * @param {Object} analysis - Analysis results to update
+ * @param {Object} analysis - Raw analysis data to augment
  */
-function detectCharacterSpecificTechniques(playerIndex, actionState, postFrame, stateHistory, frameNum, analysis) {
-    // Get character ID from post frame data
-    const characterId = postFrame.characterId;
-    
-    // Initialize character-specific tracking if needed
-    if (!analysis.advancedTechniques[playerIndex].characterSpecific[characterId]) {
-        analysis.advancedTechniques[playerIndex].characterSpecific[characterId] = {
-            multishine: 0,
-            shinegrab: 0,
-            pillaring: 0,
-            waveshining: 0,
-            ledgedash: 0,
-            doubleJumpCancel: 0,
-            moonwalk: 0
-        };
-    }
-    
-    const charTech = analysis.advancedTechniques[playerIndex].characterSpecific[characterId];
+function calculateEdgeguardMetrics(analysis) {
+    const playerIndices = Object.keys(analysis.playerMetrics).map(Number);
+    const edgeguardStats = computeEdgeguardStats(analysis.recoveries, playerIndices);
     
-    // Fox/Falco shine techniques
-    if ((characterId === 2 || characterId === 20) && // Fox or Falco
-        actionState === ACTION_STATES.FOX_SHINE) {
-        
-        // Check for multishine (shine → jump → shine in quick succession)
-        const recentShines = stateHistory.filter(
-            h => h.state === ACTION_STATES.FOX_SHINE && 
-                 h.frame >= frameNum - 20
-        );
+    playerIndices.forEach(playerIndex => {
+        const { edgeguarding, recovery } = edgeguardStats.players[playerIndex];
+        const metrics = analysis.playerMetrics[playerIndex];
         
-        if (recentShines.length >= 2) {
-            const shineInterval = frameNum - recentShines[recentShines.length - 2].frame;
-            
-            if (shineInterval <= 15) { // Maximum 15 frames for multishine
-                charTech.multishine++;
-                
-                // Log multishine as technical event
-                analysis.technicalEvents.push({
-                    frame: frameNum,
-                    playerIndex,
-                    technique: 'multishine',
-                    quality: shineInterval <= 10 ? 'optimal' : 'standard',
-                    data: {
-                        interval: shineInterval,
-                        character: characterId === 2 ? 'Fox' : 'Falco'
-                    }
-                });
-            }
-        }
+        metrics.edgeguardAttempts = edgeguarding.attempts;
+        metrics.edgeguardSuccess = edgeguarding.successes;
+        metrics.edgeguardRate = edgeguarding.successRate !== null ? edgeguarding.successRate.toFixed(2) : 'N/A';
+        metrics.recoveryRate = recovery.survivalRate !== null ? recovery.survivalRate.toFixed(2) : 'N/A';
+    });
+    
+    analysis.edgeguardStats = edgeguardStats;
+}
+
+/**
+ * Fill tech-chase and option tendency statistics from the tracked tendency records
+ * 
+ * @param {Object} analysis - Raw analysis data to augment
+ */
+function calculateTendencyMetrics(analysis) {
+    const playerIndices = Object.keys(analysis.playerMetrics).map(Number);
+    const tendencyStats = computeTendencyStats(analysis.tendencies, playerIndices);
+    const stageName = analysis.stageId !== null && analysis.stageId !== undefined ? STAGE_NAMES[analysis.stageId] : null;
+    
+    analysis.tendencySummaries = {};
+    playerIndices.forEach(playerIndex => {
+        const stats = tendencyStats[playerIndex];
+        const metrics = analysis.playerMetrics[playerIndex];
         
-        // Check for waveshining (shine → wavedash sequence)
-        const recentJumpSquat = stateHistory.find(
-            h => h.state === ACTION_STATES.JUMP_SQUAT &&
-                 h.frame >= frameNum - 10 && 
-                 h.frame < frameNum
-        );
+        // Tech direction counts ('in-place', 'toward', 'away', ...)
+        metrics.techDirections = Object.fromEntries(
+            Object.entries(stats.tech.options).map(([option, entry]) => [option, entry.count]));
+        metrics.techchaseAttempts = stats.chasing.situations;
+        metrics.techchaseSuccess = stats.chasing.punished;
+        metrics.techchaseRate = stats.chasing.successRate !== null ? stats.chasing.successRate.toFixed(2) : 'N/A';
         
-        if (recentJumpSquat) {
-            charTech.waveshining++;
-            
-            // Log waveshining as technical event
-            analysis.technicalEvents.push({
-                frame: frameNum,
-                playerIndex,
-                technique: 'waveshine',
-                quality: 'standard',
-                data: {
-                    character: characterId === 2 ? 'Fox' : 'Falco'
-                }
-            });
-        }
-    }
+        analysis.tendencySummaries[playerIndex] = describeTendencies(stats, stageName);
+    });
     
-    // Falco pillar combo detection (shine → dair sequence)
-    if (characterId === 20 && // Falco
-        actionState === ACTION_STATES.DAIR && 
-        stateHistory.some(h => 
-            h.state === ACTION_STATES.FOX_SHINE && 
-            h.frame >= frameNum - 30
-        )) {
+    analysis.tendencyStats = tendencyStats;
+}
+
+/**
+ * Fill input rates and input-level technique checks from the tracked pre-frames
+ * 
+ * @param {Object} analysis - Raw analysis data to augment
+ */
+function calculateInputMetrics(analysis) {
+    const inputStats = computeInputStats(analysis.inputs, analysis.missedInputs);
+    const format = (value, digits) => value !== null && value !== undefined ? value.toFixed(digits) : 'N/A';
+    
+    Object.keys(analysis.playerMetrics).map(Number).forEach(playerIndex => {
+        const stats = inputStats[playerIndex];
+        const metrics = analysis.playerMetrics[playerIndex];
         
-        charTech.pillaring++;
+        metrics.inputsPerMinute = format(stats?.inputsPerMinute, 1);
+        metrics.actionsPerMinute = format(stats?.actionsPerMinute, 1);
+        metrics.lCancelInputRate = format(stats?.lCancelInputRate, 2);
+        metrics.averageWavedashAngle = format(stats?.averageWavedashAngle, 1);
+        metrics.shieldDropNotchRate = format(stats?.shieldDropNotchRate, 2);
+    });
+    
+    analysis.inputStats = inputStats;
+}
+
+/**
+ * Fill ledgedash counts and GALINT (ledge intangibility left after the waveland) from
+ * the character-specific technique events
+ * 
+ * @param {Object} analysis - Raw analysis data to augment
+ */
+function calculateTechniqueMetrics(analysis) {
+    Object.keys(analysis.playerMetrics).map(Number).forEach(playerIndex => {
+        const metrics = analysis.playerMetrics[playerIndex];
+        const ledgedashes = analysis.technicalEvents.filter(
+            event => event.playerIndex === playerIndex && event.technique === 'ledgedash');
+        const galints = ledgedashes.map(event => event.data.galint).filter(galint => galint !== null);
         
-        // Log pillaring as technical event
-        analysis.technicalEvents.push({
-            frame: frameNum,
-            playerIndex,
-            technique: 'pillar-combo',
-            quality: 'standard',
-            data: {}
-        });
-    }
+        metrics.ledgedashCount = ledgedashes.length;
+        metrics.averageGalint = galints.length > 0 ?
+            (galints.reduce((sum, galint) => sum + galint, 0) / galints.length).toFixed(1) : 'N/A';
+    });
 }
 
 /**
- * Helper function to check if action state is an aerial attack
+ * Fill center control and positioning rates from the stage control tracking
  * 
- * @param {number} actionState - Action state ID
- * @returns {boolean} - True if aerial attack
+ * @param {Object} analysis - Raw analysis data to augment
  */
-function isAerialAttack(actionState) {
-    return actionState >= ACTION_STATES.AERIAL_ATTACK_START && 
-           actionState <= ACTION_STATES.AERIAL_ATTACK_END;
+function calculateStageControlMetrics(analysis) {
+    const stageControlStats = computeStageControlStats(analysis.stageControl);
+    const format = value => value !== null && value !== undefined ? value.toFixed(2) : 'N/A';
+    
+    Object.keys(analysis.playerMetrics).map(Number).forEach(playerIndex => {
+        const stats = stageControlStats[playerIndex];
+        const metrics = analysis.playerMetrics[playerIndex];
+        
+        metrics.centerControlRate = format(stats?.centerControl);
+        metrics.corneredRate = format(stats?.cornered);
+        metrics.platformRate = format(stats?.platformShare);
+    });
+    
+    analysis.stageControlStats = stageControlStats;
 }
 
 /**
- * Helper function to check if action state is a landing state
+ * Fill death percents and self-destruct counts from the tracked stock losses
  * 
- * @param {number} actionState - Action state ID
- * @returns {boolean} - True if landing state
+ * @param {Object} analysis - Raw analysis data to augment
  */
-function isLandingState(actionState) {
-    return actionState === ACTION_STATES.LANDING || 
-           actionState === ACTION_STATES.LANDING_SPECIAL;
+function calculateDeathMetrics(analysis) {
+    const deathStats = computeDeathStats(analysis.deaths);
+    
+    Object.keys(analysis.playerMetrics).map(Number).forEach(playerIndex => {
+        const stats = deathStats[playerIndex];
+        const metrics = analysis.playerMetrics[playerIndex];
+        
+        metrics.deaths = stats?.deaths ?? 0;
+        metrics.selfDestructs = stats?.selfDestructs ?? 0;
+        metrics.averageDeathPercent = stats ? stats.averagePercent.toFixed(0) : 'N/A';
+    });
+    
+    analysis.deathStats = deathStats;
 }
 
 /**
- * Helper function to check if action state is airborne
+ * Detect L-cancels on aerial landings. Replays record whether each landing was
+ * L-cancelled (post.lCancelStatus on the landing frame); replays from before that
+ * field existed fall back to measuring how long the landing lag lasted.
  * 
- * @param {number} actionState - Action state ID
- * @returns {boolean} - True if airborne
+ * @param {Object} playerState - Player state tracking object
+ * @param {number} actionState - Current action state
+ * @param {Object} post - Post-frame data
+ * @param {number} characterId - External character ID
+ * @param {number} playerIndex - Player index
+ * @param {number} frameNum - Current frame number
+ * @param {Object} analysis - Analysis results to update
  */
-function isAirborne(actionState) {
-    return (actionState >= 25 && actionState <= 34) || // Jump states
-           (actionState >= 43 && actionState <= 47) || // Aerial attacks
-           actionState === 41; // Air dodge
+function detectLCancel(playerState, actionState, post, characterId, playerIndex, frameNum, analysis) {
+    // Fallback measurement: the landing lag being timed has ended
+    const pending = playerState.pendingLanding;
+    if (pending && actionState !== pending.state) {
+        playerState.pendingLanding = null;
+        const actualLag = frameNum - pending.frame;
+        recordLCancel(analysis, playerIndex, frameNum, pending.state, {
+            success: actualLag <= pending.lCancelLag + 1, // Account for frame imprecision
+            expectedLag: pending.expectedLag,
+            actualLag,
+            source: 'landing-lag'
+        });
+    }
+    
+    if (!isAerialLanding(actionState) || actionState === playerState.lastActionState) return;
+    
+    const aerial = getAerialName(actionState);
+    const expectedLag = getLandingLag(characterId, aerial);
+    const lCancelLag = getLandingLag(characterId, aerial, true);
+    
+    // Some aerials (Game & Watch) can't be L-cancelled
+    if (lCancelLag === expectedLag) return;
+    const status = post.lCancelStatus;
+    
+    if (status === L_CANCEL_STATUS.SUCCESS || status === L_CANCEL_STATUS.FAILURE) {
+        const success = status === L_CANCEL_STATUS.SUCCESS;
+        recordLCancel(analysis, playerIndex, frameNum, actionState, {
+            success,
+            expectedLag,
+            actualLag: success ? lCancelLag : expectedLag,
+            source: 'flag'
+        });
+    } else {
+        playerState.pendingLanding = {
+            state: actionState,
+            frame: frameNum,
+            expectedLag,
+            lCancelLag
+        };
+    }
 }
 
 /**
- * Get expected landing lag frames for aerial attack
+ * Count an L-cancel attempt and log it as a technical event
  * 
- * @param {number} aerialState - Aerial attack state ID
- * @returns {number} - Expected landing lag frames
+ * @param {Object} analysis - Analysis results to update
+ * @param {number} playerIndex - Player index
+ * @param {number} frameNum - Frame the result is known on
+ * @param {number} landingState - Aerial landing state
+ * @param {Object} result - { success, expectedLag, actualLag, source }
  */
-function getExpectedLandingLag(aerialState) {
-    // Default landing lag frames by aerial (without L-cancel)
-    const landingLag = {
-        [ACTION_STATES.NAIR]: 10,
-        [ACTION_STATES.FAIR]: 16,
-        [ACTION_STATES.BAIR]: 15,
-        [ACTION_STATES.UAIR]: 15,
-        [ACTION_STATES.DAIR]: 18
-    };
+function recordLCancel(analysis, playerIndex, frameNum, landingState, result) {
+    const metrics = analysis.playerMetrics[playerIndex];
+    metrics.lCancelCount++;
+    if (result.success) metrics.lCancelSuccess++;
     
-    return landingLag[aerialState] || 10; // Default to 10 if unknown
+    analysis.technicalEvents.push({
+        frame: frameNum,
+        playerIndex,
+        technique: 'l-cancel',
+        quality: result.success ? 'success' : 'missed',
+        data: {
+            aerial: getAerialName(landingState),
+            expectedLag: result.expectedLag,
+            actualLag: result.actualLag,
+            source: result.source
+        }
+    });
 }
 
 /**
- * Calculate actual landing lag from action state history
+ * Detect fast falls: self-induced vertical speed jumping to the character's fast fall
+ * speed (or, for unknown characters, a sudden drop) while falling. A fast fall on the
+ * first falling frame (the apex) counts as perfect.
  * 
- * @param {Array} history - Action state history
- * @param {number} landFrame - Landing frame number
- * @returns {number} - Actual landing lag frames
+ * @param {Object} playerState - Player state tracking object
+ * @param {number} actionState - Current action state
+ * @param {Object} post - Post-frame data
+ * @param {number} characterId - External character ID
+ * @param {number} playerIndex - Player index
+ * @param {number} frameNum - Current frame number
+ * @param {Object} analysis - Analysis results to update
  */
-function getLandingLagFromHistory(history, landFrame) {
-    // Find next actionable state after landing
-    const landingState = history.find(h => h.frame === landFrame);
-    if (!landingState) return 10; // Default if history incomplete
+function detectFastFall(playerState, actionState, post, characterId, playerIndex, frameNum, analysis) {
+    const verticalSpeed = post.selfInducedSpeeds?.y ?? null;
+    const lastSpeed = playerState.lastVerticalSpeed;
+    playerState.lastVerticalSpeed = verticalSpeed;
+    
+    // Grounded, helpless, in hitstun or rising again (e.g. double jump): start over
+    if (verticalSpeed === null || verticalSpeed > 0 ||
+        !FAST_FALL_CATEGORIES.has(getActionStateCategory(actionState, characterId))) {
+        playerState.fastFalling = false;
+        playerState.apexFrame = null;
+        return;
+    }
+    
+    // Fast falling is only possible once already falling
+    if (lastSpeed === null) return;
+    if (lastSpeed > 0) {
+        playerState.apexFrame = frameNum;
+        return;
+    }
     
-    // Find next non-landing state
-    const nextActionableState = history.find(h => 
-        h.frame > landFrame && 
-        !isLandingState(h.state)
-    );
+    if (playerState.fastFalling) return;
     
-    if (!nextActionableState) return 10; // Default if no follow-up in history
+    const fastFallSpeed = getCharacterData(characterId)?.fastFallSpeed;
+    const startedFastFall = fastFallSpeed ?
+        verticalSpeed <= -fastFallSpeed + 0.01 && lastSpeed > -fastFallSpeed + 0.01 :
+        lastSpeed - verticalSpeed >= FAST_FALL_SPEED_DROP;
+    if (!startedFastFall) return;
     
-    // Calculate actual lag
-    return nextActionableState.frame - landFrame;
+    playerState.fastFalling = true;
+    const isPerfect = playerState.apexFrame !== null &&
+        frameNum - playerState.apexFrame <= TECH_TIMINGS.FAST_FALL;
+    
+    analysis.playerMetrics[playerIndex].fastFallCount++;
+    if (isPerfect) {
+        analysis.playerMetrics[playerIndex].perfectFastFallCount++;
+    }
+    
+    // Log fast fall as technical event
+    analysis.technicalEvents.push({
+        frame: frameNum,
+        playerIndex,
+        technique: 'fast-fall',
+        quality: isPerfect ? 'frame-perfect' : 'standard',
+        data: {
+            speed: verticalSpeed
+        }
+    });
+}
+
+/**
+ * Count a wavedash and log it as a technical event. Quality compares the slide
+ * over the landing lag with the character's longest possible slide.
+ * 
+ * @param {Object} analysis - Analysis results to update
+ * @param {number} playerIndex - Player index
+ * @param {number} characterId - External character ID
+ * @param {number} frameNum - Frame the landing lag ended on
+ * @param {Object} slide - Wavedash tracking data from the landing
+ * @param {number} positionX - Position when the landing lag ended
+ */
+function recordWavedash(analysis, playerIndex, characterId, frameNum, slide, positionX) {
+    analysis.playerMetrics[playerIndex].wavedashCount++;
+    
+    const distance = Math.abs(positionX - slide.landingX);
+    const optimalDistance = getWavedashDistance(characterId, WAVELAND_LAG);
+    
+    analysis.technicalEvents.push({
+        frame: frameNum,
+        playerIndex,
+        technique: 'wavedash',
+        quality: slide.isOptimalTiming ? 'frame-perfect' : 'standard',
+        data: {
+            distance: distance.toFixed(2),
+            optimalDistance: optimalDistance !== null ? optimalDistance.toFixed(2) : null,
+            quality: classifyWavedashQuality(distance, optimalDistance),
+            duration: slide.duration,
+            landingFrame: slide.landingFrame
+        }
+    });
 }
 
 /**
  * Classify wavedash quality based on distance
  * 
- * @param {number} distance - Horizontal distance
- * @param {number} characterId - Character ID
+ * @param {number} distance - Horizontal slide distance
+ * @param {number} optimalDistance - Slide distance of a maximum-length wavedash
  * @returns {string} - Quality classification
  */
-function classifyWavedashQuality(distance, characterId) {
-    // Optimal wavedash distances vary by character
-    const optimalDistances = {
-        2: 15,  // Fox
-        9: 18,  // Marth
-        20: 15, // Falco
-        15: 10  // Jigglypuff
-    };
-    
-    const optimalDistance = optimalDistances[characterId] || 15;
+function classifyWavedashQuality(distance, optimalDistance) {
+    if (!optimalDistance) return 'unknown';
     
     if (distance >= optimalDistance * 0.9) {
         return 'perfect';
@@ -744,72 +905,18 @@ function classifyWavedashQuality(distance, characterId) {
 }
 
 /**
- * Get character jump squat frames
- * 
- * @param {number} characterId - Character ID
- * @returns {number} - Jump squat frames
- */
-function getCharacterJumpSquatFrames(characterId) {
-    const jumpSquatFrames = {
-        0: 5,   // Captain Falcon
-        1: 6,   // Donkey Kong
-        2: 3,   // Fox
-        3: 4,   // Mr. Game & Watch
-        4: 5,   // Kirby
-        5: 8,   // Bowser
-        6: 5,   // Link
-        7: 4,   // Luigi
-        8: 4,   // Mario
-        9: 4,   // Marth
-        10: 4,  // Mewtwo
-        11: 3,  // Ness
-        12: 4,  // Peach
-        13: 3,  // Pikachu
-        14: 4,  // Ice Climbers
-        15: 5,  // Jigglypuff
-        16: 3,  // Samus
-        17: 4,  // Yoshi
-        18: 4,  // Zelda
-        19: 3,  // Sheik
-        20: 5,  // Falco
-        21: 4,  // Young Link
-        22: 4,  // Dr. Mario
-        23: 4,  // Roy
-        24: 3,  // Pichu
-        25: 6   // Ganondorf
-    };
-    
-    return jumpSquatFrames[characterId] || 4; // Default to 4 if unknown
-}
-
-/**
- * Extract character ID from post frame data
+ * Get the external character ID of a player frame. Frame data carries the
+ * in-game (internal) character ID, which uses a different numbering.
  * 
  * @param {Object} playerFrame - Player frame data
- * @returns {number} - Character ID
+ * @returns {number|null} - External character ID
  */
-function getCharacterFromActionState(playerFrame) {
-    return playerFrame.post?.characterId ?? 
-           playerFrame.pre?.characterId ?? 0;
-}
-
-/**
- * Get move name from action state ID
- * 
- * @param {number} actionState - Action state ID
- * @returns {string} - Move name
- */
-function getMoveName(actionState) {
-    const moveNames = {
-        [ACTION_STATES.NAIR]: 'nair',
-        [ACTION_STATES.FAIR]: 'fair',
-        [ACTION_STATES.BAIR]: 'bair',
-        [ACTION_STATES.UAIR]: 'uair',
-        [ACTION_STATES.DAIR]: 'dair',
-        [ACTION_STATES.FOX_SHINE]: 'shine'
-    };
-    
-    return moveNames[actionState] || `state-${actionState}`;
+function getCharacterId(playerFrame) {
+    const internalId = playerFrame.post?.internalCharacterId;
+    if (internalId !== undefined && internalId !== null) {
+        return getExternalCharacterId(internalId);
+    }
+    return playerFrame.post?.characterId ?? null;
 }
 
 /**
@@ -832,6 +939,8 @@ export function generateTechnicalAnalysis(frameData, options = {}) {
         technicalExecutionHighlights: [],
         neutralGameInsights: [],
         punishGameEfficiency: [],
+        edgeguardInsights: [],
+        tendencyInsights: [],
         movementOptimization: [],
         playerSpecificTips: {}
     };
@@ -859,6 +968,38 @@ export function generateTechnicalAnalysis(frameData, options = {}) {
             });
         }
         
+        // Input-level checks, only available when pre-frame data was recorded
+        const inputs = rawAnalysis.inputStats[playerIndex];
+        
+        if (inputs?.inputCounts.total > 0) {
+            insights.technicalExecutionHighlights.push({
+                playerIndex,
+                technique: 'Inputs',
+                insight: `Player ${playerIndex + 1} averaged ${metrics.inputsPerMinute} inputs per minute (${metrics.actionsPerMinute} APM).`,
+                importance: 'low'
+            });
+        }
+        
+        const aerialLandings = inputs ? Object.values(inputs.lCancelPresses).reduce((sum, count) => sum + count, 0) : 0;
+        if (aerialLandings > 0) {
+            const { inWindow, early, late, none } = inputs.lCancelPresses;
+            insights.technicalExecutionHighlights.push({
+                playerIndex,
+                technique: 'L-cancel timing',
+                insight: `Player ${playerIndex + 1} pressed L/R/Z inside the L-cancel window on ${inWindow} of ${aerialLandings} aerial landings (${early} early, ${late} late, ${none} without a press).`,
+                importance: early + late + none > inWindow ? 'high' : 'medium'
+            });
+        }
+        
+        if (inputs?.averageWavedashAngle !== null && inputs?.averageWavedashAngle !== undefined) {
+            insights.movementOptimization.push({
+                playerIndex,
+                technique: 'Wavedash angle',
+                insight: `Player ${playerIndex + 1} airdodged at an average of ${metrics.averageWavedashAngle}° below horizontal over ${inputs.wavedashCount} wavedash${inputs.wavedashCount === 1 ? '' : 'es'}.`,
+                importance: inputs.averageWavedashAngle > 30 ? 'high' : 'medium'
+            });
+        }
+        
         if (metrics.dashDanceCount > 0) {
             insights.movementOptimization.push({
                 playerIndex,
@@ -868,6 +1009,119 @@ export function generateTechnicalAnalysis(frameData, options = {}) {
             });
         }
         
+        // Neutral game insights
+        const neutral = rawAnalysis.neutralStats[playerIndex];
+        const exchanges = neutral.neutralWins + neutral.neutralLosses;
+        
+        if (exchanges > 0) {
+            const topOpener = Object.entries(neutral.openers).sort((a, b) => b[1] - a[1])[0];
+            const winRate = neutral.neutralWins / exchanges;
+            insights.neutralGameInsights.push({
+                playerIndex,
+                technique: 'Neutral',
+                insight: `Player ${playerIndex + 1} won ${neutral.neutralWins} of ${exchanges} neutral exchanges (${Math.round(winRate * 100)}%)` +
+                    (topOpener ? `, most often opening with ${topOpener[0]} (${topOpener[1]}x).` : '.'),
+                importance: winRate >= 0.6 || winRate <= 0.4 ? 'high' : 'medium'
+            });
+        }
+        
+        const stageControl = rawAnalysis.stageControlStats?.[playerIndex];
+        if (stageControl && stageControl.centerControl !== null) {
+            insights.neutralGameInsights.push({
+                playerIndex,
+                technique: 'Stage control',
+                insight: `Player ${playerIndex + 1} held center ${Math.round(stageControl.centerControl * 100)}% of the time with everyone on stage` +
+                    ` and was cornered at the edge ${Math.round(stageControl.cornered * 100)}% of the time` +
+                    `${stageControl.platformShare > 0 ? `, spending ${Math.round(stageControl.platformShare * 100)}% of the game on platforms` : ''}.`,
+                importance: stageControl.centerControl >= 0.6 || stageControl.centerControl <= 0.4 ? 'high' : 'medium'
+            });
+        }
+        
+        if (neutral.counterHits > 0) {
+            insights.neutralGameInsights.push({
+                playerIndex,
+                technique: 'Counter-hits',
+                insight: `Player ${playerIndex + 1} landed ${neutral.counterHits} counter-hit${neutral.counterHits === 1 ? '' : 's'} while being punished (counter-hit ratio ${metrics.counterHitRatio}).`,
+                importance: 'medium'
+            });
+        }
+        
+        // Punish game insights
+        const punish = rawAnalysis.punishStats[playerIndex];
+        
+        if (punish.openings > 0) {
+            const killText = punish.kills > 0 ?
+                `needing ${metrics.openingsPerKill} openings per kill` :
+                'without converting any into a kill';
+            insights.punishGameEfficiency.push({
+                playerIndex,
+                technique: 'Punishes',
+                insight: `Player ${playerIndex + 1} dealt ${metrics.damagePerOpening}% per opening over ${punish.openings} opening${punish.openings === 1 ? '' : 's'}, ${killText}. Punishes averaged ${metrics.averagePunishLength} hits.`,
+                importance: punish.openingsPerKill === null || punish.openingsPerKill > 5 ? 'high' : 'medium'
+            });
+        }
+        
+        // Edgeguard and recovery insights
+        const { edgeguarding, recovery } = rawAnalysis.edgeguardStats.players[playerIndex];
+        
+        if (edgeguarding.attempts > 0) {
+            const topCoverage = Object.entries(edgeguarding.byCoverage).sort((a, b) => b[1].attempts - a[1].attempts)[0];
+            insights.edgeguardInsights.push({
+                playerIndex,
+                technique: 'Edgeguarding',
+                insight: `Player ${playerIndex + 1} took the stock on ${edgeguarding.successes} of ${edgeguarding.attempts} edgeguard attempt${edgeguarding.attempts === 1 ? '' : 's'} (${Math.round(edgeguarding.successRate * 100)}%), mostly ${COVERAGE_LABELS[topCoverage[0]]}.`,
+                importance: edgeguarding.attempts >= 3 ? 'high' : 'medium'
+            });
+        }
+        
+        if (recovery.situations > 0) {
+            const topDestination = Object.entries(recovery.destinations).sort((a, b) => b[1] - a[1])[0];
+            const angleText = recovery.averageUpBAngle !== null ? `, average recovery angle ${recovery.averageUpBAngle}°` : '';
+            const distanceText = recovery.averageLedgeDistance ? `, knocked ${Math.round(recovery.averageLedgeDistance)} units from the ledge on average` : '';
+            insights.edgeguardInsights.push({
+                playerIndex,
+                technique: 'Recovery',
+                insight: `Player ${playerIndex + 1} made it back ${recovery.survived} of ${recovery.situations} time${recovery.situations === 1 ? '' : 's'} from offstage (most often: ${topDestination[0]}${angleText}${distanceText}).`,
+                importance: recovery.deaths > recovery.survived ? 'high' : 'medium'
+            });
+        }
+        
+        const deaths = rawAnalysis.deathStats?.[playerIndex];
+        if (deaths?.deaths > 0) {
+            const zones = Object.values(BLAST_ZONES)
+                .filter(zone => deaths.blastZones[zone] > 0)
+                .map(zone => `${deaths.blastZones[zone]} off the ${zone}`);
+            const topKillMove = Object.entries(deaths.killMoves).sort((a, b) => b[1] - a[1])[0];
+            insights.edgeguardInsights.push({
+                playerIndex,
+                technique: 'Deaths',
+                insight: `Player ${playerIndex + 1} lost ${deaths.deaths} stock${deaths.deaths === 1 ? '' : 's'} at ${metrics.averageDeathPercent}% on average (${zones.join(', ') || 'blast zone unknown'})` +
+                    `${topKillMove ? `, most often to ${topKillMove[0]} (${topKillMove[1]}x)` : ''}` +
+                    `${deaths.selfDestructs > 0 ? `, including ${deaths.selfDestructs} self-destruct${deaths.selfDestructs === 1 ? '' : 's'}` : ''}.`,
+                importance: deaths.selfDestructs > 0 || deaths.averagePercent < 80 ? 'high' : 'medium'
+            });
+        }
+        
+        // Option tendencies and tech chasing
+        rawAnalysis.tendencySummaries[playerIndex].forEach(summary => {
+            insights.tendencyInsights.push({
+                playerIndex,
+                technique: 'Tendencies',
+                insight: `Player ${playerIndex + 1} ${summary}.`,
+                importance: 'medium'
+            });
+        });
+        
+        const { chasing } = rawAnalysis.tendencyStats[playerIndex];
+        if (chasing.situations > 0) {
+            insights.tendencyInsights.push({
+                playerIndex,
+                technique: 'Tech chasing',
+                insight: `Player ${playerIndex + 1} punished ${chasing.punished} of ${chasing.situations} tech or getup option${chasing.situations === 1 ? '' : 's'} (tech-chase rate ${metrics.techchaseRate}).`,
+                importance: chasing.situations >= 5 ? 'high' : 'medium'
+            });
+        }
+        
         // Process character-specific techniques
         Object.entries(rawAnalysis.advancedTechniques[playerIndex].characterSpecific).forEach(([charId, charTech]) => {
             charId = Number(charId);
@@ -899,8 +1153,33 @@ export function generateTechnicalAnalysis(frameData, options = {}) {
                     importance: 'high'
                 });
             }
+            
+            // Techniques from the other character detectors
+            const described = ['multishine', 'waveshining', 'pillaring', 'ledgedash'];
+            Object.entries(charTech)
+                .filter(([counter, count]) => count > 0 && !described.includes(counter))
+                .forEach(([counter, count]) => {
+                    const label = getTechniqueLabel(counter);
+                    insights.technicalExecutionHighlights.push({
+                        playerIndex,
+                        technique: label.charAt(0).toUpperCase() + label.slice(1),
+                        insight: `Player ${playerIndex + 1} (${charName}) performed ${count} ${getTechniqueLabel(counter, count)}.`,
+                        importance: count >= 3 ? 'high' : 'medium'
+                    });
+                });
         });
         
+        if (metrics.ledgedashCount > 0) {
+            insights.technicalExecutionHighlights.push({
+                playerIndex,
+                technique: 'Ledgedash',
+                insight: metrics.averageGalint !== 'N/A' ?
+                    `Player ${playerIndex + 1} ledgedashed ${metrics.ledgedashCount} time${metrics.ledgedashCount === 1 ? '' : 's'} with an average GALINT of ${metrics.averageGalint} frames (intangible frames left once actionable).` :
+                    `Player ${playerIndex + 1} ledgedashed ${metrics.ledgedashCount} time${metrics.ledgedashCount === 1 ? '' : 's'}.`,
+                importance: 'medium'
+            });
+        }
+        
         // Generate player-specific technical tips
         insights.playerSpecificTips[playerIndex] = [];
         
@@ -911,6 +1190,88 @@ export function generateTechnicalAnalysis(frameData, options = {}) {
             });
         }
         
+        if (punish.openings >= 5 && (punish.openingsPerKill === null || punish.openingsPerKill > 6)) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Punish game',
+                tip: (punish.kills > 0 ?
+                    `It took ${metrics.openingsPerKill} openings per kill.` :
+                    `None of ${punish.openings} openings led to a kill.`) +
+                    ' Look for longer follow-ups and edgeguards to close out stocks sooner.'
+            });
+        }
+        
+        if (metrics.ledgedashCount >= 2 && metrics.averageGalint !== 'N/A' && metrics.averageGalint < 1) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Ledgedash',
+                tip: `Ledgedashes averaged ${metrics.averageGalint} frames of GALINT, leaving no invincibility once actionable. Drop and jump sooner after grabbing the ledge and waveland as low as possible.`
+            });
+        }
+        
+        if (stageControl && stageControl.cornered >= 0.25 && stageControl.centerControl < 0.4) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Stage control',
+                tip: `Spent ${Math.round(stageControl.cornered * 100)}% of the contested time pinned at the edge. Look for chances to reclaim center (platforms, jumping over, trading space with a shield) before the ledge takes options away.`
+            });
+        }
+        
+        if (deaths?.selfDestructs >= 2) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Self-destructs',
+                tip: `Lost ${deaths.selfDestructs} stocks without being hit. Check the replays for the recovery or edge option that failed and drill it until it is automatic.`
+            });
+        }
+        
+        if (exchanges >= 5 && neutral.neutralWins / exchanges < 0.4) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Neutral game',
+                tip: `Won only ${neutral.neutralWins} of ${exchanges} neutral exchanges. Review which approaches were getting stuffed and mix in safer spacing.`
+            });
+        }
+        
+        if (recovery.situations >= 3 && recovery.survivalRate < 0.5) {
+            const heights = Object.entries(recovery.heights).sort((a, b) => b[1] - a[1]);
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Recovery',
+                tip: `Survived only ${recovery.survived} of ${recovery.situations} offstage situations.` +
+                    (heights.length > 0 ? ` Most recoveries went ${heights[0][0]}; mix up height and timing so they are harder to cover.` : '')
+            });
+        }
+        
+        if (edgeguarding.uncovered >= 3 && edgeguarding.uncovered > edgeguarding.attempts) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Edgeguarding',
+                tip: `Let ${edgeguarding.uncovered} recoveries back without covering them. Grab ledge or go out for a hit when the opponent is offstage.`
+            });
+        }
+        
+        const techOptions = rawAnalysis.tendencyStats[playerIndex].tech;
+        const [favoriteTech, favoriteTechEntry] = Object.entries(techOptions.options).sort((a, b) => b[1].count - a[1].count)[0] || [];
+        if (techOptions.total >= 5 && favoriteTechEntry.share >= 0.6) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Tech options',
+                tip: `Teched ${favoriteTech} ${favoriteTechEntry.count} of ${techOptions.total} times. Mix in other tech options so the opponent can't read them.`
+            });
+        }
+        
+        if (inputs && inputs.lCancelPresses.early >= 3 && inputs.lCancelPresses.early > inputs.lCancelPresses.late) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'L-cancel timing',
+                tip: `Pressed too early for ${inputs.lCancelPresses.early} L-cancels. Press closer to the ground, within ${L_CANCEL_WINDOW} frames of landing.`
+            });
+        } else if (inputs && inputs.lCancelPresses.late >= 3) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'L-cancel timing',
+                tip: `Pressed after landing on ${inputs.lCancelPresses.late} aerials. Start the press slightly earlier.`
+            });
+        }
+        
+        if (inputs?.averageWavedashAngle > 30 && inputs.wavedashCount >= 3) {
+            insights.playerSpecificTips[playerIndex].push({
+                area: 'Wavedash angle',
+                tip: `Wavedashes averaged ${metrics.averageWavedashAngle}° below horizontal. Airdodge closer to the horizontal notch for more distance.`
+            });
+        }
+        
         if (metrics.missedTechs > metrics.successfulTechs) {
             insights.playerSpecificTips[playerIndex].push({
                 area: 'Tech skill',
@@ -0,0 +1,326 @@
+// src/utils/heatmaps.js
+// Positional heatmaps: occupancy grids of post-frame positions per player, in three
+// layers - where they stand in neutral, where they get hit and where they die - and an
+// SVG rendering of a grid over the stage outline. Everything is plain data and strings,
+// so reports can be built and rendered in Node without a browser.
+
+import { isDead } from './actionStates.js';
+import { ConversionTracker } from './conversions.js';
+import { getStageGeometry } from './stageGeometry.js';
+
+/**
+ * Heatmap layers
+ */
+export const HEATMAP_LAYERS = {
+    NEUTRAL: 'neutral', // Alive frames while nobody is being punished
+    HIT: 'hit',         // Frames on which the player took damage
+    DEATH: 'death'      // Last position before losing a stock
+};
+
+/**
+ * Default cell size in game units
+ */
+export const DEFAULT_CELL_SIZE = 8;
+
+// Used for stages without geometry: roughly the largest legal stage's blast zones
+const DEFAULT_BOUNDS = { left: -250, right: 250, top: 250, bottom: -150 };
+
+// Depth the main stage is drawn with below its surface
+const STAGE_DRAW_DEPTH = 20;
+
+/**
+ * Grid bounds for a stage: its blast zones
+ *
+ * @param {number} stageId - Stage ID
+ * @returns {Object} - { left, right, top, bottom }
+ */
+export function getHeatmapBounds(stageId) {
+    return { ...(getStageGeometry(stageId)?.blastZones || DEFAULT_BOUNDS) };
+}
+
+function createLayer(columns, rows) {
+    return {
+        total: 0,
+        cells: Array.from({ length: rows }, () => new Array(columns).fill(0))
+    };
+}
+
+function createPlayerHeatmap(columns, rows) {
+    return {
+        layers: Object.fromEntries(Object.values(HEATMAP_LAYERS).map(layer => [layer, createLayer(columns, rows)])),
+        deaths: [] // Exact { x, y, frame } of every death
+    };
+}
+
+/**
+ * Streaming heatmap tracker. Feed it every frame in order; per-player grids are kept in
+ * `players`. Row 0 of a grid is the top of the stage, column 0 its left side; positions
+ * outside the blast zones are counted in the border cells.
+ */
+export class HeatmapTracker {
+    /**
+     * @param {number} stageId - Stage ID (grid bounds come from its blast zones)
+     * @param {Object} options
+     * @param {number} options.cellSize - Cell size in game units (default DEFAULT_CELL_SIZE)
+     */
+    constructor(stageId, options = {}) {
+        this.stageId = stageId;
+        this.cellSize = options.cellSize || DEFAULT_CELL_SIZE;
+        this.bounds = getHeatmapBounds(stageId);
+        this.columns = Math.ceil((this.bounds.right - this.bounds.left) / this.cellSize);
+        this.rows = Math.ceil((this.bounds.top - this.bounds.bottom) / this.cellSize);
+        this.reset();
+    }
+
+    reset() {
+        this.players = {};
+        this.playerStates = {};
+        this.conversionTracker = new ConversionTracker();
+    }
+
+    _getState(playerIndex) {
+        if (!this.playerStates[playerIndex]) {
+            this.playerStates[playerIndex] = {
+                prevPercent: null,
+                prevStocks: null,
+                prevPosition: null,
+                wasDead: false,
+                deathAwaitingStockLoss: false
+            };
+        }
+        return this.playerStates[playerIndex];
+    }
+
+    _getPlayer(playerIndex) {
+        if (!this.players[playerIndex]) {
+            this.players[playerIndex] = createPlayerHeatmap(this.columns, this.rows);
+        }
+        return this.players[playerIndex];
+    }
+
+    /**
+     * Grid cell of a position, clamped to the grid
+     *
+     * @returns {Array<number>|null} - [row, column]
+     */
+    cellOf(x, y) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+        const clamp = (value, max) => Math.min(max - 1, Math.max(0, value));
+        return [
+            clamp(Math.floor((this.bounds.top - y) / this.cellSize), this.rows),
+            clamp(Math.floor((x - this.bounds.left) / this.cellSize), this.columns)
+        ];
+    }
+
+    _add(playerIndex, layer, x, y) {
+        const cell = this.cellOf(x, y);
+        if (!cell) return;
+        const grid = this._getPlayer(playerIndex).layers[layer];
+        grid.cells[cell[0]][cell[1]]++;
+        grid.total++;
+    }
+
+    /**
+     * @param {Object} players - frame.players ({ [playerIndex]: { pre, post } })
+     * @param {number} frameNum - Frame number
+     */
+    pushFrame(players, frameNum) {
+        if (!players) return;
+
+        this.conversionTracker.pushFrame(players, frameNum);
+        const neutral = Object.values(this.conversionTracker.playerStates).every(state => !state.conversion);
+
+        const entries = Object.entries(players)
+            .filter(([, playerFrame]) => playerFrame?.post)
+            .map(([index, playerFrame]) => [Number(index), playerFrame.post]);
+
+        entries.forEach(([playerIndex, post]) => {
+            const state = this._getState(playerIndex);
+            const x = post.positionX;
+            const y = post.positionY;
+            const dead = isDead(post.actionStateId);
+            const lostStock = state.prevStocks !== null && post.stocksRemaining < state.prevStocks;
+
+            // A death is recorded once, on entering a dead state or on the stock loss,
+            // whichever comes first
+            let died = false;
+            if (dead && !state.wasDead) {
+                died = true;
+                state.deathAwaitingStockLoss = !lostStock;
+            } else if (lostStock) {
+                died = !state.deathAwaitingStockLoss;
+                state.deathAwaitingStockLoss = false;
+            }
+            if (died) {
+                const position = state.prevPosition || { x, y };
+                this._add(playerIndex, HEATMAP_LAYERS.DEATH, position.x, position.y);
+                this._getPlayer(playerIndex).deaths.push({ x: position.x, y: position.y, frame: frameNum });
+            }
+
+            if (!dead) {
+                const percent = post.percent ?? 0;
+                if (state.prevPercent !== null && percent > state.prevPercent && !lostStock) {
+                    this._add(playerIndex, HEATMAP_LAYERS.HIT, x, y);
+                }
+                if (neutral) {
+                    this._add(playerIndex, HEATMAP_LAYERS.NEUTRAL, x, y);
+                }
+            }
+
+            state.prevPercent = post.percent ?? 0;
+            state.prevStocks = post.stocksRemaining ?? state.prevStocks;
+            state.prevPosition = dead ? state.prevPosition : { x, y };
+            state.wasDead = dead;
+        });
+    }
+
+    /**
+     * JSON-serializable heatmap
+     *
+     * @returns {Object} - { stageId, cellSize, bounds, columns, rows, players }, where
+     *   players[playerIndex] is { layers: { neutral|hit|death: { total, cells } }, deaths }
+     */
+    toJSON() {
+        return {
+            stageId: this.stageId,
+            cellSize: this.cellSize,
+            bounds: { ...this.bounds },
+            columns: this.columns,
+            rows: this.rows,
+            players: this.players
+        };
+    }
+}
+
+/**
+ * Builds heatmaps for every player of a game
+ *
+ * @param {Object} frames - Frames by frame number (SlippiGame.getFrames())
+ * @param {Object} options
+ * @param {number} options.stageId - Stage ID
+ * @param {number} options.cellSize - Cell size in game units
+ * @returns {Object} - HeatmapTracker.toJSON()
+ */
+export function generateHeatmaps(frames, options = {}) {
+    const tracker = new HeatmapTracker(options.stageId, options);
+    Object.keys(frames || {})
+        .map(Number)
+        .sort((a, b) => a - b)
+        .forEach(frameNum => tracker.pushFrame(frames[frameNum]?.players, frameNum));
+    return tracker.toJSON();
+}
+
+/**
+ * Adds one player's heatmap into another of the same grid (e.g. the same player over
+ * several games on one stage)
+ *
+ * @param {Object|null} target - Player heatmap to add into; null starts a new one
+ * @param {Object} source - Player heatmap ({ layers, deaths })
+ * @returns {Object} - The merged player heatmap
+ */
+export function mergePlayerHeatmaps(target, source) {
+    if (!target) return JSON.parse(JSON.stringify(source));
+
+    Object.entries(source.layers).forEach(([layer, grid]) => {
+        const into = target.layers[layer];
+        into.total += grid.total;
+        grid.cells.forEach((row, r) => row.forEach((count, c) => { into.cells[r][c] += count; }));
+    });
+    target.deaths.push(...source.deaths);
+    return target;
+}
+
+/**
+ * Color for a cell intensity between 0 and 1: blue through yellow to red
+ */
+function heatColor(intensity) {
+    const stops = [[49, 54, 149], [116, 173, 209], [254, 224, 144], [244, 109, 67], [165, 0, 38]];
+    const position = Math.min(1, Math.max(0, intensity)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(position));
+    const t = position - i;
+    const channel = k => Math.round(stops[i][k] + (stops[i + 1][k] - stops[i][k]) * t);
+    return `rgb(${channel(0)},${channel(1)},${channel(2)})`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Renders one layer of a player heatmap as a standalone SVG document. Cell colors are
+ * scaled to the busiest cell (square-root scaled so sparse areas stay visible); the
+ * stage, platforms and blast zones are drawn on top, and deaths are marked exactly on
+ * the death layer.
+ *
+ * @param {Object} heatmap - HeatmapTracker.toJSON() (or the same grid fields)
+ * @param {Object} playerHeatmap - One entry of heatmap.players
+ * @param {string} layer - One of HEATMAP_LAYERS
+ * @param {Object} options
+ * @param {number} options.scale - Pixels per cell (default 6)
+ * @param {string} options.title - Title drawn above the grid
+ * @returns {string} - SVG markup
+ */
+export function renderHeatmapSvg(heatmap, playerHeatmap, layer, options = {}) {
+    const { scale = 6, title = '' } = options;
+    const { bounds, cellSize, columns, rows } = heatmap;
+    const grid = playerHeatmap?.layers?.[layer];
+    const headerHeight = title ? 24 : 0;
+    const width = columns * scale;
+    const height = rows * scale + headerHeight;
+
+    // Game units to pixels
+    const toX = x => round((x - bounds.left) / cellSize * scale);
+    const toY = y => round((bounds.top - y) / cellSize * scale + headerHeight);
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect x="0" y="0" width="${width}" height="${height}" fill="#111"/>`
+    ];
+    if (title) {
+        parts.push(`<text x="6" y="17" font-family="sans-serif" font-size="14" fill="#eee">${escapeXml(title)}</text>`);
+    }
+
+    const max = grid ? Math.max(0, ...grid.cells.map(row => Math.max(...row))) : 0;
+    if (max > 0) {
+        grid.cells.forEach((row, r) => row.forEach((count, c) => {
+            if (count === 0) return;
+            const intensity = Math.sqrt(count / max);
+            parts.push(`<rect x="${c * scale}" y="${r * scale + headerHeight}" width="${scale}" height="${scale}" ` +
+                `fill="${heatColor(intensity)}" fill-opacity="${round(0.35 + 0.65 * intensity)}"/>`);
+        }));
+    }
+
+    const geometry = getStageGeometry(heatmap.stageId);
+    if (geometry) {
+        const { edgeX, groundY, platforms } = geometry;
+        parts.push(`<polygon points="${toX(-edgeX)},${toY(groundY)} ${toX(edgeX)},${toY(groundY)} ` +
+            `${toX(edgeX * 0.8)},${toY(groundY - STAGE_DRAW_DEPTH)} ${toX(-edgeX * 0.8)},${toY(groundY - STAGE_DRAW_DEPTH)}" ` +
+            'fill="none" stroke="#ddd" stroke-width="1.5"/>');
+        Object.values(platforms).forEach(platform => {
+            parts.push(`<line x1="${toX(platform.left)}" y1="${toY(platform.y)}" x2="${toX(platform.right)}" ` +
+                `y2="${toY(platform.y)}" stroke="#ddd" stroke-width="1.5"${platform.moving ? ' stroke-dasharray="4 2"' : ''}/>`);
+        });
+    }
+    parts.push(`<rect x="0.5" y="${headerHeight + 0.5}" width="${width - 1}" height="${rows * scale - 1}" ` +
+        'fill="none" stroke="#c33" stroke-dasharray="6 4"/>');
+
+    if (layer === HEATMAP_LAYERS.DEATH) {
+        (playerHeatmap?.deaths || []).forEach(death => {
+            const x = Math.min(bounds.right, Math.max(bounds.left, death.x));
+            const y = Math.min(bounds.top, Math.max(bounds.bottom, death.y));
+            parts.push(`<circle cx="${toX(x)}" cy="${toY(y)}" r="${Math.max(3, scale / 2)}" ` +
+                'fill="none" stroke="#fff" stroke-width="1.5"/>');
+        });
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
@@ -0,0 +1,388 @@
+// src/utils/inputs.js
+// Input-level analysis from pre-frame controller data. Post-frame action states say what
+// happened; pre-frames say what was pressed, so this is where timing claims are checked:
+// airdodge angles on wavedashes, L/R/Z presses against the L-cancel window, shield-drop
+// stick positions, input rates and inputs that did not come out as intended.
+
+import {
+    ACTION_STATES,
+    isAerialLanding,
+    isShielding
+} from './actionStates.js';
+
+/**
+ * physicalButtons bits
+ */
+export const BUTTONS = {
+    DPAD_LEFT: 0x0001,
+    DPAD_RIGHT: 0x0002,
+    DPAD_DOWN: 0x0004,
+    DPAD_UP: 0x0008,
+    Z: 0x0010,
+    R: 0x0020,
+    L: 0x0040,
+    A: 0x0100,
+    B: 0x0200,
+    X: 0x0400,
+    Y: 0x0800,
+    START: 0x1000
+};
+
+const ALL_BUTTONS = 0x0fff;
+const L_CANCEL_BUTTONS = BUTTONS.L | BUTTONS.R | BUTTONS.Z;
+
+/**
+ * Stick regions, as used by slippi-js input counting
+ */
+export const JOYSTICK_REGIONS = {
+    DZ: 0, NE: 1, SE: 2, SW: 3, NW: 4, N: 5, E: 6, S: 7, W: 8
+};
+
+// Stick deflection past which a direction counts as held
+const STICK_THRESHOLD = 0.2875;
+// Analog trigger value past which it counts as pressed
+const TRIGGER_THRESHOLD = 0.3;
+// Inputs before this frame are menu/countdown noise
+const FIRST_PLAYABLE_FRAME = -39;
+
+/**
+ * Frames up to and including landing in which an L/R/Z press L-cancels the landing
+ */
+export const L_CANCEL_WINDOW = 7;
+
+// How far before landing a press is still attributed to the landing (as early)
+const L_CANCEL_LOOKBACK = 20;
+// Frames after leaving jump squat in which an airdodge press still means a wavedash attempt
+const LATE_AIRDODGE_FRAMES = 3;
+
+/**
+ * @param {number} x - Stick x (-1 to 1)
+ * @param {number} y - Stick y (-1 to 1)
+ * @returns {number} - One of JOYSTICK_REGIONS
+ */
+export function getJoystickRegion(x, y) {
+    const R = JOYSTICK_REGIONS;
+    if (x >= STICK_THRESHOLD && y >= STICK_THRESHOLD) return R.NE;
+    if (x >= STICK_THRESHOLD && y <= -STICK_THRESHOLD) return R.SE;
+    if (x <= -STICK_THRESHOLD && y <= -STICK_THRESHOLD) return R.SW;
+    if (x <= -STICK_THRESHOLD && y >= STICK_THRESHOLD) return R.NW;
+    if (y >= STICK_THRESHOLD) return R.N;
+    if (x >= STICK_THRESHOLD) return R.E;
+    if (y <= -STICK_THRESHOLD) return R.S;
+    if (x <= -STICK_THRESHOLD) return R.W;
+    return R.DZ;
+}
+
+function countSetBits(value) {
+    let bits = value;
+    let count = 0;
+    while (bits) {
+        bits &= bits - 1;
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Airdodge angle below horizontal in whole degrees (0 = flat, 90 = straight down)
+ */
+export function getAirdodgeAngle(x, y) {
+    return Math.round(Math.atan2(-y, Math.abs(x)) * 180 / Math.PI);
+}
+
+function addToHistogram(histogram, value) {
+    histogram[value] = (histogram[value] || 0) + 1;
+}
+
+function isTriggerPressed(pre) {
+    return (pre.physicalLTrigger ?? 0) >= TRIGGER_THRESHOLD || (pre.physicalRTrigger ?? 0) >= TRIGGER_THRESHOLD;
+}
+
+/**
+ * Streaming input tracker. Feed it every frame in order. Per-player results are kept in
+ * `stats`; inputs that did not produce the intended technique are added to
+ * `missedInputs` as they are found.
+ */
+export class InputTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.stats = {};
+        this.missedInputs = [];
+        this.playerStates = {};
+    }
+
+    _getState(playerIndex) {
+        if (!this.playerStates[playerIndex]) {
+            this.playerStates[playerIndex] = {
+                prevPre: null,
+                prevActionState: null,
+                lastLCancelPress: null,
+                pendingLanding: null,
+                jumpSquatStart: null,
+                jumpSquatEnd: null,
+                shieldStart: null
+            };
+            this.stats[playerIndex] = {
+                firstFrame: null,
+                lastFrame: null,
+                inputCount: 0,       // New presses / stick region changes (slippi-js IPM)
+                actionCount: 0,      // Every input change, releases included (APM)
+                buttonInputCount: 0,
+                joystickInputCount: 0,
+                cstickInputCount: 0,
+                triggerInputCount: 0,
+                aerialLandings: 0,
+                lCancelPresses: { inWindow: 0, early: 0, late: 0, none: 0 },
+                wavedashAngles: [],
+                shieldDrops: { notch: 0, axis: 0 },
+                timings: {
+                    lCancel: {},        // Frames before landing of the last L/R/Z press
+                    wavedash: {},       // Frames from jump squat start to airdodge
+                    shieldDrop: {}      // Frames held in shield before dropping
+                }
+            };
+        }
+        return this.playerStates[playerIndex];
+    }
+
+    /**
+     * Processes one frame for every player
+     *
+     * @param {Object} players - frame.players ({ [playerIndex]: { pre, post } })
+     * @param {number} frameNum - Frame number
+     * @returns {Array<Object>} - Missed inputs found this frame
+     */
+    pushFrame(players, frameNum) {
+        const missed = [];
+        if (!players || frameNum < FIRST_PLAYABLE_FRAME) return missed;
+
+        Object.entries(players).forEach(([index, playerFrame]) => {
+            const pre = playerFrame?.pre;
+            const post = playerFrame?.post;
+            if (!pre || !post) return;
+
+            const playerIndex = Number(index);
+            const state = this._getState(playerIndex);
+            const stats = this.stats[playerIndex];
+
+            if (stats.firstFrame === null) stats.firstFrame = frameNum;
+            stats.lastFrame = frameNum;
+
+            this._countInputs(state, stats, pre);
+
+            const flags = this._trackTechniques(playerIndex, state, stats, pre, post, frameNum);
+            flags.forEach(flag => {
+                this.missedInputs.push(flag);
+                missed.push(flag);
+            });
+
+            state.prevPre = pre;
+            state.prevActionState = post.actionStateId;
+        });
+
+        return missed;
+    }
+
+    /**
+     * Input counting follows slippi-js: new button presses, stick region changes out of
+     * the deadzone and triggers pressed past the threshold. Actions also count releases.
+     */
+    _countInputs(state, stats, pre) {
+        const prev = state.prevPre;
+        if (!prev) return;
+
+        const buttons = (pre.physicalButtons ?? 0) & ALL_BUTTONS;
+        const prevButtons = (prev.physicalButtons ?? 0) & ALL_BUTTONS;
+        const pressed = countSetBits(~prevButtons & buttons & ALL_BUTTONS);
+        const released = countSetBits(prevButtons & ~buttons & ALL_BUTTONS);
+        stats.buttonInputCount += pressed;
+        stats.inputCount += pressed;
+        stats.actionCount += pressed + released;
+
+        const stick = getJoystickRegion(pre.joystickX ?? 0, pre.joystickY ?? 0);
+        const prevStick = getJoystickRegion(prev.joystickX ?? 0, prev.joystickY ?? 0);
+        if (stick !== prevStick) {
+            stats.actionCount++;
+            if (stick !== JOYSTICK_REGIONS.DZ) {
+                stats.joystickInputCount++;
+                stats.inputCount++;
+            }
+        }
+
+        const cStick = getJoystickRegion(pre.cStickX ?? 0, pre.cStickY ?? 0);
+        const prevCStick = getJoystickRegion(prev.cStickX ?? 0, prev.cStickY ?? 0);
+        if (cStick !== prevCStick) {
+            stats.actionCount++;
+            if (cStick !== JOYSTICK_REGIONS.DZ) {
+                stats.cstickInputCount++;
+                stats.inputCount++;
+            }
+        }
+
+        ['physicalLTrigger', 'physicalRTrigger'].forEach(trigger => {
+            if ((prev[trigger] ?? 0) < TRIGGER_THRESHOLD && (pre[trigger] ?? 0) >= TRIGGER_THRESHOLD) {
+                stats.triggerInputCount++;
+                stats.inputCount++;
+                stats.actionCount++;
+            }
+        });
+    }
+
+    /**
+     * L-cancel presses, wavedash airdodge angles and shield drops
+     *
+     * @returns {Array<Object>} - Missed inputs
+     */
+    _trackTechniques(playerIndex, state, stats, pre, post, frameNum) {
+        const flags = [];
+        const prev = state.prevPre;
+        const stateId = post.actionStateId;
+        const prevStateId = state.prevActionState;
+        const stateChanged = stateId !== prevStateId;
+
+        // Remember the last frame L, R or Z went down (digital or analog)
+        const buttons = pre.physicalButtons ?? 0;
+        const prevButtons = prev?.physicalButtons ?? 0;
+        const newPress = (buttons & L_CANCEL_BUTTONS & ~prevButtons) !== 0 ||
+            (prev && !isTriggerPressed(prev) && isTriggerPressed(pre));
+        if (newPress) {
+            state.lastLCancelPress = frameNum;
+
+            // Pressed within the window after an aerial landing that went un-cancelled
+            if (isAerialLanding(stateId) && state.pendingLanding &&
+                state.pendingLanding.result === 'none' && frameNum - state.pendingLanding.frame <= L_CANCEL_WINDOW) {
+                state.pendingLanding.result = 'late';
+                stats.lCancelPresses.none--;
+                stats.lCancelPresses.late++;
+                addToHistogram(stats.timings.lCancel, state.pendingLanding.frame - frameNum);
+                state.pendingLanding.flag.reason = 'late-l-cancel';
+                state.pendingLanding.flag.framesLate = frameNum - state.pendingLanding.frame;
+            }
+        }
+
+        // L-cancel: look back from the landing frame for the last press
+        if (stateChanged && isAerialLanding(stateId)) {
+            stats.aerialLandings++;
+            const framesBefore = state.lastLCancelPress !== null ? frameNum - state.lastLCancelPress : null;
+            let result;
+            if (framesBefore !== null && framesBefore < L_CANCEL_WINDOW) {
+                result = 'inWindow';
+            } else if (framesBefore !== null && framesBefore <= L_CANCEL_LOOKBACK) {
+                result = 'early';
+            } else {
+                result = 'none';
+            }
+            stats.lCancelPresses[result]++;
+            if (result !== 'none') addToHistogram(stats.timings.lCancel, framesBefore);
+
+            state.pendingLanding = null;
+            if (result !== 'inWindow') {
+                const flag = result === 'early' ?
+                    { frame: frameNum, playerIndex, technique: 'l-cancel', reason: 'early-l-cancel',
+                        framesEarly: framesBefore - L_CANCEL_WINDOW + 1 } :
+                    { frame: frameNum, playerIndex, technique: 'l-cancel', reason: 'no-l-cancel-press' };
+                flags.push(flag);
+                state.pendingLanding = { frame: frameNum, result, flag };
+            }
+        } else if (stateChanged && !isAerialLanding(stateId)) {
+            state.pendingLanding = null;
+        }
+
+        // Wavedash: jump squat into an airdodge
+        if (stateChanged && stateId === ACTION_STATES.JUMP_SQUAT) {
+            state.jumpSquatStart = frameNum;
+            state.jumpSquatEnd = null;
+        } else if (stateChanged && prevStateId === ACTION_STATES.JUMP_SQUAT) {
+            state.jumpSquatEnd = frameNum;
+        }
+        if (stateChanged && stateId === ACTION_STATES.AIR_DODGE && state.jumpSquatStart !== null &&
+            (prevStateId === ACTION_STATES.JUMP_SQUAT ||
+                (state.jumpSquatEnd !== null && frameNum - state.jumpSquatEnd <= LATE_AIRDODGE_FRAMES))) {
+            const angle = getAirdodgeAngle(pre.joystickX ?? 0, pre.joystickY ?? 0);
+            // Only downward airdodges are wavedashes
+            if (angle > 0) {
+                stats.wavedashAngles.push(angle);
+                addToHistogram(stats.timings.wavedash, frameNum - state.jumpSquatStart);
+
+                // Airdodge pressed after the jump already came out: a higher, shorter wavedash
+                if (prevStateId !== ACTION_STATES.JUMP_SQUAT) {
+                    flags.push({ frame: frameNum, playerIndex, technique: 'wavedash', reason: 'late-airdodge',
+                        framesLate: frameNum - state.jumpSquatEnd });
+                }
+            }
+            state.jumpSquatStart = null;
+            state.jumpSquatEnd = null;
+        }
+
+        // Shield drop: stick position on the frame the drop starts
+        if (stateChanged && isShielding(stateId) && !isShielding(prevStateId)) {
+            state.shieldStart = frameNum;
+        }
+        if (stateChanged && isShielding(prevStateId) && !isShielding(stateId) && state.shieldStart !== null) {
+            const region = getJoystickRegion(pre.joystickX ?? 0, pre.joystickY ?? 0);
+            const diagonal = region === JOYSTICK_REGIONS.SE || region === JOYSTICK_REGIONS.SW;
+            if (stateId === ACTION_STATES.PLATFORM_DROP) {
+                stats.shieldDrops[diagonal ? 'notch' : 'axis']++;
+                addToHistogram(stats.timings.shieldDrop, frameNum - state.shieldStart);
+            } else if (stateId === ACTION_STATES.SPOT_DODGE && diagonal) {
+                // Stick slightly off the notch: spot dodge instead of dropping through
+                flags.push({ frame: frameNum, playerIndex, technique: 'shield-drop', reason: 'spot-dodge',
+                    stick: { x: pre.joystickX, y: pre.joystickY } });
+            }
+            state.shieldStart = null;
+        }
+
+        return flags;
+    }
+}
+
+/**
+ * Summarizes tracked inputs per player
+ *
+ * @param {Object} inputStats - InputTracker stats ({ [playerIndex]: stats })
+ * @param {Array<Object>} missedInputs - InputTracker missed inputs
+ * @returns {Object} - { [playerIndex]: summary }
+ */
+export function computeInputStats(inputStats, missedInputs = []) {
+    const summaries = {};
+    Object.entries(inputStats || {}).forEach(([index, stats]) => {
+        const playerIndex = Number(index);
+        const minutes = stats.firstFrame !== null ? (stats.lastFrame - stats.firstFrame + 1) / 3600 : 0;
+        const { inWindow } = stats.lCancelPresses;
+        const angles = stats.wavedashAngles;
+        const drops = stats.shieldDrops.notch + stats.shieldDrops.axis;
+
+        const missedByReason = {};
+        missedInputs.filter(flag => flag.playerIndex === playerIndex).forEach(flag => {
+            missedByReason[flag.reason] = (missedByReason[flag.reason] || 0) + 1;
+        });
+
+        summaries[playerIndex] = {
+            inputsPerMinute: minutes > 0 ? stats.inputCount / minutes : null,
+            actionsPerMinute: minutes > 0 ? stats.actionCount / minutes : null,
+            inputCounts: {
+                total: stats.inputCount,
+                buttons: stats.buttonInputCount,
+                joystick: stats.joystickInputCount,
+                cstick: stats.cstickInputCount,
+                triggers: stats.triggerInputCount
+            },
+            lCancelPresses: { ...stats.lCancelPresses },
+            lCancelInputRate: stats.aerialLandings > 0 ? inWindow / stats.aerialLandings : null,
+            wavedashCount: angles.length,
+            averageWavedashAngle: angles.length > 0 ? angles.reduce((sum, angle) => sum + angle, 0) / angles.length : null,
+            wavedashAngles: angles.reduce((histogram, angle) => {
+                addToHistogram(histogram, angle);
+                return histogram;
+            }, {}),
+            shieldDrops: { ...stats.shieldDrops },
+            shieldDropNotchRate: drops > 0 ? stats.shieldDrops.notch / drops : null,
+            timings: stats.timings,
+            missedInputs: missedByReason
+        };
+    });
+    return summaries;
+}
@@ -0,0 +1,107 @@
+// src/utils/moves.js
+/**
+ * Melee attack IDs, as reported by post.lastAttackLanded and used for conversion moves.
+ * These are a separate numbering from action states.
+ */
+const MOVES = {
+    1: { name: 'Miscellaneous', shortName: 'misc' },
+    2: { name: 'Jab', shortName: 'jab' },
+    3: { name: 'Jab', shortName: 'jab' },
+    4: { name: 'Jab', shortName: 'jab' },
+    5: { name: 'Rapid Jabs', shortName: 'rapid-jabs' },
+    6: { name: 'Dash Attack', shortName: 'dash' },
+    7: { name: 'Forward Tilt', shortName: 'ftilt' },
+    8: { name: 'Up Tilt', shortName: 'utilt' },
+    9: { name: 'Down Tilt', shortName: 'dtilt' },
+    10: { name: 'Forward Smash', shortName: 'fsmash' },
+    11: { name: 'Up Smash', shortName: 'usmash' },
+    12: { name: 'Down Smash', shortName: 'dsmash' },
+    13: { name: 'Neutral Air', shortName: 'nair' },
+    14: { name: 'Forward Air', shortName: 'fair' },
+    15: { name: 'Back Air', shortName: 'bair' },
+    16: { name: 'Up Air', shortName: 'uair' },
+    17: { name: 'Down Air', shortName: 'dair' },
+    18: { name: 'Neutral B', shortName: 'neutral-b' },
+    19: { name: 'Side B', shortName: 'side-b' },
+    20: { name: 'Up B', shortName: 'up-b' },
+    21: { name: 'Down B', shortName: 'down-b' },
+    50: { name: 'Getup Attack', shortName: 'getup' },
+    51: { name: 'Getup Attack (Slow)', shortName: 'getup-slow' },
+    52: { name: 'Grab Pummel', shortName: 'pummel' },
+    53: { name: 'Forward Throw', shortName: 'fthrow' },
+    54: { name: 'Back Throw', shortName: 'bthrow' },
+    55: { name: 'Up Throw', shortName: 'uthrow' },
+    56: { name: 'Down Throw', shortName: 'dthrow' },
+    61: { name: 'Edge Attack (Slow)', shortName: 'edge-slow' },
+    62: { name: 'Edge Attack', shortName: 'edge' }
+};
+
+/**
+ * Names used when spelling out a string of moves ("u-throw → u-air → knee")
+ */
+const MOVE_LABELS = {
+    1: 'hit', 2: 'jab', 3: 'jab', 4: 'jab', 5: 'rapid jabs', 6: 'dash attack',
+    7: 'f-tilt', 8: 'u-tilt', 9: 'd-tilt', 10: 'f-smash', 11: 'u-smash', 12: 'd-smash',
+    13: 'n-air', 14: 'f-air', 15: 'b-air', 16: 'u-air', 17: 'd-air',
+    18: 'neutral-b', 19: 'side-b', 20: 'up-b', 21: 'down-b',
+    50: 'getup attack', 51: 'getup attack', 52: 'pummel',
+    53: 'f-throw', 54: 'b-throw', 55: 'u-throw', 56: 'd-throw',
+    61: 'ledge attack', 62: 'ledge attack'
+};
+
+/**
+ * Common names for character-specific moves, by external character ID
+ */
+const CHARACTER_MOVE_LABELS = {
+    0: { 14: 'knee', 17: 'stomp', 18: 'falcon punch', 19: 'raptor boost', 20: 'falcon dive', 21: 'falcon kick' },
+    1: { 18: 'giant punch', 19: 'headbutt', 20: 'spinning kong', 21: 'hand slap' },
+    2: { 18: 'laser', 19: 'illusion', 20: 'firefox', 21: 'shine' },
+    3: { 18: 'chef', 19: 'judgment', 20: 'fire', 21: 'oil panic' },
+    4: { 19: 'hammer', 20: 'final cutter', 21: 'stone' },
+    5: { 18: 'fire breath', 19: 'koopa klaw', 20: 'whirling fortress', 21: 'bowser bomb' },
+    6: { 18: 'arrow', 19: 'boomerang', 20: 'spin attack', 21: 'bomb' },
+    7: { 18: 'fireball', 19: 'green missile', 20: 'super jump punch', 21: 'cyclone' },
+    8: { 18: 'fireball', 19: 'cape', 20: 'super jump punch', 21: 'tornado' },
+    9: { 18: 'shield breaker', 19: 'dancing blade', 20: 'dolphin slash', 21: 'counter' },
+    10: { 18: 'shadow ball', 19: 'confusion', 21: 'disable' },
+    11: { 18: 'pk flash', 19: 'pk fire', 20: 'pk thunder', 21: 'psi magnet' },
+    12: { 18: 'toad', 19: 'peach bomber', 20: 'parasol', 21: 'turnip' },
+    13: { 18: 'thunder jolt', 19: 'skull bash', 20: 'quick attack', 21: 'thunder' },
+    14: { 18: 'ice shot', 19: 'squall hammer', 20: 'belay', 21: 'blizzard' },
+    15: { 18: 'rollout', 19: 'pound', 20: 'sing', 21: 'rest' },
+    16: { 18: 'charge shot', 19: 'missile', 20: 'screw attack', 21: 'bomb' },
+    17: { 18: 'egg lay', 19: 'egg roll', 20: 'egg throw', 21: 'yoshi bomb' },
+    18: { 18: "nayru's love", 19: "din's fire", 20: "farore's wind" },
+    19: { 18: 'needles', 19: 'chain', 20: 'vanish' },
+    20: { 18: 'laser', 19: 'phantasm', 20: 'firebird', 21: 'shine' },
+    21: { 18: 'fire arrow', 19: 'boomerang', 20: 'spin attack', 21: 'bomb' },
+    22: { 18: 'pill', 19: 'cape', 20: 'super jump punch', 21: 'tornado' },
+    23: { 18: 'flare blade', 19: 'double-edge dance', 20: 'blazer', 21: 'counter' },
+    24: { 18: 'thunder jolt', 19: 'skull bash', 20: 'agility', 21: 'thunder' },
+    25: { 17: 'stomp', 18: 'warlock punch', 19: 'flame choke', 20: 'dark dive', 21: "wizard's foot" }
+};
+
+/**
+ * @param {number} moveId - Attack ID
+ * @returns {string} - Full move name, e.g. "Forward Air"
+ */
+export function getMoveName(moveId) {
+    return MOVES[moveId]?.name || 'Unknown Move';
+}
+
+/**
+ * @param {number} moveId - Attack ID
+ * @returns {string} - Short move name, e.g. "fair"
+ */
+export function getMoveShortName(moveId) {
+    return MOVES[moveId]?.shortName || 'unknown';
+}
+
+/**
+ * @param {number} moveId - Attack ID
+ * @param {number} characterId - External character ID of the attacker, for named specials
+ * @returns {string} - Readable move name, e.g. "u-air", "knee" or "shine"
+ */
+export function getMoveLabel(moveId, characterId = null) {
+    return CHARACTER_MOVE_LABELS[characterId]?.[moveId] || MOVE_LABELS[moveId] || 'unknown move';
+}
@@ -30,6 +30,24 @@ export const characterNames = {
     25: "Ganondorf"
 };
 
+// Frame data reports the in-game (internal) character ID, which uses a different
+// numbering than the character select IDs above. Popo and Nana both map to Ice Climbers.
+const INTERNAL_TO_EXTERNAL_CHARACTER = [
+    8, 2, 0, 1, 4, 5, 6, 19, 11, 12, 14, 14, 13, 16,
+    17, 15, 10, 7, 9, 18, 21, 22, 20, 24, 3, 25, 23
+];
+
+/**
+ * Converts an internal character ID (post.internalCharacterId) to the external ID
+ * used by characterNames and game settings
+ *
+ * @param {number} internalId - Internal character ID
+ * @returns {number|null} - External character ID
+ */
+export function getExternalCharacterId(internalId) {
+    return INTERNAL_TO_EXTERNAL_CHARACTER[internalId] ?? null;
+}
+
 function parseFrameData(frameData) {
     // Extract relevant information from frame data
     const players = frameData.players.map(player => ({
@@ -41,33 +59,161 @@ function parseFrameData(frameData) {
     return players;
 }
 
-function extractPlayerStatistics(frames) {
-    const stats = frames.reduce((acc, frame) => {
-        frame.players.forEach((player, index) => {
-            if (!acc[index]) {
-                acc[index] = { damageDealt: 0, stockLosses: 0, stocks: 4 };
+/**
+ * Orders a frames collection chronologically. slippi-js returns frames as an object
+ * keyed by frame number (starting at -123), older callers passed plain arrays.
+ *
+ * @param {Object|Array} frames - Frames keyed by frame number, or an array of frames
+ * @returns {Array<Object>} - Frames sorted by frame number
+ */
+function getOrderedFrames(frames) {
+    if (!frames) return [];
+    if (Array.isArray(frames)) return frames.filter(Boolean);
+
+    return Object.keys(frames)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(frameNum => frames[frameNum])
+        .filter(Boolean);
+}
+
+/**
+ * Extracts per-player statistics from a replay.
+ *
+ * Damage is attributed to the attacker: whenever a player's percent rises, the increase
+ * is credited to the player in that frame's `lastHitBy` field. Hits from a teammate are
+ * tracked as friendly fire, and damage with no valid attacker (e.g. self-damage or
+ * stage hazards) as self damage. Kills are credited to the last player who hit the
+ * victim before the stock was lost. Works for singles and doubles.
+ *
+ * @param {Object} settings - Game settings from SlippiGame.getSettings()
+ * @param {Object|Array} frames - Frames from SlippiGame.getFrames()
+ * @returns {Array<Object>} - One stats entry per player, in settings.players order
+ */
+function extractPlayerStatistics(settings, frames) {
+    const settingsPlayers = settings?.players || [];
+    const isTeams = Boolean(settings?.isTeams);
+
+    const stats = settingsPlayers.map(player => ({
+        playerIndex: player.playerIndex,
+        port: player.port,
+        characterId: player.characterId,
+        teamId: isTeams ? player.teamId : null,
+        startStocks: player.startStocks ?? null,
+        stocksRemaining: player.startStocks ?? null,
+        stockLosses: 0,
+        kills: 0,
+        damageDealt: 0,
+        damageTaken: 0,
+        selfDamage: 0,
+        friendlyFireDealt: 0,
+        damageDealtTo: {}
+    }));
+    const byIndex = {};
+    stats.forEach(entry => { byIndex[entry.playerIndex] = entry; });
+
+    // Per-player tracking between frames
+    const tracking = {};
+    stats.forEach(entry => {
+        tracking[entry.playerIndex] = { percent: null, stocks: null, lastAttacker: null };
+    });
+
+    // In a 1v1 without lastHitBy data the only possible attacker is the opponent
+    const soleOpponent = (victimIndex) => {
+        if (stats.length !== 2) return null;
+        return stats.find(entry => entry.playerIndex !== victimIndex).playerIndex;
+    };
+
+    getOrderedFrames(frames).forEach(frame => {
+        stats.forEach(entry => {
+            const post = frame.players?.[entry.playerIndex]?.post;
+            if (!post) return;
+
+            const track = tracking[entry.playerIndex];
+            const percent = post.percent ?? 0;
+            const stocks = post.stocksRemaining;
+
+            // First frame seen for this player: establish baselines only
+            if (track.stocks === null) {
+                if (entry.startStocks === null && stocks !== null && stocks !== undefined) {
+                    entry.startStocks = stocks;
+                }
+                track.percent = percent;
+                track.stocks = stocks ?? entry.startStocks;
+                return;
             }
-            
-            // Track damage dealt
-            if (player.post && player.post.damage) {
-                acc[index].damageDealt += player.post.damage;
+
+            const hitBy = post.lastHitBy;
+            const attackerIndex = (hitBy !== null && hitBy !== undefined && byIndex[hitBy] && hitBy !== entry.playerIndex)
+                ? hitBy
+                : (hitBy === null || hitBy === undefined ? soleOpponent(entry.playerIndex) : null);
+
+            // Percent only rises from damage; it drops to 0 on respawn
+            const delta = percent - track.percent;
+            if (delta > 0 && stocks === track.stocks) {
+                entry.damageTaken += delta;
+
+                if (attackerIndex === null) {
+                    entry.selfDamage += delta;
+                } else {
+                    const attacker = byIndex[attackerIndex];
+                    if (isTeams && attacker.teamId === entry.teamId) {
+                        attacker.friendlyFireDealt += delta;
+                    } else {
+                        attacker.damageDealt += delta;
+                        attacker.damageDealtTo[entry.playerIndex] =
+                            (attacker.damageDealtTo[entry.playerIndex] || 0) + delta;
+                    }
+                    track.lastAttacker = attackerIndex;
+                }
             }
-            
-            // Track stock losses
-            if (player.post && player.post.stocks !== undefined) {
-                if (player.post.stocks < acc[index].stocks) {
-                    acc[index].stockLosses++;
+
+            // Stock lost: credit the kill to whoever hit the victim last
+            if (stocks !== null && stocks !== undefined && track.stocks !== null && stocks < track.stocks) {
+                const lost = track.stocks - stocks;
+                entry.stockLosses += lost;
+
+                const killerIndex = track.lastAttacker;
+                const killer = killerIndex !== null ? byIndex[killerIndex] : null;
+                if (killer && !(isTeams && killer.teamId === entry.teamId)) {
+                    killer.kills += lost;
                 }
-                acc[index].stocks = player.post.stocks;
+                track.lastAttacker = null;
+            }
+
+            track.percent = percent;
+            if (stocks !== null && stocks !== undefined) {
+                track.stocks = stocks;
+                entry.stocksRemaining = stocks;
             }
         });
-        return acc;
-    }, []);
+    });
+
+    stats.forEach(entry => {
+        entry.damageDealt = parseFloat(entry.damageDealt.toFixed(2));
+        entry.damageTaken = parseFloat(entry.damageTaken.toFixed(2));
+        entry.selfDamage = parseFloat(entry.selfDamage.toFixed(2));
+        entry.friendlyFireDealt = parseFloat(entry.friendlyFireDealt.toFixed(2));
+    });
+
     return stats;
 }
 
+/**
+ * Resolves who performed a combo. In slippi-js combo stats `playerIndex` is the player
+ * being comboed; the attacker is `lastHitBy`, or whoever landed the first move.
+ *
+ * @param {Object} combo - Combo from SlippiGame.getStats().combos
+ * @returns {number|null} - Attacker player index
+ */
+function getComboAttacker(combo) {
+    if (!combo) return null;
+    if (combo.lastHitBy !== null && combo.lastHitBy !== undefined) return combo.lastHitBy;
+    return combo.moves?.[0]?.playerIndex ?? null;
+}
+
 function getMatchDuration(metadata) {
     return metadata.lastFrame || metadata.duration || 0;
 }
 
-export { parseFrameData, extractPlayerStatistics, getMatchDuration };
\ No newline at end of file
+export { parseFrameData, getOrderedFrames, extractPlayerStatistics, getComboAttacker, getMatchDuration };
\ No newline at end of file
@@ -0,0 +1,102 @@
+// src/utils/stageControl.js
+// Stage control: where each player spends the game (center, middle, edge, offstage,
+// platforms) and, while every player is on stage, who holds center and who is being
+// pushed toward the ledge.
+
+import { isDead } from './actionStates.js';
+import { getStageGeometry, getStageSide, getStageZone, onPlatform, STAGE_ZONES } from './stageGeometry.js';
+
+function createStats() {
+    return {
+        frames: 0,
+        zones: Object.fromEntries(Object.values(STAGE_ZONES).map(zone => [zone, 0])),
+        platformFrames: 0,
+        contestedFrames: 0,    // Frames with every player on stage
+        centerControlFrames: 0, // Contested frames closer to center than every other player
+        corneredFrames: 0,     // Contested frames at the edge with an opponent between them and center
+        distanceFromCenter: 0  // Sum of |x| over all frames
+    };
+}
+
+/**
+ * Streaming stage control tracker. Feed it every frame in order; per-player frame
+ * counts are kept in `stats`.
+ */
+export class StageControlTracker {
+    /**
+     * @param {number} stageId - Stage ID. Stages without geometry are not tracked.
+     */
+    constructor(stageId) {
+        this.stageId = stageId;
+        this.geometry = getStageGeometry(stageId);
+        this.reset();
+    }
+
+    reset() {
+        this.stats = {};
+    }
+
+    /**
+     * @param {Object} players - frame.players ({ [playerIndex]: { pre, post } })
+     */
+    pushFrame(players) {
+        if (!this.geometry || !players) return;
+
+        const positions = Object.entries(players)
+            .filter(([, playerFrame]) => playerFrame?.post && !isDead(playerFrame.post.actionStateId))
+            .map(([index, playerFrame]) => ({
+                playerIndex: Number(index),
+                x: playerFrame.post.positionX,
+                y: playerFrame.post.positionY,
+                zone: getStageZone(this.stageId, playerFrame.post.positionX, playerFrame.post.positionY)
+            }))
+            .filter(position => position.zone !== null);
+
+        const contested = positions.length >= 2 && positions.every(p => p.zone !== STAGE_ZONES.OFFSTAGE);
+
+        positions.forEach(position => {
+            const stats = this.stats[position.playerIndex] = this.stats[position.playerIndex] || createStats();
+            stats.frames++;
+            stats.zones[position.zone]++;
+            stats.distanceFromCenter += Math.abs(position.x);
+            if (onPlatform(this.stageId, position.x, position.y)) stats.platformFrames++;
+
+            if (!contested) return;
+            stats.contestedFrames++;
+
+            const others = positions.filter(other => other.playerIndex !== position.playerIndex);
+            if (others.every(other => Math.abs(position.x) < Math.abs(other.x))) {
+                stats.centerControlFrames++;
+            }
+
+            const side = getStageSide(position.x);
+            if (position.zone === STAGE_ZONES.EDGE && others.some(other =>
+                getStageSide(other.x) === side && Math.abs(other.x) < Math.abs(position.x))) {
+                stats.corneredFrames++;
+            }
+        });
+    }
+}
+
+function ratio(count, total) {
+    return total > 0 ? count / total : null;
+}
+
+/**
+ * Shares of time per player
+ *
+ * @param {Object} stats - StageControlTracker.stats
+ * @returns {Object} - { [playerIndex]: { frames, zoneShares, platformShare, centerControl,
+ *   cornered, averageDistanceFromCenter } }; centerControl and cornered are shares of
+ *   the frames where every player was on stage
+ */
+export function computeStageControlStats(stats) {
+    return Object.fromEntries(Object.entries(stats || {}).map(([playerIndex, s]) => [playerIndex, {
+        frames: s.frames,
+        zoneShares: Object.fromEntries(Object.entries(s.zones).map(([zone, count]) => [zone, ratio(count, s.frames)])),
+        platformShare: ratio(s.platformFrames, s.frames),
+        centerControl: ratio(s.centerControlFrames, s.contestedFrames),
+        cornered: ratio(s.corneredFrames, s.contestedFrames),
+        averageDistanceFromCenter: ratio(s.distanceFromCenter, s.frames)
+    }]));
+}
@@ -0,0 +1,215 @@
+// src/utils/stageGeometry.js
+// Geometry of the legal stages in game units. Every legal stage is symmetric around
+// x = 0, so edges and ledges are stored as the right-hand (positive) x value.
+// Platforms are the default layout: Fountain of Dreams' side platforms move, and
+// Pokémon Stadium's transformations are not modelled.
+
+/**
+ * Stage geometry by stage ID
+ *   edgeX      - x of the stage edge (end of the walkable ground); the ledges are at
+ *                (±edgeX, groundY)
+ *   ledgeGrabX - x a player hanging on the ledge is held at
+ *   groundY    - height of the main stage surface
+ *   platforms  - { left|right|top: { y, left, right, moving } } pass-through platforms
+ *   blastZones - kill boundaries
+ */
+export const STAGE_GEOMETRY = {
+    2: {
+        name: 'Fountain of Dreams',
+        edgeX: 63.35,
+        ledgeGrabX: 66.2285,
+        groundY: 0,
+        platforms: {
+            left: { y: 20, left: -49.5, right: -21, moving: true },
+            right: { y: 16.125, left: 21, right: 49.5, moving: true },
+            top: { y: 42.75, left: -14.25, right: 14.25 }
+        },
+        blastZones: { left: -198.75, right: 198.75, top: 202.5, bottom: -146.25 }
+    },
+    3: {
+        name: 'Pokémon Stadium',
+        edgeX: 87.75,
+        ledgeGrabX: 90.7425,
+        groundY: 0,
+        platforms: {
+            left: { y: 25, left: -55, right: -25 },
+            right: { y: 25, left: 25, right: 55 }
+        },
+        blastZones: { left: -230, right: 230, top: 180, bottom: -111 }
+    },
+    8: {
+        name: "Yoshi's Story",
+        edgeX: 56,
+        ledgeGrabX: 58.9064,
+        groundY: 0,
+        platforms: {
+            left: { y: 23.45, left: -59.5, right: -28 },
+            right: { y: 23.45, left: 28, right: 59.5 },
+            top: { y: 42, left: -15.75, right: 15.75 }
+        },
+        blastZones: { left: -175.7, right: 173.6, top: 168, bottom: -91 }
+    },
+    28: {
+        name: 'Dream Land',
+        edgeX: 77.2713,
+        ledgeGrabX: 80.1758,
+        groundY: 0,
+        platforms: {
+            left: { y: 30.2422, left: -61.3929, right: -31.7251 },
+            right: { y: 30.2422, left: 31.7251, right: 61.3929 },
+            top: { y: 51.4254, left: -19.0181, right: 19.0181 }
+        },
+        blastZones: { left: -255, right: 255, top: 250, bottom: -123 }
+    },
+    31: {
+        name: 'Battlefield',
+        edgeX: 68.4,
+        ledgeGrabX: 71.3078,
+        groundY: 0,
+        platforms: {
+            left: { y: 27.2, left: -57.6, right: -20 },
+            right: { y: 27.2, left: 20, right: 57.6 },
+            top: { y: 54.4, left: -18.8, right: 18.8 }
+        },
+        blastZones: { left: -224, right: 224, top: 200, bottom: -108.8 }
+    },
+    32: {
+        name: 'Final Destination',
+        edgeX: 85.5657,
+        ledgeGrabX: 88.4735,
+        groundY: 0,
+        platforms: {},
+        blastZones: { left: -246, right: 246, top: 188, bottom: -140 }
+    }
+};
+
+// How far below the stage surface a player still counts as on the stage
+const GROUND_TOLERANCE = 5;
+
+// How far from a platform surface a player still counts as standing on it
+const PLATFORM_TOLERANCE = 1.5;
+
+/**
+ * Horizontal stage zones, as a fraction of the distance from center to the edge
+ */
+export const STAGE_ZONES = {
+    CENTER: 'center',     // Within a third of the way to the edge
+    MIDDLE: 'middle',
+    EDGE: 'edge',         // The outer quarter next to the ledge
+    OFFSTAGE: 'offstage'
+};
+const CENTER_ZONE = 1 / 3;
+const EDGE_ZONE = 0.75;
+
+/**
+ * @param {number} stageId - Stage ID
+ * @returns {Object|null} - Geometry, or null for stages without data
+ */
+export function getStageGeometry(stageId) {
+    return STAGE_GEOMETRY[stageId] || null;
+}
+
+/**
+ * Whether a position is off the stage: past either edge or below the stage surface
+ *
+ * @param {number} stageId - Stage ID
+ * @param {number} x - Position x
+ * @param {number} y - Position y
+ * @returns {boolean} - False when the stage has no geometry
+ */
+export function isOffstage(stageId, x, y) {
+    const geometry = getStageGeometry(stageId);
+    if (!geometry || x === undefined || x === null) return false;
+    return Math.abs(x) > geometry.edgeX || y < geometry.groundY - GROUND_TOLERANCE;
+}
+
+/**
+ * @param {number} x - Position x
+ * @returns {string} - Side of the stage: 'left' or 'right'
+ */
+export function getStageSide(x) {
+    return x < 0 ? 'left' : 'right';
+}
+
+/**
+ * Platform a position is standing on (or within a small tolerance of)
+ *
+ * @param {number} stageId - Stage ID
+ * @param {number} x - Position x
+ * @param {number} y - Position y
+ * @returns {string|null} - 'left', 'right', 'top', or null when not on a platform
+ */
+export function onPlatform(stageId, x, y) {
+    const geometry = getStageGeometry(stageId);
+    if (!geometry || x === undefined || x === null || y === undefined || y === null) return null;
+
+    const platform = Object.entries(geometry.platforms).find(([, p]) =>
+        x >= p.left && x <= p.right && Math.abs(y - p.y) <= PLATFORM_TOLERANCE);
+    return platform ? platform[0] : null;
+}
+
+/**
+ * Nearest ledge to a position
+ *
+ * @param {number} stageId - Stage ID
+ * @param {number} x - Position x
+ * @returns {Object|null} - { side, x, y } of the ledge corner
+ */
+export function getNearestLedge(stageId, x) {
+    const geometry = getStageGeometry(stageId);
+    if (!geometry || x === undefined || x === null) return null;
+
+    const side = getStageSide(x);
+    return { side, x: side === 'left' ? -geometry.edgeX : geometry.edgeX, y: geometry.groundY };
+}
+
+/**
+ * Straight-line distance from a position to the nearest ledge
+ *
+ * @param {number} stageId - Stage ID
+ * @param {number} x - Position x
+ * @param {number} y - Position y
+ * @returns {number|null} - Distance in game units, or null when the stage has no geometry
+ */
+export function distanceToLedge(stageId, x, y) {
+    const ledge = getNearestLedge(stageId, x);
+    if (!ledge) return null;
+    return Math.hypot(x - ledge.x, (y ?? ledge.y) - ledge.y);
+}
+
+/**
+ * Nearest blast zone to a position
+ *
+ * @param {number} stageId - Stage ID
+ * @param {number} x - Position x
+ * @param {number} y - Position y
+ * @returns {Object|null} - { side: 'left'|'right'|'top'|'bottom', distance }
+ */
+export function distanceToBlastZone(stageId, x, y) {
+    const geometry = getStageGeometry(stageId);
+    if (!geometry || x === undefined || x === null || y === undefined || y === null) return null;
+
+    const { left, right, top, bottom } = geometry.blastZones;
+    const distances = { left: x - left, right: right - x, top: top - y, bottom: y - bottom };
+    const side = Object.keys(distances).reduce((best, key) => (distances[key] < distances[best] ? key : best));
+    return { side, distance: distances[side] };
+}
+
+/**
+ * Horizontal zone of a position (one of STAGE_ZONES)
+ *
+ * @param {number} stageId - Stage ID
+ * @param {number} x - Position x
+ * @param {number} y - Position y
+ * @returns {string|null} - Null when the stage has no geometry
+ */
+export function getStageZone(stageId, x, y) {
+    const geometry = getStageGeometry(stageId);
+    if (!geometry || x === undefined || x === null) return null;
+    if (isOffstage(stageId, x, y)) return STAGE_ZONES.OFFSTAGE;
+
+    const fromCenter = Math.abs(x) / geometry.edgeX;
+    if (fromCenter <= CENTER_ZONE) return STAGE_ZONES.CENTER;
+    if (fromCenter >= EDGE_ZONE) return STAGE_ZONES.EDGE;
+    return STAGE_ZONES.MIDDLE;
+}
@@ -0,0 +1,613 @@
+// src/utils/techniqueDetectors.js
+// Character-specific technique detection. Detectors are registered per character (or
+// for every character) and run on each player's frames by TechniqueTracker, which
+// supplies the recent action states and the hits the player landed that frame.
+// New detectors can be added with registerTechniqueDetector() without touching the
+// frame analyzer.
+
+import {
+    ACTION_STATES,
+    PEACH_STATES,
+    SHEIK_STATES,
+    SPACIE_STATES,
+    getActionStateCategory,
+    getActionStateName,
+    getLedgeOption,
+    isAirborne,
+    isDead,
+    isInHitstun,
+    isOnLedge,
+    isShine
+} from './actionStates.js';
+import { getLandingLag, getWavedashDistance, AERIALS, WAVELAND_LAG } from './characterData.js';
+import { resolveAttacker } from './conversions.js';
+import { getMoveShortName } from './moves.js';
+import { characterNames, getExternalCharacterId } from './slippiUtils.js';
+
+/**
+ * Action state transitions kept per player for sequence detection
+ */
+export const STATE_HISTORY_LENGTH = 20;
+
+/**
+ * Frames between two hits for the second one to count as a follow-up (knee confirms,
+ * rest setups, ken combos)
+ */
+export const FOLLOW_UP_WINDOW = 45;
+
+/**
+ * Ledge intangibility after a ledge grab. Only used to estimate GALINT for replays
+ * without post.hurtboxCollisionState.
+ */
+export const LEDGE_INTANGIBILITY_FRAMES = 30;
+
+// Attack IDs (see moves.js)
+const MOVE_FAIR = 14;
+const MOVE_DAIR = 17;
+const MOVE_DOWN_B = 21;
+
+// Frames after a throw in which a regrab counts as a chain grab
+const CHAIN_GRAB_WINDOW = 40;
+
+// Hits during one grab before it counts as a wobble
+const WOBBLE_MIN_HITS = 8;
+
+// Frames Nana may trail Popo while still copying his inputs
+const DESYNC_WINDOW = 15;
+
+// Frames from the ledge drop to the waveland for a ledgedash
+const LEDGEDASH_WINDOW = 60;
+
+// Slide compared with a regular maximum-length wavedash for a Samus extended wavedash
+const EXTENDED_WAVEDASH_RATIO = 1.25;
+
+const THROW_STATES = [ACTION_STATES.THROW_F, ACTION_STATES.THROW_B, ACTION_STATES.THROW_HI, ACTION_STATES.THROW_LW];
+const GRAB_CONNECT_STATES = [ACTION_STATES.CATCH_PULL, ACTION_STATES.CATCH_DASH_PULL];
+const GRAB_HOLD_STATES = [
+    ACTION_STATES.CATCH_PULL, ACTION_STATES.CATCH_DASH_PULL, ACTION_STATES.CATCH_WAIT, ACTION_STATES.CATCH_ATTACK
+];
+const DESYNC_CATEGORIES = ['ground-attack', 'aerial-attack', 'special', 'recovery', 'grab', 'throw'];
+
+const registry = [];
+
+/**
+ * Adds a technique detector. A detector registered under an existing name replaces it.
+ *
+ * @param {Object} detector
+ * @param {string} detector.name - Unique detector name
+ * @param {Array<number>|null} detector.characters - External character IDs, or null for every character
+ * @param {Object} detector.counters - Counter keys mapped to [singular, plural] labels
+ *   (e.g. { floatCancel: ['float cancel', 'float cancels'] }); counters start at 0 for
+ *   every player using one of the characters
+ * @param {Function} detector.detect - Called with a detection context on every frame
+ */
+export function registerTechniqueDetector(detector) {
+    if (!detector?.name || typeof detector.detect !== 'function') {
+        throw new Error('Technique detectors need a name and a detect function');
+    }
+
+    const existing = registry.findIndex(entry => entry.name === detector.name);
+    const entry = { characters: null, counters: {}, ...detector };
+    if (existing >= 0) {
+        registry[existing] = entry;
+    } else {
+        registry.push(entry);
+    }
+}
+
+/**
+ * @param {number} characterId - External character ID
+ * @returns {Array<Object>} - Detectors that run for the character, in registration order
+ */
+export function getTechniqueDetectors(characterId) {
+    return registry.filter(detector => !detector.characters || detector.characters.includes(characterId));
+}
+
+/**
+ * @param {string} counter - Counter key from a registered detector
+ * @param {number} count - Picks the singular label for 1, plural otherwise
+ * @returns {string} - Readable label, e.g. "float cancels"
+ */
+export function getTechniqueLabel(counter, count = 2) {
+    const detector = registry.find(entry => entry.counters[counter]);
+    if (!detector) return counter;
+    const [singular, plural] = detector.counters[counter];
+    return count === 1 ? singular : plural;
+}
+
+/**
+ * Streaming runner for the registered detectors. Feed it every frame in order; detected
+ * techniques are returned from pushFrame() and tallied in `counts`
+ * ({ playerIndex: { characterId: { counter: n } } }).
+ */
+export class TechniqueTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.counts = {};
+        this.playerStates = {};
+    }
+
+    _getState(playerIndex) {
+        if (!this.playerStates[playerIndex]) {
+            this.playerStates[playerIndex] = {
+                history: [],
+                memory: {},
+                prevActionState: null,
+                prevPercent: null
+            };
+            this.counts[playerIndex] = {};
+        }
+        return this.playerStates[playerIndex];
+    }
+
+    /**
+     * Counters of one player, by external character ID. The object is updated in place
+     * as frames are pushed.
+     *
+     * @param {number} playerIndex - Player index
+     * @returns {Object}
+     */
+    getCounts(playerIndex) {
+        this._getState(playerIndex);
+        return this.counts[playerIndex];
+    }
+
+    /**
+     * Hits each player landed this frame, found from the opponents' percent increases
+     */
+    _getHits(entries, players, frameNum) {
+        const hits = {};
+        entries.forEach(([victimIndex, playerFrame]) => {
+            const post = playerFrame.post;
+            const prevPercent = this.playerStates[victimIndex]?.prevPercent;
+            if (prevPercent === null || prevPercent === undefined || !(post.percent > prevPercent)) return;
+
+            const attackerIndex = resolveAttacker(post, victimIndex, players);
+            const attackerPost = attackerIndex !== null ? players[attackerIndex]?.post : null;
+            if (!attackerPost) return;
+
+            (hits[attackerIndex] = hits[attackerIndex] || []).push({
+                opponentIndex: victimIndex,
+                moveId: attackerPost.lastAttackLanded,
+                damage: post.percent - prevPercent,
+                frame: frameNum
+            });
+        });
+        return hits;
+    }
+
+    /**
+     * @param {Object} frame - Slippi frame ({ players, followers })
+     * @param {number} frameNum - Frame number
+     * @returns {Array<Object>} - Technical events detected on this frame
+     */
+    pushFrame(frame, frameNum) {
+        const players = frame.players;
+        const entries = Object.entries(players)
+            .filter(([, playerFrame]) => playerFrame?.post)
+            .map(([index, playerFrame]) => [Number(index), playerFrame]);
+        const hits = this._getHits(entries, players, frameNum);
+        const events = [];
+
+        entries.forEach(([playerIndex, playerFrame]) => {
+            const state = this._getState(playerIndex);
+            const post = playerFrame.post;
+            const characterId = getExternalCharacterId(post.internalCharacterId);
+            const actionState = post.actionStateId;
+            const stateChanged = actionState !== state.prevActionState;
+
+            if (stateChanged) {
+                state.history.push({ frame: frameNum, state: actionState });
+                if (state.history.length > STATE_HISTORY_LENGTH) state.history.shift();
+            }
+
+            const detectors = getTechniqueDetectors(characterId);
+            if (detectors.length === 0) return;
+
+            const counts = this.counts[playerIndex][characterId] = this.counts[playerIndex][characterId] ||
+                Object.fromEntries(detectors.flatMap(detector => Object.keys(detector.counters)).map(key => [key, 0]));
+            const count = counter => { counts[counter] = (counts[counter] || 0) + 1; };
+
+            detectors.forEach(detector => {
+                const memory = state.memory[detector.name] = state.memory[detector.name] || {};
+                detector.detect({
+                    playerIndex,
+                    characterId,
+                    frameNum,
+                    post,
+                    pre: playerFrame.pre,
+                    follower: frame.followers?.[playerIndex] ?? null,
+                    players,
+                    actionState,
+                    prevActionState: state.prevActionState,
+                    stateChanged,
+                    history: state.history,
+                    hits: hits[playerIndex] || [],
+                    memory,
+                    count,
+                    record(technique, quality, data = {}, counter = null) {
+                        if (counter) count(counter);
+                        events.push({
+                            frame: frameNum,
+                            playerIndex,
+                            technique,
+                            quality,
+                            data: { ...data, character: characterNames[characterId] }
+                        });
+                    }
+                });
+            });
+        });
+
+        entries.forEach(([playerIndex, playerFrame]) => {
+            const state = this._getState(playerIndex);
+            state.prevActionState = playerFrame.post.actionStateId;
+            state.prevPercent = playerFrame.post.percent;
+        });
+
+        return events;
+    }
+}
+
+/**
+ * Remembers the latest hit on each opponent and returns the previous one if it is
+ * recent enough for the new hit to be a follow-up
+ */
+function takeFollowUp(memory, hit) {
+    memory.lastHits = memory.lastHits || {};
+    const previous = memory.lastHits[hit.opponentIndex];
+    memory.lastHits[hit.opponentIndex] = hit;
+    return previous && hit.frame - previous.frame <= FOLLOW_UP_WINDOW ? previous : null;
+}
+
+// Fox and Falco: multishine, shine grab and waveshine
+registerTechniqueDetector({
+    name: 'spacies',
+    characters: [2, 20],
+    counters: {
+        multishine: ['multishine', 'multishines'],
+        shinegrab: ['shine grab', 'shine grabs'],
+        waveshining: ['waveshine', 'waveshines']
+    },
+    detect({ characterId, actionState, stateChanged, history, frameNum, record }) {
+        if (!stateChanged) return;
+
+        // Multishine (shine → jump → shine in quick succession)
+        const isShineStart = state => isShine(state, characterId) &&
+            (state === SPACIE_STATES.REFLECTOR_GROUND_STARTUP || state === SPACIE_STATES.REFLECTOR_AIR_STARTUP);
+
+        if (isShineStart(actionState)) {
+            const recentShines = history.filter(h => isShineStart(h.state) && h.frame >= frameNum - 20);
+
+            if (recentShines.length >= 2) {
+                const shineInterval = frameNum - recentShines[recentShines.length - 2].frame;
+                if (shineInterval <= 15) { // Maximum 15 frames for multishine
+                    record('multishine', shineInterval <= 10 ? 'optimal' : 'standard',
+                        { interval: shineInterval }, 'multishine');
+                }
+            }
+        }
+
+        const lastShine = history.findLastIndex(h => isShine(h.state, characterId));
+        if (lastShine < 0) return;
+        const sinceShine = frameNum - history[lastShine].frame;
+
+        // Shine grab (shine → jump-cancelled grab)
+        if (actionState === ACTION_STATES.GRAB && sinceShine <= 15) {
+            record('shine-grab', 'standard', { interval: sinceShine }, 'shinegrab');
+        }
+
+        // Waveshine (shine → jump squat → airdodge → landing)
+        if (actionState === ACTION_STATES.LANDING_FALL_SPECIAL && sinceShine <= 20) {
+            const statesAfterShine = history.slice(lastShine + 1).map(h => h.state);
+            const jumpSquat = statesAfterShine.indexOf(ACTION_STATES.JUMP_SQUAT);
+
+            if (jumpSquat >= 0 && statesAfterShine.indexOf(ACTION_STATES.AIR_DODGE) > jumpSquat) {
+                record('waveshine', 'standard', {}, 'waveshining');
+            }
+        }
+    }
+});
+
+// Falco pillar combos (shine → dair)
+registerTechniqueDetector({
+    name: 'falco-pillar',
+    characters: [20],
+    counters: { pillaring: ['pillar combo', 'pillar combos'] },
+    detect({ characterId, actionState, stateChanged, history, frameNum, record }) {
+        if (stateChanged && actionState === ACTION_STATES.DAIR &&
+            history.some(h => isShine(h.state, characterId) && h.frame >= frameNum - 30)) {
+            record('pillar-combo', 'standard', {}, 'pillaring');
+        }
+    }
+});
+
+// Peach: float cancels (a float aerial landing with normal landing lag instead of the
+// aerial's) and turnip pulls
+registerTechniqueDetector({
+    name: 'peach',
+    characters: [12],
+    counters: { floatCancel: ['float cancel', 'float cancels'], turnipPull: ['turnip pull', 'turnip pulls'] },
+    detect({ characterId, actionState, prevActionState, stateChanged, record }) {
+        if (!stateChanged) return;
+
+        if (actionState === PEACH_STATES.VEGETABLE_GROUND) {
+            record('turnip-pull', 'standard', {}, 'turnipPull');
+        }
+
+        const floatAerial = prevActionState - PEACH_STATES.FLOAT_ATTACK_N;
+        if (floatAerial >= 0 && floatAerial < AERIALS.length && actionState === ACTION_STATES.LANDING) {
+            const aerial = AERIALS[floatAerial];
+            record('float-cancel', 'standard', {
+                aerial,
+                landingLagSkipped: getLandingLag(characterId, aerial, false)
+            }, 'floatCancel');
+        }
+    }
+});
+
+// Marth: ken combos (fair → dair spike) and chain grabs (throw → regrab)
+registerTechniqueDetector({
+    name: 'marth',
+    characters: [9],
+    counters: {
+        kenCombo: ['ken combo', 'ken combos'],
+        chainGrab: ['chain grab regrab', 'chain grab regrabs']
+    },
+    detect({ actionState, prevActionState, stateChanged, hits, frameNum, memory, record }) {
+        hits.forEach(hit => {
+            const previous = takeFollowUp(memory, hit);
+            if (hit.moveId === MOVE_DAIR && previous?.moveId === MOVE_FAIR) {
+                record('ken-combo', 'standard', {
+                    opponentIndex: hit.opponentIndex,
+                    gap: hit.frame - previous.frame
+                }, 'kenCombo');
+            }
+        });
+
+        if (!stateChanged) return;
+
+        if (THROW_STATES.includes(actionState)) {
+            memory.lastThrow = { frame: frameNum, state: actionState };
+        } else if (GRAB_CONNECT_STATES.includes(actionState) && !GRAB_CONNECT_STATES.includes(prevActionState)) {
+            const lastThrow = memory.lastThrow;
+            if (lastThrow && frameNum - lastThrow.frame <= CHAIN_GRAB_WINDOW) {
+                memory.regrabs = (memory.regrabs || 0) + 1;
+                record('chain-grab', 'standard', {
+                    regrabs: memory.regrabs,
+                    throw: getActionStateName(lastThrow.state),
+                    gap: frameNum - lastThrow.frame
+                }, 'chainGrab');
+            } else {
+                memory.regrabs = 0;
+            }
+            memory.lastThrow = null;
+        }
+    }
+});
+
+// Sheik: needle cancels (a needle charge cancelled by landing, or by jumping / shielding
+// on the ground)
+registerTechniqueDetector({
+    name: 'sheik',
+    characters: [19],
+    counters: { needleCancel: ['needle cancel', 'needle cancels'] },
+    detect({ actionState, prevActionState, stateChanged, frameNum, memory, record }) {
+        if (!stateChanged) return;
+
+        if (actionState === SHEIK_STATES.NEEDLE_STORM_GROUND_START_CHARGE ||
+            actionState === SHEIK_STATES.NEEDLE_STORM_AIR_START_CHARGE) {
+            memory.chargeStart = frameNum;
+            return;
+        }
+
+        const fromAirCharge = prevActionState >= SHEIK_STATES.NEEDLE_STORM_AIR_START_CHARGE &&
+            prevActionState <= SHEIK_STATES.NEEDLE_STORM_AIR_END_CHARGE;
+        const fromGroundCharge = prevActionState >= SHEIK_STATES.NEEDLE_STORM_GROUND_START_CHARGE &&
+            prevActionState <= SHEIK_STATES.NEEDLE_STORM_GROUND_END_CHARGE;
+        const chargeFrames = memory.chargeStart !== undefined ? frameNum - memory.chargeStart : null;
+
+        if (fromAirCharge && !isAirborne(actionState) && !isInHitstun(actionState)) {
+            record('needle-cancel', 'standard', { type: 'landing', chargeFrames }, 'needleCancel');
+        } else if (fromGroundCharge && (actionState === ACTION_STATES.JUMP_SQUAT ||
+            actionState === ACTION_STATES.SHIELD_START)) {
+            record('needle-cancel', 'standard', { type: 'ground', chargeFrames }, 'needleCancel');
+        }
+    }
+});
+
+// Captain Falcon: knees, and knees landed as a follow-up to another hit
+registerTechniqueDetector({
+    name: 'falcon',
+    characters: [0],
+    counters: { knee: ['knee', 'knees'], kneeConfirm: ['knee confirm', 'knee confirms'] },
+    detect({ hits, memory, record, count }) {
+        hits.forEach(hit => {
+            const previous = takeFollowUp(memory, hit);
+            if (hit.moveId !== MOVE_FAIR) return;
+
+            if (previous) count('kneeConfirm');
+            record('knee', previous ? 'confirmed' : 'raw', {
+                opponentIndex: hit.opponentIndex,
+                setup: previous ? getMoveShortName(previous.moveId) : null,
+                gap: previous ? hit.frame - previous.frame : null
+            }, 'knee');
+        });
+    }
+});
+
+// Jigglypuff: rests, and rests landed as a follow-up to another hit
+registerTechniqueDetector({
+    name: 'jigglypuff',
+    characters: [15],
+    counters: { rest: ['rest', 'rests'], restSetup: ['rest setup', 'rest setups'] },
+    detect({ hits, memory, record, count }) {
+        hits.forEach(hit => {
+            const previous = takeFollowUp(memory, hit);
+            if (hit.moveId !== MOVE_DOWN_B) return;
+
+            if (previous) count('restSetup');
+            record('rest', previous ? 'setup' : 'raw', {
+                opponentIndex: hit.opponentIndex,
+                setup: previous ? getMoveShortName(previous.moveId) : null,
+                gap: previous ? hit.frame - previous.frame : null
+            }, 'rest');
+        });
+    }
+});
+
+// Ice Climbers: desyncs (Nana starting an action Popo has not just done) and wobbles
+// (long grabs with repeated hits on the grabbed opponent)
+registerTechniqueDetector({
+    name: 'ice-climbers',
+    characters: [14],
+    counters: { desync: ['desync', 'desyncs'], wobble: ['wobble', 'wobbles'] },
+    detect({ characterId, actionState, stateChanged, follower, history, hits, frameNum, memory, record }) {
+        // Wobbling
+        if (GRAB_HOLD_STATES.includes(actionState)) {
+            if (!memory.grab) memory.grab = { start: frameNum, hits: 0, damage: 0 };
+            hits.forEach(hit => {
+                memory.grab.hits++;
+                memory.grab.damage += hit.damage;
+            });
+        } else if (memory.grab) {
+            const grab = memory.grab;
+            memory.grab = null;
+            if (grab.hits >= WOBBLE_MIN_HITS) {
+                record('wobble', 'standard', {
+                    hits: grab.hits,
+                    damage: Number(grab.damage.toFixed(1)),
+                    duration: frameNum - grab.start
+                }, 'wobble');
+            }
+        }
+
+        // Desyncs
+        const nana = follower?.post;
+        if (!nana) return;
+
+        const nanaState = nana.actionStateId;
+        const nanaChanged = nanaState !== memory.prevNanaState;
+        memory.prevNanaState = nanaState;
+        if (!nanaChanged || isDead(nanaState) || isInHitstun(nanaState)) return;
+        if (!DESYNC_CATEGORIES.includes(getActionStateCategory(nanaState, characterId))) return;
+
+        const popoRecent = history.some(h => h.state === nanaState && h.frame >= frameNum - DESYNC_WINDOW) ||
+            (stateChanged && actionState === nanaState);
+        if (!popoRecent) {
+            record('desync', 'standard', {
+                nanaAction: getActionStateName(nanaState, characterId),
+                popoAction: getActionStateName(actionState, characterId)
+            }, 'desync');
+        }
+    }
+});
+
+// Samus: extended wavedashes (a wavedash sliding well past a regular maximum-length one)
+registerTechniqueDetector({
+    name: 'samus',
+    characters: [16],
+    counters: { extendedWavedash: ['extended wavedash', 'extended wavedashes'] },
+    detect({ characterId, post, actionState, prevActionState, stateChanged, frameNum, memory, record }) {
+        if (!stateChanged) return;
+
+        if (actionState === ACTION_STATES.LANDING_FALL_SPECIAL) {
+            memory.landing = prevActionState === ACTION_STATES.AIR_DODGE ?
+                { frame: frameNum, x: post.positionX } : null;
+            return;
+        }
+
+        if (prevActionState === ACTION_STATES.LANDING_FALL_SPECIAL && memory.landing) {
+            const distance = Math.abs(post.positionX - memory.landing.x);
+            const normalDistance = getWavedashDistance(characterId, WAVELAND_LAG);
+            memory.landing = null;
+
+            if (normalDistance && distance >= normalDistance * EXTENDED_WAVEDASH_RATIO) {
+                record('extended-wavedash', 'standard', {
+                    distance: distance.toFixed(2),
+                    normalDistance: normalDistance.toFixed(2)
+                }, 'extendedWavedash');
+            }
+        }
+    }
+});
+
+/**
+ * GALINT quality: frames of ledge intangibility left once actionable after the waveland
+ */
+function classifyGalint(galint) {
+    if (galint >= 5) return 'optimal';
+    if (galint > 0) return 'standard';
+    return 'vulnerable';
+}
+
+// Every character: ledgedashes (ledge drop → double jump → airdodge → waveland onto the
+// stage), with GALINT measured from the hurtbox state once the waveland lag ends
+registerTechniqueDetector({
+    name: 'ledgedash',
+    characters: null,
+    counters: { ledgedash: ['ledgedash', 'ledgedashes'] },
+    detect({ post, actionState, prevActionState, stateChanged, frameNum, memory, record }) {
+        if (stateChanged && actionState === ACTION_STATES.CLIFF_CATCH) {
+            memory.ledgeGrabFrame = frameNum;
+        }
+
+        let attempt = memory.attempt;
+
+        if (stateChanged && isOnLedge(prevActionState) && !isOnLedge(actionState)) {
+            memory.attempt = getLedgeOption(actionState) === 'drop' ?
+                { ledgeGrabFrame: memory.ledgeGrabFrame ?? null, dropFrame: frameNum, jumped: false, airdodged: false } :
+                null;
+            attempt = memory.attempt;
+        }
+        if (!attempt) return;
+
+        // The first frame out of the waveland lag is the first actionable frame
+        if (stateChanged && attempt.landingFrame !== undefined && attempt.actionableFrame === undefined &&
+            prevActionState === ACTION_STATES.LANDING_FALL_SPECIAL) {
+            attempt.actionableFrame = frameNum;
+            attempt.galint = 0;
+        }
+
+        // Count intangible frames from the first actionable frame on
+        if (attempt.actionableFrame !== undefined) {
+            const intangible = post.hurtboxCollisionState !== undefined && post.hurtboxCollisionState !== null ?
+                post.hurtboxCollisionState !== 0 : null;
+
+            if (intangible && !isInHitstun(actionState)) {
+                attempt.galint++;
+                return;
+            }
+
+            const galint = intangible === null ?
+                (attempt.ledgeGrabFrame !== null ?
+                    Math.max(0, attempt.ledgeGrabFrame + LEDGE_INTANGIBILITY_FRAMES - attempt.actionableFrame) : null) :
+                attempt.galint;
+            memory.attempt = null;
+            record('ledgedash', galint !== null ? classifyGalint(galint) : 'standard', {
+                galint,
+                estimated: intangible === null,
+                framesOnLedge: attempt.ledgeGrabFrame !== null ? attempt.dropFrame - attempt.ledgeGrabFrame : null,
+                dropToLanding: attempt.landingFrame - attempt.dropFrame
+            }, 'ledgedash');
+            return;
+        }
+
+        if (!stateChanged || attempt.landingFrame !== undefined) return;
+
+        if (frameNum - attempt.dropFrame > LEDGEDASH_WINDOW || isInHitstun(actionState)) {
+            memory.attempt = null;
+        } else if (actionState === ACTION_STATES.JUMP_AERIAL_F || actionState === ACTION_STATES.JUMP_AERIAL_B) {
+            attempt.jumped = true;
+        } else if (actionState === ACTION_STATES.AIR_DODGE && attempt.jumped) {
+            attempt.airdodged = true;
+        } else if (actionState === ACTION_STATES.LANDING_FALL_SPECIAL && attempt.airdodged) {
+            attempt.landingFrame = frameNum;
+        } else if (!isAirborne(actionState)) {
+            memory.attempt = null;
+        }
+    }
+});
@@ -0,0 +1,371 @@
+// src/utils/tendencies.js
+// Option tendencies: every tech, missed-tech getup and ledge option a player picks is
+// recorded along with what the opponent did next and whether the option got punished.
+// The per-player distributions are what coaching prompts and reports cite as habits.
+
+import {
+    ACTION_STATES,
+    getActionStateCategory,
+    getLedgeOption,
+    isCommandGrabbed,
+    isDead,
+    isGrabbed,
+    isInHitstun,
+    isMissedTech,
+    isOnLedge,
+    isTech
+} from './actionStates.js';
+import { resolveAttacker } from './conversions.js';
+import { getMoveShortName } from './moves.js';
+import { characterNames, getExternalCharacterId } from './slippiUtils.js';
+
+/**
+ * Kinds of situations that are tracked
+ */
+export const TENDENCY_TYPES = {
+    TECH: 'tech',               // Teched a knockdown
+    MISSED_TECH: 'missed-tech', // Missed the tech and picked a getup option
+    LEDGE: 'ledge'              // Grabbed the ledge and picked a ledge option
+};
+
+/**
+ * Frames after the option starts in which a hit still counts as punishing it
+ */
+export const FOLLOW_UP_FRAMES = 60;
+
+// Wording used when describing the most common option of each type
+const OPTION_PHRASES = {
+    [TENDENCY_TYPES.TECH]: {
+        'in-place': 'techs in place',
+        toward: 'techs toward the opponent',
+        away: 'techs away',
+        wall: 'wall techs',
+        'wall-jump': 'wall jumps out of wall techs',
+        ceiling: 'ceiling techs'
+    },
+    [TENDENCY_TYPES.MISSED_TECH]: {
+        getup: 'stands up after missed techs',
+        attack: 'getup attacks after missed techs',
+        'roll-toward': 'rolls toward the opponent after missed techs',
+        'roll-away': 'rolls away after missed techs',
+        hit: 'gets hit while lying down after missed techs'
+    },
+    [TENDENCY_TYPES.LEDGE]: {
+        getup: 'takes neutral getup from the ledge',
+        attack: 'uses ledge getup attack',
+        roll: 'rolls from the ledge',
+        jump: 'jumps from the ledge',
+        drop: 'drops from the ledge',
+        hit: 'gets hit while on the ledge'
+    }
+};
+
+// Situations needed before a distribution is worth citing
+const MIN_SAMPLES = 3;
+
+function getCharacterName(post) {
+    return characterNames[getExternalCharacterId(post.internalCharacterId)] || 'Unknown';
+}
+
+/**
+ * Whether a roll in a facing-relative direction moves toward the opponent
+ *
+ * @param {Object} post - Post-frame data of the rolling player
+ * @param {Object} opponentPost - Post-frame data of the opponent
+ * @param {boolean} forward - Whether the roll goes the way the player faces
+ * @returns {boolean|null} - Null when there is no opponent to compare with
+ */
+function isRollTowardOpponent(post, opponentPost, forward) {
+    if (!opponentPost || opponentPost.positionX === post.positionX) return null;
+    const rollDirection = (post.facingDirection ?? 1) * (forward ? 1 : -1);
+    return Math.sign(opponentPost.positionX - post.positionX) === Math.sign(rollDirection);
+}
+
+function getRollOption(post, opponentPost, forward, prefix = '') {
+    const toward = isRollTowardOpponent(post, opponentPost, forward);
+    if (toward === null) return `${prefix}${forward ? 'forward' : 'backward'}`;
+    return `${prefix}${toward ? 'toward' : 'away'}`;
+}
+
+/**
+ * Tech option for a tech state ('in-place', 'toward', 'away', 'wall', ...)
+ */
+function getTechOption(stateId, post, opponentPost) {
+    switch (stateId) {
+        case ACTION_STATES.TECH_IN_PLACE:
+            return 'in-place';
+        case ACTION_STATES.TECH_F:
+            return getRollOption(post, opponentPost, true);
+        case ACTION_STATES.TECH_B:
+            return getRollOption(post, opponentPost, false);
+        case ACTION_STATES.TECH_WALL:
+            return 'wall';
+        case ACTION_STATES.TECH_WALL_JUMP:
+            return 'wall-jump';
+        case ACTION_STATES.TECH_CEILING:
+            return 'ceiling';
+        default:
+            return 'other';
+    }
+}
+
+/**
+ * Getup option after a missed tech, or null while the player is still lying down
+ */
+function getMissedTechOption(stateId, post, opponentPost) {
+    switch (stateId) {
+        case ACTION_STATES.MISSED_TECH_UP:
+        case ACTION_STATES.MISSED_TECH_DOWN:
+        case ACTION_STATES.DOWN_WAIT_U:
+        case ACTION_STATES.DOWN_WAIT_D:
+            return null;
+        case ACTION_STATES.DOWN_STAND_U:
+        case ACTION_STATES.DOWN_STAND_D:
+            return 'getup';
+        case ACTION_STATES.DOWN_ATTACK_U:
+        case ACTION_STATES.DOWN_ATTACK_D:
+            return 'attack';
+        case ACTION_STATES.DOWN_FOWARD_U:
+        case ACTION_STATES.DOWN_FOWARD_D:
+            return getRollOption(post, opponentPost, true, 'roll-');
+        case ACTION_STATES.DOWN_BACK_U:
+        case ACTION_STATES.DOWN_BACK_D:
+            return getRollOption(post, opponentPost, false, 'roll-');
+        default:
+            // Jab resets (DownDamage / DownSpot) and any other hit while lying down
+            return 'hit';
+    }
+}
+
+/**
+ * Streaming tendency tracker. Feed it every frame in order; records are added to
+ * `records` when the situation starts and completed in place once the option is known
+ * and its follow-up window has passed.
+ */
+export class TendencyTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.records = [];
+        this.playerStates = {};
+    }
+
+    _getState(playerIndex) {
+        if (!this.playerStates[playerIndex]) {
+            this.playerStates[playerIndex] = {
+                record: null,
+                prevActionState: null
+            };
+        }
+        return this.playerStates[playerIndex];
+    }
+
+    /**
+     * Processes one frame for every player
+     *
+     * @param {Object} players - frame.players ({ [playerIndex]: { pre, post } })
+     * @param {number} frameNum - Frame number
+     * @returns {Array<Object>} - Records completed this frame
+     */
+    pushFrame(players, frameNum) {
+        const completed = [];
+        if (!players) return completed;
+
+        const entries = Object.entries(players)
+            .filter(([, playerFrame]) => playerFrame?.post)
+            .map(([index, playerFrame]) => [Number(index), playerFrame.post]);
+
+        entries.forEach(([playerIndex, post]) => {
+            const state = this._getState(playerIndex);
+            const stateId = post.actionStateId;
+            const prevStateId = state.prevActionState;
+            const stateChanged = stateId !== prevStateId;
+
+            // A new situation replaces one still waiting for its follow-up
+            let type = null;
+            if (stateChanged && isTech(stateId) && !isTech(prevStateId)) {
+                type = TENDENCY_TYPES.TECH;
+            } else if (stateChanged && isMissedTech(stateId)) {
+                type = TENDENCY_TYPES.MISSED_TECH;
+            } else if (stateChanged && isOnLedge(stateId) && !isOnLedge(prevStateId)) {
+                type = TENDENCY_TYPES.LEDGE;
+            }
+
+            if (type) {
+                if (state.record) {
+                    completed.push(this._complete(state.record, 'escaped', frameNum));
+                }
+
+                const opponentIndex = resolveAttacker(post, playerIndex, players);
+                const opponentPost = players[opponentIndex]?.post;
+                state.record = {
+                    type,
+                    playerIndex,
+                    character: getCharacterName(post),
+                    opponentIndex,
+                    opponentCharacter: opponentPost ? getCharacterName(opponentPost) : null,
+                    frame: frameNum,
+                    option: null,
+                    optionFrame: null,
+                    followUp: null,
+                    outcome: null,
+                    resolvedFrame: null
+                };
+                this.records.push(state.record);
+
+                if (type === TENDENCY_TYPES.TECH) {
+                    this._setOption(state.record, getTechOption(stateId, post, opponentPost), frameNum);
+                }
+            }
+
+            const record = state.record;
+            if (!record) return;
+
+            const opponentPost = players[record.opponentIndex]?.post;
+
+            // Pick up the option once the player commits to one
+            if (!record.option && stateChanged) {
+                if (record.type === TENDENCY_TYPES.MISSED_TECH) {
+                    this._setOption(record, getMissedTechOption(stateId, post, opponentPost), frameNum);
+                } else if (record.type === TENDENCY_TYPES.LEDGE && !isOnLedge(stateId)) {
+                    this._setOption(record, getLedgeOption(stateId), frameNum);
+                }
+            }
+
+            // What the opponent did in response: their first new action after the option
+            if (record.option && !record.followUp?.action && opponentPost) {
+                const opponentState = this.playerStates[record.opponentIndex];
+                if (opponentState && opponentPost.actionStateId !== opponentState.prevActionState) {
+                    record.followUp = {
+                        ...record.followUp,
+                        action: getActionStateCategory(opponentPost.actionStateId,
+                            getExternalCharacterId(opponentPost.internalCharacterId)),
+                        reactionFrames: frameNum - record.optionFrame
+                    };
+                }
+            }
+
+            const punished = isInHitstun(stateId) || isGrabbed(stateId) || isCommandGrabbed(stateId) ||
+                record.option === 'hit';
+            if (punished) {
+                if (!record.option) {
+                    this._setOption(record, 'hit', frameNum);
+                }
+                record.followUp = {
+                    ...record.followUp,
+                    move: isInHitstun(stateId) ? getMoveShortName(opponentPost?.lastAttackLanded) : 'grab'
+                };
+                completed.push(this._complete(record, 'punished', frameNum));
+                state.record = null;
+            } else if (isDead(stateId) ||
+                (record.option && frameNum - record.optionFrame > FOLLOW_UP_FRAMES)) {
+                completed.push(this._complete(record, 'escaped', frameNum));
+                state.record = null;
+            }
+        });
+
+        // Only now move every player on, so opponents are compared with the previous frame
+        entries.forEach(([playerIndex, post]) => {
+            this._getState(playerIndex).prevActionState = post.actionStateId;
+        });
+
+        return completed;
+    }
+
+    _setOption(record, option, frameNum) {
+        if (!option) return;
+        record.option = option;
+        record.optionFrame = frameNum;
+    }
+
+    _complete(record, outcome, frameNum) {
+        record.outcome = outcome;
+        record.resolvedFrame = frameNum;
+        if (!record.option) record.option = 'other';
+        return record;
+    }
+}
+
+function summarizeOptions(records) {
+    const options = {};
+    records.forEach(record => {
+        const entry = options[record.option] ||= { count: 0, share: 0, punished: 0 };
+        entry.count++;
+        if (record.outcome === 'punished') entry.punished++;
+    });
+    Object.values(options).forEach(entry => { entry.share = entry.count / records.length; });
+    return { total: records.length, options };
+}
+
+/**
+ * Option distributions per player, plus how well each player punished the opponent's
+ * options. Records still in progress are ignored.
+ *
+ * @param {Array<Object>} records - Records from TendencyTracker
+ * @param {Array<number>} playerIndices - Players to summarize
+ * @returns {Object} - { [playerIndex]: { tech, missedTech, ledge, chasing } }
+ */
+export function computeTendencyStats(records, playerIndices) {
+    const finished = (records || []).filter(record => record.outcome);
+
+    const stats = {};
+    playerIndices.forEach(playerIndex => {
+        const own = finished.filter(record => record.playerIndex === playerIndex);
+        const ofType = type => own.filter(record => record.type === type);
+
+        // As the chasing player: knockdowns of the opponent and what was done about them
+        const chases = finished.filter(record => record.opponentIndex === playerIndex &&
+            record.type !== TENDENCY_TYPES.LEDGE);
+        const reactions = {};
+        chases.forEach(record => {
+            const action = record.followUp?.action;
+            if (action) reactions[action] = (reactions[action] || 0) + 1;
+        });
+        const punished = chases.filter(record => record.outcome === 'punished').length;
+
+        stats[playerIndex] = {
+            tech: summarizeOptions(ofType(TENDENCY_TYPES.TECH)),
+            missedTech: summarizeOptions(ofType(TENDENCY_TYPES.MISSED_TECH)),
+            ledge: summarizeOptions(ofType(TENDENCY_TYPES.LEDGE)),
+            chasing: {
+                situations: chases.length,
+                punished,
+                successRate: chases.length > 0 ? punished / chases.length : null,
+                reactions
+            }
+        };
+    });
+
+    return stats;
+}
+
+/**
+ * Readable habit lines for one player, e.g. "techs away 62% of the time (5/8) on
+ * Battlefield". Only the most common option of each type is described, and only once
+ * there are enough samples.
+ *
+ * @param {Object} playerStats - One player's entry from computeTendencyStats
+ * @param {string} stageName - Stage name to mention, if any
+ * @returns {Array<string>}
+ */
+export function describeTendencies(playerStats, stageName = null) {
+    if (!playerStats) return [];
+
+    const groups = [
+        [TENDENCY_TYPES.TECH, playerStats.tech],
+        [TENDENCY_TYPES.MISSED_TECH, playerStats.missedTech],
+        [TENDENCY_TYPES.LEDGE, playerStats.ledge]
+    ];
+
+    return groups
+        .filter(([, summary]) => summary.total >= MIN_SAMPLES)
+        .map(([type, summary]) => {
+            const [option, entry] = Object.entries(summary.options).sort((a, b) => b[1].count - a[1].count)[0];
+            const phrase = OPTION_PHRASES[type][option] || `${type}: ${option}`;
+            const punishedText = entry.punished > 0 ? `, punished ${entry.punished} time${entry.punished === 1 ? '' : 's'}` : '';
+            return `${phrase} ${Math.round(entry.share * 100)}% of the time (${entry.count}/${summary.total}${punishedText})` +
+                (stageName ? ` on ${stageName}` : '');
+        });
+}
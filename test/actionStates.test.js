@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ACTION_STATE_CATEGORIES,
+    ACTION_STATES,
+    FIRST_SPECIAL_STATE,
+    MARTH_STATES,
+    NAMED_STATE_CHARACTERS,
+    PEACH_STATES,
+    SHEIK_STATES,
+    SPACIE_STATES,
+    UNNAMED_SPECIAL_STATE,
+    getActionStateCategory,
+    getActionStateName,
+    getLedgeOption,
+    isShine
+} from '../src/utils/actionStates.js';
+
+const CAPTAIN_FALCON = 0;
+const FOX = 2;
+const MARTH = 9;
+const PEACH = 12;
+const ICE_CLIMBERS = 14;
+const SHEIK = 19;
+const FALCO = 20;
+const ROY = 23;
+
+test('names common states for every character', () => {
+    assert.equal(FIRST_SPECIAL_STATE, 341);
+    assert.equal(getActionStateName(ACTION_STATES.LANDING_AIR_N), 'LandingAirN');
+    assert.equal(ACTION_STATES.LANDING_AIR_N, 70);
+    assert.equal(getActionStateName(ACTION_STATES.AIR_DODGE, MARTH), 'EscapeAir');
+    assert.equal(ACTION_STATES.AIR_DODGE, 236);
+});
+
+test('names the character-specific states the detectors use', () => {
+    assert.equal(getActionStateName(SPACIE_STATES.REFLECTOR_GROUND_STARTUP, FOX), 'ReflectorGroundStartup');
+    assert.equal(getActionStateName(SPACIE_STATES.REFLECTOR_GROUND_STARTUP, FALCO), 'ReflectorGroundStartup');
+    assert.equal(getActionStateName(PEACH_STATES.FLOAT, PEACH), 'Float');
+    assert.equal(getActionStateName(SHEIK_STATES.NEEDLE_STORM_AIR_FIRE, SHEIK), 'NeedleStormAirFire');
+    assert.ok(isShine(SPACIE_STATES.REFLECTOR_AIR_LOOP, FALCO));
+    assert.ok(!isShine(SPACIE_STATES.REFLECTOR_AIR_LOOP, MARTH));
+});
+
+test('names and categorizes Marth and Roy specials', () => {
+    assert.equal(MARTH_STATES.DANCING_BLADE1_GROUND, 349);
+    assert.equal(MARTH_STATES.COUNTER_GROUND, 369);
+    assert.equal(getActionStateName(MARTH_STATES.DOLPHIN_SLASH_AIR, MARTH), 'DolphinSlashAir');
+    assert.equal(getActionStateName(MARTH_STATES.DOLPHIN_SLASH_AIR, ROY), 'BlazerAir');
+    assert.equal(getActionStateName(MARTH_STATES.SHIELD_BREAKER_AIR_FULLY_CHARGED, ROY), 'FlareBladeAirFullyCharged');
+
+    assert.equal(getActionStateCategory(MARTH_STATES.DOLPHIN_SLASH_GROUND, MARTH), ACTION_STATE_CATEGORIES.RECOVERY);
+    assert.equal(getActionStateCategory(MARTH_STATES.DOLPHIN_SLASH_AIR, ROY), ACTION_STATE_CATEGORIES.RECOVERY);
+    assert.equal(getActionStateCategory(MARTH_STATES.COUNTER_AIR, MARTH), ACTION_STATE_CATEGORIES.SPECIAL);
+    assert.equal(getLedgeOption(MARTH_STATES.DOLPHIN_SLASH_AIR), 'drop');
+});
+
+test('categorizes character-specific states that are not specials', () => {
+    const C = ACTION_STATE_CATEGORIES;
+    assert.equal(getActionStateCategory(PEACH_STATES.FLOAT, PEACH), C.FALL);
+    assert.equal(getActionStateCategory(PEACH_STATES.FLOAT_ATTACK_F, PEACH), C.AERIAL_ATTACK);
+    assert.equal(getActionStateCategory(PEACH_STATES.ATTACK_S4_PAN, PEACH), C.GROUND_ATTACK);
+    assert.equal(getActionStateCategory(PEACH_STATES.VEGETABLE_GROUND, PEACH), C.SPECIAL);
+    assert.equal(getActionStateCategory(SPACIE_STATES.FIRE_FOX_AIR, FALCO), C.RECOVERY);
+    assert.equal(getActionStateCategory(SPACIE_STATES.FIRE_FOX_GROUND_END, FOX), C.LANDING);
+    assert.equal(getActionStateCategory(SPACIE_STATES.REFLECTOR_AIR_LOOP, FOX), C.SPECIAL);
+    // Without the character, character-specific states stay SPECIAL
+    assert.equal(getActionStateCategory(PEACH_STATES.FLOAT_ATTACK_F), C.SPECIAL);
+});
+
+test('reports character-specific states without a table without their ID', () => {
+    assert.deepEqual(NAMED_STATE_CHARACTERS, [FOX, MARTH, PEACH, SHEIK, FALCO, ROY]);
+    assert.equal(getActionStateName(SPACIE_STATES.REFLECTOR_GROUND_STARTUP, CAPTAIN_FALCON), UNNAMED_SPECIAL_STATE);
+    assert.equal(getActionStateCategory(SPACIE_STATES.REFLECTOR_GROUND_STARTUP, CAPTAIN_FALCON),
+        ACTION_STATE_CATEGORIES.SPECIAL);
+    assert.equal(getActionStateName(FIRST_SPECIAL_STATE + 100, FOX), UNNAMED_SPECIAL_STATE);
+
+    for (let characterId = 0; characterId < 26; characterId++) {
+        for (let stateId = FIRST_SPECIAL_STATE; stateId < FIRST_SPECIAL_STATE + 60; stateId++) {
+            assert.doesNotMatch(getActionStateName(stateId, characterId), /Special\d/);
+        }
+    }
+    assert.equal(getActionStateName(FIRST_SPECIAL_STATE, ICE_CLIMBERS), UNNAMED_SPECIAL_STATE);
+    assert.equal(getActionStateName(FIRST_SPECIAL_STATE), UNNAMED_SPECIAL_STATE);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AERIALS,
+    CHARACTER_DATA,
+    UNSOURCED_FIELDS,
+    getCharacterData,
+    getCharacterDataByName,
+    getJumpSquatFrames,
+    getLandingLag,
+    getWavedashDistance
+} from '../src/utils/characterData.js';
+
+// name, jump squat, weight, fall speed, fast fall speed,
+// landing lag and L-cancelled lag of nair, fair, bair, uair, dair, airdodge distance
+const EXPECTED = [
+    ['Captain Falcon', 4, 104, 2.9, 3.5, [15, 18, 20, 15, 25], [7, 9, 10, 7, 12], 28.88],
+    ['Donkey Kong', 5, 114, 2.4, 2.96, [15, 20, 20, 15, 25], [7, 10, 10, 7, 12], 28.88],
+    ['Fox', 3, 75, 2.8, 3.4, [15, 22, 20, 18, 18], [7, 11, 10, 9, 9], 28.88],
+    ['Mr. Game & Watch', 4, 60, 1.7, 2.3, [18, 15, 18, 18, 18], [18, 7, 18, 18, 9], 38],
+    ['Kirby', 3, 70, 1.6, 2.0, [15, 15, 15, 15, 20], [7, 7, 7, 7, 10], 28.88],
+    ['Bowser', 8, 117, 1.9, 2.4, [20, 30, 20, 20, 30], [10, 15, 10, 10, 15], 38],
+    ['Link', 6, 104, 2.13, 3.0, [15, 20, 20, 30, 40], [7, 10, 10, 15, 20], 23.4],
+    ['Luigi', 4, 100, 1.6, 2.0, [15, 15, 15, 15, 22], [7, 7, 7, 7, 11], 89.1],
+    ['Mario', 4, 100, 1.7, 2.3, [15, 18, 15, 15, 20], [7, 9, 7, 7, 10], 38],
+    ['Marth', 4, 87, 2.2, 2.5, [15, 15, 20, 15, 32], [7, 7, 10, 7, 16], 38],
+    ['Mewtwo', 5, 85, 1.5, 2.3, [15, 25, 20, 18, 20], [7, 12, 10, 9, 10], 56.24],
+    ['Ness', 4, 94, 1.83, 2.2, [15, 20, 20, 18, 25], [7, 10, 10, 9, 12], 38],
+    ['Peach', 5, 90, 1.5, 2.0, [15, 18, 15, 18, 22], [7, 9, 7, 9, 11], 23.4],
+    ['Pikachu', 3, 80, 1.9, 2.7, [15, 15, 15, 15, 20], [7, 7, 7, 7, 10], 25.84],
+    ['Ice Climbers', 3, 88, 1.6, 2.0, [15, 30, 15, 15, 20], [7, 15, 7, 7, 10], 64.07],
+    ['Jigglypuff', 5, 60, 1.3, 1.6, [15, 22, 22, 18, 22], [7, 11, 11, 9, 11], 25.84],
+    ['Samus', 3, 110, 1.4, 2.3, [15, 20, 20, 18, 23], [7, 10, 10, 9, 11], 38],
+    ['Yoshi', 5, 108, 1.93, 2.93, [15, 22, 20, 18, 30], [7, 11, 10, 9, 15], 38],
+    ['Zelda', 6, 90, 1.4, 1.73, [15, 20, 20, 18, 30], [7, 10, 10, 9, 15], 23.4],
+    ['Sheik', 3, 90, 2.13, 3.0, [15, 15, 15, 18, 20], [7, 7, 7, 9, 10], 28.88],
+    ['Falco', 5, 80, 3.1, 3.5, [15, 22, 20, 18, 18], [7, 11, 10, 9, 9], 28.88],
+    ['Young Link', 4, 85, 2.13, 3.0, [15, 20, 15, 30, 32], [7, 10, 7, 15, 16], 28.88],
+    ['Dr. Mario', 4, 100, 1.7, 2.3, [15, 18, 15, 15, 20], [7, 9, 7, 7, 10], 38],
+    ['Roy', 5, 85, 2.4, 2.9, [15, 15, 20, 15, 32], [7, 7, 10, 7, 16], 38],
+    ['Pichu', 3, 55, 1.9, 2.7, [15, 15, 15, 15, 20], [7, 7, 7, 7, 10], 23.4],
+    ['Ganondorf', 6, 109, 2.0, 2.6, [15, 20, 20, 20, 25], [7, 10, 10, 10, 12], 32.78]
+];
+
+test('covers all 26 characters', () => {
+    assert.equal(Object.keys(CHARACTER_DATA).length, 26);
+    assert.equal(EXPECTED.length, 26);
+});
+
+EXPECTED.forEach(([name, jumpSquat, weight, fallSpeed, fastFallSpeed, landingLags, lCancelLags, airdodgeDistance]) => {
+    test(`${name} frame data`, () => {
+        const data = getCharacterDataByName(name);
+        assert.ok(data, `no data for ${name}`);
+
+        assert.equal(data.jumpSquat, jumpSquat);
+        assert.equal(getJumpSquatFrames(data.id), jumpSquat);
+        assert.equal(data.weight, weight);
+        assert.equal(data.fallSpeed, fallSpeed);
+        assert.equal(data.fastFallSpeed, fastFallSpeed);
+        assert.equal(data.airdodgeDistance, airdodgeDistance);
+        assert.equal(Number(getWavedashDistance(data.id).toFixed(2)), airdodgeDistance);
+
+        AERIALS.forEach((aerial, i) => {
+            assert.equal(getLandingLag(data.id, aerial), landingLags[i], `${name} ${aerial} landing lag`);
+            assert.equal(getLandingLag(data.id, aerial, true), lCancelLags[i], `${name} ${aerial} L-cancelled lag`);
+        });
+    });
+});
+
+test('leaves ledge-grab boxes unset until they are sourced', () => {
+    assert.deepEqual(UNSOURCED_FIELDS, ['ledgeGrabBox']);
+    Object.values(CHARACTER_DATA).forEach(data => {
+        assert.ok('ledgeGrabBox' in data);
+        assert.equal(data.ledgeGrabBox, null);
+    });
+});
+
+test('falls back to defaults for unknown characters', () => {
+    assert.equal(getCharacterData(99), null);
+    assert.equal(getCharacterDataByName('Not a character'), null);
+    assert.equal(getJumpSquatFrames(99), 4);
+    assert.equal(getLandingLag(99, 'nair'), 15);
+    assert.equal(getLandingLag(99, 'nair', true), 7);
+});
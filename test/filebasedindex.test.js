@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { watchSlippiReplays } from '../src/filebasedindex.js';
+import { ReplayIndex, hashReplayFile, updateReplayIndex } from '../src/replayIndex.js';
+import { PlayerProfileStore } from '../src/playerProfiles.js';
+import { buildReplay } from './fixtures/replayBuilder.js';
+
+const RAW_LENGTH_OFFSET = 11;
+
+const replay = buildReplay({
+    players: [{ playerIndex: 0, characterId: 2 }, { playerIndex: 1, characterId: 9 }],
+    steps: [{}, { 1: { percent: 12, lastHitBy: 0 } }, {}]
+});
+
+// The same file as Slippi writes it during the game: the raw length is still 0
+function unfinished(buffer) {
+    const copy = Buffer.from(buffer);
+    copy.fill(0, RAW_LENGTH_OFFSET, RAW_LENGTH_OFFSET + 4);
+    return copy;
+}
+
+function writeRawLength(filePath) {
+    const fd = fs.openSync(filePath, 'r+');
+    try {
+        fs.writeSync(fd, replay, RAW_LENGTH_OFFSET, 4, RAW_LENGTH_OFFSET);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition() && Date.now() < deadline) await sleep(50);
+    return condition();
+}
+
+function withTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slippi-coach-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('indexes a watched replay once Slippi has finished writing it', async (t) => {
+    const dir = withTempDir(t);
+    const replayDir = path.join(dir, 'replays');
+    fs.mkdirSync(replayDir);
+    const indexPath = path.join(dir, 'replay-index.jsonl');
+    const env = { ...process.env };
+    t.after(() => { process.env = env; });
+    process.env = { ...env, SLIPPI_INDEX_PATH: indexPath, SLIPPI_PROFILES_PATH: path.join(dir, 'player-profiles.json') };
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const processed = [];
+    const watcher = await watchSlippiReplays(replayDir, game => processed.push(game));
+    t.after(() => watcher.close());
+
+    const filePath = path.join(replayDir, 'Game_20240101T120000.slp');
+    fs.writeFileSync(filePath, unfinished(replay));
+    await sleep(1500);
+    assert.equal(processed.length, 0);
+    assert.equal(new ReplayIndex(indexPath).load().records.size, 0);
+
+    writeRawLength(filePath);
+    assert.ok(await waitFor(() => processed.length > 0), 'the finished replay was not processed');
+
+    const index = new ReplayIndex(indexPath).load();
+    assert.equal(index.records.size, 1);
+    assert.ok(index.has(hashReplayFile(filePath)));
+    assert.equal(processed.length, 1);
+});
+
+test('checks unfinished replays already on disk once instead of waiting', async (t) => {
+    const dir = withTempDir(t);
+    const filePath = path.join(dir, 'Crashed.slp');
+    fs.writeFileSync(filePath, unfinished(replay));
+    t.mock.method(console, 'warn', () => {});
+
+    const index = new ReplayIndex(path.join(dir, 'replay-index.jsonl'));
+    const started = Date.now();
+    const indexed = await updateReplayIndex(filePath, index, new PlayerProfileStore(path.join(dir, 'player-profiles.json')));
+
+    assert.equal(indexed, false);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(index.load().records.size, 0);
+});
@@ -0,0 +1,112 @@
+// test/fixtures/replayBuilder.js
+// Builds small .slp replays for tests. The result is a complete replay file (UBJSON
+// container, message sizes, game start, one pre and post frame update per player and
+// frame, game end) that slippi-js parses like a recorded game, so tests exercise the
+// same settings and frames a real replay produces.
+
+// Payload sizes (without the command byte) of a v2.0.0 replay
+const MESSAGE_SIZES = {
+    0x36: 0x1a0, // game start
+    0x37: 0x40, // pre-frame update
+    0x38: 0x34, // post-frame update
+    0x39: 0x2 // game end
+};
+
+const FIRST_FRAME = -123;
+const EMPTY_PLAYER_TYPE = 3;
+
+/**
+ * Value Melee writes in lastHitBy when nobody hit the player
+ */
+export const NO_ATTACKER = 6;
+
+function message(command, fill) {
+    const payload = Buffer.alloc(MESSAGE_SIZES[command] + 1);
+    payload[0] = command;
+    fill(payload);
+    return payload;
+}
+
+function messageSizes() {
+    const commands = Object.keys(MESSAGE_SIZES).map(Number);
+    const payload = Buffer.alloc(2 + commands.length * 3);
+    payload[0] = 0x35;
+    payload[1] = commands.length * 3 + 1;
+    commands.forEach((command, i) => {
+        payload[2 + i * 3] = command;
+        payload.writeUInt16BE(MESSAGE_SIZES[command], 3 + i * 3);
+    });
+    return payload;
+}
+
+function gameStart(players, isTeams) {
+    return message(0x36, payload => {
+        payload[1] = 2; // slp version 2.0.0
+        payload[0xd] = isTeams ? 1 : 0;
+        payload.writeUInt16BE(31, 0x13); // Battlefield
+        for (let playerIndex = 0; playerIndex < 4; playerIndex++) {
+            const offset = playerIndex * 0x24;
+            const player = players.find(p => p.playerIndex === playerIndex);
+            payload[0x66 + offset] = player ? 0 : EMPTY_PLAYER_TYPE;
+            if (!player) continue;
+            payload[0x65 + offset] = player.characterId;
+            payload[0x67 + offset] = player.startStocks;
+            payload[0x6e + offset] = player.teamId ?? 0;
+        }
+    });
+}
+
+function frameUpdates(frame, playerIndex, state) {
+    const pre = message(0x37, payload => {
+        payload.writeInt32BE(frame, 0x1);
+        payload[0x5] = playerIndex;
+        payload.writeFloatBE(state.percent, 0x3c);
+    });
+    const post = message(0x38, payload => {
+        payload.writeInt32BE(frame, 0x1);
+        payload[0x5] = playerIndex;
+        payload.writeFloatBE(state.percent, 0x16);
+        payload[0x20] = state.lastHitBy;
+        payload[0x21] = state.stocks;
+    });
+    return [pre, post];
+}
+
+/**
+ * Builds a replay
+ *
+ * Each step is one frame, starting at frame -123, and lists the players whose state
+ * changes on that frame: { [playerIndex]: { percent, stocks, lastHitBy } }. Players
+ * keep their previous state otherwise; they start at 0% with no attacker.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.players - { playerIndex, characterId, startStocks = 4, teamId }
+ * @param {boolean} options.isTeams - Doubles game
+ * @param {Array<Object>} options.steps - State changes, one entry per frame
+ * @param {number} options.endMethod - Game end method (default: 2, game)
+ * @returns {Buffer} - Contents of the .slp file
+ */
+export function buildReplay({ players, isTeams = false, steps, endMethod = 2 }) {
+    players = players.map(player => ({ startStocks: 4, ...player }));
+    const state = Object.fromEntries(players.map(player => [
+        player.playerIndex,
+        { percent: 0, stocks: player.startStocks, lastHitBy: NO_ATTACKER }
+    ]));
+
+    const messages = [messageSizes(), gameStart(players, isTeams)];
+    steps.forEach((changes, i) => {
+        players.forEach(({ playerIndex }) => {
+            state[playerIndex] = { ...state[playerIndex], ...changes[playerIndex] };
+            messages.push(...frameUpdates(FIRST_FRAME + i, playerIndex, state[playerIndex]));
+        });
+    });
+    messages.push(message(0x39, payload => { payload[1] = endMethod; }));
+
+    const raw = Buffer.concat(messages);
+    const rawHeader = Buffer.from('{U\x03raw[$U#l', 'latin1');
+    const rawLength = Buffer.alloc(4);
+    rawLength.writeUInt32BE(raw.length);
+    const metadata = Buffer.from('U\x08metadata{}}', 'latin1');
+
+    return Buffer.concat([rawHeader, rawLength, raw, metadata]);
+}
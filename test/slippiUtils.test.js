@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { extractPlayerStatistics, getOrderedFrames } from '../src/utils/slippiUtils.js';
+import { buildReplay, NO_ATTACKER } from './fixtures/replayBuilder.js';
+const require = createRequire(import.meta.url);
+const { SlippiGame } = require('@slippi/slippi-js');
+
+const FOX = 2;
+const MARTH = 9;
+const SHEIK = 19;
+const FALCO = 20;
+
+function loadReplay(options) {
+    const game = new SlippiGame(buildReplay(options));
+    return { settings: game.getSettings(), frames: game.getFrames() };
+}
+
+function withoutLastHitBy(frames) {
+    return Object.fromEntries(Object.entries(frames).map(([frameNum, frame]) => [frameNum, {
+        ...frame,
+        players: frame.players.map(player => player && {
+            ...player,
+            post: { ...player.post, lastHitBy: undefined }
+        })
+    }]));
+}
+
+// Fox (port 1) vs Marth (port 2): Fox deals 20.5% and takes the first stock, Marth deals 9%
+const singles = {
+    players: [{ playerIndex: 0, characterId: FOX }, { playerIndex: 1, characterId: MARTH }],
+    steps: [
+        {},
+        { 1: { percent: 12, lastHitBy: 0 } },
+        {},
+        { 1: { percent: 20.5, lastHitBy: 0 } },
+        { 0: { percent: 9, lastHitBy: 1 } },
+        { 1: { percent: 0, stocks: 3, lastHitBy: NO_ATTACKER } },
+        {}
+    ]
+};
+
+// Fox + Falco (team 0) vs Marth + Sheik (team 1)
+const doubles = {
+    isTeams: true,
+    players: [
+        { playerIndex: 0, characterId: FOX, teamId: 0 },
+        { playerIndex: 1, characterId: FALCO, teamId: 0 },
+        { playerIndex: 2, characterId: MARTH, teamId: 1 },
+        { playerIndex: 3, characterId: SHEIK, teamId: 1 }
+    ],
+    steps: [
+        {},
+        { 1: { percent: 15, lastHitBy: 0 } },
+        { 2: { percent: 30, lastHitBy: 1 } },
+        { 0: { percent: 11, lastHitBy: 3 } },
+        { 1: { percent: 0, stocks: 3, lastHitBy: NO_ATTACKER } },
+        { 2: { percent: 0, stocks: 3, lastHitBy: NO_ATTACKER } },
+        {}
+    ]
+};
+
+test('credits damage to the player in lastHitBy', () => {
+    const { settings, frames } = loadReplay(singles);
+    const [fox, marth] = extractPlayerStatistics(settings, frames);
+
+    assert.equal(fox.damageDealt, 20.5);
+    assert.deepEqual(fox.damageDealtTo, { 1: 20.5 });
+    assert.equal(fox.damageTaken, 9);
+    assert.equal(marth.damageDealt, 9);
+    assert.deepEqual(marth.damageDealtTo, { 0: 9 });
+    assert.equal(marth.damageTaken, 20.5);
+    assert.equal(fox.selfDamage + marth.selfDamage, 0);
+});
+
+test('credits a stock loss to the last attacker', () => {
+    const { settings, frames } = loadReplay(singles);
+    const [fox, marth] = extractPlayerStatistics(settings, frames);
+
+    assert.equal(fox.kills, 1);
+    assert.equal(fox.stockLosses, 0);
+    assert.equal(fox.stocksRemaining, 4);
+    assert.equal(marth.kills, 0);
+    assert.equal(marth.stockLosses, 1);
+    assert.equal(marth.stocksRemaining, 3);
+    assert.equal(marth.startStocks, 4);
+});
+
+test('credits the sole opponent in a 1v1 without lastHitBy', () => {
+    const { settings, frames } = loadReplay(singles);
+    const withAttacker = extractPlayerStatistics(settings, frames);
+    const withoutAttacker = extractPlayerStatistics(settings, withoutLastHitBy(frames));
+
+    assert.deepEqual(withoutAttacker, withAttacker);
+});
+
+test('does not guess an attacker without lastHitBy when there are several opponents', () => {
+    const { settings, frames } = loadReplay(doubles);
+    const stats = extractPlayerStatistics(settings, withoutLastHitBy(frames));
+
+    assert.deepEqual(stats.map(entry => entry.damageDealt), [0, 0, 0, 0]);
+    assert.deepEqual(stats.map(entry => entry.selfDamage), [11, 15, 30, 0]);
+    assert.deepEqual(stats.map(entry => entry.kills), [0, 0, 0, 0]);
+});
+
+test('counts damage without an attacker and self-destructs as self damage', () => {
+    const { settings, frames } = loadReplay({
+        players: singles.players,
+        steps: [
+            {},
+            { 0: { percent: 5, lastHitBy: NO_ATTACKER } },
+            { 0: { percent: 8, lastHitBy: 0 } },
+            { 0: { percent: 0, stocks: 3 } },
+            {}
+        ]
+    });
+    const [fox, marth] = extractPlayerStatistics(settings, frames);
+
+    assert.equal(fox.selfDamage, 8);
+    assert.equal(fox.damageTaken, 8);
+    assert.equal(fox.stockLosses, 1);
+    assert.equal(marth.damageDealt, 0);
+    assert.equal(marth.kills, 0);
+});
+
+test('tracks friendly fire in doubles and never credits a teammate with a kill', () => {
+    const { settings, frames } = loadReplay(doubles);
+    const [fox, falco, marth, sheik] = extractPlayerStatistics(settings, frames);
+
+    assert.deepEqual([fox, falco, marth, sheik].map(entry => entry.teamId), [0, 0, 1, 1]);
+    assert.equal(fox.friendlyFireDealt, 15);
+    assert.equal(fox.damageDealt, 0);
+    assert.deepEqual(fox.damageDealtTo, {});
+    assert.equal(fox.kills, 0);
+    assert.equal(falco.damageTaken, 15);
+    assert.equal(falco.stockLosses, 1);
+
+    assert.equal(falco.damageDealt, 30);
+    assert.deepEqual(falco.damageDealtTo, { 2: 30 });
+    assert.equal(falco.kills, 1);
+    assert.equal(marth.stockLosses, 1);
+
+    assert.equal(sheik.damageDealt, 11);
+    assert.deepEqual(sheik.damageDealtTo, { 0: 11 });
+    assert.equal(fox.damageTaken, 11);
+});
+
+test('reports no teams in singles', () => {
+    const { settings, frames } = loadReplay(singles);
+    const stats = extractPlayerStatistics(settings, frames);
+
+    assert.deepEqual(stats.map(entry => entry.teamId), [null, null]);
+});
+
+test('gives the same result for frames as an object or an array', () => {
+    const { settings, frames } = loadReplay(singles);
+    const expected = extractPlayerStatistics(settings, frames);
+
+    const frameNumbers = Object.keys(frames).map(Number).sort((a, b) => a - b);
+    const asArray = frameNumbers.map(frameNum => frames[frameNum]);
+    const shuffled = Object.fromEntries([...frameNumbers].reverse().map(frameNum => [frameNum, frames[frameNum]]));
+
+    assert.deepEqual(getOrderedFrames(shuffled).map(frame => frame.frame), frameNumbers);
+    assert.deepEqual(extractPlayerStatistics(settings, asArray), expected);
+    assert.deepEqual(extractPlayerStatistics(settings, shuffled), expected);
+});